@@ -0,0 +1,47 @@
+-- Customer receipts recorded by accounts and allocated against outward bills
+
+CREATE SEQUENCE IF NOT EXISTS receipt_number_seq;
+
+CREATE OR REPLACE FUNCTION generate_receipt_number() RETURNS VARCHAR AS $$
+BEGIN
+  RETURN 'RCP-' || TO_CHAR(CURRENT_DATE, 'YYMM') || '-' || LPAD(nextval('receipt_number_seq')::TEXT, 5, '0');
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TABLE IF NOT EXISTS collections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  receipt_number VARCHAR(30) NOT NULL UNIQUE,
+  customer_id UUID NOT NULL REFERENCES customers(id),
+  receipt_date DATE NOT NULL,
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  allocated_amount DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (allocated_amount >= 0),
+  payment_mode VARCHAR(20) NOT NULL
+    CHECK (payment_mode IN ('cheque', 'neft', 'rtgs', 'imps', 'upi', 'cash')),
+  reference_number VARCHAR(50),
+  reference_date DATE,
+  bank_account_id UUID REFERENCES bank_accounts(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'reversed')),
+  remarks TEXT,
+  reversed_at TIMESTAMP,
+  reversed_by UUID REFERENCES users(id),
+  reversal_reason TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT collections_allocation_within_amount CHECK (allocated_amount <= amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_collections_customer ON collections(customer_id);
+CREATE INDEX IF NOT EXISTS idx_collections_receipt_date ON collections(receipt_date);
+
+CREATE TABLE IF NOT EXISTS collection_allocations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  collection_id UUID NOT NULL REFERENCES collections(id),
+  bill_id UUID NOT NULL REFERENCES outward_bills(id),
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_collection_allocations_collection ON collection_allocations(collection_id);
+CREATE INDEX IF NOT EXISTS idx_collection_allocations_bill ON collection_allocations(bill_id);
@@ -0,0 +1,19 @@
+-- Audit trail written by the routers in the same transaction as each change
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id),
+  entity_type VARCHAR(50) NOT NULL,
+  action VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS user_role VARCHAR(20);
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45);
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS entity_id UUID;
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS old_values JSONB;
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS new_values JSONB;
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS changes JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
@@ -0,0 +1,22 @@
+-- Company bank accounts managed through /api/bank-accounts
+
+CREATE TABLE IF NOT EXISTS bank_accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bank_name VARCHAR(100) NOT NULL,
+  account_number VARCHAR(30) NOT NULL,
+  ifsc_code VARCHAR(11),
+  bank_type VARCHAR(20) DEFAULT 'icici'
+);
+
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS account_name VARCHAR(150);
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS branch VARCHAR(100);
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS account_type VARCHAR(20) DEFAULT 'current';
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS is_default BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id);
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT NOW();
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT NOW();
+
+-- At most one default account
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bank_accounts_single_default
+  ON bank_accounts(is_default) WHERE is_default = true;
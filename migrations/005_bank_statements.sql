@@ -0,0 +1,44 @@
+-- Uploaded bank statements and their lines, matched against payments and receipts
+
+CREATE TABLE IF NOT EXISTS bank_statements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bank_account_id UUID NOT NULL REFERENCES bank_accounts(id),
+  file_name VARCHAR(255) NOT NULL,
+  statement_from DATE,
+  statement_to DATE,
+  line_count INTEGER NOT NULL DEFAULT 0,
+  duplicate_count INTEGER NOT NULL DEFAULT 0,
+  uploaded_by UUID REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS bank_statement_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  statement_id UUID NOT NULL REFERENCES bank_statements(id),
+  bank_account_id UUID NOT NULL REFERENCES bank_accounts(id),
+  line_no INTEGER NOT NULL,
+  txn_date DATE NOT NULL,
+  narration TEXT,
+  reference VARCHAR(100),
+  utr_number VARCHAR(50),
+  debit DECIMAL(15, 2) NOT NULL DEFAULT 0,
+  credit DECIMAL(15, 2) NOT NULL DEFAULT 0,
+  balance DECIMAL(15, 2),
+  line_hash VARCHAR(64) NOT NULL,
+  -- unmatched: no candidate, review: needs a person, matched: applied, ignored: not ours to match
+  match_status VARCHAR(20) NOT NULL DEFAULT 'unmatched'
+    CHECK (match_status IN ('unmatched', 'review', 'matched', 'ignored')),
+  candidates JSONB,
+  matched_payment_id UUID REFERENCES payments(id),
+  matched_vendor_id UUID REFERENCES vendors(id),
+  match_score INTEGER,
+  matched_by UUID REFERENCES users(id),
+  matched_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Re-uploading an overlapping statement must not duplicate lines
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bank_statement_lines_hash
+  ON bank_statement_lines(bank_account_id, line_hash);
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_status ON bank_statement_lines(match_status);
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_statement ON bank_statement_lines(statement_id);
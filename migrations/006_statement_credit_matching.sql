@@ -0,0 +1,6 @@
+-- Credit lines of a bank statement are matched to customer receipts
+
+ALTER TABLE bank_statement_lines ADD COLUMN IF NOT EXISTS matched_customer_id UUID REFERENCES customers(id);
+ALTER TABLE bank_statement_lines ADD COLUMN IF NOT EXISTS matched_collection_id UUID REFERENCES collections(id);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_collection ON bank_statement_lines(matched_collection_id);
@@ -0,0 +1,18 @@
+-- Scanned bills, PODs and other documents attached to inward and outward bills
+
+CREATE TABLE IF NOT EXISTS bill_attachments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  inward_bill_id UUID REFERENCES inward_bills(id),
+  outward_bill_id UUID REFERENCES outward_bills(id),
+  original_name VARCHAR(255) NOT NULL,
+  stored_name VARCHAR(100) NOT NULL UNIQUE,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  uploaded_by UUID REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  -- Exactly one bill per attachment
+  CHECK ((inward_bill_id IS NULL) <> (outward_bill_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_bill_attachments_inward ON bill_attachments(inward_bill_id);
+CREATE INDEX IF NOT EXISTS idx_bill_attachments_outward ON bill_attachments(outward_bill_id);
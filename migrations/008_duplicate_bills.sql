@@ -0,0 +1,15 @@
+-- Duplicate vendor bill detection and recorded owner overrides
+
+-- Upper-case, drop leading zeros of each number run, then punctuation and spaces,
+-- so "inv/0012", "INV-12" and "INV 012" compare equal (kept in step with inward.service.js)
+CREATE OR REPLACE FUNCTION normalize_bill_number(value TEXT) RETURNS TEXT AS $$
+  SELECT regexp_replace(regexp_replace(upper(coalesce(value, '')), '(^|[^0-9])0+([0-9])', '\1\2', 'g'), '[^A-Z0-9]', '', 'g');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_inward_bills_vendor_bill_number
+  ON inward_bills(vendor_id, normalize_bill_number(bill_number));
+
+ALTER TABLE inward_bills ADD COLUMN IF NOT EXISTS duplicate_of JSONB;
+ALTER TABLE inward_bills ADD COLUMN IF NOT EXISTS duplicate_override_by UUID REFERENCES users(id);
+ALTER TABLE inward_bills ADD COLUMN IF NOT EXISTS duplicate_override_at TIMESTAMP;
+ALTER TABLE inward_bills ADD COLUMN IF NOT EXISTS duplicate_override_reason TEXT;
@@ -0,0 +1,24 @@
+-- Reversal of payment details (bounced transfers, payments against the wrong bill).
+-- The original detail and its UTR are kept; the reversal is recorded alongside.
+
+CREATE TABLE IF NOT EXISTS payment_reversals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  payment_id UUID NOT NULL REFERENCES payments(id),
+  payment_detail_id UUID NOT NULL UNIQUE REFERENCES payment_details(id),
+  bill_id UUID NOT NULL REFERENCES inward_bills(id),
+  amount DECIMAL(15, 2) NOT NULL,
+  utr_number VARCHAR(50),
+  -- Whether the detail had already been settled against the bill (UTR entered)
+  was_settled BOOLEAN NOT NULL,
+  reversal_type VARCHAR(20) NOT NULL CHECK (reversal_type IN ('bounced', 'wrong_bill', 'other')),
+  reason TEXT NOT NULL,
+  reversed_by UUID REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_reversals_payment ON payment_reversals(payment_id);
+CREATE INDEX IF NOT EXISTS idx_payment_reversals_bill ON payment_reversals(bill_id);
+
+ALTER TABLE payment_details ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMP;
+ALTER TABLE payment_details ADD COLUMN IF NOT EXISTS reversed_by UUID REFERENCES users(id);
+ALTER TABLE payment_details ADD COLUMN IF NOT EXISTS reversal_reason TEXT;
@@ -0,0 +1,66 @@
+-- Vendor debit notes (raised by us) and credit notes (received from the vendor) for
+-- returns, rate differences and short supplies. A note reduces what we owe the vendor:
+-- allocated against specific inward bills, or held on account until it is allocated.
+
+CREATE SEQUENCE IF NOT EXISTS vendor_note_number_seq;
+
+CREATE OR REPLACE FUNCTION generate_vendor_note_number(p_note_type VARCHAR) RETURNS VARCHAR AS $$
+BEGIN
+  RETURN CASE WHEN p_note_type = 'debit' THEN 'DN-' ELSE 'CN-' END
+    || TO_CHAR(CURRENT_DATE, 'YYMM') || '-' || LPAD(nextval('vendor_note_number_seq')::TEXT, 5, '0');
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TABLE IF NOT EXISTS vendor_notes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  note_number VARCHAR(30) NOT NULL UNIQUE,
+  vendor_id UUID NOT NULL REFERENCES vendors(id),
+  note_type VARCHAR(10) NOT NULL CHECK (note_type IN ('debit', 'credit')),
+  note_date DATE NOT NULL,
+  -- The vendor's credit note number, or our debit note reference sent to the vendor
+  reference_number VARCHAR(50),
+  reason VARCHAR(20) NOT NULL
+    CHECK (reason IN ('return', 'rate_difference', 'short_supply', 'other')),
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  allocated_amount DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (allocated_amount >= 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+  remarks TEXT,
+  cancelled_at TIMESTAMP,
+  cancelled_by UUID REFERENCES users(id),
+  cancel_reason TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT vendor_notes_allocation_within_amount CHECK (allocated_amount <= amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_notes_vendor ON vendor_notes(vendor_id);
+CREATE INDEX IF NOT EXISTS idx_vendor_notes_date ON vendor_notes(note_date);
+
+CREATE TABLE IF NOT EXISTS vendor_note_allocations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  note_id UUID NOT NULL REFERENCES vendor_notes(id),
+  bill_id UUID NOT NULL REFERENCES inward_bills(id),
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  -- Set when the note was netted off while creating a payment from a proposal
+  proposal_id UUID REFERENCES proposals(id),
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_note_allocations_note ON vendor_note_allocations(note_id);
+CREATE INDEX IF NOT EXISTS idx_vendor_note_allocations_bill ON vendor_note_allocations(bill_id);
+
+-- Notes a proposal intends to net off against the vendor's bills in it
+CREATE TABLE IF NOT EXISTS proposal_notes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  proposal_id UUID NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+  note_id UUID NOT NULL REFERENCES vendor_notes(id),
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (proposal_id, note_id)
+);
+
+-- Part of the bill settled by notes rather than payments; outstanding is
+-- amount - paid_amount - adjusted_amount
+ALTER TABLE inward_bills ADD COLUMN IF NOT EXISTS adjusted_amount DECIMAL(15, 2) NOT NULL DEFAULT 0;
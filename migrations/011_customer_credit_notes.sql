@@ -0,0 +1,54 @@
+-- Customer credit notes for sales returns, rate differences and discounts on outward
+-- invoices. A credit note reduces what the customer owes: allocated against invoices
+-- (its own invoice by default), or held on account for use in collection allocation.
+
+CREATE SEQUENCE IF NOT EXISTS credit_note_number_seq;
+
+CREATE OR REPLACE FUNCTION generate_credit_note_number() RETURNS VARCHAR AS $$
+BEGIN
+  RETURN 'CRN-' || TO_CHAR(CURRENT_DATE, 'YYMM') || '-' || LPAD(nextval('credit_note_number_seq')::TEXT, 5, '0');
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  credit_note_number VARCHAR(30) NOT NULL UNIQUE,
+  customer_id UUID NOT NULL REFERENCES customers(id),
+  -- The invoice the return or price adjustment relates to
+  outward_bill_id UUID NOT NULL REFERENCES outward_bills(id),
+  note_date DATE NOT NULL,
+  reason VARCHAR(20) NOT NULL
+    CHECK (reason IN ('sales_return', 'rate_difference', 'discount', 'other')),
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  allocated_amount DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (allocated_amount >= 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+  remarks TEXT,
+  cancelled_at TIMESTAMP,
+  cancelled_by UUID REFERENCES users(id),
+  cancel_reason TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT credit_notes_allocation_within_amount CHECK (allocated_amount <= amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_notes_customer ON credit_notes(customer_id);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_bill ON credit_notes(outward_bill_id);
+
+CREATE TABLE IF NOT EXISTS credit_note_allocations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  credit_note_id UUID NOT NULL REFERENCES credit_notes(id),
+  bill_id UUID NOT NULL REFERENCES outward_bills(id),
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  -- Set when the credit was applied while allocating a customer receipt
+  collection_id UUID REFERENCES collections(id),
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_note_allocations_note ON credit_note_allocations(credit_note_id);
+CREATE INDEX IF NOT EXISTS idx_credit_note_allocations_bill ON credit_note_allocations(bill_id);
+
+-- Part of the invoice settled by credit notes rather than receipts; outstanding is
+-- amount - collected_amount - adjusted_amount
+ALTER TABLE outward_bills ADD COLUMN IF NOT EXISTS adjusted_amount DECIMAL(15, 2) NOT NULL DEFAULT 0;
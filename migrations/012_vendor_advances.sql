@@ -0,0 +1,68 @@
+-- Advance payments to vendors before a bill exists. An advance goes through the same
+-- proposal -> accounts -> owner -> payment -> UTR pipeline as a bill, then sits as an
+-- unadjusted advance until it is adjusted against the vendor's later inward bills.
+
+CREATE SEQUENCE IF NOT EXISTS advance_number_seq;
+
+CREATE OR REPLACE FUNCTION generate_advance_number() RETURNS VARCHAR AS $$
+BEGIN
+  RETURN 'ADV-' || TO_CHAR(CURRENT_DATE, 'YYMM') || '-' || LPAD(nextval('advance_number_seq')::TEXT, 5, '0');
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TABLE IF NOT EXISTS vendor_advances (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  advance_number VARCHAR(30) NOT NULL UNIQUE,
+  vendor_id UUID NOT NULL REFERENCES vendors(id),
+  request_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  -- Settled by UTR-confirmed payment details
+  paid_amount DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (paid_amount >= 0),
+  -- Already set against inward bills
+  adjusted_amount DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (adjusted_amount >= 0),
+  -- Order, quotation or proforma the advance is paid against
+  reference_number VARCHAR(50),
+  purpose TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+  cancelled_at TIMESTAMP,
+  cancelled_by UUID REFERENCES users(id),
+  cancel_reason TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT vendor_advances_paid_within_amount CHECK (paid_amount <= amount),
+  CONSTRAINT vendor_advances_adjusted_within_paid CHECK (adjusted_amount <= paid_amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_advances_vendor ON vendor_advances(vendor_id);
+
+CREATE TABLE IF NOT EXISTS vendor_advance_adjustments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  advance_id UUID NOT NULL REFERENCES vendor_advances(id),
+  bill_id UUID NOT NULL REFERENCES inward_bills(id),
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_advance_adjustments_advance ON vendor_advance_adjustments(advance_id);
+CREATE INDEX IF NOT EXISTS idx_vendor_advance_adjustments_bill ON vendor_advance_adjustments(bill_id);
+
+-- Proposal items, payment details and reversals point at either a bill or an advance
+ALTER TABLE proposal_items ADD COLUMN IF NOT EXISTS advance_id UUID REFERENCES vendor_advances(id);
+ALTER TABLE proposal_items ALTER COLUMN bill_id DROP NOT NULL;
+ALTER TABLE proposal_items DROP CONSTRAINT IF EXISTS proposal_items_bill_or_advance;
+ALTER TABLE proposal_items ADD CONSTRAINT proposal_items_bill_or_advance
+  CHECK (num_nonnulls(bill_id, advance_id) = 1);
+
+ALTER TABLE payment_details ADD COLUMN IF NOT EXISTS advance_id UUID REFERENCES vendor_advances(id);
+ALTER TABLE payment_details ALTER COLUMN bill_id DROP NOT NULL;
+ALTER TABLE payment_details DROP CONSTRAINT IF EXISTS payment_details_bill_or_advance;
+ALTER TABLE payment_details ADD CONSTRAINT payment_details_bill_or_advance
+  CHECK (num_nonnulls(bill_id, advance_id) = 1);
+
+ALTER TABLE payment_reversals ADD COLUMN IF NOT EXISTS advance_id UUID REFERENCES vendor_advances(id);
+ALTER TABLE payment_reversals ALTER COLUMN bill_id DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_proposal_items_advance ON proposal_items(advance_id);
+CREATE INDEX IF NOT EXISTS idx_payment_details_advance ON payment_details(advance_id);
@@ -0,0 +1,66 @@
+-- TDS (tax deducted at source) on vendor payments. Each vendor can carry a TDS section
+-- and rate; the deduction is worked out per payment detail against the section's
+-- thresholds for the financial year, only the net amount is transferred, and the
+-- deducted tax stays payable until it is deposited against a challan.
+
+CREATE TABLE IF NOT EXISTS tds_sections (
+  section VARCHAR(10) PRIMARY KEY,
+  description VARCHAR(150) NOT NULL,
+  default_rate DECIMAL(5, 2) NOT NULL CHECK (default_rate >= 0 AND default_rate <= 100),
+  -- A single payment above this is always subject to TDS
+  single_threshold DECIMAL(15, 2),
+  -- Once a vendor's payments in the financial year cross this, TDS applies
+  annual_threshold DECIMAL(15, 2),
+  -- TDS only on the part of the annual total above annual_threshold (e.g. 194Q)
+  excess_only BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO tds_sections (section, description, default_rate, single_threshold, annual_threshold, excess_only) VALUES
+  ('194C', 'Payment to contractors', 2.00, 30000, 100000, false),
+  ('194H', 'Commission or brokerage', 2.00, NULL, 20000, false),
+  ('194I', 'Rent of plant, machinery or building', 10.00, NULL, 240000, false),
+  ('194J', 'Fees for professional or technical services', 10.00, NULL, 50000, false),
+  ('194Q', 'Purchase of goods', 0.10, NULL, 5000000, true)
+ON CONFLICT (section) DO NOTHING;
+
+ALTER TABLE vendors ADD COLUMN IF NOT EXISTS tds_section VARCHAR(10) REFERENCES tds_sections(section);
+-- Overrides the section's default rate (e.g. lower deduction certificate)
+ALTER TABLE vendors ADD COLUMN IF NOT EXISTS tds_rate DECIMAL(5, 2) CHECK (tds_rate >= 0 AND tds_rate <= 100);
+
+CREATE TABLE IF NOT EXISTS tds_challans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  section VARCHAR(10) NOT NULL REFERENCES tds_sections(section),
+  -- First day of the month whose deductions the challan deposits
+  period_month DATE NOT NULL,
+  challan_number VARCHAR(20) NOT NULL,
+  bsr_code VARCHAR(10) NOT NULL,
+  deposit_date DATE NOT NULL,
+  tds_amount DECIMAL(15, 2) NOT NULL CHECK (tds_amount >= 0),
+  interest DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (interest >= 0),
+  late_fee DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (late_fee >= 0),
+  remarks TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (bsr_code, deposit_date, challan_number)
+);
+
+-- payment_details.amount stays the gross amount that settles the bill or advance;
+-- net_amount is what is transferred to the vendor
+ALTER TABLE payment_details ADD COLUMN IF NOT EXISTS tds_section VARCHAR(10) REFERENCES tds_sections(section);
+ALTER TABLE payment_details ADD COLUMN IF NOT EXISTS tds_rate DECIMAL(5, 2);
+-- Amount the rate was applied to, including earlier untaxed payments caught up when
+-- the annual threshold is crossed
+ALTER TABLE payment_details ADD COLUMN IF NOT EXISTS tds_base DECIMAL(15, 2) NOT NULL DEFAULT 0;
+ALTER TABLE payment_details ADD COLUMN IF NOT EXISTS tds_amount DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (tds_amount >= 0);
+ALTER TABLE payment_details ADD COLUMN IF NOT EXISTS net_amount DECIMAL(15, 2);
+ALTER TABLE payment_details ADD COLUMN IF NOT EXISTS tds_challan_id UUID REFERENCES tds_challans(id);
+
+UPDATE payment_details SET net_amount = amount - tds_amount WHERE net_amount IS NULL;
+ALTER TABLE payment_details ALTER COLUMN net_amount SET NOT NULL;
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS tds_amount DECIMAL(15, 2) NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_payment_details_tds_section ON payment_details(tds_section) WHERE tds_amount > 0;
+CREATE INDEX IF NOT EXISTS idx_payment_details_tds_challan ON payment_details(tds_challan_id);
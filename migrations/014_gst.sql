@@ -0,0 +1,64 @@
+-- GST breakup on inward and outward bills, and GSTR-2B imports matched against inward
+-- bills. A bill's amount stays the invoice total; taxable_value plus the tax heads make
+-- it up to within a rupee of round-off. Bills entered before this have no breakup.
+
+ALTER TABLE inward_bills ADD COLUMN IF NOT EXISTS taxable_value DECIMAL(15, 2) CHECK (taxable_value >= 0);
+ALTER TABLE inward_bills ADD COLUMN IF NOT EXISTS cgst_amount DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (cgst_amount >= 0);
+ALTER TABLE inward_bills ADD COLUMN IF NOT EXISTS sgst_amount DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (sgst_amount >= 0);
+ALTER TABLE inward_bills ADD COLUMN IF NOT EXISTS igst_amount DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (igst_amount >= 0);
+-- 'intra' (CGST + SGST) or 'inter' (IGST), from the GSTIN state codes of both parties
+ALTER TABLE inward_bills ADD COLUMN IF NOT EXISTS supply_type VARCHAR(5) CHECK (supply_type IN ('intra', 'inter'));
+ALTER TABLE inward_bills ADD COLUMN IF NOT EXISTS party_state_code CHAR(2);
+
+ALTER TABLE outward_bills ADD COLUMN IF NOT EXISTS taxable_value DECIMAL(15, 2) CHECK (taxable_value >= 0);
+ALTER TABLE outward_bills ADD COLUMN IF NOT EXISTS cgst_amount DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (cgst_amount >= 0);
+ALTER TABLE outward_bills ADD COLUMN IF NOT EXISTS sgst_amount DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (sgst_amount >= 0);
+ALTER TABLE outward_bills ADD COLUMN IF NOT EXISTS igst_amount DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (igst_amount >= 0);
+ALTER TABLE outward_bills ADD COLUMN IF NOT EXISTS supply_type VARCHAR(5) CHECK (supply_type IN ('intra', 'inter'));
+ALTER TABLE outward_bills ADD COLUMN IF NOT EXISTS party_state_code CHAR(2);
+
+-- One uploaded GSTR-2B file
+CREATE TABLE IF NOT EXISTS gstr2b_imports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Return period as in the file (MMYYYY) and as the first day of that month
+  return_period VARCHAR(6) NOT NULL,
+  period_month DATE NOT NULL,
+  gstin VARCHAR(15),
+  file_name VARCHAR(255),
+  invoice_count INTEGER NOT NULL DEFAULT 0,
+  matched_count INTEGER NOT NULL DEFAULT 0,
+  mismatch_count INTEGER NOT NULL DEFAULT 0,
+  -- Reported invoices not found among inward bills, including unknown supplier GSTINs
+  missing_in_books_count INTEGER NOT NULL DEFAULT 0,
+  uploaded_by UUID REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- B2B invoices reported by suppliers in the file, with the result of matching each
+-- against our inward bills
+CREATE TABLE IF NOT EXISTS gstr2b_invoices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  import_id UUID NOT NULL REFERENCES gstr2b_imports(id) ON DELETE CASCADE,
+  supplier_gstin VARCHAR(15) NOT NULL,
+  supplier_name VARCHAR(200),
+  invoice_number VARCHAR(50) NOT NULL,
+  invoice_date DATE,
+  invoice_value DECIMAL(15, 2) NOT NULL DEFAULT 0,
+  taxable_value DECIMAL(15, 2) NOT NULL DEFAULT 0,
+  igst_amount DECIMAL(15, 2) NOT NULL DEFAULT 0,
+  cgst_amount DECIMAL(15, 2) NOT NULL DEFAULT 0,
+  sgst_amount DECIMAL(15, 2) NOT NULL DEFAULT 0,
+  cess_amount DECIMAL(15, 2) NOT NULL DEFAULT 0,
+  itc_available BOOLEAN,
+  vendor_id UUID REFERENCES vendors(id),
+  bill_id UUID REFERENCES inward_bills(id),
+  match_status VARCHAR(20) NOT NULL
+    CHECK (match_status IN ('matched', 'mismatch', 'missing_in_books', 'vendor_not_found')),
+  mismatches TEXT[] NOT NULL DEFAULT '{}'
+);
+
+CREATE INDEX IF NOT EXISTS idx_inward_bills_invoice_date ON inward_bills(invoice_date);
+CREATE INDEX IF NOT EXISTS idx_outward_bills_invoice_date ON outward_bills(invoice_date);
+CREATE INDEX IF NOT EXISTS idx_gstr2b_imports_period ON gstr2b_imports(period_month);
+CREATE INDEX IF NOT EXISTS idx_gstr2b_invoices_import ON gstr2b_invoices(import_id, match_status);
+CREATE INDEX IF NOT EXISTS idx_gstr2b_invoices_bill ON gstr2b_invoices(bill_id);
@@ -0,0 +1,31 @@
+-- Server-side login sessions. Each login starts a session (a refresh token family);
+-- every refresh rotates the refresh token, and access tokens carry the session id so
+-- revoking the session logs that device out immediately.
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id),
+  ip_address VARCHAR(45),
+  user_agent VARCHAR(500),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  revoked_at TIMESTAMP,
+  -- logout, logout_all, token_reuse, password_change, password_reset, deactivated, owner
+  revoked_reason VARCHAR(30),
+  revoked_by UUID REFERENCES users(id)
+);
+
+-- Only a SHA-256 hash of each refresh token is stored. A token is used once: refreshing
+-- marks it used and issues its replacement; presenting a used token again revokes the session.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  replaced_by UUID REFERENCES refresh_tokens(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
@@ -0,0 +1,22 @@
+-- Brute-force protection on login: consecutive failures lock the account for a while,
+-- and every attempt is kept in the login history for the owner to review.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS login_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- NULL when the username does not exist
+  user_id UUID REFERENCES users(id),
+  username VARCHAR(100) NOT NULL,
+  ip_address VARCHAR(45),
+  user_agent VARCHAR(500),
+  success BOOLEAN NOT NULL,
+  -- bad_password, unknown_user, locked, ip_blocked, inactive, temp_password_expired
+  failure_reason VARCHAR(30),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_history_user ON login_history(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_history_ip ON login_history(ip_address, created_at) WHERE success = false;
+CREATE INDEX IF NOT EXISTS idx_login_history_created ON login_history(created_at);
@@ -0,0 +1,23 @@
+-- TOTP two-factor authentication (RFC 6238). The secret is stored encrypted; while
+-- totp_enabled is false a stored secret is an enrollment waiting to be confirmed.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+-- Last accepted time step, so a code cannot be used twice
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- One-time recovery codes for a lost authenticator; only SHA-256 hashes are stored
+CREATE TABLE IF NOT EXISTS recovery_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash CHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- How a successful login passed the second step (totp or recovery_code); a wrong code
+-- is recorded as failure_reason bad_second_factor
+ALTER TABLE login_history ADD COLUMN IF NOT EXISTS second_factor VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id) WHERE used_at IS NULL;
@@ -0,0 +1,8 @@
+-- Step-up re-authentication: when the session holder last proved who they are (login,
+-- or password/code re-entry at /api/auth/step-up). Money-moving routes require this to
+-- be recent. Sessions from before this migration have none and must step up first.
+
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP;
+
+-- A wrong step-up entry is recorded in login_history as failure_reason bad_step_up and
+-- counts towards the lockout; reaching it revokes the session (revoked_reason step_up_failed).
@@ -0,0 +1,168 @@
+-- Named permissions. A role is an editable set of permissions; a user gets their role's
+-- set plus per-user overrides that grant or withhold single permissions. The seeded
+-- sets match what the four original roles could do.
+
+CREATE TABLE IF NOT EXISTS permissions (
+  code VARCHAR(50) PRIMARY KEY,
+  description VARCHAR(255) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS roles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code VARCHAR(20) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(255),
+  -- The original roles cannot be deleted (their permissions can still be edited)
+  is_system BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role VARCHAR(20) NOT NULL REFERENCES roles(code) ON DELETE CASCADE,
+  permission VARCHAR(50) NOT NULL REFERENCES permissions(code) ON DELETE CASCADE,
+  PRIMARY KEY (role, permission)
+);
+
+-- granted = true adds a permission the role lacks, false withholds one it has
+CREATE TABLE IF NOT EXISTS user_permission_overrides (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  permission VARCHAR(50) NOT NULL REFERENCES permissions(code) ON DELETE CASCADE,
+  granted BOOLEAN NOT NULL,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, permission)
+);
+
+INSERT INTO permissions (code, description) VALUES
+  ('user.manage', 'Manage users, their sessions, lockouts and 2FA'),
+  ('role.manage', 'Edit roles, their permissions and per-user overrides'),
+  ('audit.view', 'View the audit log'),
+  ('vendor.manage', 'Create, edit, import and export vendors'),
+  ('vendor.delete', 'Deactivate vendors'),
+  ('vendor.ledger', 'View vendor ledger statements'),
+  ('customer.manage', 'Create, edit, import and export customers'),
+  ('customer.delete', 'Deactivate customers'),
+  ('customer.statement', 'View customer statements of account'),
+  ('bank_account.manage', 'Manage company bank accounts and see full account numbers'),
+  ('inward.create', 'Enter and import inward bills'),
+  ('inward.edit', 'Edit inward bills'),
+  ('inward.delete', 'Cancel inward bills'),
+  ('inward.attach', 'Upload inward bill scans'),
+  ('inward.delete_attachment', 'Delete inward bill scans'),
+  ('inward.override_duplicate', 'Enter an inward bill despite a duplicate warning'),
+  ('inward.recompute_status', 'Recompute payment status of all inward bills'),
+  ('outward.create', 'Enter outward bills'),
+  ('outward.update_delivery', 'Update delivery status of outward bills'),
+  ('outward.edit', 'Edit outward bills'),
+  ('outward.delete', 'Cancel outward bills'),
+  ('outward.attach', 'Upload outward bill documents'),
+  ('outward.delete_attachment', 'Delete outward bill documents'),
+  ('proposal.create', 'Create and submit payment proposals and delete own drafts'),
+  ('proposal.delete_any', 'Delete draft proposals created by others'),
+  ('proposal.validate', 'Validate submitted proposals (accounts review)'),
+  ('proposal.approve', 'Approve or reject proposals (owner review)'),
+  ('payment.create', 'Create payment batches from approved proposals'),
+  ('payment.utr', 'View payments awaiting UTR and enter UTR numbers'),
+  ('payment.export', 'Download bank bulk-upload files'),
+  ('payment.reverse', 'Reverse payments'),
+  ('collection.manage', 'Record, allocate and reverse customer receipts'),
+  ('credit_note.manage', 'Create and allocate customer credit notes'),
+  ('credit_note.cancel', 'Cancel customer credit notes'),
+  ('vendor_note.view', 'View vendor debit/credit notes'),
+  ('vendor_note.create', 'Create vendor debit/credit notes'),
+  ('vendor_note.allocate', 'Allocate vendor notes against bills'),
+  ('vendor_note.cancel', 'Cancel vendor notes'),
+  ('vendor_advance.view', 'View vendor advances'),
+  ('vendor_advance.create', 'Record vendor advances'),
+  ('vendor_advance.adjust', 'Adjust vendor advances against bills'),
+  ('vendor_advance.cancel', 'Cancel vendor advances'),
+  ('reconciliation.manage', 'Import bank statements and reconcile them'),
+  ('tds.manage', 'View TDS payable and reports and record challans'),
+  ('tds.configure', 'Edit TDS section rates and thresholds'),
+  ('gst.manage', 'View GST registers and reconcile GSTR-2B'),
+  ('report.payables', 'Payables ageing, vendor outstanding, payment history and duplicate bills'),
+  ('report.receivables', 'Receivables ageing and customer outstanding'),
+  ('report.daily_summary', 'Daily summary report'),
+  ('report.cash_flow', 'Cash flow report'),
+  ('dashboard.godown', 'Godown dashboard'),
+  ('dashboard.purchase', 'Purchase dashboard'),
+  ('dashboard.accounts', 'Accounts dashboard'),
+  ('dashboard.owner', 'Owner dashboard')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO roles (code, name, description, is_system) VALUES
+  ('godown', 'Godown', 'Enters inward and outward bills', true),
+  ('purchase', 'Purchase', 'Prepares payment proposals and manages vendor notes and advances', true),
+  ('accounts', 'Accounts', 'Validates proposals, releases payments and keeps the books', true),
+  ('owner', 'Owner', 'Approves payments and administers the system', true)
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('godown', 'inward.create'),
+  ('godown', 'inward.attach'),
+  ('godown', 'outward.create'),
+  ('godown', 'outward.update_delivery'),
+  ('godown', 'outward.attach'),
+  ('godown', 'dashboard.godown'),
+
+  ('purchase', 'vendor.ledger'),
+  ('purchase', 'proposal.create'),
+  ('purchase', 'vendor_note.view'),
+  ('purchase', 'vendor_note.create'),
+  ('purchase', 'vendor_advance.view'),
+  ('purchase', 'vendor_advance.create'),
+  ('purchase', 'report.payables'),
+  ('purchase', 'dashboard.purchase'),
+
+  ('accounts', 'vendor.manage'),
+  ('accounts', 'vendor.ledger'),
+  ('accounts', 'customer.manage'),
+  ('accounts', 'customer.statement'),
+  ('accounts', 'inward.attach'),
+  ('accounts', 'outward.attach'),
+  ('accounts', 'proposal.validate'),
+  ('accounts', 'payment.create'),
+  ('accounts', 'payment.utr'),
+  ('accounts', 'payment.export'),
+  ('accounts', 'payment.reverse'),
+  ('accounts', 'collection.manage'),
+  ('accounts', 'credit_note.manage'),
+  ('accounts', 'vendor_note.view'),
+  ('accounts', 'vendor_note.create'),
+  ('accounts', 'vendor_note.allocate'),
+  ('accounts', 'vendor_advance.view'),
+  ('accounts', 'vendor_advance.adjust'),
+  ('accounts', 'reconciliation.manage'),
+  ('accounts', 'tds.manage'),
+  ('accounts', 'gst.manage'),
+  ('accounts', 'report.payables'),
+  ('accounts', 'report.receivables'),
+  ('accounts', 'report.daily_summary'),
+  ('accounts', 'dashboard.accounts')
+ON CONFLICT DO NOTHING;
+
+-- The owner starts with every permission
+INSERT INTO role_permissions (role, permission)
+SELECT 'owner', code FROM permissions
+ON CONFLICT DO NOTHING;
+
+-- users.role used to be limited to the four codes by a CHECK; it now names a roles row
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_role_fkey') THEN
+    ALTER TABLE users ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(code);
+  END IF;
+END $$;
+
+-- Effective permissions: an override wins, otherwise the role decides
+CREATE OR REPLACE VIEW user_permissions AS
+SELECT u.id as user_id, p.code as permission
+FROM users u
+CROSS JOIN permissions p
+LEFT JOIN user_permission_overrides o ON o.user_id = u.id AND o.permission = p.code
+LEFT JOIN role_permissions rp ON rp.role = u.role AND rp.permission = p.code
+WHERE COALESCE(o.granted, rp.permission IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_user_permission_overrides_permission ON user_permission_overrides(permission);
@@ -4,7 +4,6 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
@@ -16,12 +15,30 @@ const proposalRoutes = require('./routes/proposal.routes');
 const paymentRoutes = require('./routes/payment.routes');
 const dashboardRoutes = require('./routes/dashboard.routes');
 const reportRoutes = require('./routes/report.routes');
+const collectionRoutes = require('./routes/collection.routes');
+const bankAccountRoutes = require('./routes/bank-account.routes');
+const userRoutes = require('./routes/user.routes');
+const roleRoutes = require('./routes/role.routes');
+const reconciliationRoutes = require('./routes/reconciliation.routes');
+const vendorNoteRoutes = require('./routes/vendor-note.routes');
+const creditNoteRoutes = require('./routes/credit-note.routes');
+const vendorAdvanceRoutes = require('./routes/vendor-advance.routes');
+const tdsRoutes = require('./routes/tds.routes');
+const gstRoutes = require('./routes/gst.routes');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/error.middleware');
 
 const app = express();
 
+// Behind a load balancer, trust its X-Forwarded-For so req.ip (used for login
+// throttling, sessions and the audit log) is the client's address. Set TRUST_PROXY
+// to the number of proxy hops, e.g. 1.
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -52,9 +69,6 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('combined'));
 }
 
-// Static files for uploads
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -75,6 +89,16 @@ app.use('/api/proposals', proposalRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/bank-accounts', bankAccountRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/vendor-notes', vendorNoteRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/vendor-advances', vendorAdvanceRoutes);
+app.use('/api/tds', tdsRoutes);
+app.use('/api/gst', gstRoutes);
 
 // Error handling
 app.use(notFound);
@@ -1,5 +1,16 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
+const { isTwoFactorRequired } = require('../services/two-factor.service');
+const { STEP_UP_WINDOW_MINUTES, isRecentlyVerified } = require('../services/session.service');
+const { hasPermission } = require('../services/permission.service');
+
+// Routes still reachable while a temporary password is waiting to be changed
+const PASSWORD_CHANGE_ALLOWED = ['/api/auth/me', '/api/auth/change-password', '/api/auth/logout'];
+
+// Routes reachable by a user whose role requires 2FA before they have enrolled
+const TWO_FACTOR_SETUP_ALLOWED = [
+  ...PASSWORD_CHANGE_ALLOWED, '/api/auth/2fa', '/api/auth/2fa/setup', '/api/auth/2fa/enable',
+];
 
 // Verify JWT token
 const authenticate = async (req, res, next) => {
@@ -15,22 +26,49 @@ const authenticate = async (req, res, next) => {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
-      // Get user from database
+      // Get user, their effective permissions and the session the token was issued for
       const result = await query(
-        'SELECT id, username, full_name, role, is_active FROM users WHERE id = $1',
-        [decoded.userId]
+        `SELECT u.id, u.username, u.full_name, u.role, u.is_active, u.must_change_password,
+           u.totp_enabled, s.id as session_id, s.revoked_at as session_revoked_at,
+           ARRAY(SELECT up.permission FROM user_permissions up WHERE up.user_id = u.id ORDER BY up.permission) as permissions
+         FROM users u
+         LEFT JOIN auth_sessions s ON s.id = $2 AND s.user_id = u.id
+         WHERE u.id = $1`,
+        [decoded.userId, decoded.sessionId || null]
       );
 
       if (result.rows.length === 0) {
         return res.status(401).json({ error: 'User not found' });
       }
 
-      const user = result.rows[0];
+      const { session_revoked_at: sessionRevokedAt, ...user } = result.rows[0];
 
       if (!user.is_active) {
         return res.status(401).json({ error: 'User account is deactivated' });
       }
 
+      // Tokens from before sessions were tracked have no session and must log in again
+      if (!user.session_id || sessionRevokedAt) {
+        return res.status(401).json({ error: 'Session has been revoked', code: 'SESSION_REVOKED' });
+      }
+
+      if (user.must_change_password && !PASSWORD_CHANGE_ALLOWED.includes(req.baseUrl + req.path)) {
+        return res.status(403).json({
+          error: 'Password change required',
+          code: 'PASSWORD_CHANGE_REQUIRED',
+          message: 'Change your temporary password before continuing',
+        });
+      }
+
+      if (isTwoFactorRequired(user.permissions) && !user.totp_enabled
+        && !TWO_FACTOR_SETUP_ALLOWED.includes(req.baseUrl + req.path)) {
+        return res.status(403).json({
+          error: 'Two-factor authentication required',
+          code: 'TWO_FACTOR_SETUP_REQUIRED',
+          message: 'Set up an authenticator app before continuing',
+        });
+      }
+
       req.user = user;
       next();
     } catch (jwtError) {
@@ -45,17 +83,17 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Role-based authorization
-const authorize = (...allowedRoles) => {
+// Permission-based authorization; passes when the user holds any of the permissions
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({ 
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json({
         error: 'Access denied',
-        message: `This action requires one of these roles: ${allowedRoles.join(', ')}`
+        message: `This action requires the ${permissions.join(' or ')} permission`,
       });
     }
 
@@ -63,53 +101,28 @@ const authorize = (...allowedRoles) => {
   };
 };
 
-// Check if user can edit/delete (only admin/owner after godown entry)
-const canModify = async (req, res, next) => {
-  const { role } = req.user;
-  
-  // Owner can always modify
-  if (role === 'owner') {
-    return next();
-  }
-
-  // For other roles, check if they're the creator
-  const { id } = req.params;
-  const table = req.baseUrl.includes('inward') ? 'inward_bills' : 
-                req.baseUrl.includes('outward') ? 'outward_bills' : null;
-
-  if (!table) {
-    return next();
-  }
-
+// Require the caller to have entered their password or authenticator code within the
+// last few minutes (see POST /api/auth/step-up), for routes that move money
+const requireStepUp = async (req, res, next) => {
   try {
-    const result = await query(
-      `SELECT created_by FROM ${table} WHERE id = $1`,
-      [id]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Record not found' });
-    }
-
-    const record = result.rows[0];
-
-    // Only creator or owner can modify
-    if (record.created_by !== req.user.id && role !== 'owner') {
-      return res.status(403).json({ 
-        error: 'Access denied',
-        message: 'Only the creator or owner can modify this record'
-      });
+    if (await isRecentlyVerified(req.user.session_id)) {
+      return next();
     }
 
-    next();
+    res.status(403).json({
+      error: 'Re-authentication required',
+      code: 'STEP_UP_REQUIRED',
+      message: `Confirm your password or authenticator code at /api/auth/step-up; it stays valid for ${STEP_UP_WINDOW_MINUTES} minutes`,
+      stepUpWindowMinutes: STEP_UP_WINDOW_MINUTES,
+    });
   } catch (error) {
-    console.error('Authorization error:', error);
-    res.status(500).json({ error: 'Authorization check failed' });
+    console.error('Step-up check error:', error);
+    res.status(500).json({ error: 'Re-authentication check failed' });
   }
 };
 
 module.exports = {
   authenticate,
-  authorize,
-  canModify,
+  requirePermission,
+  requireStepUp,
 };
@@ -1,3 +1,13 @@
+// Expected business-rule failure with a message that is safe to show the client
+class AppError extends Error {
+  constructor(message, statusCode = 400, details) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
 // 404 Not Found handler
 const notFound = (req, res, next) => {
   res.status(404).json({
@@ -15,6 +25,14 @@ const errorHandler = (err, req, res, next) => {
     method: req.method,
   });
 
+  // Business-rule errors thrown from routes and services (often inside transactions)
+  if (err instanceof AppError) {
+    return res.status(err.statusCode).json({
+      error: err.message,
+      ...(err.details && { details: err.details }),
+    });
+  }
+
   // PostgreSQL errors
   if (err.code) {
     switch (err.code) {
@@ -75,6 +93,15 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  if (err.name === 'MulterError') {
+    return res.status(400).json({
+      error: 'Upload rejected',
+      message: err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+        ? 'Too many files or an unexpected file field in the upload'
+        : err.message,
+    });
+  }
+
   // Default error response
   const statusCode = err.statusCode || err.status || 500;
   res.status(statusCode).json({
@@ -92,6 +119,7 @@ const asyncHandler = (fn) => (req, res, next) => {
 };
 
 module.exports = {
+  AppError,
   notFound,
   errorHandler,
   asyncHandler,
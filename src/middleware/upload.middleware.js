@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { AppError } = require('./error.middleware');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+// Bill scans are kept on local disk outside any static mount and served by authenticated routes
+const ATTACHMENT_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'), 'bills');
+const ATTACHMENT_TYPES = {
+  '.pdf': ['application/pdf'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.png': ['image/png'],
+  '.webp': ['image/webp'],
+};
+const MAX_ATTACHMENTS = parseInt(process.env.MAX_ATTACHMENTS_PER_UPLOAD) || 10;
+
+// Spreadsheet uploads (bank statements, bulk imports) are parsed in memory and never stored
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (parseInt(process.env.MAX_IMPORT_SIZE_MB) || 5) * 1024 * 1024,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return cb(new AppError(`Only ${SPREADSHEET_EXTENSIONS.join(', ')} files are accepted`));
+    }
+    cb(null, true);
+  },
+});
+
+// Return files downloaded from the GST portal, parsed in memory like spreadsheets
+const jsonUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (parseInt(process.env.MAX_IMPORT_SIZE_MB) || 5) * 1024 * 1024,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() !== '.json') {
+      return cb(new AppError('Only .json files are accepted'));
+    }
+    cb(null, true);
+  },
+});
+
+const attachmentUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(ATTACHMENT_DIR, { recursive: true }, (error) => cb(error, ATTACHMENT_DIR));
+    },
+    // Generated names only; the client's file name is kept in the database
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+    },
+  }),
+  limits: {
+    fileSize: (parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 10) * 1024 * 1024,
+    files: MAX_ATTACHMENTS,
+  },
+  fileFilter: (req, file, cb) => {
+    const allowed = ATTACHMENT_TYPES[path.extname(file.originalname).toLowerCase()];
+    if (!allowed || !allowed.includes(file.mimetype)) {
+      return cb(new AppError('Only PDF, JPG, PNG and WEBP files are accepted'));
+    }
+    cb(null, true);
+  },
+});
+
+// Require the single uploaded file in the "file" field
+const requireFile = (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded. Send it in the "file" field.' });
+  }
+  next();
+};
+
+// Require at least one document in the "files" field
+const requireFiles = (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: 'No files uploaded. Send them in the "files" field.' });
+  }
+  next();
+};
+
+module.exports = {
+  ATTACHMENT_DIR,
+  uploadSpreadsheet: [spreadsheetUpload.single('file'), requireFile],
+  uploadJson: [jsonUpload.single('file'), requireFile],
+  uploadAttachments: [attachmentUpload.array('files', MAX_ATTACHMENTS), requireFiles],
+};
@@ -151,6 +151,9 @@ const validators = {
   },
 };
 
+// Role codes: lowercase, as stored in users.role
+const ROLE_CODE = /^[a-z][a-z0-9_]{1,19}$/;
+
 // Validation rules for different entities
 const validationRules = {
   // Inward Bill
@@ -160,9 +163,16 @@ const validationRules = {
     validators.date('invoice_date'),
     validators.date('receiving_date'),
     validators.amount('amount'),
+    validators.amount('taxable_value', false),
+    validators.amount('gst_amount', false),
     validators.integer('credit_days', 0, 365),
     validators.requiredString('checked_by', 1, 100),
     validators.optionalString('remarks', 500),
+    body('override_duplicate')
+      .optional()
+      .isBoolean().withMessage('override_duplicate must be true or false')
+      .toBoolean(),
+    validators.optionalString('override_reason', 500),
     validate,
   ],
 
@@ -172,6 +182,8 @@ const validationRules = {
     validators.requiredString('invoice_number', 1, 50),
     validators.date('invoice_date'),
     validators.amount('amount'),
+    validators.amount('taxable_value', false),
+    validators.amount('gst_amount', false),
     validators.integer('credit_days', 0, 365),
     validators.requiredString('dispatched_by', 1, 100),
     validators.optionalString('delivery_mode', 50),
@@ -187,11 +199,232 @@ const validationRules = {
     validators.date('payment_date'),
     validators.optionalString('remarks', 500),
     body('items')
-      .isArray({ min: 1 }).withMessage('At least one bill must be selected'),
+      .custom((value, { req }) => (value || []).length > 0 || (req.body.advances || []).length > 0)
+      .withMessage('At least one bill or advance must be selected'),
+    body('items')
+      .optional()
+      .isArray().withMessage('items must be an array'),
     body('items.*.bill_id')
       .isUUID(4).withMessage('Invalid bill ID'),
     body('items.*.proposed_amount')
       .isFloat({ min: 0 }).withMessage('Proposed amount must be positive'),
+    body('notes')
+      .optional()
+      .isArray().withMessage('notes must be an array'),
+    body('notes.*.note_id')
+      .isUUID(4).withMessage('Invalid note ID'),
+    body('notes.*.amount')
+      .isFloat({ gt: 0 }).withMessage('Note amount must be greater than zero'),
+    body('advances')
+      .optional()
+      .isArray().withMessage('advances must be an array'),
+    body('advances.*.advance_id')
+      .isUUID(4).withMessage('Invalid advance ID'),
+    body('advances.*.proposed_amount')
+      .isFloat({ gt: 0 }).withMessage('Proposed amount must be greater than zero'),
+    validate,
+  ],
+
+  // Vendor advance
+  createVendorAdvance: [
+    validators.uuid('vendor_id', 'body'),
+    body('amount')
+      .notEmpty().withMessage('amount is required')
+      .isFloat({ gt: 0 }).withMessage('amount must be greater than zero')
+      .toFloat(),
+    validators.optionalString('reference_number', 50),
+    validators.requiredString('purpose', 1, 500),
+    validate,
+  ],
+
+  // Vendor debit/credit note
+  createVendorNote: [
+    validators.uuid('vendor_id', 'body'),
+    body('note_type')
+      .isIn(['debit', 'credit']).withMessage('note_type must be debit or credit'),
+    validators.date('note_date'),
+    validators.optionalString('reference_number', 50),
+    body('reason')
+      .isIn(['return', 'rate_difference', 'short_supply', 'other'])
+      .withMessage('reason must be return, rate_difference, short_supply or other'),
+    body('amount')
+      .notEmpty().withMessage('amount is required')
+      .isFloat({ gt: 0 }).withMessage('amount must be greater than zero')
+      .toFloat(),
+    validators.optionalString('remarks', 500),
+    body('allocations')
+      .optional()
+      .isArray().withMessage('allocations must be an array'),
+    body('allocations.*.bill_id')
+      .isUUID(4).withMessage('Invalid bill ID'),
+    body('allocations.*.amount')
+      .isFloat({ gt: 0 }).withMessage('Allocated amount must be greater than zero'),
+    validate,
+  ],
+
+  // Collection (customer receipt)
+  createCollection: [
+    validators.uuid('customer_id', 'body'),
+    validators.date('receipt_date'),
+    body('amount')
+      .notEmpty().withMessage('amount is required')
+      .isFloat({ gt: 0 }).withMessage('amount must be greater than zero')
+      .toFloat(),
+    body('payment_mode')
+      .isIn(['cheque', 'neft', 'rtgs', 'imps', 'upi', 'cash'])
+      .withMessage('payment_mode must be one of cheque, neft, rtgs, imps, upi, cash'),
+    validators.optionalString('reference_number', 50),
+    validators.date('reference_date', false),
+    body('bank_account_id')
+      .optional({ nullable: true, checkFalsy: true })
+      .isUUID(4).withMessage('bank_account_id must be a valid UUID'),
+    validators.optionalString('remarks', 500),
+    body('allocations')
+      .optional()
+      .isArray().withMessage('allocations must be an array'),
+    body('allocations.*.bill_id')
+      .isUUID(4).withMessage('Invalid bill ID'),
+    body('allocations.*.amount')
+      .isFloat({ gt: 0 }).withMessage('Allocated amount must be greater than zero'),
+    body('credit_notes')
+      .optional()
+      .isArray().withMessage('credit_notes must be an array'),
+    body('credit_notes.*.credit_note_id')
+      .isUUID(4).withMessage('Invalid credit note ID'),
+    body('credit_notes.*.bill_id')
+      .isUUID(4).withMessage('Invalid bill ID'),
+    body('credit_notes.*.amount')
+      .isFloat({ gt: 0 }).withMessage('Credit amount must be greater than zero'),
+    validate,
+  ],
+
+  // Allocation of on-account receipt balance, optionally with credit notes
+  allocateCollection: [
+    validators.uuid('id'),
+    body('allocations')
+      .custom((value, { req }) => (value || []).length > 0 || (req.body.credit_notes || []).length > 0)
+      .withMessage('At least one allocation or credit note is required'),
+    body('allocations')
+      .optional()
+      .isArray().withMessage('allocations must be an array'),
+    body('allocations.*.bill_id')
+      .isUUID(4).withMessage('Invalid bill ID'),
+    body('allocations.*.amount')
+      .isFloat({ gt: 0 }).withMessage('Allocated amount must be greater than zero'),
+    body('credit_notes')
+      .optional()
+      .isArray().withMessage('credit_notes must be an array'),
+    body('credit_notes.*.credit_note_id')
+      .isUUID(4).withMessage('Invalid credit note ID'),
+    body('credit_notes.*.bill_id')
+      .isUUID(4).withMessage('Invalid bill ID'),
+    body('credit_notes.*.amount')
+      .isFloat({ gt: 0 }).withMessage('Credit amount must be greater than zero'),
+    validate,
+  ],
+
+  // Customer credit note against an outward invoice
+  createCreditNote: [
+    validators.uuid('outward_bill_id', 'body'),
+    validators.date('note_date'),
+    body('reason')
+      .isIn(['sales_return', 'rate_difference', 'discount', 'other'])
+      .withMessage('reason must be sales_return, rate_difference, discount or other'),
+    body('amount')
+      .notEmpty().withMessage('amount is required')
+      .isFloat({ gt: 0 }).withMessage('amount must be greater than zero')
+      .toFloat(),
+    validators.optionalString('remarks', 500),
+    body('allocations')
+      .optional()
+      .isArray().withMessage('allocations must be an array'),
+    body('allocations.*.bill_id')
+      .isUUID(4).withMessage('Invalid bill ID'),
+    body('allocations.*.amount')
+      .isFloat({ gt: 0 }).withMessage('Allocated amount must be greater than zero'),
+    validate,
+  ],
+
+  // Allocation of a vendor debit/credit note, customer credit note or vendor advance balance
+  allocateNote: [
+    validators.uuid('id'),
+    body('allocations')
+      .isArray({ min: 1 }).withMessage('At least one allocation is required'),
+    body('allocations.*.bill_id')
+      .isUUID(4).withMessage('Invalid bill ID'),
+    body('allocations.*.amount')
+      .isFloat({ gt: 0 }).withMessage('Allocated amount must be greater than zero'),
+    validate,
+  ],
+
+  // Reversal of a recorded document
+  reversal: [
+    validators.uuid('id'),
+    validators.requiredString('reason', 1, 500),
+    validate,
+  ],
+
+  // Payment reversal (bounced transfer, wrong bill)
+  reversePayment: [
+    validators.uuid('id'),
+    body('detail_ids')
+      .optional()
+      .isArray().withMessage('detail_ids must be an array'),
+    body('detail_ids.*')
+      .isUUID(4).withMessage('Invalid payment detail ID'),
+    validators.requiredString('reason', 1, 500),
+    body('reversal_type')
+      .isIn(['bounced', 'wrong_bill', 'other'])
+      .withMessage('reversal_type must be bounced, wrong_bill or other'),
+    validate,
+  ],
+
+  // Company bank account
+  createBankAccount: [
+    validators.requiredString('bank_name', 1, 100),
+    validators.optionalString('account_name', 150),
+    body('account_number')
+      .trim()
+      .notEmpty().withMessage('account_number is required')
+      .matches(/^[0-9]{9,18}$/).withMessage('account_number must be 9 to 18 digits'),
+    body('ifsc_code')
+      .trim()
+      .notEmpty().withMessage('ifsc_code is required'),
+    validators.ifsc('ifsc_code'),
+    validators.optionalString('branch', 100),
+    body('account_type')
+      .optional({ nullable: true, checkFalsy: true })
+      .isIn(['current', 'savings', 'cc', 'od']).withMessage('account_type must be current, savings, cc or od'),
+    body('bank_type')
+      .optional({ nullable: true, checkFalsy: true })
+      .isIn(['icici', 'hdfc', 'generic']).withMessage('bank_type must be icici, hdfc or generic'),
+    body('is_default')
+      .optional()
+      .isBoolean().withMessage('is_default must be true or false')
+      .toBoolean(),
+    validate,
+  ],
+
+  updateBankAccount: [
+    validators.uuid('id'),
+    validators.optionalString('bank_name', 100),
+    validators.optionalString('account_name', 150),
+    body('account_number')
+      .optional({ nullable: true, checkFalsy: true })
+      .trim()
+      .matches(/^[0-9]{9,18}$/).withMessage('account_number must be 9 to 18 digits'),
+    validators.ifsc('ifsc_code'),
+    validators.optionalString('branch', 100),
+    body('account_type')
+      .optional({ nullable: true, checkFalsy: true })
+      .isIn(['current', 'savings', 'cc', 'od']).withMessage('account_type must be current, savings, cc or od'),
+    body('bank_type')
+      .optional({ nullable: true, checkFalsy: true })
+      .isIn(['icici', 'hdfc', 'generic']).withMessage('bank_type must be icici, hdfc or generic'),
+    body('is_active')
+      .optional()
+      .isBoolean().withMessage('is_active must be true or false')
+      .toBoolean(),
     validate,
   ],
 
@@ -213,6 +446,14 @@ const validationRules = {
     validators.optionalString('account_number', 30),
     validators.ifsc('ifsc_code'),
     validators.integer('default_credit_days', 0, 365, false),
+    body('tds_section')
+      .optional({ nullable: true, checkFalsy: true })
+      .trim()
+      .matches(/^[0-9]{3}[A-Z]{0,2}$/).withMessage('tds_section must be an income-tax section such as 194C'),
+    body('tds_rate')
+      .optional({ nullable: true, checkFalsy: true })
+      .isFloat({ min: 0, max: 100 }).withMessage('tds_rate must be between 0 and 100')
+      .toFloat(),
     validate,
   ],
 
@@ -235,6 +476,222 @@ const validationRules = {
     validate,
   ],
 
+  // Bank statement reconciliation
+  confirmDebitMatch: [
+    validators.uuid('id'),
+    validators.uuid('payment_id', 'body'),
+    validators.uuid('vendor_id', 'body'),
+    validators.optionalString('utr_number', 50),
+    validate,
+  ],
+
+  confirmCreditMatches: [
+    body('items')
+      .isArray({ min: 1 }).withMessage('At least one statement line is required'),
+    body('items.*.line_id')
+      .isUUID(4).withMessage('Invalid statement line ID'),
+    body('items.*.customer_id')
+      .isUUID(4).withMessage('Invalid customer ID'),
+    body('items.*.allocations')
+      .optional()
+      .isArray().withMessage('allocations must be an array'),
+    body('items.*.allocations.*.bill_id')
+      .isUUID(4).withMessage('Invalid bill ID'),
+    body('items.*.allocations.*.amount')
+      .isFloat({ gt: 0 }).withMessage('Allocated amount must be greater than zero'),
+    validate,
+  ],
+
+  // User (owner administration)
+  createUser: [
+    body('username')
+      .trim()
+      .notEmpty().withMessage('username is required')
+      .isLength({ min: 3, max: 50 }).withMessage('username must be between 3 and 50 characters')
+      .matches(/^[a-zA-Z0-9._-]+$/).withMessage('username may only contain letters, numbers, dot, underscore and hyphen'),
+    validators.requiredString('full_name', 1, 100),
+    body('role')
+      .trim()
+      .matches(ROLE_CODE).withMessage('role must be a role code such as accounts'),
+    validate,
+  ],
+
+  updateUser: [
+    validators.uuid('id'),
+    validators.optionalString('full_name', 100),
+    body('role')
+      .optional()
+      .trim()
+      .matches(ROLE_CODE).withMessage('role must be a role code such as accounts'),
+    validate,
+  ],
+
+  // Per-user permission overrides (replaces the whole list)
+  updateUserPermissions: [
+    validators.uuid('id'),
+    body('overrides')
+      .isArray().withMessage('overrides must be an array'),
+    body('overrides.*.permission')
+      .isString().withMessage('permission is required')
+      .isLength({ max: 50 }).withMessage('permission must be at most 50 characters'),
+    body('overrides.*.granted')
+      .isBoolean({ strict: true }).withMessage('granted must be true or false'),
+    body('overrides')
+      .custom(overrides => {
+        const codes = overrides.map(override => override.permission);
+        if (new Set(codes).size !== codes.length) {
+          throw new Error('Each permission may appear only once');
+        }
+        return true;
+      }),
+    validate,
+  ],
+
+  // Roles
+  createRole: [
+    body('code')
+      .trim()
+      .matches(ROLE_CODE).withMessage('code must be 2-20 lowercase letters, digits or underscores, starting with a letter'),
+    validators.requiredString('name', 1, 100),
+    validators.optionalString('description', 255),
+    body('permissions')
+      .isArray().withMessage('permissions must be an array'),
+    body('permissions.*')
+      .isString().withMessage('permissions must be permission codes'),
+    validate,
+  ],
+
+  updateRole: [
+    param('code')
+      .matches(ROLE_CODE).withMessage('Invalid role code'),
+    validators.optionalString('name', 100),
+    validators.optionalString('description', 255),
+    body('permissions')
+      .optional()
+      .isArray().withMessage('permissions must be an array'),
+    body('permissions.*')
+      .isString().withMessage('permissions must be permission codes'),
+    validate,
+  ],
+
+  roleCodeParam: [
+    param('code')
+      .matches(ROLE_CODE).withMessage('Invalid role code'),
+    validate,
+  ],
+
+  // Bill attachment
+  attachmentParams: [
+    validators.uuid('id'),
+    validators.uuid('attachmentId'),
+    validate,
+  ],
+
+  // Account statement period and download format
+  statementQuery: [
+    validators.uuid('id'),
+    queryValidator('date_from')
+      .optional()
+      .isISO8601().withMessage('date_from must be a valid date (YYYY-MM-DD)'),
+    queryValidator('date_to')
+      .optional()
+      .isISO8601().withMessage('date_to must be a valid date (YYYY-MM-DD)'),
+    queryValidator('format')
+      .optional()
+      .isIn(['json', 'xlsx', 'pdf']).withMessage('format must be json, xlsx or pdf'),
+    validate,
+  ],
+
+  // TDS section rates and thresholds
+  updateTdsSection: [
+    param('section')
+      .matches(/^[0-9]{3}[A-Z]{0,2}$/).withMessage('section must be an income-tax section such as 194C'),
+    validators.optionalString('description', 150),
+    body('default_rate')
+      .optional()
+      .isFloat({ min: 0, max: 100 }).withMessage('default_rate must be between 0 and 100')
+      .toFloat(),
+    validators.amount('single_threshold', false),
+    validators.amount('annual_threshold', false),
+    body('excess_only')
+      .optional()
+      .isBoolean().withMessage('excess_only must be true or false')
+      .toBoolean(),
+    body('is_active')
+      .optional()
+      .isBoolean().withMessage('is_active must be true or false')
+      .toBoolean(),
+    validate,
+  ],
+
+  // TDS challan depositing one section's deductions of a month
+  createTdsChallan: [
+    body('section')
+      .matches(/^[0-9]{3}[A-Z]{0,2}$/).withMessage('section must be an income-tax section such as 194C'),
+    body('period_month')
+      .matches(/^[0-9]{4}-(0[1-9]|1[0-2])$/).withMessage('period_month must be YYYY-MM'),
+    body('challan_number')
+      .trim()
+      .matches(/^[0-9]{1,20}$/).withMessage('challan_number must be numeric'),
+    body('bsr_code')
+      .trim()
+      .matches(/^[0-9]{7}$/).withMessage('bsr_code must be 7 digits'),
+    validators.date('deposit_date'),
+    validators.amount('interest', false),
+    validators.amount('late_fee', false),
+    validators.optionalString('remarks', 500),
+    validate,
+  ],
+
+  // Quarterly TDS report
+  tdsQuarterQuery: [
+    queryValidator('financial_year')
+      .optional()
+      .isInt({ min: 2000, max: 2100 }).withMessage('financial_year must be the starting year, e.g. 2026')
+      .toInt(),
+    queryValidator('quarter')
+      .optional()
+      .isInt({ min: 1, max: 4 }).withMessage('quarter must be 1 to 4')
+      .toInt(),
+    queryValidator('format')
+      .optional()
+      .isIn(['json', 'xlsx']).withMessage('format must be json or xlsx'),
+    validate,
+  ],
+
+  // Monthly GST register
+  gstRegisterQuery: [
+    queryValidator('month')
+      .optional()
+      .matches(/^[0-9]{4}-(0[1-9]|1[0-2])$/).withMessage('month must be YYYY-MM'),
+    queryValidator('format')
+      .optional()
+      .isIn(['json', 'xlsx']).withMessage('format must be json or xlsx'),
+    validate,
+  ],
+
+  // Login history filters
+  loginHistoryQuery: [
+    ...validators.pagination(),
+    queryValidator('user_id')
+      .optional()
+      .isUUID().withMessage('user_id must be a valid UUID'),
+    queryValidator('success')
+      .optional()
+      .isIn(['true', 'false']).withMessage('success must be true or false'),
+    queryValidator('ip')
+      .optional()
+      .trim()
+      .isLength({ max: 45 }).withMessage('ip must be at most 45 characters'),
+    queryValidator('date_from')
+      .optional()
+      .isISO8601().withMessage('date_from must be a valid date (YYYY-MM-DD)'),
+    queryValidator('date_to')
+      .optional()
+      .isISO8601().withMessage('date_to must be a valid date (YYYY-MM-DD)'),
+    validate,
+  ],
+
   // UUID param
   uuidParam: [
     validators.uuid('id'),
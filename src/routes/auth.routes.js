@@ -1,12 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body } = require('express-validator');
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
 const { validate } = require('../middleware/validation.middleware');
 const { authenticate } = require('../middleware/auth.middleware');
-const { asyncHandler } = require('../middleware/error.middleware');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const { recordAudit } = require('../services/audit.service');
+const {
+  STEP_UP_WINDOW_MINUTES, createSession, revokeSessions, rotateRefreshToken,
+} = require('../services/session.service');
+const { isIpBlocked, recordLogin, registerFailedLogin, delayFailure } = require('../services/login-guard.service');
+const {
+  isTwoFactorRequired, issueLoginChallenge, verifyLoginChallenge, verifySecondFactor,
+  generateSecret, encryptSecret, decryptSecret, matchTotp, generateRecoveryCodes,
+} = require('../services/two-factor.service');
 
 // Login validation
 const loginValidation = [
@@ -15,48 +23,68 @@ const loginValidation = [
   validate,
 ];
 
-// POST /api/auth/login
-router.post('/login', loginValidation, asyncHandler(async (req, res) => {
-  const { username, password } = req.body;
+// Columns of the user a login attempt is checked against
+const LOGIN_USER_COLUMNS = `id, username, password_hash, full_name, role, is_active,
+  must_change_password, temp_password_expires_at, totp_enabled,
+  locked_until, (locked_until > NOW()) as is_locked,
+  ARRAY(SELECT up.permission FROM user_permissions up WHERE up.user_id = users.id) as permissions`;
 
-  // Find user
-  const result = await query(
-    'SELECT id, username, password_hash, full_name, role, is_active FROM users WHERE username = $1',
-    [username]
-  );
+// Refuse a login attempt after recording it (and, for guesses, waiting out the delay)
+const refuseLogin = async (req, res, { user = null, reason, status = 401, body }) => {
+  await transaction(async (client) => recordLogin(client, req, {
+    userId: user ? user.id : null,
+    username: user ? user.username : req.body.username,
+    success: false,
+    failureReason: reason,
+  }));
 
-  if (result.rows.length === 0) {
-    return res.status(401).json({ error: 'Invalid credentials' });
+  if (reason === 'unknown_user') {
+    await delayFailure(req);
   }
 
-  const user = result.rows[0];
+  return res.status(status).json(body);
+};
 
+// Deactivated and locked accounts are refused at either login step; a locked account
+// refuses even the right password until the lock runs out
+const refuseUnusableAccount = (req, res, user) => {
   if (!user.is_active) {
-    return res.status(401).json({ error: 'Account is deactivated' });
+    return refuseLogin(req, res, { user, reason: 'inactive', body: { error: 'Account is deactivated' } });
   }
 
-  // Check password
-  const isValidPassword = await bcrypt.compare(password, user.password_hash);
-  if (!isValidPassword) {
-    return res.status(401).json({ error: 'Invalid credentials' });
+  if (user.is_locked) {
+    return refuseLogin(req, res, {
+      user,
+      reason: 'locked',
+      status: 423,
+      body: { error: 'Account is locked after too many failed logins', code: 'ACCOUNT_LOCKED', locked_until: user.locked_until },
+    });
   }
 
-  // Generate token
-  const token = jwt.sign(
-    { userId: user.id, role: user.role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
+  return null;
+};
 
-  // Generate refresh token
-  const refreshToken = jwt.sign(
-    { userId: user.id, type: 'refresh' },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-  );
+// A wrong password or second-factor code counts towards the account lockout
+const refuseBadCredential = async (req, res, user, { reason, error }) => {
+  const { failures, lockedUntil } = await transaction(async (client) => registerFailedLogin(client, req, user, reason));
+  await delayFailure(req, failures);
 
-  // Update last login
-  await query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+  if (lockedUntil) {
+    return res.status(423).json({ error: 'Account is locked after too many failed logins', code: 'ACCOUNT_LOCKED', locked_until: lockedUntil });
+  }
+  return res.status(401).json({ error });
+};
+
+// Start a server-side session, update last login and clear the failure count
+const completeLogin = async (req, res, user, secondFactor = null) => {
+  const session = await transaction(async (client) => {
+    await client.query(
+      'UPDATE users SET last_login = NOW(), failed_login_count = 0, locked_until = NULL WHERE id = $1',
+      [user.id]
+    );
+    await recordLogin(client, req, { userId: user.id, username: user.username, success: true, secondFactor });
+    return createSession(client, req, user);
+  });
 
   res.json({
     message: 'Login successful',
@@ -66,56 +94,134 @@ router.post('/login', loginValidation, asyncHandler(async (req, res) => {
       full_name: user.full_name,
       role: user.role,
     },
-    token,
-    refreshToken,
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    mustChangePassword: user.must_change_password,
+    twoFactorSetupRequired: isTwoFactorRequired(user.permissions) && !user.totp_enabled,
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
   });
-}));
+};
 
-// POST /api/auth/refresh
-router.post('/refresh', asyncHandler(async (req, res) => {
-  const { refreshToken } = req.body;
+// POST /api/auth/login - Check the password. Users with 2FA enabled get a short-lived
+// challengeToken instead of a session, to be completed at /api/auth/login/2fa.
+router.post('/login', loginValidation, asyncHandler(async (req, res) => {
+  const { username, password } = req.body;
 
-  if (!refreshToken) {
-    return res.status(400).json({ error: 'Refresh token required' });
+  // An IP that keeps failing is turned away before any password is checked
+  if (await isIpBlocked(req)) {
+    return refuseLogin(req, res, {
+      reason: 'ip_blocked',
+      status: 429,
+      body: { error: 'Too many failed login attempts from this address. Try again later.', code: 'TOO_MANY_ATTEMPTS' },
+    });
   }
 
-  try {
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-    
-    if (decoded.type !== 'refresh') {
-      return res.status(401).json({ error: 'Invalid refresh token' });
-    }
+  // Find user
+  const result = await query(`SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE username = $1`, [username]);
 
-    // Get user
-    const result = await query(
-      'SELECT id, username, full_name, role, is_active FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+  if (result.rows.length === 0) {
+    return refuseLogin(req, res, { reason: 'unknown_user', body: { error: 'Invalid credentials' } });
+  }
+
+  const user = result.rows[0];
+
+  const refused = refuseUnusableAccount(req, res, user);
+  if (refused) return refused;
+
+  // Check password
+  const isValidPassword = await bcrypt.compare(password, user.password_hash);
+  if (!isValidPassword) {
+    return refuseBadCredential(req, res, user, { reason: 'bad_password', error: 'Invalid credentials' });
+  }
+
+  // Temporary passwords issued by the owner are only valid for a limited time
+  if (user.must_change_password && user.temp_password_expires_at && new Date(user.temp_password_expires_at) < new Date()) {
+    return refuseLogin(req, res, {
+      user,
+      reason: 'temp_password_expired',
+      body: { error: 'Temporary password has expired. Ask the owner to reset it.' },
+    });
+  }
 
-    if (result.rows.length === 0 || !result.rows[0].is_active) {
-      return res.status(401).json({ error: 'User not found or inactive' });
+  if (user.totp_enabled) {
+    return res.json({
+      message: 'Enter the code from your authenticator app',
+      twoFactorRequired: true,
+      ...issueLoginChallenge(user),
+    });
+  }
+
+  await completeLogin(req, res, user);
+}));
+
+// POST /api/auth/login/2fa - Second login step: the challengeToken from /login plus a
+// 6-digit authenticator code or one of the recovery codes
+router.post('/login/2fa', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().trim(),
+  body('recoveryCode').optional().trim(),
+  body().custom(value => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('code or recoveryCode is required');
     }
+    return true;
+  }),
+  validate,
+], asyncHandler(async (req, res) => {
+  const userId = verifyLoginChallenge(req.body.challengeToken);
 
-    const user = result.rows[0];
+  if (await isIpBlocked(req)) {
+    return refuseLogin(req, res, {
+      reason: 'ip_blocked',
+      status: 429,
+      body: { error: 'Too many failed login attempts from this address. Try again later.', code: 'TOO_MANY_ATTEMPTS' },
+    });
+  }
 
-    // Generate new token
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+  const result = await query(`SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE id = $1`, [userId]);
+  if (result.rows.length === 0) {
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+
+  const user = result.rows[0];
+
+  const refused = refuseUnusableAccount(req, res, user);
+  if (refused) return refused;
+
+  const method = await transaction(async (client) => verifySecondFactor(client, user.id, {
+    code: req.body.code,
+    recoveryCode: req.body.recoveryCode,
+  }));
+
+  if (!method) {
+    return refuseBadCredential(req, res, user, { reason: 'bad_second_factor', error: 'Invalid authentication code' });
+  }
+
+  await completeLogin(req, res, user, method);
+}));
+
+// POST /api/auth/refresh - Rotate the refresh token: each one works once and comes
+// back with a replacement. Presenting a spent token revokes the whole session.
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
 
-    res.json({
-      token,
-      expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token required' });
+  }
+
+  const result = await transaction(async (client) => rotateRefreshToken(client, req, refreshToken));
+
+  if (result.reused) {
+    return res.status(401).json({
+      error: 'Refresh token has already been used. The session has been revoked; log in again.',
+      code: 'REFRESH_TOKEN_REUSED',
     });
-  } catch (error) {
-    return res.status(401).json({ error: 'Invalid refresh token' });
   }
+
+  res.json(result.tokens);
 }));
 
-// GET /api/auth/me - Get current user
+// GET /api/auth/me - Current user with effective permissions, so the UI can hide actions
 router.get('/me', authenticate, asyncHandler(async (req, res) => {
   res.json({
     user: req.user,
@@ -151,20 +257,266 @@ router.post('/change-password', authenticate, [
   const salt = await bcrypt.genSalt(10);
   const newHash = await bcrypt.hash(newPassword, salt);
 
-  // Update password
-  await query(
-    'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
-    [newHash, userId]
-  );
+  // Update password and sign out every other device that knew the old one
+  await transaction(async (client) => {
+    await client.query(
+      `UPDATE users
+       SET password_hash = $1, must_change_password = false, temp_password_expires_at = NULL,
+           password_changed_at = NOW(), updated_at = NOW()
+       WHERE id = $2`,
+      [newHash, userId]
+    );
+
+    await revokeSessions(client, req, { userId, exceptSessionId: req.user.session_id, reason: 'password_change' });
+  });
 
   res.json({ message: 'Password changed successfully' });
 }));
 
-// POST /api/auth/logout (optional - for token blacklisting if needed)
-router.post('/logout', authenticate, (req, res) => {
-  // In a stateless JWT system, logout is handled client-side
-  // If you need server-side logout, implement token blacklisting here
+// POST /api/auth/logout - End the current session
+router.post('/logout', authenticate, asyncHandler(async (req, res) => {
+  await transaction(async (client) => revokeSessions(client, req, {
+    userId: req.user.id,
+    sessionId: req.user.session_id,
+    reason: 'logout',
+  }));
+
   res.json({ message: 'Logged out successfully' });
-});
+}));
+
+// POST /api/auth/logout-all - End every session of the current user, on all devices
+router.post('/logout-all', authenticate, asyncHandler(async (req, res) => {
+  const count = await transaction(async (client) => revokeSessions(client, req, {
+    userId: req.user.id,
+    reason: 'logout_all',
+  }));
+
+  res.json({ message: `Logged out of ${count} session(s)` });
+}));
+
+// GET /api/auth/sessions - Open sessions of the current user
+router.get('/sessions', authenticate, asyncHandler(async (req, res) => {
+  const result = await query(
+    `SELECT id, ip_address, user_agent, created_at, last_used_at, (id = $2) as current
+     FROM auth_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL
+     ORDER BY last_used_at DESC`,
+    [req.user.id, req.user.session_id]
+  );
+
+  res.json({ data: result.rows });
+}));
+
+// POST /api/auth/step-up - Re-enter the password or an authenticator/recovery code to
+// reopen money-moving routes for a few minutes. Wrong attempts count towards the account
+// lockout, and reaching it ends this session.
+router.post('/step-up', authenticate, [
+  body().custom(value => {
+    if (!value.password && !value.code && !value.recoveryCode) {
+      throw new Error('password, code or recoveryCode is required');
+    }
+    return true;
+  }),
+  validate,
+], asyncHandler(async (req, res) => {
+  const result = await query(`SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE id = $1`, [req.user.id]);
+  const user = result.rows[0];
+
+  let method = null;
+  if (req.body.password) {
+    method = (await bcrypt.compare(req.body.password, user.password_hash)) ? 'password' : null;
+  } else {
+    method = await transaction(async (client) => verifySecondFactor(client, user.id, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode,
+    }));
+  }
+
+  if (!method) {
+    const { failures, lockedUntil } = await transaction(async (client) => {
+      const outcome = await registerFailedLogin(client, req, user, 'bad_step_up');
+      if (outcome.lockedUntil) {
+        await revokeSessions(client, req, { userId: user.id, sessionId: req.user.session_id, reason: 'step_up_failed' });
+      }
+      return outcome;
+    });
+    await delayFailure(req, failures);
+
+    if (lockedUntil) {
+      return res.status(401).json({
+        error: 'Too many failed attempts. The account is locked and this session has been revoked.',
+        code: 'SESSION_REVOKED',
+        locked_until: lockedUntil,
+      });
+    }
+    return res.status(400).json({ error: 'Invalid password or code' });
+  }
+
+  await transaction(async (client) => {
+    await client.query('UPDATE users SET failed_login_count = 0 WHERE id = $1', [user.id]);
+    await client.query('UPDATE auth_sessions SET verified_at = NOW() WHERE id = $1', [req.user.session_id]);
+  });
+
+  res.json({
+    message: 'Identity confirmed',
+    method,
+    stepUpWindowMinutes: STEP_UP_WINDOW_MINUTES,
+  });
+}));
+
+// GET /api/auth/2fa - Own two-factor status
+router.get('/2fa', authenticate, asyncHandler(async (req, res) => {
+  const result = await query(
+    `SELECT u.totp_enabled, u.totp_enabled_at,
+       (SELECT COUNT(*)::int FROM recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL) as recovery_codes_remaining
+     FROM users u WHERE u.id = $1`,
+    [req.user.id]
+  );
+
+  res.json({ ...result.rows[0], required: isTwoFactorRequired(req.user.permissions) });
+}));
+
+// POST /api/auth/2fa/setup - Start enrollment: a new secret and the otpauth:// URL to
+// show as a QR code. Nothing changes at login until /2fa/enable confirms a code.
+router.post('/2fa/setup', authenticate, asyncHandler(async (req, res) => {
+  const result = await query('SELECT totp_enabled FROM users WHERE id = $1', [req.user.id]);
+
+  if (result.rows[0].totp_enabled) {
+    return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  const { secret, otpauthUrl } = generateSecret(req.user.username);
+  await query('UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2', [encryptSecret(secret), req.user.id]);
+
+  res.json({ secret, otpauthUrl });
+}));
+
+// POST /api/auth/2fa/enable - Confirm enrollment with a code from the app; returns the
+// recovery codes, which are shown only this once
+router.post('/2fa/enable', authenticate, [
+  body('code').trim().notEmpty().withMessage('Code is required'),
+  validate,
+], asyncHandler(async (req, res) => {
+  const recoveryCodes = await transaction(async (client) => {
+    const result = await client.query(
+      'SELECT totp_secret, totp_enabled FROM users WHERE id = $1 FOR UPDATE',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (user.totp_enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409);
+    }
+    if (!user.totp_secret) {
+      throw new AppError('Start with POST /api/auth/2fa/setup');
+    }
+
+    const step = matchTotp(decryptSecret(user.totp_secret), req.body.code);
+    if (step === null) {
+      throw new AppError('Invalid authentication code');
+    }
+
+    await client.query(
+      `UPDATE users SET totp_enabled = true, totp_enabled_at = NOW(), totp_last_step = $1, updated_at = NOW()
+       WHERE id = $2`,
+      [step, req.user.id]
+    );
+    const codes = await generateRecoveryCodes(client, req.user.id);
+
+    await recordAudit(client, req, {
+      entityType: 'user',
+      entityId: req.user.id,
+      action: 'enable_2fa',
+      before: { totp_enabled: false },
+      after: { totp_enabled: true },
+    });
+
+    return codes;
+  });
+
+  res.json({
+    message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+    recoveryCodes,
+  });
+}));
+
+// POST /api/auth/2fa/disable - Turn 2FA off with the password and a current code (or a
+// recovery code). Not allowed for users whose permissions require it.
+router.post('/2fa/disable', authenticate, [
+  body('password').notEmpty().withMessage('Password is required'),
+  validate,
+], asyncHandler(async (req, res) => {
+  if (isTwoFactorRequired(req.user.permissions)) {
+    return res.status(403).json({ error: 'Two-factor authentication is required for users with payment or admin permissions' });
+  }
+
+  const passwordResult = await query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+  if (!(await bcrypt.compare(req.body.password, passwordResult.rows[0].password_hash))) {
+    return res.status(400).json({ error: 'Password is incorrect' });
+  }
+
+  const disabled = await transaction(async (client) => {
+    const method = await verifySecondFactor(client, req.user.id, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode,
+    });
+    if (!method) {
+      return false;
+    }
+
+    await client.query(
+      `UPDATE users SET totp_enabled = false, totp_enabled_at = NULL, totp_secret = NULL,
+         totp_last_step = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [req.user.id]
+    );
+    await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [req.user.id]);
+
+    await recordAudit(client, req, {
+      entityType: 'user',
+      entityId: req.user.id,
+      action: 'disable_2fa',
+      before: { totp_enabled: true },
+      after: { totp_enabled: false },
+    });
+
+    return true;
+  });
+
+  if (!disabled) {
+    return res.status(400).json({ error: 'Invalid authentication code' });
+  }
+
+  res.json({ message: 'Two-factor authentication disabled' });
+}));
+
+// POST /api/auth/2fa/recovery-codes - Replace the recovery codes (needs a current code)
+router.post('/2fa/recovery-codes', authenticate, [
+  body('code').trim().notEmpty().withMessage('Code is required'),
+  validate,
+], asyncHandler(async (req, res) => {
+  const recoveryCodes = await transaction(async (client) => {
+    const method = await verifySecondFactor(client, req.user.id, { code: req.body.code });
+    if (!method) {
+      return null;
+    }
+
+    const codes = await generateRecoveryCodes(client, req.user.id);
+
+    await recordAudit(client, req, {
+      entityType: 'user',
+      entityId: req.user.id,
+      action: 'regenerate_recovery_codes',
+    });
+
+    return codes;
+  });
+
+  if (!recoveryCodes) {
+    return res.status(400).json({ error: 'Invalid authentication code' });
+  }
+
+  res.json({ message: 'New recovery codes issued; the old ones no longer work', recoveryCodes });
+}));
 
 module.exports = router;
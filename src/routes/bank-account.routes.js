@@ -0,0 +1,323 @@
+const express = require('express');
+const router = express.Router();
+const { query, transaction } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const { validationRules } = require('../middleware/validation.middleware');
+const { recordAudit } = require('../services/audit.service');
+const { hasPermission } = require('../services/permission.service');
+
+router.use(authenticate);
+
+// Payments still waiting for a UTR keep their account active
+const PENDING_PAYMENTS_SQL = `SELECT COUNT(*) FROM payments
+  WHERE bank_account_id = $1 AND status IN ('pending', 'processed')`;
+
+// Show only the last four digits to users who don't manage the master
+const maskAccountNumber = (accountNumber) => {
+  if (!accountNumber) return accountNumber;
+  const visible = accountNumber.slice(-4);
+  return `${'X'.repeat(Math.max(accountNumber.length - 4, 0))}${visible}`;
+};
+
+const presentAccount = (account, user) => {
+  if (hasPermission(user, 'bank_account.manage')) return account;
+  return { ...account, account_number: maskAccountNumber(account.account_number) };
+};
+
+// GET /api/bank-accounts - List company bank accounts with amounts issued from each
+router.get('/', asyncHandler(async (req, res) => {
+  const activeOnly = req.query.active !== 'false';
+
+  const result = await query(
+    `SELECT
+      ba.id, ba.bank_name, ba.account_name, ba.account_number, ba.ifsc_code,
+      ba.branch, ba.account_type, ba.bank_type, ba.is_default, ba.is_active,
+      ba.created_at, ba.updated_at,
+      COUNT(p.id) as payment_count,
+      COALESCE(SUM(p.total_amount), 0) as total_issued,
+      MAX(p.payment_date) as last_payment_date
+    FROM bank_accounts ba
+    LEFT JOIN payments p ON p.bank_account_id = ba.id
+    ${activeOnly ? 'WHERE ba.is_active = true' : ''}
+    GROUP BY ba.id
+    ORDER BY ba.is_default DESC, ba.bank_name`
+  );
+
+  res.json(result.rows.map(account => presentAccount(account, req.user)));
+}));
+
+// GET /api/bank-accounts/:id - Get bank account with issue summary
+router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const accountResult = await query('SELECT * FROM bank_accounts WHERE id = $1', [id]);
+
+  if (accountResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Bank account not found' });
+  }
+
+  const summaryResult = await query(
+    `SELECT
+      COUNT(*) as payment_count,
+      COALESCE(SUM(total_amount), 0) as total_issued,
+      COALESCE(SUM(CASE WHEN payment_date >= DATE_TRUNC('month', CURRENT_DATE) THEN total_amount ELSE 0 END), 0) as month_issued,
+      COALESCE(SUM(CASE WHEN status IN ('pending', 'processed') THEN total_amount ELSE 0 END), 0) as pending_utr_amount,
+      MAX(payment_date) as last_payment_date
+    FROM payments
+    WHERE bank_account_id = $1`,
+    [id]
+  );
+
+  res.json({
+    account: presentAccount(accountResult.rows[0], req.user),
+    summary: summaryResult.rows[0],
+  });
+}));
+
+// GET /api/bank-accounts/:id/payments - Payments issued from the account with running balance
+router.get('/:id/payments', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const dateFrom = req.query.date_from;
+  const dateTo = req.query.date_to;
+
+  let whereClause = 'WHERE p.bank_account_id = $1';
+  const params = [id];
+  let paramIndex = 2;
+
+  if (dateFrom) {
+    whereClause += ` AND p.payment_date >= $${paramIndex}`;
+    params.push(dateFrom);
+    paramIndex++;
+  }
+
+  if (dateTo) {
+    whereClause += ` AND p.payment_date <= $${paramIndex}`;
+    params.push(dateTo);
+    paramIndex++;
+  }
+
+  const result = await query(
+    `SELECT
+      p.id, p.payment_number, p.payment_date, p.total_amount, p.status,
+      pr.proposal_number,
+      SUM(p.total_amount) OVER (ORDER BY p.payment_date, p.created_at, p.id) as running_total
+    FROM payments p
+    LEFT JOIN proposals pr ON p.proposal_id = pr.id
+    ${whereClause}
+    ORDER BY p.payment_date, p.created_at, p.id`,
+    params
+  );
+
+  const total = result.rows.length > 0 ? result.rows[result.rows.length - 1].running_total : 0;
+
+  res.json({
+    data: result.rows,
+    total,
+  });
+}));
+
+// POST /api/bank-accounts - Create company bank account
+router.post('/', requirePermission('bank_account.manage'), validationRules.createBankAccount, asyncHandler(async (req, res) => {
+  const {
+    bank_name, account_name, account_number, ifsc_code, branch,
+    account_type, bank_type, is_default
+  } = req.body;
+
+  const account = await transaction(async (client) => {
+    // Only one account can be the default
+    if (is_default) {
+      await client.query('UPDATE bank_accounts SET is_default = false, updated_at = NOW() WHERE is_default = true');
+    }
+
+    const result = await client.query(
+      `INSERT INTO bank_accounts (
+        bank_name, account_name, account_number, ifsc_code, branch,
+        account_type, bank_type, is_default, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *`,
+      [bank_name, account_name, account_number, ifsc_code, branch,
+       account_type || 'current', bank_type || 'generic', is_default || false, req.user.id]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'bank_account',
+      entityId: result.rows[0].id,
+      action: 'create',
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  res.status(201).json({
+    message: 'Bank account created successfully',
+    account,
+  });
+}));
+
+// PUT /api/bank-accounts/:id - Update bank account
+router.put('/:id', requirePermission('bank_account.manage'), validationRules.updateBankAccount, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const updates = req.body;
+
+  const allowedFields = [
+    'bank_name', 'account_name', 'account_number', 'ifsc_code',
+    'branch', 'account_type', 'bank_type', 'is_active'
+  ];
+
+  const setClauses = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const field of allowedFields) {
+    if (updates[field] !== undefined) {
+      setClauses.push(`${field} = $${paramIndex}`);
+      values.push(updates[field]);
+      paramIndex++;
+    }
+  }
+
+  if (setClauses.length === 0) {
+    return res.status(400).json({ error: 'No valid fields to update' });
+  }
+
+  values.push(id);
+
+  const account = await transaction(async (client) => {
+    const existing = await client.query('SELECT * FROM bank_accounts WHERE id = $1 FOR UPDATE', [id]);
+
+    if (existing.rows.length === 0) {
+      return null;
+    }
+
+    // Deactivating here follows the same rules as DELETE
+    if (updates.is_active === false && existing.rows[0].is_active) {
+      const pendingResult = await client.query(PENDING_PAYMENTS_SQL, [id]);
+
+      if (parseInt(pendingResult.rows[0].count) > 0) {
+        throw new AppError('Cannot deactivate account with payments pending UTR', 400, {
+          pendingCount: pendingResult.rows[0].count,
+        });
+      }
+
+      setClauses.push('is_default = false');
+    }
+
+    const result = await client.query(
+      `UPDATE bank_accounts SET ${setClauses.join(', ')}, updated_at = NOW()
+       WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'bank_account',
+      entityId: id,
+      action: 'update',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  if (!account) {
+    return res.status(404).json({ error: 'Bank account not found' });
+  }
+
+  res.json({
+    message: 'Bank account updated successfully',
+    account,
+  });
+}));
+
+// POST /api/bank-accounts/:id/set-default - Make this the default paying account
+router.post('/:id/set-default', requirePermission('bank_account.manage'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const account = await transaction(async (client) => {
+    const existing = await client.query('SELECT * FROM bank_accounts WHERE id = $1 FOR UPDATE', [id]);
+
+    if (existing.rows.length === 0 || !existing.rows[0].is_active) {
+      return null;
+    }
+
+    await client.query(
+      'UPDATE bank_accounts SET is_default = false, updated_at = NOW() WHERE is_default = true AND id != $1',
+      [id]
+    );
+
+    const result = await client.query(
+      'UPDATE bank_accounts SET is_default = true, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [id]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'bank_account',
+      entityId: id,
+      action: 'set_default',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  if (!account) {
+    return res.status(404).json({ error: 'Bank account not found or inactive' });
+  }
+
+  res.json({
+    message: 'Default bank account updated',
+    account,
+  });
+}));
+
+// DELETE /api/bank-accounts/:id - Deactivate bank account
+router.delete('/:id', requirePermission('bank_account.manage'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const pendingResult = await query(PENDING_PAYMENTS_SQL, [id]);
+
+  if (parseInt(pendingResult.rows[0].count) > 0) {
+    return res.status(400).json({
+      error: 'Cannot deactivate account with payments pending UTR',
+      pendingCount: pendingResult.rows[0].count,
+    });
+  }
+
+  const account = await transaction(async (client) => {
+    const existing = await client.query('SELECT * FROM bank_accounts WHERE id = $1 FOR UPDATE', [id]);
+
+    if (existing.rows.length === 0) {
+      return null;
+    }
+
+    const result = await client.query(
+      `UPDATE bank_accounts SET is_active = false, is_default = false, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [id]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'bank_account',
+      entityId: id,
+      action: 'deactivate',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  if (!account) {
+    return res.status(404).json({ error: 'Bank account not found' });
+  }
+
+  res.json({
+    message: 'Bank account deactivated',
+    account: { id: account.id, bank_name: account.bank_name },
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,318 @@
+const express = require('express');
+const router = express.Router();
+const { query, transaction } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const { validationRules, validators } = require('../middleware/validation.middleware');
+const { allocateCollection, createCollection, reverseCollection } = require('../services/collection.service');
+const { applyCreditNotes } = require('../services/credit-note.service');
+const { recordAudit } = require('../services/audit.service');
+
+router.use(authenticate);
+router.use(requirePermission('collection.manage'));
+
+// GET /api/collections - List customer receipts
+router.get('/', ...validators.pagination(), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const offset = (page - 1) * limit;
+  const search = req.query.search || '';
+  const customerId = req.query.customer_id;
+  const status = req.query.status;
+  const paymentMode = req.query.payment_mode;
+  const dateFrom = req.query.date_from;
+  const dateTo = req.query.date_to;
+  const unallocatedOnly = req.query.unallocated === 'true';
+
+  let whereClause = 'WHERE 1=1';
+  const params = [];
+  let paramIndex = 1;
+
+  if (search) {
+    whereClause += ` AND (c.code ILIKE $${paramIndex} OR c.name ILIKE $${paramIndex} OR col.receipt_number ILIKE $${paramIndex} OR col.reference_number ILIKE $${paramIndex})`;
+    params.push(`%${search}%`);
+    paramIndex++;
+  }
+
+  if (customerId) {
+    whereClause += ` AND col.customer_id = $${paramIndex}`;
+    params.push(customerId);
+    paramIndex++;
+  }
+
+  if (status) {
+    whereClause += ` AND col.status = $${paramIndex}`;
+    params.push(status);
+    paramIndex++;
+  }
+
+  if (paymentMode) {
+    whereClause += ` AND col.payment_mode = $${paramIndex}`;
+    params.push(paymentMode);
+    paramIndex++;
+  }
+
+  if (dateFrom) {
+    whereClause += ` AND col.receipt_date >= $${paramIndex}`;
+    params.push(dateFrom);
+    paramIndex++;
+  }
+
+  if (dateTo) {
+    whereClause += ` AND col.receipt_date <= $${paramIndex}`;
+    params.push(dateTo);
+    paramIndex++;
+  }
+
+  if (unallocatedOnly) {
+    whereClause += ` AND col.status = 'active' AND col.allocated_amount < col.amount`;
+  }
+
+  const countResult = await query(
+    `SELECT COUNT(*) FROM collections col
+     JOIN customers c ON col.customer_id = c.id ${whereClause}`,
+    params
+  );
+
+  const collectionsResult = await query(
+    `SELECT
+      col.*, (col.amount - col.allocated_amount) as unallocated_amount,
+      c.code as customer_code, c.name as customer_name,
+      ba.bank_name, u.full_name as created_by_name
+    FROM collections col
+    JOIN customers c ON col.customer_id = c.id
+    LEFT JOIN bank_accounts ba ON col.bank_account_id = ba.id
+    LEFT JOIN users u ON col.created_by = u.id
+    ${whereClause}
+    ORDER BY col.receipt_date DESC, col.created_at DESC
+    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, limit, offset]
+  );
+
+  res.json({
+    data: collectionsResult.rows,
+    pagination: {
+      page, limit,
+      total: parseInt(countResult.rows[0].count),
+      totalPages: Math.ceil(parseInt(countResult.rows[0].count) / limit),
+    },
+  });
+}));
+
+// GET /api/collections/open-bills - Open invoices and on-account balance for a customer
+router.get('/open-bills', asyncHandler(async (req, res) => {
+  const customerId = req.query.customer_id;
+
+  if (!customerId) {
+    return res.status(400).json({ error: 'customer_id is required' });
+  }
+
+  const billsResult = await query(
+    `SELECT
+      id, invoice_number, invoice_date, amount, collected_amount, adjusted_amount,
+      (amount - collected_amount - adjusted_amount) as outstanding, due_date, status,
+      CASE WHEN due_date < CURRENT_DATE THEN CURRENT_DATE - due_date ELSE 0 END as days_overdue
+    FROM outward_bills
+    WHERE customer_id = $1 AND status NOT IN ('cancelled', 'paid')
+    ORDER BY due_date ASC, invoice_date ASC`,
+    [customerId]
+  );
+
+  const creditResult = await query(
+    `SELECT COALESCE(SUM(amount - allocated_amount), 0) as on_account_balance
+     FROM collections
+     WHERE customer_id = $1 AND status = 'active'`,
+    [customerId]
+  );
+
+  // Credit notes with balance left to apply alongside a receipt
+  const creditNotesResult = await query(
+    `SELECT
+      cn.id, cn.credit_note_number, cn.note_date, cn.reason, cn.amount,
+      (cn.amount - cn.allocated_amount) as unallocated_amount,
+      ob.invoice_number as against_invoice
+    FROM credit_notes cn
+    JOIN outward_bills ob ON cn.outward_bill_id = ob.id
+    WHERE cn.customer_id = $1 AND cn.status = 'active' AND cn.allocated_amount < cn.amount
+    ORDER BY cn.note_date`,
+    [customerId]
+  );
+
+  res.json({
+    data: billsResult.rows,
+    onAccountBalance: creditResult.rows[0].on_account_balance,
+    creditNotes: creditNotesResult.rows,
+  });
+}));
+
+// GET /api/collections/:id - Get receipt with allocations
+router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const collectionResult = await query(
+    `SELECT
+      col.*, (col.amount - col.allocated_amount) as unallocated_amount,
+      c.code as customer_code, c.name as customer_name,
+      ba.bank_name, ba.account_number as company_account,
+      u.full_name as created_by_name, ur.full_name as reversed_by_name
+    FROM collections col
+    JOIN customers c ON col.customer_id = c.id
+    LEFT JOIN bank_accounts ba ON col.bank_account_id = ba.id
+    LEFT JOIN users u ON col.created_by = u.id
+    LEFT JOIN users ur ON col.reversed_by = ur.id
+    WHERE col.id = $1`,
+    [id]
+  );
+
+  if (collectionResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Collection not found' });
+  }
+
+  const allocationsResult = await query(
+    `SELECT
+      ca.id, ca.amount, ca.created_at,
+      ob.id as bill_id, ob.invoice_number, ob.invoice_date, ob.due_date,
+      ob.amount as bill_amount, ob.collected_amount, ob.adjusted_amount, ob.status as bill_status
+    FROM collection_allocations ca
+    JOIN outward_bills ob ON ca.bill_id = ob.id
+    WHERE ca.collection_id = $1
+    ORDER BY ca.created_at, ob.due_date`,
+    [id]
+  );
+
+  const creditNotesResult = await query(
+    `SELECT
+      cna.id, cna.amount, cna.created_at,
+      cn.id as credit_note_id, cn.credit_note_number, cn.reason,
+      ob.id as bill_id, ob.invoice_number
+    FROM credit_note_allocations cna
+    JOIN credit_notes cn ON cna.credit_note_id = cn.id
+    JOIN outward_bills ob ON cna.bill_id = ob.id
+    WHERE cna.collection_id = $1
+    ORDER BY cna.created_at`,
+    [id]
+  );
+
+  res.json({
+    collection: collectionResult.rows[0],
+    allocations: allocationsResult.rows,
+    creditNotes: creditNotesResult.rows,
+  });
+}));
+
+// POST /api/collections - Record a customer receipt and optionally allocate it.
+// credit_notes are set against invoices first, so the receipt covers the rest.
+router.post('/', validationRules.createCollection, asyncHandler(async (req, res) => {
+  const {
+    customer_id, receipt_date, amount, payment_mode, reference_number,
+    reference_date, bank_account_id, remarks, allocations = [], credit_notes = []
+  } = req.body;
+
+  if (payment_mode !== 'cash' && !reference_number) {
+    return res.status(400).json({ error: 'Cheque number or UTR reference is required for non-cash receipts' });
+  }
+
+  const result = await transaction(async (client) => {
+    let collection = await createCollection(client, {
+      customer_id, receipt_date, amount, payment_mode, reference_number,
+      reference_date, bank_account_id, remarks, allocations: [],
+    }, req.user.id);
+
+    if (credit_notes.length > 0) {
+      await applyCreditNotes(client, collection, credit_notes, req.user.id);
+    }
+
+    if (allocations.length > 0) {
+      collection = await allocateCollection(client, collection.id, allocations, req.user.id);
+    }
+
+    await recordAudit(client, req, {
+      entityType: 'collection',
+      entityId: collection.id,
+      action: 'create',
+      after: { ...collection, allocations, credit_notes },
+    });
+
+    return collection;
+  });
+
+  res.status(201).json({
+    message: 'Receipt recorded successfully',
+    collection: {
+      ...result,
+      unallocated_amount: (parseFloat(result.amount) - parseFloat(result.allocated_amount)).toFixed(2),
+    },
+  });
+}));
+
+// POST /api/collections/:id/allocate - Allocate on-account balance (and credit notes) to invoices
+router.post('/:id/allocate', validationRules.allocateCollection, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { allocations = [], credit_notes = [] } = req.body;
+
+  const result = await transaction(async (client) => {
+    const before = await client.query('SELECT * FROM collections WHERE id = $1 FOR UPDATE', [id]);
+
+    if (before.rows.length === 0) {
+      throw new AppError('Collection not found', 404);
+    }
+
+    if (before.rows[0].status !== 'active') {
+      throw new AppError('Cannot allocate a reversed receipt');
+    }
+
+    if (credit_notes.length > 0) {
+      await applyCreditNotes(client, before.rows[0], credit_notes, req.user.id);
+    }
+
+    const collection = allocations.length > 0
+      ? await allocateCollection(client, id, allocations, req.user.id)
+      : before.rows[0];
+
+    await recordAudit(client, req, {
+      entityType: 'collection',
+      entityId: id,
+      action: 'allocate',
+      before: before.rows[0],
+      after: { ...collection, allocations, credit_notes },
+    });
+
+    return collection;
+  });
+
+  res.json({
+    message: 'Receipt allocated successfully',
+    collection: {
+      ...result,
+      unallocated_amount: (parseFloat(result.amount) - parseFloat(result.allocated_amount)).toFixed(2),
+    },
+  });
+}));
+
+// POST /api/collections/:id/reverse - Reverse a receipt (bounced cheque, wrong entry)
+router.post('/:id/reverse', validationRules.reversal, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const result = await transaction(async (client) => {
+    const before = await client.query('SELECT * FROM collections WHERE id = $1', [id]);
+    const collection = await reverseCollection(client, id, reason, req.user.id);
+
+    await recordAudit(client, req, {
+      entityType: 'collection',
+      entityId: id,
+      action: 'reverse',
+      before: before.rows[0],
+      after: collection,
+    });
+
+    return collection;
+  });
+
+  res.json({
+    message: 'Receipt reversed',
+    collection: result,
+  });
+}));
+
+module.exports = router;
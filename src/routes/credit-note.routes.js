@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const { query, transaction } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+const { validationRules, validators } = require('../middleware/validation.middleware');
+const { allocateCreditNote, createCreditNote, cancelCreditNote } = require('../services/credit-note.service');
+const { recordAudit } = require('../services/audit.service');
+
+router.use(authenticate);
+router.use(requirePermission('credit_note.manage'));
+
+// GET /api/credit-notes - List customer credit notes
+router.get('/', ...validators.pagination(), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const offset = (page - 1) * limit;
+  const search = req.query.search || '';
+  const customerId = req.query.customer_id;
+  const billId = req.query.outward_bill_id;
+  const reason = req.query.reason;
+  const status = req.query.status;
+  const dateFrom = req.query.date_from;
+  const dateTo = req.query.date_to;
+  const unallocatedOnly = req.query.unallocated === 'true';
+
+  let whereClause = 'WHERE 1=1';
+  const params = [];
+  let paramIndex = 1;
+
+  if (search) {
+    whereClause += ` AND (c.code ILIKE $${paramIndex} OR c.name ILIKE $${paramIndex} OR cn.credit_note_number ILIKE $${paramIndex} OR ob.invoice_number ILIKE $${paramIndex})`;
+    params.push(`%${search}%`);
+    paramIndex++;
+  }
+
+  if (customerId) {
+    whereClause += ` AND cn.customer_id = $${paramIndex}`;
+    params.push(customerId);
+    paramIndex++;
+  }
+
+  if (billId) {
+    whereClause += ` AND cn.outward_bill_id = $${paramIndex}`;
+    params.push(billId);
+    paramIndex++;
+  }
+
+  if (reason) {
+    whereClause += ` AND cn.reason = $${paramIndex}`;
+    params.push(reason);
+    paramIndex++;
+  }
+
+  if (status) {
+    whereClause += ` AND cn.status = $${paramIndex}`;
+    params.push(status);
+    paramIndex++;
+  }
+
+  if (dateFrom) {
+    whereClause += ` AND cn.note_date >= $${paramIndex}`;
+    params.push(dateFrom);
+    paramIndex++;
+  }
+
+  if (dateTo) {
+    whereClause += ` AND cn.note_date <= $${paramIndex}`;
+    params.push(dateTo);
+    paramIndex++;
+  }
+
+  if (unallocatedOnly) {
+    whereClause += ` AND cn.status = 'active' AND cn.allocated_amount < cn.amount`;
+  }
+
+  const fromClause = `FROM credit_notes cn
+    JOIN customers c ON cn.customer_id = c.id
+    JOIN outward_bills ob ON cn.outward_bill_id = ob.id`;
+
+  const countResult = await query(`SELECT COUNT(*) ${fromClause} ${whereClause}`, params);
+
+  const notesResult = await query(
+    `SELECT
+      cn.*, (cn.amount - cn.allocated_amount) as unallocated_amount,
+      c.code as customer_code, c.name as customer_name,
+      ob.invoice_number, ob.delivery_status,
+      u.full_name as created_by_name
+    ${fromClause}
+    LEFT JOIN users u ON cn.created_by = u.id
+    ${whereClause}
+    ORDER BY cn.note_date DESC, cn.created_at DESC
+    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, limit, offset]
+  );
+
+  res.json({
+    data: notesResult.rows,
+    pagination: {
+      page, limit,
+      total: parseInt(countResult.rows[0].count),
+      totalPages: Math.ceil(parseInt(countResult.rows[0].count) / limit),
+    },
+  });
+}));
+
+// GET /api/credit-notes/:id - Get credit note with allocations
+router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const noteResult = await query(
+    `SELECT
+      cn.*, (cn.amount - cn.allocated_amount) as unallocated_amount,
+      c.code as customer_code, c.name as customer_name,
+      ob.invoice_number, ob.invoice_date, ob.delivery_status,
+      u.full_name as created_by_name, uc.full_name as cancelled_by_name
+    FROM credit_notes cn
+    JOIN customers c ON cn.customer_id = c.id
+    JOIN outward_bills ob ON cn.outward_bill_id = ob.id
+    LEFT JOIN users u ON cn.created_by = u.id
+    LEFT JOIN users uc ON cn.cancelled_by = uc.id
+    WHERE cn.id = $1`,
+    [id]
+  );
+
+  if (noteResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Credit note not found' });
+  }
+
+  const allocationsResult = await query(
+    `SELECT
+      cna.id, cna.amount, cna.created_at,
+      ob.id as bill_id, ob.invoice_number, ob.invoice_date, ob.due_date,
+      ob.amount as bill_amount, ob.collected_amount, ob.adjusted_amount, ob.status as bill_status,
+      col.id as collection_id, col.receipt_number
+    FROM credit_note_allocations cna
+    JOIN outward_bills ob ON cna.bill_id = ob.id
+    LEFT JOIN collections col ON cna.collection_id = col.id
+    WHERE cna.credit_note_id = $1
+    ORDER BY cna.created_at, ob.due_date`,
+    [id]
+  );
+
+  res.json({
+    creditNote: noteResult.rows[0],
+    allocations: allocationsResult.rows,
+  });
+}));
+
+// POST /api/credit-notes - Issue a credit note against an invoice
+router.post('/', validationRules.createCreditNote, asyncHandler(async (req, res) => {
+  const { outward_bill_id, note_date, reason, amount, remarks, allocations } = req.body;
+
+  const result = await transaction(async (client) => {
+    const created = await createCreditNote(client, {
+      outward_bill_id, note_date, reason, amount, remarks, allocations,
+    }, req.user.id);
+
+    await recordAudit(client, req, {
+      entityType: 'credit_note',
+      entityId: created.note.id,
+      action: 'create',
+      after: { ...created.note, allocations: created.allocations },
+    });
+
+    return created.note;
+  });
+
+  res.status(201).json({
+    message: 'Credit note issued successfully',
+    creditNote: {
+      ...result,
+      unallocated_amount: (parseFloat(result.amount) - parseFloat(result.allocated_amount)).toFixed(2),
+    },
+  });
+}));
+
+// POST /api/credit-notes/:id/allocate - Allocate the unallocated balance to invoices
+router.post('/:id/allocate', validationRules.allocateNote, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { allocations } = req.body;
+
+  const result = await transaction(async (client) => {
+    const before = await client.query('SELECT * FROM credit_notes WHERE id = $1', [id]);
+    const note = await allocateCreditNote(client, id, allocations, req.user.id);
+
+    await recordAudit(client, req, {
+      entityType: 'credit_note',
+      entityId: id,
+      action: 'allocate',
+      before: before.rows[0],
+      after: { ...note, allocations },
+    });
+
+    return note;
+  });
+
+  res.json({
+    message: 'Credit note allocated successfully',
+    creditNote: {
+      ...result,
+      unallocated_amount: (parseFloat(result.amount) - parseFloat(result.allocated_amount)).toFixed(2),
+    },
+  });
+}));
+
+// POST /api/credit-notes/:id/cancel - Cancel a credit note and release its allocations
+router.post('/:id/cancel', requirePermission('credit_note.cancel'), validationRules.reversal, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const result = await transaction(async (client) => {
+    const before = await client.query('SELECT * FROM credit_notes WHERE id = $1', [id]);
+    const note = await cancelCreditNote(client, id, reason, req.user.id);
+
+    await recordAudit(client, req, {
+      entityType: 'credit_note',
+      entityId: id,
+      action: 'cancel',
+      before: before.rows[0],
+      after: note,
+    });
+
+    return note;
+  });
+
+  res.json({
+    message: 'Credit note cancelled',
+    creditNote: result,
+  });
+}));
+
+module.exports = router;
@@ -1,9 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../config/database');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { query, transaction } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
 const { asyncHandler } = require('../middleware/error.middleware');
 const { validationRules, validators } = require('../middleware/validation.middleware');
+const { uploadSpreadsheet } = require('../middleware/upload.middleware');
+const { recordAudit } = require('../services/audit.service');
+const {
+  MASTERS, importColumns, templateHeaders, exportRows, checkMasterRows, upsertMasterRows,
+} = require('../services/master-data.service');
+const { XLSX_CONTENT_TYPE, readImportRows, buildWorkbook } = require('../services/spreadsheet.service');
+const { PDF_CONTENT_TYPE } = require('../services/pdf.service');
+const { getCustomerStatement, customerStatementWorkbook, customerStatementPdf } = require('../services/ledger.service');
 
 router.use(authenticate);
 
@@ -55,6 +63,64 @@ router.get('/dropdown', asyncHandler(async (req, res) => {
   res.json(result.rows);
 }));
 
+// GET /api/customers/export - Download the customer master as XLSX (same columns as the import)
+router.get('/export', requirePermission('customer.manage'), asyncHandler(async (req, res) => {
+  const activeOnly = req.query.active !== 'false';
+
+  const result = await query(
+    `SELECT * FROM customers ${activeOnly ? 'WHERE is_active = true' : ''} ORDER BY code`
+  );
+
+  res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+  res.setHeader('Content-Disposition', `attachment; filename="customers_${new Date().toISOString().split('T')[0]}.xlsx"`);
+  res.send(buildWorkbook(MASTERS.customer.sheetName, exportRows('customer', result.rows)));
+}));
+
+// GET /api/customers/import/template - Blank XLSX with the import columns
+router.get('/import/template', requirePermission('customer.manage'), asyncHandler(async (req, res) => {
+  res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+  res.setHeader('Content-Disposition', 'attachment; filename="customers_template.xlsx"');
+  res.send(buildWorkbook(MASTERS.customer.sheetName, [templateHeaders('customer')]));
+}));
+
+// POST /api/customers/import - Create or update customers by code from XLSX/CSV.
+// Dry run by default; send commit=true to save the rows that passed validation.
+router.post('/import', requirePermission('customer.manage'), uploadSpreadsheet, asyncHandler(async (req, res) => {
+  const commit = req.body.commit === 'true' || req.query.commit === 'true';
+  const { columns, records } = readImportRows(req.file.buffer, req.file.originalname, importColumns('customer'));
+
+  if (columns.code === undefined || columns.name === undefined) {
+    return res.status(400).json({ error: 'The file needs Code and Name columns' });
+  }
+
+  if (records.length === 0) {
+    return res.status(400).json({ error: 'The file contains no customer rows' });
+  }
+
+  const { rows, saved } = await transaction(async (client) => {
+    const checked = await checkMasterRows(client, 'customer', records);
+    const written = commit
+      ? await upsertMasterRows(client, req, 'customer', checked, req.file.originalname)
+      : [];
+    return { rows: checked, saved: written };
+  });
+
+  res.status(commit ? 201 : 200).json({
+    message: commit
+      ? `${saved.length} customer(s) saved, ${rows.length - saved.length} row(s) skipped`
+      : 'Dry run complete. Nothing was saved; send commit=true to import the valid rows.',
+    dryRun: !commit,
+    summary: {
+      total: rows.length,
+      create: rows.filter(row => row.action === 'create').length,
+      update: rows.filter(row => row.action === 'update').length,
+      errors: rows.filter(row => row.errors.length > 0).length,
+    },
+    rows: rows.map(({ row, code, name, action, errors }) => ({ row, code, name, action, errors })),
+    saved,
+  });
+}));
+
 // GET /api/customers/:id
 router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -68,16 +134,34 @@ router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
     `SELECT 
       COUNT(id) as total_bills,
       COALESCE(SUM(amount), 0) as total_amount,
-      COALESCE(SUM(amount - collected_amount), 0) as outstanding_amount,
-      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE THEN amount - collected_amount ELSE 0 END), 0) as overdue_amount
+      COALESCE(SUM(amount - collected_amount - adjusted_amount), 0) as outstanding_amount,
+      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as overdue_amount
     FROM outward_bills 
     WHERE customer_id = $1 AND status != 'cancelled' AND status != 'paid'`,
     [id]
   );
 
+  const onAccountResult = await query(
+    `SELECT COALESCE(SUM(amount - allocated_amount), 0) as on_account_balance
+     FROM collections
+     WHERE customer_id = $1 AND status = 'active'`,
+    [id]
+  );
+
+  const creditResult = await query(
+    `SELECT COALESCE(SUM(amount - allocated_amount), 0) as unallocated_credit
+     FROM credit_notes
+     WHERE customer_id = $1 AND status = 'active'`,
+    [id]
+  );
+
   res.json({
     customer: customerResult.rows[0],
-    summary: outstandingResult.rows[0],
+    summary: {
+      ...outstandingResult.rows[0],
+      on_account_balance: onAccountResult.rows[0].on_account_balance,
+      unallocated_credit: creditResult.rows[0].unallocated_credit,
+    },
   });
 }));
 
@@ -99,8 +183,8 @@ router.get('/:id/bills', validationRules.uuidParam, asyncHandler(async (req, res
 
   const billsResult = await query(
     `SELECT 
-      id, invoice_number, invoice_date, amount, collected_amount,
-      (amount - collected_amount) as outstanding, credit_days, due_date,
+      id, invoice_number, invoice_date, amount, collected_amount, adjusted_amount,
+      (amount - collected_amount - adjusted_amount) as outstanding, credit_days, due_date,
       status, delivery_status, dispatched_by, created_at,
       CASE WHEN due_date < CURRENT_DATE THEN CURRENT_DATE - due_date ELSE 0 END as days_overdue
     FROM outward_bills 
@@ -119,15 +203,15 @@ router.get('/:id/receivables-ageing', validationRules.uuidParam, asyncHandler(as
 
   const ageingResult = await query(
     `SELECT 
-      COALESCE(SUM(CASE WHEN due_date >= CURRENT_DATE THEN amount - collected_amount ELSE 0 END), 0) as current_amount,
+      COALESCE(SUM(CASE WHEN due_date >= CURRENT_DATE THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as current_amount,
       COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE AND due_date >= CURRENT_DATE - 15 
-        THEN amount - collected_amount ELSE 0 END), 0) as days_1_15,
+        THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as days_1_15,
       COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 15 AND due_date >= CURRENT_DATE - 21 
-        THEN amount - collected_amount ELSE 0 END), 0) as days_16_21,
+        THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as days_16_21,
       COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 21 AND due_date >= CURRENT_DATE - 30 
-        THEN amount - collected_amount ELSE 0 END), 0) as days_22_30,
+        THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as days_22_30,
       COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 30 
-        THEN amount - collected_amount ELSE 0 END), 0) as days_30_plus
+        THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as days_30_plus
     FROM outward_bills 
     WHERE customer_id = $1 AND status != 'cancelled' AND status != 'paid'`,
     [id]
@@ -136,28 +220,60 @@ router.get('/:id/receivables-ageing', validationRules.uuidParam, asyncHandler(as
   res.json(ageingResult.rows[0]);
 }));
 
+// GET /api/customers/:id/statement - Statement of account with opening, running and
+// closing balance (?date_from, ?date_to; defaults to the financial year to date; ?format=xlsx|pdf)
+router.get('/:id/statement', requirePermission('customer.statement'), validationRules.statementQuery, asyncHandler(async (req, res) => {
+  const statement = await getCustomerStatement(req.params.id, req.query.date_from, req.query.date_to);
+  const fileName = `statement_${statement.customer.code}_${statement.date_from}_${statement.date_to}`;
+
+  if (req.query.format === 'xlsx') {
+    res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+    return res.send(customerStatementWorkbook(statement));
+  }
+
+  if (req.query.format === 'pdf') {
+    res.setHeader('Content-Type', PDF_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+    return res.send(customerStatementPdf(statement));
+  }
+
+  res.json(statement);
+}));
+
 // POST /api/customers
-router.post('/', authorize('owner', 'accounts'), validationRules.createCustomer, asyncHandler(async (req, res) => {
+router.post('/', requirePermission('customer.manage'), validationRules.createCustomer, asyncHandler(async (req, res) => {
   const {
     code, name, contact_person, phone, mobile, whatsapp, email, gstin,
     address, city, state, pincode, default_credit_days, credit_limit
   } = req.body;
 
-  const result = await query(
-    `INSERT INTO customers (
-      code, name, contact_person, phone, mobile, whatsapp, email, gstin,
-      address, city, state, pincode, default_credit_days, credit_limit, created_by
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
-    RETURNING *`,
-    [code, name, contact_person, phone, mobile, whatsapp, email, gstin,
-     address, city, state, pincode, default_credit_days || 30, credit_limit, req.user.id]
-  );
+  const customer = await transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO customers (
+        code, name, contact_person, phone, mobile, whatsapp, email, gstin,
+        address, city, state, pincode, default_credit_days, credit_limit, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING *`,
+      [code, name, contact_person, phone, mobile, whatsapp, email, gstin,
+       address, city, state, pincode, default_credit_days || 30, credit_limit, req.user.id]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'customer',
+      entityId: result.rows[0].id,
+      action: 'create',
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
 
-  res.status(201).json({ message: 'Customer created', customer: result.rows[0] });
+  res.status(201).json({ message: 'Customer created', customer });
 }));
 
 // PUT /api/customers/:id
-router.put('/:id', authorize('owner', 'accounts'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+router.put('/:id', requirePermission('customer.manage'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const updates = req.body;
 
@@ -184,21 +300,39 @@ router.put('/:id', authorize('owner', 'accounts'), validationRules.uuidParam, as
 
   values.push(id);
 
-  const result = await query(
-    `UPDATE customers SET ${setClauses.join(', ')}, updated_at = NOW() 
-     WHERE id = $${paramIndex} RETURNING *`,
-    values
-  );
+  const customer = await transaction(async (client) => {
+    const existing = await client.query('SELECT * FROM customers WHERE id = $1 FOR UPDATE', [id]);
+
+    if (existing.rows.length === 0) {
+      return null;
+    }
 
-  if (result.rows.length === 0) {
+    const result = await client.query(
+      `UPDATE customers SET ${setClauses.join(', ')}, updated_at = NOW() 
+       WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'customer',
+      entityId: id,
+      action: 'update',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  if (!customer) {
     return res.status(404).json({ error: 'Customer not found' });
   }
 
-  res.json({ message: 'Customer updated', customer: result.rows[0] });
+  res.json({ message: 'Customer updated', customer });
 }));
 
 // DELETE /api/customers/:id
-router.delete('/:id', authorize('owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+router.delete('/:id', requirePermission('customer.delete'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const outstandingResult = await query(
@@ -214,16 +348,34 @@ router.delete('/:id', authorize('owner'), validationRules.uuidParam, asyncHandle
     });
   }
 
-  const result = await query(
-    `UPDATE customers SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING id, name`,
-    [id]
-  );
+  const customer = await transaction(async (client) => {
+    const existing = await client.query('SELECT * FROM customers WHERE id = $1 FOR UPDATE', [id]);
+
+    if (existing.rows.length === 0) {
+      return null;
+    }
+
+    const result = await client.query(
+      `UPDATE customers SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [id]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'customer',
+      entityId: id,
+      action: 'deactivate',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
 
-  if (result.rows.length === 0) {
+  if (!customer) {
     return res.status(404).json({ error: 'Customer not found' });
   }
 
-  res.json({ message: 'Customer deactivated', customer: result.rows[0] });
+  res.json({ message: 'Customer deactivated', customer: { id: customer.id, name: customer.name } });
 }));
 
 module.exports = router;
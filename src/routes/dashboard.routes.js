@@ -1,13 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { query } = require('../config/database');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
 const { asyncHandler } = require('../middleware/error.middleware');
+const { hasPermission } = require('../services/permission.service');
 
 router.use(authenticate);
 
 // GET /api/dashboard/godown - Godown dashboard stats
-router.get('/godown', authorize('godown', 'owner'), asyncHandler(async (req, res) => {
+router.get('/godown', requirePermission('dashboard.godown'), asyncHandler(async (req, res) => {
   const stats = await query(`
     SELECT 
       (SELECT COUNT(*) FROM inward_bills WHERE receiving_date = CURRENT_DATE AND status = 'active') as inward_today,
@@ -48,19 +49,19 @@ router.get('/godown', authorize('godown', 'owner'), asyncHandler(async (req, res
 }));
 
 // GET /api/dashboard/purchase - Purchase dashboard stats
-router.get('/purchase', authorize('purchase', 'owner'), asyncHandler(async (req, res) => {
+router.get('/purchase', requirePermission('dashboard.purchase'), asyncHandler(async (req, res) => {
   const stats = await query(`
     SELECT 
       (SELECT COUNT(*) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date < CURRENT_DATE) as overdue_count,
-      (SELECT COALESCE(SUM(amount - paid_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date < CURRENT_DATE) as overdue_amount,
+      (SELECT COALESCE(SUM(amount - paid_amount - adjusted_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date < CURRENT_DATE) as overdue_amount,
       (SELECT COUNT(*) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date = CURRENT_DATE) as due_today_count,
-      (SELECT COALESCE(SUM(amount - paid_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date = CURRENT_DATE) as due_today_amount,
+      (SELECT COALESCE(SUM(amount - paid_amount - adjusted_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date = CURRENT_DATE) as due_today_amount,
       (SELECT COUNT(*) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date BETWEEN CURRENT_DATE + 1 AND CURRENT_DATE + 7) as due_week_count,
-      (SELECT COALESCE(SUM(amount - paid_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date BETWEEN CURRENT_DATE + 1 AND CURRENT_DATE + 7) as due_week_amount,
+      (SELECT COALESCE(SUM(amount - paid_amount - adjusted_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date BETWEEN CURRENT_DATE + 1 AND CURRENT_DATE + 7) as due_week_amount,
       (SELECT COUNT(*) FROM proposal_items WHERE status = 'carry_forward') as carry_forward_count,
       (SELECT COALESCE(SUM(proposed_amount), 0) FROM proposal_items WHERE status = 'carry_forward') as carry_forward_amount,
       (SELECT COALESCE(SUM(total_amount), 0) FROM payments WHERE payment_date = CURRENT_DATE - 1) as paid_yesterday,
-      (SELECT COUNT(DISTINCT ib.vendor_id) FROM payment_details pd JOIN inward_bills ib ON pd.bill_id = ib.id JOIN payments p ON pd.payment_id = p.id WHERE p.payment_date = CURRENT_DATE - 1) as paid_yesterday_vendors,
+      (SELECT COUNT(DISTINCT COALESCE(ib.vendor_id, va.vendor_id)) FROM payment_details pd LEFT JOIN inward_bills ib ON pd.bill_id = ib.id LEFT JOIN vendor_advances va ON pd.advance_id = va.id JOIN payments p ON pd.payment_id = p.id WHERE p.payment_date = CURRENT_DATE - 1) as paid_yesterday_vendors,
       (SELECT COALESCE(SUM(total_amount), 0) FROM payments WHERE payment_date >= DATE_TRUNC('month', CURRENT_DATE)) as paid_month
   `);
 
@@ -81,7 +82,7 @@ router.get('/purchase', authorize('purchase', 'owner'), asyncHandler(async (req,
 }));
 
 // GET /api/dashboard/accounts - Accounts dashboard stats
-router.get('/accounts', authorize('accounts', 'owner'), asyncHandler(async (req, res) => {
+router.get('/accounts', requirePermission('dashboard.accounts'), asyncHandler(async (req, res) => {
   const stats = await query(`
     SELECT 
       (SELECT COUNT(*) FROM proposals WHERE status = 'submitted') as pending_validation,
@@ -97,15 +98,15 @@ router.get('/accounts', authorize('accounts', 'owner'), asyncHandler(async (req,
   // Receivables ageing
   const receivablesAgeing = await query(`
     SELECT 
-      COALESCE(SUM(CASE WHEN due_date >= CURRENT_DATE THEN amount - collected_amount ELSE 0 END), 0) as current_amount,
+      COALESCE(SUM(CASE WHEN due_date >= CURRENT_DATE THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as current_amount,
       (SELECT COUNT(*) FROM outward_bills WHERE due_date >= CURRENT_DATE AND status NOT IN ('cancelled', 'paid')) as current_count,
-      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE AND due_date >= CURRENT_DATE - 15 THEN amount - collected_amount ELSE 0 END), 0) as days_15_amount,
+      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE AND due_date >= CURRENT_DATE - 15 THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as days_15_amount,
       (SELECT COUNT(*) FROM outward_bills WHERE due_date < CURRENT_DATE AND due_date >= CURRENT_DATE - 15 AND status NOT IN ('cancelled', 'paid')) as days_15_count,
-      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 15 AND due_date >= CURRENT_DATE - 21 THEN amount - collected_amount ELSE 0 END), 0) as days_21_amount,
+      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 15 AND due_date >= CURRENT_DATE - 21 THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as days_21_amount,
       (SELECT COUNT(*) FROM outward_bills WHERE due_date < CURRENT_DATE - 15 AND due_date >= CURRENT_DATE - 21 AND status NOT IN ('cancelled', 'paid')) as days_21_count,
-      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 21 AND due_date >= CURRENT_DATE - 30 THEN amount - collected_amount ELSE 0 END), 0) as days_30_amount,
+      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 21 AND due_date >= CURRENT_DATE - 30 THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as days_30_amount,
       (SELECT COUNT(*) FROM outward_bills WHERE due_date < CURRENT_DATE - 21 AND due_date >= CURRENT_DATE - 30 AND status NOT IN ('cancelled', 'paid')) as days_30_count,
-      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 30 THEN amount - collected_amount ELSE 0 END), 0) as days_30_plus_amount,
+      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 30 THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as days_30_plus_amount,
       (SELECT COUNT(*) FROM outward_bills WHERE due_date < CURRENT_DATE - 30 AND status NOT IN ('cancelled', 'paid')) as days_30_plus_count
     FROM outward_bills WHERE status NOT IN ('cancelled', 'paid')
   `);
@@ -128,12 +129,12 @@ router.get('/accounts', authorize('accounts', 'owner'), asyncHandler(async (req,
 }));
 
 // GET /api/dashboard/owner - Owner dashboard stats
-router.get('/owner', authorize('owner'), asyncHandler(async (req, res) => {
+router.get('/owner', requirePermission('dashboard.owner'), asyncHandler(async (req, res) => {
   const cashPosition = await query(`
     SELECT 
-      (SELECT COALESCE(SUM(amount - collected_amount), 0) FROM outward_bills WHERE due_date <= CURRENT_DATE + 7 AND status NOT IN ('cancelled', 'paid')) as expected_inflow,
+      (SELECT COALESCE(SUM(amount - collected_amount - adjusted_amount), 0) FROM outward_bills WHERE due_date <= CURRENT_DATE + 7 AND status NOT IN ('cancelled', 'paid')) as expected_inflow,
       (SELECT COALESCE(SUM(owner_amount), 0) FROM proposal_items WHERE owner_status = 'approved' AND status NOT IN ('paid', 'owner_rejected')) as pending_payables,
-      (SELECT COALESCE(SUM(amount - paid_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date < CURRENT_DATE) as overdue_payables
+      (SELECT COALESCE(SUM(amount - paid_amount - adjusted_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date < CURRENT_DATE) as overdue_payables
   `);
 
   const stats = await query(`
@@ -141,11 +142,11 @@ router.get('/owner', authorize('owner'), asyncHandler(async (req, res) => {
       (SELECT COUNT(*) FROM proposals WHERE status IN ('under_review', 'approved', 'partial_approved')) as pending_approval,
       (SELECT COALESCE(SUM(total_amount), 0) FROM proposals WHERE status IN ('under_review', 'approved', 'partial_approved')) as pending_approval_amount,
       (SELECT COUNT(*) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date < CURRENT_DATE) as overdue_count,
-      (SELECT COALESCE(SUM(amount - paid_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date < CURRENT_DATE) as overdue_amount,
+      (SELECT COALESCE(SUM(amount - paid_amount - adjusted_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date < CURRENT_DATE) as overdue_amount,
       (SELECT COUNT(*) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date = CURRENT_DATE) as due_today_count,
-      (SELECT COALESCE(SUM(amount - paid_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date = CURRENT_DATE) as due_today_amount,
+      (SELECT COALESCE(SUM(amount - paid_amount - adjusted_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date = CURRENT_DATE) as due_today_amount,
       (SELECT COUNT(*) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date BETWEEN CURRENT_DATE + 1 AND CURRENT_DATE + 7) as due_week_count,
-      (SELECT COALESCE(SUM(amount - paid_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date BETWEEN CURRENT_DATE + 1 AND CURRENT_DATE + 7) as due_week_amount
+      (SELECT COALESCE(SUM(amount - paid_amount - adjusted_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date BETWEEN CURRENT_DATE + 1 AND CURRENT_DATE + 7) as due_week_amount
   `);
 
   // Pending proposals for owner approval
@@ -181,11 +182,9 @@ router.get('/owner', authorize('owner'), asyncHandler(async (req, res) => {
 
 // GET /api/dashboard/summary - Quick summary for header
 router.get('/summary', asyncHandler(async (req, res) => {
-  const { role } = req.user;
-
   let summary = {};
 
-  if (role === 'godown' || role === 'owner') {
+  if (hasPermission(req.user, 'dashboard.godown')) {
     const godownStats = await query(`
       SELECT 
         (SELECT COUNT(*) FROM inward_bills WHERE receiving_date = CURRENT_DATE AND status = 'active') as inward_today,
@@ -194,7 +193,7 @@ router.get('/summary', asyncHandler(async (req, res) => {
     summary.godown = godownStats.rows[0];
   }
 
-  if (role === 'purchase' || role === 'owner') {
+  if (hasPermission(req.user, 'dashboard.purchase')) {
     const purchaseStats = await query(`
       SELECT 
         (SELECT COUNT(*) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date < CURRENT_DATE) as overdue,
@@ -203,7 +202,7 @@ router.get('/summary', asyncHandler(async (req, res) => {
     summary.purchase = purchaseStats.rows[0];
   }
 
-  if (role === 'accounts' || role === 'owner') {
+  if (hasPermission(req.user, 'dashboard.accounts')) {
     const accountsStats = await query(`
       SELECT 
         (SELECT COUNT(*) FROM proposals WHERE status = 'submitted') as pending_validation,
@@ -212,7 +211,7 @@ router.get('/summary', asyncHandler(async (req, res) => {
     summary.accounts = accountsStats.rows[0];
   }
 
-  if (role === 'owner') {
+  if (hasPermission(req.user, 'dashboard.owner')) {
     const ownerStats = await query(`
       SELECT 
         (SELECT COUNT(*) FROM proposals WHERE status IN ('under_review', 'approved', 'partial_approved')) as pending_approval
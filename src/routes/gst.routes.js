@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router();
+const { query, transaction } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+const { validationRules } = require('../middleware/validation.middleware');
+const { uploadJson } = require('../middleware/upload.middleware');
+const { parseGstr2b, matchGstr2bInvoices } = require('../services/gst.service');
+const { XLSX_CONTENT_TYPE, buildWorkbook } = require('../services/spreadsheet.service');
+const { recordAudit } = require('../services/audit.service');
+
+router.use(authenticate);
+router.use(requirePermission('gst.manage'));
+
+const TOTAL_FIELDS = ['taxable_value', 'cgst_amount', 'sgst_amount', 'igst_amount', 'amount'];
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+// Totals of a register, overall and per supply type; bills without a breakup are
+// counted but only add to the invoice amount
+const registerSummary = (rows) => {
+  const empty = () => Object.fromEntries([['count', 0], ...TOTAL_FIELDS.map(field => [field, 0])]);
+  const summary = { ...empty(), breakup_missing: 0, intra: empty(), inter: empty() };
+
+  for (const row of rows) {
+    const groups = [summary, row.supply_type ? summary[row.supply_type] : null].filter(Boolean);
+    for (const group of groups) {
+      group.count += 1;
+      for (const field of TOTAL_FIELDS) {
+        group[field] += parseFloat(row[field]) || 0;
+      }
+    }
+    if (row.breakup_missing) summary.breakup_missing += 1;
+  }
+
+  const rounded = (group) => Object.fromEntries(Object.entries(group).map(([key, value]) =>
+    [key, TOTAL_FIELDS.includes(key) ? value.toFixed(2) : value]));
+
+  return { ...rounded(summary), intra: rounded(summary.intra), inter: rounded(summary.inter) };
+};
+
+const sendRegister = (req, res, { month, title, partyHeader, rows }) => {
+  if (req.query.format === 'xlsx') {
+    const sheet = [
+      ['Invoice Date', 'Invoice Number', `${partyHeader} Code`, `${partyHeader} Name`, 'GSTIN', 'State Code',
+        'Supply', 'Taxable Value', 'CGST', 'SGST', 'IGST', 'Invoice Amount'],
+      ...rows.map(row => [
+        row.invoice_date, row.document_number, row.party_code, row.party_name, row.gstin || '',
+        row.party_state_code || '', row.supply_type || 'no breakup',
+        ...TOTAL_FIELDS.map(field => (row[field] === null ? '' : parseFloat(row[field]))),
+      ]),
+    ];
+
+    res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${title.toLowerCase().replace(/ /g, '_')}_${month}.xlsx"`);
+    return res.send(buildWorkbook(title, sheet));
+  }
+
+  res.json({ month, data: rows, summary: registerSummary(rows) });
+};
+
+// GET /api/gst/purchase-register - Inward bills of a month with GST breakup (?month=YYYY-MM, ?format=xlsx)
+router.get('/purchase-register', validationRules.gstRegisterQuery, asyncHandler(async (req, res) => {
+  const month = req.query.month || currentMonth();
+
+  const result = await query(
+    `SELECT
+      TO_CHAR(ib.invoice_date, 'YYYY-MM-DD') as invoice_date, ib.id as bill_id, ib.bill_number as document_number,
+      v.code as party_code, v.name as party_name, v.gstin,
+      ib.party_state_code, ib.supply_type, ib.taxable_value,
+      ib.cgst_amount, ib.sgst_amount, ib.igst_amount, ib.amount,
+      (ib.taxable_value IS NULL) as breakup_missing
+    FROM inward_bills ib
+    JOIN vendors v ON ib.vendor_id = v.id
+    WHERE ib.status != 'cancelled' AND DATE_TRUNC('month', ib.invoice_date) = $1::date
+    ORDER BY ib.invoice_date, v.name, ib.bill_number`,
+    [`${month}-01`]
+  );
+
+  sendRegister(req, res, { month, title: 'Purchase Register', partyHeader: 'Vendor', rows: result.rows });
+}));
+
+// GET /api/gst/sales-register - Outward invoices of a month with GST breakup (?month=YYYY-MM, ?format=xlsx)
+router.get('/sales-register', validationRules.gstRegisterQuery, asyncHandler(async (req, res) => {
+  const month = req.query.month || currentMonth();
+
+  const result = await query(
+    `SELECT
+      TO_CHAR(ob.invoice_date, 'YYYY-MM-DD') as invoice_date, ob.id as bill_id, ob.invoice_number as document_number,
+      c.code as party_code, c.name as party_name, c.gstin,
+      ob.party_state_code, ob.supply_type, ob.taxable_value,
+      ob.cgst_amount, ob.sgst_amount, ob.igst_amount, ob.amount,
+      (ob.taxable_value IS NULL) as breakup_missing
+    FROM outward_bills ob
+    JOIN customers c ON ob.customer_id = c.id
+    WHERE ob.status != 'cancelled' AND DATE_TRUNC('month', ob.invoice_date) = $1::date
+    ORDER BY ob.invoice_date, ob.invoice_number`,
+    [`${month}-01`]
+  );
+
+  sendRegister(req, res, { month, title: 'Sales Register', partyHeader: 'Customer', rows: result.rows });
+}));
+
+// GET /api/gst/gstr2b - Uploaded GSTR-2B files
+router.get('/gstr2b', asyncHandler(async (req, res) => {
+  const result = await query(
+    `SELECT gi.*, TO_CHAR(gi.period_month, 'YYYY-MM') as month, u.full_name as uploaded_by_name
+     FROM gstr2b_imports gi
+     LEFT JOIN users u ON gi.uploaded_by = u.id
+     ORDER BY gi.period_month DESC, gi.created_at DESC`
+  );
+
+  res.json({ data: result.rows });
+}));
+
+// POST /api/gst/gstr2b - Upload the GSTR-2B JSON from the GST portal and match its
+// B2B invoices against inward bills
+router.post('/gstr2b', uploadJson, asyncHandler(async (req, res) => {
+  const parsed = parseGstr2b(req.file.buffer);
+  const counts = { matched: 0, mismatch: 0, missing_in_books: 0, vendor_not_found: 0 };
+
+  const result = await transaction(async (client) => {
+    const invoices = parsed.invoices.length > 0 ? await matchGstr2bInvoices(client, parsed.invoices) : [];
+    for (const invoice of invoices) {
+      counts[invoice.match_status] += 1;
+    }
+
+    const importResult = await client.query(
+      `INSERT INTO gstr2b_imports (
+        return_period, period_month, gstin, file_name, invoice_count,
+        matched_count, mismatch_count, missing_in_books_count, uploaded_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *`,
+      [parsed.returnPeriod, parsed.periodMonth, parsed.gstin, req.file.originalname, invoices.length,
+       counts.matched, counts.mismatch, counts.missing_in_books + counts.vendor_not_found, req.user.id]
+    );
+    const gstrImport = importResult.rows[0];
+
+    for (const invoice of invoices) {
+      await client.query(
+        `INSERT INTO gstr2b_invoices (
+          import_id, supplier_gstin, supplier_name, invoice_number, invoice_date, invoice_value,
+          taxable_value, igst_amount, cgst_amount, sgst_amount, cess_amount, itc_available,
+          vendor_id, bill_id, match_status, mismatches
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
+        [gstrImport.id, invoice.supplier_gstin, invoice.supplier_name, invoice.invoice_number,
+         invoice.invoice_date, invoice.invoice_value, invoice.taxable_value, invoice.igst_amount,
+         invoice.cgst_amount, invoice.sgst_amount, invoice.cess_amount, invoice.itc_available,
+         invoice.vendor_id, invoice.bill_id, invoice.match_status, invoice.mismatches]
+      );
+    }
+
+    await recordAudit(client, req, {
+      entityType: 'gstr2b_import',
+      entityId: gstrImport.id,
+      action: 'import',
+      after: gstrImport,
+    });
+
+    return gstrImport;
+  });
+
+  res.status(201).json({
+    message: `${parsed.invoices.length} invoice(s) read from GSTR-2B for ${parsed.returnPeriod}`,
+    import: result,
+    summary: counts,
+  });
+}));
+
+// GET /api/gst/gstr2b/:id - Matching result of one upload (?status=matched|mismatch|
+// missing_in_books|vendor_not_found), plus the period's inward bills from registered
+// vendors that no uploaded GSTR-2B has reported yet
+router.get('/gstr2b/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const importResult = await query(
+    `SELECT gi.*, TO_CHAR(gi.period_month, 'YYYY-MM') as month
+     FROM gstr2b_imports gi WHERE gi.id = $1`,
+    [req.params.id]
+  );
+
+  if (importResult.rows.length === 0) {
+    return res.status(404).json({ error: 'GSTR-2B import not found' });
+  }
+
+  const gstrImport = importResult.rows[0];
+  const params = [gstrImport.id];
+  let statusClause = '';
+  if (req.query.status) {
+    params.push(req.query.status);
+    statusClause = 'AND inv.match_status = $2';
+  }
+
+  const invoicesResult = await query(
+    `SELECT inv.*, v.code as vendor_code, v.name as vendor_name, ib.bill_number
+     FROM gstr2b_invoices inv
+     LEFT JOIN vendors v ON inv.vendor_id = v.id
+     LEFT JOIN inward_bills ib ON inv.bill_id = ib.id
+     WHERE inv.import_id = $1 ${statusClause}
+     ORDER BY inv.match_status, inv.supplier_gstin, inv.invoice_number`,
+    params
+  );
+
+  const missingResult = await query(
+    `SELECT ib.id, ib.bill_number, ib.invoice_date, ib.amount, ib.taxable_value,
+       ib.cgst_amount, ib.sgst_amount, ib.igst_amount,
+       v.code as vendor_code, v.name as vendor_name, v.gstin
+     FROM inward_bills ib
+     JOIN vendors v ON ib.vendor_id = v.id
+     WHERE ib.status != 'cancelled' AND v.gstin IS NOT NULL AND v.gstin != ''
+       AND DATE_TRUNC('month', ib.invoice_date) = $1::date
+       AND NOT EXISTS (SELECT 1 FROM gstr2b_invoices inv WHERE inv.bill_id = ib.id)
+     ORDER BY v.name, ib.invoice_date`,
+    [`${gstrImport.month}-01`]
+  );
+
+  res.json({
+    import: gstrImport,
+    invoices: invoicesResult.rows,
+    missing_in_gstr2b: missingResult.rows,
+  });
+}));
+
+module.exports = router;
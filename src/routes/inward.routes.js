@@ -1,9 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { query, transaction } = require('../config/database');
-const { authenticate, authorize, canModify } = require('../middleware/auth.middleware');
-const { asyncHandler } = require('../middleware/error.middleware');
+const { pool, query, transaction } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
 const { validationRules, validators } = require('../middleware/validation.middleware');
+const { uploadSpreadsheet, uploadAttachments } = require('../middleware/upload.middleware');
+const {
+  attachmentPath, removeFiles, listAttachments, addAttachments, getAttachment, deleteAttachment, sendAttachment,
+} = require('../services/attachment.service');
+const { recordAudit } = require('../services/audit.service');
+const { hasPermission } = require('../services/permission.service');
+const {
+  IMPORT_COLUMNS, TEMPLATE_HEADERS, calculateDueDate, findDuplicateBills, insertInwardBill, checkImportRows,
+} = require('../services/inward.service');
+const { derivePaymentStatus, getPayableBalance, recomputePaymentStatuses } = require('../services/settlement.service');
+const { BREAKUP_FIELDS, gstBreakup, revisedBreakup } = require('../services/gst.service');
+const { XLSX_CONTENT_TYPE, readImportRows, buildWorkbook } = require('../services/spreadsheet.service');
 
 router.use(authenticate);
 
@@ -71,7 +83,7 @@ router.get('/', ...validators.pagination(), asyncHandler(async (req, res) => {
   const billsResult = await query(
     `SELECT 
       ib.id, ib.bill_number, ib.invoice_date, ib.receiving_date,
-      ib.amount, ib.paid_amount, (ib.amount - ib.paid_amount) as outstanding,
+      ib.amount, ib.paid_amount, ib.adjusted_amount, (ib.amount - ib.paid_amount - ib.adjusted_amount) as outstanding,
       ib.credit_days, ib.due_date, ib.payment_status, ib.checked_by,
       ib.remarks, ib.created_at,
       v.id as vendor_id, v.code as vendor_code, v.name as vendor_name,
@@ -168,8 +180,8 @@ router.get('/summary', asyncHandler(async (req, res) => {
       (SELECT COALESCE(SUM(amount), 0) FROM inward_bills WHERE receiving_date = CURRENT_DATE AND status = 'active') as today_amount,
       (SELECT COUNT(*) FROM inward_bills WHERE receiving_date >= DATE_TRUNC('week', CURRENT_DATE) AND status = 'active') as week_count,
       (SELECT COUNT(*) FROM inward_bills WHERE receiving_date >= DATE_TRUNC('month', CURRENT_DATE) AND status = 'active') as month_count,
-      (SELECT COALESCE(SUM(amount - paid_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid') as total_outstanding,
-      (SELECT COALESCE(SUM(amount - paid_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date < CURRENT_DATE) as total_overdue,
+      (SELECT COALESCE(SUM(amount - paid_amount - adjusted_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid') as total_outstanding,
+      (SELECT COALESCE(SUM(amount - paid_amount - adjusted_amount), 0) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date < CURRENT_DATE) as total_overdue,
       (SELECT COUNT(*) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date < CURRENT_DATE) as overdue_count,
       (SELECT COUNT(*) FROM inward_bills WHERE status = 'active' AND payment_status != 'paid' AND due_date = CURRENT_DATE) as due_today_count
   `);
@@ -177,6 +189,84 @@ router.get('/summary', asyncHandler(async (req, res) => {
   res.json(result.rows[0]);
 }));
 
+// GET /api/inward/import/template - Blank XLSX with the columns the bulk import reads
+router.get('/import/template', requirePermission('inward.create'), asyncHandler(async (req, res) => {
+  const buffer = buildWorkbook('Inward Bills', [
+    TEMPLATE_HEADERS,
+    ['V001', '', 'INV-1001', '2024-10-01', '2024-10-03', 25000, 21186.44, 3813.56, 30, 'Ramesh', ''],
+  ]);
+
+  res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+  res.setHeader('Content-Disposition', 'attachment; filename="inward_bills_template.xlsx"');
+  res.send(buffer);
+}));
+
+// POST /api/inward/import - Bulk import bills from XLSX/CSV.
+// Dry run by default; send commit=true to create the rows that passed validation.
+router.post('/import', requirePermission('inward.create'), uploadSpreadsheet, asyncHandler(async (req, res) => {
+  const commit = req.body.commit === 'true' || req.query.commit === 'true';
+  const { columns, records } = readImportRows(req.file.buffer, req.file.originalname, IMPORT_COLUMNS);
+
+  if (records.length === 0) {
+    return res.status(400).json({ error: 'The file contains no bill rows' });
+  }
+
+  if (columns.vendor_code === undefined && columns.vendor_gstin === undefined) {
+    return res.status(400).json({ error: 'The file needs a Vendor Code or Vendor GSTIN column' });
+  }
+
+  const outcome = await transaction(async (client) => {
+    const rows = await checkImportRows(client, records);
+    const validRows = rows.filter(row => row.bill);
+    const created = [];
+
+    if (commit) {
+      for (const row of validRows) {
+        const bill = await insertInwardBill(client, row.bill, req.user.id);
+
+        await recordAudit(client, req, {
+          entityType: 'inward_bill',
+          entityId: bill.id,
+          action: 'import',
+          after: { ...bill, import_file: req.file.originalname, import_row: row.row },
+        });
+
+        created.push({ row: row.row, id: bill.id, bill_number: bill.bill_number });
+      }
+    }
+
+    return { rows, created };
+  });
+
+  const { rows, created } = outcome;
+
+  res.status(commit ? 201 : 200).json({
+    message: commit
+      ? `${created.length} bill(s) imported, ${rows.length - created.length} row(s) skipped`
+      : 'Dry run complete. Nothing was saved; send commit=true to import the valid rows.',
+    dryRun: !commit,
+    summary: {
+      total: rows.length,
+      valid: rows.filter(row => row.errors.length === 0).length,
+      errors: rows.filter(row => row.errors.length > 0).length,
+      warnings: rows.filter(row => row.warnings.length > 0).length,
+    },
+    rows: rows.map(({ bill, ...row }) => row),
+    created,
+  });
+}));
+
+// POST /api/inward/recompute-payment-status - Repair payment_status from amount and paid_amount
+router.post('/recompute-payment-status', requirePermission('inward.recompute_status'), asyncHandler(async (req, res) => {
+  const result = await transaction(async (client) => recomputePaymentStatuses(client, req));
+
+  res.json({
+    message: `${result.updated.length} bill(s) updated`,
+    updated: result.updated,
+    mismatches: result.mismatches,
+  });
+}));
+
 // GET /api/inward/:id - Get single bill
 router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -198,7 +288,7 @@ router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
 
   // Get payment history for this bill
   const payments = await query(
-    `SELECT pd.amount, pd.utr_number, p.payment_date, p.payment_number
+    `SELECT pd.amount, pd.tds_amount, pd.net_amount, pd.utr_number, p.payment_date, p.payment_number
      FROM payment_details pd
      JOIN payments p ON pd.payment_id = p.id
      WHERE pd.bill_id = $1
@@ -206,33 +296,90 @@ router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
     [id]
   );
 
+  const attachments = await listAttachments(pool, 'inward', id);
+
   res.json({
     bill: result.rows[0],
     payments: payments.rows,
+    attachments,
   });
 }));
 
 // POST /api/inward - Create inward bill (Godown)
-router.post('/', authorize('godown', 'owner'), validationRules.createInwardBill, asyncHandler(async (req, res) => {
+router.post('/', requirePermission('inward.create'), validationRules.createInwardBill, asyncHandler(async (req, res) => {
   const {
     vendor_id, bill_number, invoice_date, receiving_date,
-    amount, credit_days, checked_by, remarks, bill_scan_url
+    amount, taxable_value, gst_amount, credit_days, checked_by, remarks, bill_scan_url,
+    override_duplicate, override_reason
   } = req.body;
 
-  // Calculate due date
-  const dueDate = new Date(invoice_date);
-  dueDate.setDate(dueDate.getDate() + credit_days);
+  const bill = await transaction(async (client) => {
+    // Serialise entries per vendor so two people keying the same bill can't both pass the check
+    const vendorResult = await client.query('SELECT id, gstin FROM vendors WHERE id = $1 FOR UPDATE', [vendor_id]);
 
-  const result = await query(
-    `INSERT INTO inward_bills (
+    if (vendorResult.rows.length === 0) {
+      throw new AppError('Vendor not found', 404);
+    }
+
+    const gst = gstBreakup({ partyGstin: vendorResult.rows[0].gstin, amount, taxable_value, gst_amount });
+
+    const duplicates = await findDuplicateBills(client, { vendor_id, bill_number, amount, invoice_date });
+
+    if (duplicates.length > 0) {
+      if (!override_duplicate) {
+        throw new AppError('This looks like a bill that has already been entered', 409, {
+          code: 'DUPLICATE_BILL',
+          duplicates,
+        });
+      }
+
+      if (!hasPermission(req.user, 'inward.override_duplicate')) {
+        throw new AppError('Overriding a duplicate bill warning requires the inward.override_duplicate permission', 403, {
+          code: 'DUPLICATE_BILL',
+          duplicates,
+        });
+      }
+
+      if (!override_reason) {
+        throw new AppError('override_reason is required to override a duplicate bill warning');
+      }
+    }
+
+    let created = await insertInwardBill(client, {
       vendor_id, bill_number, invoice_date, receiving_date,
-      amount, credit_days, due_date, checked_by, remarks, bill_scan_url, created_by
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-    RETURNING *`,
-    [vendor_id, bill_number, invoice_date, receiving_date,
-     amount, credit_days, dueDate.toISOString().split('T')[0], 
-     checked_by, remarks, bill_scan_url, req.user.id]
-  );
+      amount, credit_days, checked_by, remarks, bill_scan_url, gst,
+    }, req.user.id);
+
+    await recordAudit(client, req, {
+      entityType: 'inward_bill',
+      entityId: created.id,
+      action: 'create',
+      after: created,
+    });
+
+    if (duplicates.length > 0) {
+      const overridden = await client.query(
+        `UPDATE inward_bills
+         SET duplicate_of = $1, duplicate_override_by = $2, duplicate_override_at = NOW(),
+             duplicate_override_reason = $3
+         WHERE id = $4 RETURNING *`,
+        [JSON.stringify(duplicates.map(item => ({ id: item.id, bill_number: item.bill_number, match: item.match }))),
+         req.user.id, override_reason, created.id]
+      );
+
+      await recordAudit(client, req, {
+        entityType: 'inward_bill',
+        entityId: created.id,
+        action: 'duplicate_override',
+        before: created,
+        after: overridden.rows[0],
+      });
+
+      created = overridden.rows[0];
+    }
+
+    return created;
+  });
 
   // Get vendor name for response
   const vendorResult = await query('SELECT code, name FROM vendors WHERE id = $1', [vendor_id]);
@@ -240,15 +387,15 @@ router.post('/', authorize('godown', 'owner'), validationRules.createInwardBill,
   res.status(201).json({
     message: 'Inward bill created successfully',
     bill: {
-      ...result.rows[0],
+      ...bill,
       vendor_code: vendorResult.rows[0]?.code,
       vendor_name: vendorResult.rows[0]?.name,
     },
   });
 }));
 
-// PUT /api/inward/:id - Update inward bill (Owner only after creation)
-router.put('/:id', authorize('owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+// PUT /api/inward/:id - Update inward bill
+router.put('/:id', requirePermission('inward.edit'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const updates = req.body;
 
@@ -287,14 +434,23 @@ router.put('/:id', authorize('owner'), validationRules.uuidParam, asyncHandler(a
     }
   }
 
+  // Re-split GST when the amount or the GST figures change
+  const vendorResult = await query('SELECT gstin FROM vendors WHERE id = $1', [existing.rows[0].vendor_id]);
+  const gst = revisedBreakup(existing.rows[0], updates, vendorResult.rows[0].gstin);
+  if (gst) {
+    for (const field of BREAKUP_FIELDS) {
+      setClauses.push(`${field} = $${paramIndex}`);
+      values.push(gst[field]);
+      paramIndex++;
+    }
+  }
+
   // Recalculate due date if invoice_date or credit_days changed
   if (updates.invoice_date || updates.credit_days) {
     const invoiceDate = updates.invoice_date || existing.rows[0].invoice_date;
     const creditDays = updates.credit_days ?? existing.rows[0].credit_days;
-    const dueDate = new Date(invoiceDate);
-    dueDate.setDate(dueDate.getDate() + creditDays);
     setClauses.push(`due_date = $${paramIndex}`);
-    values.push(dueDate.toISOString().split('T')[0]);
+    values.push(calculateDueDate(invoiceDate, creditDays));
     paramIndex++;
   }
 
@@ -302,24 +458,52 @@ router.put('/:id', authorize('owner'), validationRules.uuidParam, asyncHandler(a
     return res.status(400).json({ error: 'No valid fields to update' });
   }
 
-  // Increment version for optimistic locking
-  setClauses.push(`version = version + 1`);
-  values.push(id);
+  const bill = await transaction(async (client) => {
+    const locked = await client.query('SELECT * FROM inward_bills WHERE id = $1 FOR UPDATE', [id]);
+
+    // A lower amount may not drop below what has been paid, adjusted or sent without a
+    // UTR yet (or that UTR could never be recorded), and may settle the bill
+    if (updates.amount !== undefined) {
+      const { bill: balance } = await getPayableBalance(client, id);
+      const settled = parseFloat(balance.paid_amount) + parseFloat(balance.adjusted_amount);
+      const committed = settled + parseFloat(balance.in_flight);
+      if (parseFloat(updates.amount) < committed - 0.005) {
+        throw new AppError(`Amount cannot be less than the ${committed.toFixed(2)} already paid, adjusted or in transfer`);
+      }
+      setClauses.push(`payment_status = $${paramIndex}`);
+      values.push(derivePaymentStatus(updates.amount, settled));
+      paramIndex++;
+    }
 
-  const result = await query(
-    `UPDATE inward_bills SET ${setClauses.join(', ')}, updated_at = NOW() 
-     WHERE id = $${paramIndex} RETURNING *`,
-    values
-  );
+    // Increment version for optimistic locking
+    setClauses.push(`version = version + 1`);
+    values.push(id);
+
+    const result = await client.query(
+      `UPDATE inward_bills SET ${setClauses.join(', ')}, updated_at = NOW() 
+       WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'inward_bill',
+      entityId: id,
+      action: 'update',
+      before: locked.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
 
   res.json({
     message: 'Bill updated successfully',
-    bill: result.rows[0],
+    bill,
   });
 }));
 
-// DELETE /api/inward/:id - Cancel inward bill (Owner only)
-router.delete('/:id', authorize('owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+// DELETE /api/inward/:id - Cancel inward bill
+router.delete('/:id', requirePermission('inward.delete'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { reason } = req.body;
 
@@ -337,18 +521,77 @@ router.delete('/:id', authorize('owner'), validationRules.uuidParam, asyncHandle
     return res.status(400).json({ error: 'Cannot cancel bill with payments' });
   }
 
-  const result = await query(
-    `UPDATE inward_bills 
-     SET status = 'cancelled', cancelled_at = NOW(), 
-         cancelled_by = $1, cancel_reason = $2
-     WHERE id = $3 RETURNING id, bill_number`,
-    [req.user.id, reason, id]
-  );
+  if (existing.rows[0].adjusted_amount > 0) {
+    return res.status(400).json({ error: 'Cannot cancel bill with debit/credit note adjustments' });
+  }
+
+  const bill = await transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE inward_bills 
+       SET status = 'cancelled', cancelled_at = NOW(), 
+           cancelled_by = $1, cancel_reason = $2
+       WHERE id = $3 RETURNING *`,
+      [req.user.id, reason, id]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'inward_bill',
+      entityId: id,
+      action: 'cancel',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
 
   res.json({
     message: 'Bill cancelled successfully',
-    bill: result.rows[0],
+    bill: { id: bill.id, bill_number: bill.bill_number },
+  });
+}));
+
+// GET /api/inward/:id/attachments - Documents attached to the bill
+router.get('/:id/attachments', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const attachments = await listAttachments(pool, 'inward', req.params.id);
+  res.json(attachments);
+}));
+
+// POST /api/inward/:id/attachments - Upload scans (PDF/JPG/PNG/WEBP) in the "files" field
+router.post('/:id/attachments', requirePermission('inward.attach'), validationRules.uuidParam, uploadAttachments, asyncHandler(async (req, res) => {
+  let attachments;
+  try {
+    attachments = await transaction(client => addAttachments(client, req, 'inward', req.params.id, req.files));
+  } catch (error) {
+    removeFiles(req.files);
+    throw error;
+  }
+
+  res.status(201).json({
+    message: `${attachments.length} document(s) attached`,
+    attachments,
   });
 }));
 
+// GET /api/inward/:id/attachments/:attachmentId - Stream a document (authenticated)
+router.get('/:id/attachments/:attachmentId', validationRules.attachmentParams, asyncHandler(async (req, res) => {
+  const attachment = await getAttachment(pool, 'inward', req.params.id, req.params.attachmentId);
+
+  if (!attachment) {
+    return res.status(404).json({ error: 'Attachment not found' });
+  }
+
+  sendAttachment(res, attachment);
+}));
+
+// DELETE /api/inward/:id/attachments/:attachmentId - Remove a document
+router.delete('/:id/attachments/:attachmentId', requirePermission('inward.delete_attachment'), validationRules.attachmentParams, asyncHandler(async (req, res) => {
+  const attachment = await transaction(client =>
+    deleteAttachment(client, req, 'inward', req.params.id, req.params.attachmentId));
+
+  removeFiles([{ path: attachmentPath(attachment.stored_name) }]);
+
+  res.json({ message: 'Attachment deleted' });
+}));
+
 module.exports = router;
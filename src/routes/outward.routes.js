@@ -1,9 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../config/database');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
-const { asyncHandler } = require('../middleware/error.middleware');
+const { pool, query, transaction } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
 const { validationRules, validators } = require('../middleware/validation.middleware');
+const { uploadAttachments } = require('../middleware/upload.middleware');
+const {
+  attachmentPath, removeFiles, listAttachments, addAttachments, getAttachment, deleteAttachment, sendAttachment,
+} = require('../services/attachment.service');
+const { recordAudit } = require('../services/audit.service');
+const { BREAKUP_FIELDS, gstBreakup, revisedBreakup } = require('../services/gst.service');
 
 router.use(authenticate);
 
@@ -67,8 +73,8 @@ router.get('/', ...validators.pagination(), asyncHandler(async (req, res) => {
 
   const billsResult = await query(
     `SELECT 
-      ob.id, ob.invoice_number, ob.invoice_date, ob.amount, ob.collected_amount,
-      (ob.amount - ob.collected_amount) as outstanding, ob.credit_days, ob.due_date,
+      ob.id, ob.invoice_number, ob.invoice_date, ob.amount, ob.collected_amount, ob.adjusted_amount,
+      (ob.amount - ob.collected_amount - ob.adjusted_amount) as outstanding, ob.credit_days, ob.due_date,
       ob.status, ob.delivery_status, ob.delivery_mode, ob.delivery_person,
       ob.courier_name, ob.tracking_number, ob.dispatched_by, ob.created_at,
       c.id as customer_id, c.code as customer_code, c.name as customer_name,
@@ -132,7 +138,7 @@ router.get('/summary', asyncHandler(async (req, res) => {
       (SELECT COUNT(*) FROM outward_bills WHERE delivery_status = 'in_transit') as in_transit,
       (SELECT COUNT(*) FROM outward_bills WHERE invoice_date >= DATE_TRUNC('week', CURRENT_DATE) AND status != 'cancelled') as week_count,
       (SELECT COUNT(*) FROM outward_bills WHERE invoice_date >= DATE_TRUNC('month', CURRENT_DATE) AND status != 'cancelled') as month_count,
-      (SELECT COALESCE(SUM(amount - collected_amount), 0) FROM outward_bills WHERE status != 'cancelled' AND status != 'paid') as total_outstanding
+      (SELECT COALESCE(SUM(amount - collected_amount - adjusted_amount), 0) FROM outward_bills WHERE status != 'cancelled' AND status != 'paid') as total_outstanding
   `);
 
   res.json(result.rows[0]);
@@ -142,20 +148,21 @@ router.get('/summary', asyncHandler(async (req, res) => {
 router.get('/receivables-ageing', asyncHandler(async (req, res) => {
   const result = await query(`
     SELECT 
-      COALESCE(SUM(CASE WHEN due_date >= CURRENT_DATE THEN amount - collected_amount ELSE 0 END), 0) as current_amount,
+      COALESCE(SUM(CASE WHEN due_date >= CURRENT_DATE THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as current_amount,
       (SELECT COUNT(*) FROM outward_bills WHERE due_date >= CURRENT_DATE AND status NOT IN ('cancelled', 'paid')) as current_count,
       COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE AND due_date >= CURRENT_DATE - 15 
-        THEN amount - collected_amount ELSE 0 END), 0) as days_15_amount,
+        THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as days_15_amount,
       (SELECT COUNT(*) FROM outward_bills WHERE due_date < CURRENT_DATE AND due_date >= CURRENT_DATE - 15 AND status NOT IN ('cancelled', 'paid')) as days_15_count,
       COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 15 AND due_date >= CURRENT_DATE - 21 
-        THEN amount - collected_amount ELSE 0 END), 0) as days_21_amount,
+        THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as days_21_amount,
       (SELECT COUNT(*) FROM outward_bills WHERE due_date < CURRENT_DATE - 15 AND due_date >= CURRENT_DATE - 21 AND status NOT IN ('cancelled', 'paid')) as days_21_count,
       COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 21 AND due_date >= CURRENT_DATE - 30 
-        THEN amount - collected_amount ELSE 0 END), 0) as days_30_amount,
+        THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as days_30_amount,
       (SELECT COUNT(*) FROM outward_bills WHERE due_date < CURRENT_DATE - 21 AND due_date >= CURRENT_DATE - 30 AND status NOT IN ('cancelled', 'paid')) as days_30_count,
       COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 30 
-        THEN amount - collected_amount ELSE 0 END), 0) as days_30_plus_amount,
-      (SELECT COUNT(*) FROM outward_bills WHERE due_date < CURRENT_DATE - 30 AND status NOT IN ('cancelled', 'paid')) as days_30_plus_count
+        THEN amount - collected_amount - adjusted_amount ELSE 0 END), 0) as days_30_plus_amount,
+      (SELECT COUNT(*) FROM outward_bills WHERE due_date < CURRENT_DATE - 30 AND status NOT IN ('cancelled', 'paid')) as days_30_plus_count,
+      (SELECT COALESCE(SUM(amount - allocated_amount), 0) FROM credit_notes WHERE status = 'active') as unallocated_credit
     FROM outward_bills WHERE status NOT IN ('cancelled', 'paid')
   `);
 
@@ -213,13 +220,23 @@ router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
     return res.status(404).json({ error: 'Bill not found' });
   }
 
-  res.json(result.rows[0]);
+  const attachments = await listAttachments(pool, 'outward', id);
+
+  const creditNotesResult = await query(
+    `SELECT id, credit_note_number, note_date, reason, amount, allocated_amount, status
+     FROM credit_notes
+     WHERE outward_bill_id = $1
+     ORDER BY note_date, created_at`,
+    [id]
+  );
+
+  res.json({ ...result.rows[0], attachments, credit_notes: creditNotesResult.rows });
 }));
 
 // POST /api/outward - Create dispatch (Godown)
-router.post('/', authorize('godown', 'owner'), validationRules.createOutwardBill, asyncHandler(async (req, res) => {
+router.post('/', requirePermission('outward.create'), validationRules.createOutwardBill, asyncHandler(async (req, res) => {
   const {
-    customer_id, invoice_number, invoice_date, amount, credit_days,
+    customer_id, invoice_number, invoice_date, amount, taxable_value, gst_amount, credit_days,
     dispatched_by, delivery_mode, delivery_person, courier_name,
     tracking_number, remarks
   } = req.body;
@@ -236,24 +253,46 @@ router.post('/', authorize('godown', 'owner'), validationRules.createOutwardBill
     deliveryStatus = 'dispatched';
   }
 
-  const result = await query(
-    `INSERT INTO outward_bills (
-      customer_id, invoice_number, invoice_date, amount, credit_days, due_date,
-      dispatched_by, delivery_mode, delivery_person, courier_name, tracking_number,
-      delivery_status, remarks, created_by
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-    RETURNING *`,
-    [customer_id, invoice_number, invoice_date, amount, credit_days,
-     dueDate.toISOString().split('T')[0], dispatched_by, delivery_mode,
-     delivery_person, courier_name, tracking_number, deliveryStatus, remarks, req.user.id]
-  );
+  const bill = await transaction(async (client) => {
+    const customerResult = await client.query('SELECT gstin FROM customers WHERE id = $1', [customer_id]);
+
+    if (customerResult.rows.length === 0) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    const gst = gstBreakup({ partyGstin: customerResult.rows[0].gstin, amount, taxable_value, gst_amount }) || {};
+
+    const result = await client.query(
+      `INSERT INTO outward_bills (
+        customer_id, invoice_number, invoice_date, amount, credit_days, due_date,
+        dispatched_by, delivery_mode, delivery_person, courier_name, tracking_number,
+        delivery_status, remarks, created_by,
+        taxable_value, cgst_amount, sgst_amount, igst_amount, supply_type, party_state_code
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+      RETURNING *`,
+      [customer_id, invoice_number, invoice_date, amount, credit_days,
+       dueDate.toISOString().split('T')[0], dispatched_by, delivery_mode,
+       delivery_person, courier_name, tracking_number, deliveryStatus, remarks, req.user.id,
+       gst.taxable_value ?? null, gst.cgst_amount || 0, gst.sgst_amount || 0, gst.igst_amount || 0,
+       gst.supply_type || null, gst.party_state_code || null]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'outward_bill',
+      entityId: result.rows[0].id,
+      action: 'create',
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
 
   const customerResult = await query('SELECT code, name FROM customers WHERE id = $1', [customer_id]);
 
   res.status(201).json({
     message: 'Dispatch created successfully',
     bill: {
-      ...result.rows[0],
+      ...bill,
       customer_code: customerResult.rows[0]?.code,
       customer_name: customerResult.rows[0]?.name,
     },
@@ -261,7 +300,7 @@ router.post('/', authorize('godown', 'owner'), validationRules.createOutwardBill
 }));
 
 // PATCH /api/outward/:id/delivery-status - Update delivery status
-router.patch('/:id/delivery-status', authorize('godown', 'owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+router.patch('/:id/delivery-status', requirePermission('outward.update_delivery'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { delivery_status, tracking_number, delivery_person, delivered_at } = req.body;
 
@@ -294,24 +333,42 @@ router.patch('/:id/delivery-status', authorize('godown', 'owner'), validationRul
 
   values.push(id);
 
-  const result = await query(
-    `UPDATE outward_bills SET ${updates.join(', ')}, updated_at = NOW()
-     WHERE id = $${paramIndex} RETURNING *`,
-    values
-  );
+  const bill = await transaction(async (client) => {
+    const existing = await client.query('SELECT * FROM outward_bills WHERE id = $1 FOR UPDATE', [id]);
 
-  if (result.rows.length === 0) {
+    if (existing.rows.length === 0) {
+      return null;
+    }
+
+    const result = await client.query(
+      `UPDATE outward_bills SET ${updates.join(', ')}, updated_at = NOW()
+       WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'outward_bill',
+      entityId: id,
+      action: 'delivery_status',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  if (!bill) {
     return res.status(404).json({ error: 'Bill not found' });
   }
 
   res.json({
     message: 'Delivery status updated',
-    bill: result.rows[0],
+    bill,
   });
 }));
 
-// PUT /api/outward/:id - Update outward bill (Owner only)
-router.put('/:id', authorize('owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+// PUT /api/outward/:id - Update outward bill
+router.put('/:id', requirePermission('outward.edit'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const updates = req.body;
 
@@ -333,27 +390,64 @@ router.put('/:id', authorize('owner'), validationRules.uuidParam, asyncHandler(a
     }
   }
 
-  if (setClauses.length === 0) {
+  if (setClauses.length === 0 && updates.taxable_value === undefined && updates.gst_amount === undefined) {
     return res.status(400).json({ error: 'No valid fields to update' });
   }
 
-  values.push(id);
+  const bill = await transaction(async (client) => {
+    const existing = await client.query('SELECT * FROM outward_bills WHERE id = $1 FOR UPDATE', [id]);
 
-  const result = await query(
-    `UPDATE outward_bills SET ${setClauses.join(', ')}, updated_at = NOW() 
-     WHERE id = $${paramIndex} AND status != 'cancelled' RETURNING *`,
-    values
-  );
+    if (existing.rows.length === 0) {
+      return null;
+    }
 
-  if (result.rows.length === 0) {
+    // Re-split GST when the amount or the GST figures change
+    const customerResult = await client.query('SELECT gstin FROM customers WHERE id = $1', [existing.rows[0].customer_id]);
+    const gst = revisedBreakup(existing.rows[0], updates, customerResult.rows[0].gstin);
+    if (gst) {
+      for (const field of BREAKUP_FIELDS) {
+        setClauses.push(`${field} = $${paramIndex}`);
+        values.push(gst[field]);
+        paramIndex++;
+      }
+    }
+
+    if (setClauses.length === 0) {
+      throw new AppError('No valid fields to update');
+    }
+
+    values.push(id);
+
+    const result = await client.query(
+      `UPDATE outward_bills SET ${setClauses.join(', ')}, updated_at = NOW() 
+       WHERE id = $${paramIndex} AND status != 'cancelled' RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await recordAudit(client, req, {
+      entityType: 'outward_bill',
+      entityId: id,
+      action: 'update',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  if (!bill) {
     return res.status(404).json({ error: 'Bill not found or cancelled' });
   }
 
-  res.json({ message: 'Bill updated', bill: result.rows[0] });
+  res.json({ message: 'Bill updated', bill });
 }));
 
-// DELETE /api/outward/:id - Cancel outward bill (Owner only)
-router.delete('/:id', authorize('owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+// DELETE /api/outward/:id - Cancel outward bill
+router.delete('/:id', requirePermission('outward.delete'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { reason } = req.body;
 
@@ -371,14 +465,73 @@ router.delete('/:id', authorize('owner'), validationRules.uuidParam, asyncHandle
     return res.status(400).json({ error: 'Cannot cancel bill with collections' });
   }
 
-  const result = await query(
-    `UPDATE outward_bills 
-     SET status = 'cancelled', updated_at = NOW()
-     WHERE id = $1 RETURNING id, invoice_number`,
-    [id]
-  );
+  if (existing.rows[0].adjusted_amount > 0) {
+    return res.status(400).json({ error: 'Cannot cancel bill with credit note adjustments' });
+  }
+
+  const bill = await transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE outward_bills 
+       SET status = 'cancelled', updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [id]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'outward_bill',
+      entityId: id,
+      action: 'cancel',
+      before: existing.rows[0],
+      after: { ...result.rows[0], cancel_reason: reason },
+    });
+
+    return result.rows[0];
+  });
+
+  res.json({ message: 'Bill cancelled', bill: { id: bill.id, invoice_number: bill.invoice_number } });
+}));
+
+// GET /api/outward/:id/attachments - Documents attached to the invoice
+router.get('/:id/attachments', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const attachments = await listAttachments(pool, 'outward', req.params.id);
+  res.json(attachments);
+}));
+
+// POST /api/outward/:id/attachments - Upload scans (PDF/JPG/PNG/WEBP) in the "files" field
+router.post('/:id/attachments', requirePermission('outward.attach'), validationRules.uuidParam, uploadAttachments, asyncHandler(async (req, res) => {
+  let attachments;
+  try {
+    attachments = await transaction(client => addAttachments(client, req, 'outward', req.params.id, req.files));
+  } catch (error) {
+    removeFiles(req.files);
+    throw error;
+  }
+
+  res.status(201).json({
+    message: `${attachments.length} document(s) attached`,
+    attachments,
+  });
+}));
+
+// GET /api/outward/:id/attachments/:attachmentId - Stream a document (authenticated)
+router.get('/:id/attachments/:attachmentId', validationRules.attachmentParams, asyncHandler(async (req, res) => {
+  const attachment = await getAttachment(pool, 'outward', req.params.id, req.params.attachmentId);
+
+  if (!attachment) {
+    return res.status(404).json({ error: 'Attachment not found' });
+  }
+
+  sendAttachment(res, attachment);
+}));
+
+// DELETE /api/outward/:id/attachments/:attachmentId - Remove a document
+router.delete('/:id/attachments/:attachmentId', requirePermission('outward.delete_attachment'), validationRules.attachmentParams, asyncHandler(async (req, res) => {
+  const attachment = await transaction(client =>
+    deleteAttachment(client, req, 'outward', req.params.id, req.params.attachmentId));
+
+  removeFiles([{ path: attachmentPath(attachment.stored_name) }]);
 
-  res.json({ message: 'Bill cancelled', bill: result.rows[0] });
+  res.json({ message: 'Attachment deleted' });
 }));
 
 module.exports = router;
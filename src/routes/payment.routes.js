@@ -1,9 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { query, transaction } = require('../config/database');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
-const { asyncHandler } = require('../middleware/error.middleware');
+const { authenticate, requirePermission, requireStepUp } = require('../middleware/auth.middleware');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
 const { validationRules } = require('../middleware/validation.middleware');
+const { recordAudit } = require('../services/audit.service');
+const { buildBankFile, getFormat, listFormats } = require('../services/bank-formats');
+const { applyUtrNumbers, reversePaymentDetails } = require('../services/payment.service');
+const { assertPayable } = require('../services/settlement.service');
+const { netProposalNotes } = require('../services/vendor-note.service');
+const { assertAdvancePayable } = require('../services/vendor-advance.service');
+const { computeTds } = require('../services/tds.service');
 
 router.use(authenticate);
 
@@ -66,8 +73,8 @@ router.get('/by-date/:date', asyncHandler(async (req, res) => {
     `SELECT 
       p.*, ba.bank_name,
       (SELECT COUNT(*) FROM payment_details WHERE payment_id = p.id) as vendor_count,
-      (SELECT COUNT(DISTINCT pd.id) FROM payment_details pd 
-       JOIN inward_bills ib ON pd.bill_id = ib.id WHERE pd.payment_id = p.id) as bill_count
+      (SELECT COUNT(DISTINCT pd.bill_id) FROM payment_details pd WHERE pd.payment_id = p.id) as bill_count,
+      (SELECT COUNT(DISTINCT pd.advance_id) FROM payment_details pd WHERE pd.payment_id = p.id) as advance_count
     FROM payments p
     LEFT JOIN bank_accounts ba ON p.bank_account_id = ba.id
     WHERE p.payment_date = $1
@@ -80,12 +87,13 @@ router.get('/by-date/:date', asyncHandler(async (req, res) => {
   for (const payment of paymentsResult.rows) {
     const detailsResult = await query(
       `SELECT 
-        pd.*, ib.bill_number, ib.invoice_date,
+        pd.*, ib.bill_number, ib.invoice_date, va.advance_number,
         v.code as vendor_code, v.name as vendor_name, v.account_number, v.ifsc_code,
         u.full_name as proposed_by
       FROM payment_details pd
-      JOIN inward_bills ib ON pd.bill_id = ib.id
-      JOIN vendors v ON ib.vendor_id = v.id
+      LEFT JOIN inward_bills ib ON pd.bill_id = ib.id
+      LEFT JOIN vendor_advances va ON pd.advance_id = va.id
+      JOIN vendors v ON v.id = COALESCE(ib.vendor_id, va.vendor_id)
       LEFT JOIN proposal_items pi ON pd.proposal_item_id = pi.id
       LEFT JOIN proposals pr ON pi.proposal_id = pr.id
       LEFT JOIN users u ON pr.created_by = u.id
@@ -101,11 +109,13 @@ router.get('/by-date/:date', asyncHandler(async (req, res) => {
     `SELECT 
       COUNT(DISTINCT p.id) as payment_count,
       COALESCE(SUM(p.total_amount), 0) as total_amount,
-      COUNT(DISTINCT ib.vendor_id) as vendor_count,
-      COUNT(DISTINCT pd.bill_id) as bill_count
+      COUNT(DISTINCT COALESCE(ib.vendor_id, va.vendor_id)) as vendor_count,
+      COUNT(DISTINCT pd.bill_id) as bill_count,
+      COUNT(DISTINCT pd.advance_id) as advance_count
     FROM payments p
     JOIN payment_details pd ON p.id = pd.payment_id
-    JOIN inward_bills ib ON pd.bill_id = ib.id
+    LEFT JOIN inward_bills ib ON pd.bill_id = ib.id
+    LEFT JOIN vendor_advances va ON pd.advance_id = va.id
     WHERE p.payment_date = $1`,
     [date]
   );
@@ -118,11 +128,11 @@ router.get('/by-date/:date', asyncHandler(async (req, res) => {
 }));
 
 // GET /api/payments/pending-utr - Payments pending UTR entry
-router.get('/pending-utr', authorize('accounts', 'owner'), asyncHandler(async (req, res) => {
+router.get('/pending-utr', requirePermission('payment.utr'), asyncHandler(async (req, res) => {
   const result = await query(
     `SELECT 
       p.*, ba.bank_name, ba.account_number as company_account,
-      (SELECT COUNT(*) FROM payment_details WHERE payment_id = p.id AND (utr_number IS NULL OR utr_number = '')) as pending_count,
+      (SELECT COUNT(*) FROM payment_details WHERE payment_id = p.id AND (utr_number IS NULL OR utr_number = '') AND reversed_at IS NULL) as pending_count,
       (SELECT COUNT(*) FROM payment_details WHERE payment_id = p.id AND utr_number IS NOT NULL AND utr_number != '') as completed_count
     FROM payments p
     LEFT JOIN bank_accounts ba ON p.bank_account_id = ba.id
@@ -133,6 +143,11 @@ router.get('/pending-utr', authorize('accounts', 'owner'), asyncHandler(async (r
   res.json(result.rows);
 }));
 
+// GET /api/payments/bank-formats - Supported bank upload formats
+router.get('/bank-formats', requirePermission('payment.export'), (req, res) => {
+  res.json(listFormats());
+});
+
 // GET /api/payments/:id - Get payment with details
 router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -151,32 +166,59 @@ router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
 
   const detailsResult = await query(
     `SELECT 
-      pd.*, ib.bill_number, ib.invoice_date, ib.amount as bill_amount,
+      pd.*, ib.bill_number, ib.invoice_date, ib.amount as bill_amount, va.advance_number,
       v.code as vendor_code, v.name as vendor_name,
       v.account_number as vendor_account, v.ifsc_code as vendor_ifsc, v.bank_name as vendor_bank
     FROM payment_details pd
-    JOIN inward_bills ib ON pd.bill_id = ib.id
-    JOIN vendors v ON ib.vendor_id = v.id
+    LEFT JOIN inward_bills ib ON pd.bill_id = ib.id
+    LEFT JOIN vendor_advances va ON pd.advance_id = va.id
+    JOIN vendors v ON v.id = COALESCE(ib.vendor_id, va.vendor_id)
     WHERE pd.payment_id = $1
     ORDER BY v.name`,
     [id]
   );
 
+  const reversalsResult = await query(
+    `SELECT pr.*, ib.bill_number, va.advance_number, u.full_name as reversed_by_name
+     FROM payment_reversals pr
+     LEFT JOIN inward_bills ib ON pr.bill_id = ib.id
+     LEFT JOIN vendor_advances va ON pr.advance_id = va.id
+     LEFT JOIN users u ON pr.reversed_by = u.id
+     WHERE pr.payment_id = $1
+     ORDER BY pr.created_at`,
+    [id]
+  );
+
   res.json({
     payment: paymentResult.rows[0],
     details: detailsResult.rows,
+    reversals: reversalsResult.rows,
   });
 }));
 
 // POST /api/payments/create-from-proposal - Create payment batch from approved proposal
-router.post('/create-from-proposal', authorize('accounts', 'owner'), asyncHandler(async (req, res) => {
-  const { proposal_id, bank_account_id } = req.body;
+// (needs a recent step-up)
+router.post('/create-from-proposal', requirePermission('payment.create'), requireStepUp, asyncHandler(async (req, res) => {
+  const { proposal_id } = req.body;
 
-  if (!proposal_id || !bank_account_id) {
-    return res.status(400).json({ error: 'proposal_id and bank_account_id are required' });
+  if (!proposal_id) {
+    return res.status(400).json({ error: 'proposal_id is required' });
   }
 
   const result = await transaction(async (client) => {
+    // Pay from the chosen account, or the default company account when none is given
+    const bankResult = req.body.bank_account_id
+      ? await client.query('SELECT id FROM bank_accounts WHERE id = $1 AND is_active = true', [req.body.bank_account_id])
+      : await client.query('SELECT id FROM bank_accounts WHERE is_default = true AND is_active = true');
+
+    if (bankResult.rows.length === 0) {
+      throw new AppError(req.body.bank_account_id
+        ? 'Bank account not found or inactive'
+        : 'bank_account_id is required when no default bank account is set');
+    }
+
+    const bank_account_id = bankResult.rows[0].id;
+
     // Verify proposal is approved
     const proposalResult = await client.query(
       `SELECT * FROM proposals WHERE id = $1 AND status IN ('approved', 'partial_approved')`,
@@ -189,9 +231,10 @@ router.post('/create-from-proposal', authorize('accounts', 'owner'), asyncHandle
 
     // Get approved items
     const itemsResult = await client.query(
-      `SELECT pi.*, ib.vendor_id 
+      `SELECT pi.*, COALESCE(ib.vendor_id, va.vendor_id) as vendor_id, ib.due_date
        FROM proposal_items pi
-       JOIN inward_bills ib ON pi.bill_id = ib.id
+       LEFT JOIN inward_bills ib ON pi.bill_id = ib.id
+       LEFT JOIN vendor_advances va ON pi.advance_id = va.id
        WHERE pi.proposal_id = $1 AND pi.owner_status = 'approved'`,
       [proposal_id]
     );
@@ -200,36 +243,84 @@ router.post('/create-from-proposal', authorize('accounts', 'owner'), asyncHandle
       throw new Error('No approved items found');
     }
 
+    // Debit/credit notes in the proposal come off the approved amounts first
+    const deductions = await netProposalNotes(client, req, proposal_id, itemsResult.rows);
+    const payable = itemsResult.rows.map(item => ({
+      ...item,
+      net_amount: Math.round((parseFloat(item.owner_amount) - (deductions.get(item.id) || 0)) * 100) / 100,
+    }));
+
     // Generate payment number
     const numberResult = await client.query('SELECT generate_payment_number() as payment_number');
     const paymentNumber = numberResult.rows[0].payment_number;
 
-    // Calculate total
-    const totalAmount = itemsResult.rows.reduce((sum, item) => sum + parseFloat(item.owner_amount), 0);
-
-    // Create payment
+    // Create payment; the total is filled in once TDS is known for each detail
     const paymentResult = await client.query(
       `INSERT INTO payments (payment_number, proposal_id, payment_date, total_amount, bank_account_id, created_by)
-       VALUES ($1, $2, CURRENT_DATE, $3, $4, $5) RETURNING *`,
-      [paymentNumber, proposal_id, totalAmount, bank_account_id, req.user.id]
+       VALUES ($1, $2, CURRENT_DATE, 0, $3, $4) RETURNING *`,
+      [paymentNumber, proposal_id, bank_account_id, req.user.id]
     );
-    const payment = paymentResult.rows[0];
-
-    // Create payment details
-    for (const item of itemsResult.rows) {
-      await client.query(
-        `INSERT INTO payment_details (payment_id, bill_id, proposal_item_id, amount)
-         VALUES ($1, $2, $3, $4)`,
-        [payment.id, item.bill_id, item.id, item.owner_amount]
+
+    // Create payment details; an item fully covered by notes needs no transfer.
+    // The detail amount is gross (it settles the bill or advance), net_amount is transferred.
+    const details = [];
+    for (const item of payable) {
+      if (item.net_amount <= 0) {
+        await client.query(`UPDATE proposal_items SET status = 'paid' WHERE id = $1`, [item.id]);
+        continue;
+      }
+
+      if (item.advance_id) {
+        await assertAdvancePayable(client, item.advance_id, item.net_amount);
+      } else {
+        await assertPayable(client, item.bill_id, item.net_amount);
+      }
+
+      const tds = await computeTds(client, item.vendor_id, paymentResult.rows[0].id, item.net_amount);
+
+      const detailResult = await client.query(
+        `INSERT INTO payment_details (
+          payment_id, bill_id, advance_id, proposal_item_id, amount,
+          tds_section, tds_rate, tds_base, tds_amount, net_amount
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+        [paymentResult.rows[0].id, item.bill_id, item.advance_id, item.id, item.net_amount,
+         tds.tds_section, tds.tds_rate, tds.tds_base, tds.tds_amount,
+         Math.round((item.net_amount - tds.tds_amount) * 100) / 100]
       );
+      details.push(detailResult.rows[0]);
     }
 
+    // Calculate totals: what leaves the bank, and the TDS held back from it
+    const totalAmount = details.reduce((sum, detail) => sum + parseFloat(detail.net_amount), 0);
+    const tdsAmount = details.reduce((sum, detail) => sum + parseFloat(detail.tds_amount), 0);
+
+    const totalsResult = await client.query(
+      'UPDATE payments SET total_amount = $1, tds_amount = $2 WHERE id = $3 RETURNING *',
+      [Math.round(totalAmount * 100) / 100, Math.round(tdsAmount * 100) / 100, paymentResult.rows[0].id]
+    );
+    const payment = totalsResult.rows[0];
+
     // Update proposal status
-    await client.query(
-      `UPDATE proposals SET status = 'completed', updated_at = NOW() WHERE id = $1`,
+    const proposalAfter = await client.query(
+      `UPDATE proposals SET status = 'completed', updated_at = NOW() WHERE id = $1 RETURNING *`,
       [proposal_id]
     );
 
+    await recordAudit(client, req, {
+      entityType: 'payment',
+      entityId: payment.id,
+      action: 'create',
+      after: { ...payment, details },
+    });
+
+    await recordAudit(client, req, {
+      entityType: 'proposal',
+      entityId: proposal_id,
+      action: 'complete',
+      before: proposalResult.rows[0],
+      after: proposalAfter.rows[0],
+    });
+
     return payment;
   });
 
@@ -240,7 +331,7 @@ router.post('/create-from-proposal', authorize('accounts', 'owner'), asyncHandle
 }));
 
 // POST /api/payments/:id/update-utr - Update UTR numbers
-router.post('/:id/update-utr', authorize('accounts', 'owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+router.post('/:id/update-utr', requirePermission('payment.utr'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { details } = req.body; // [{detail_id, utr_number}]
 
@@ -249,58 +340,34 @@ router.post('/:id/update-utr', authorize('accounts', 'owner'), validationRules.u
   }
 
   await transaction(async (client) => {
-    for (const detail of details) {
-      await client.query(
-        `UPDATE payment_details 
-         SET utr_number = $1, status = 'confirmed', updated_at = NOW()
-         WHERE id = $2 AND payment_id = $3`,
-        [detail.utr_number, detail.detail_id, id]
-      );
+    await applyUtrNumbers(client, req, id, details);
+  });
 
-      // Update bill paid amount
-      const detailResult = await client.query(
-        `SELECT bill_id, amount FROM payment_details WHERE id = $1`,
-        [detail.detail_id]
-      );
+  res.json({ message: 'UTR numbers updated' });
+}));
 
-      if (detailResult.rows.length > 0 && detail.utr_number) {
-        await client.query(
-          `UPDATE inward_bills SET paid_amount = paid_amount + $1 WHERE id = $2`,
-          [detailResult.rows[0].amount, detailResult.rows[0].bill_id]
-        );
-
-        // Update proposal item status
-        await client.query(
-          `UPDATE proposal_items SET status = 'paid' 
-           WHERE id = (SELECT proposal_item_id FROM payment_details WHERE id = $1)`,
-          [detail.detail_id]
-        );
-      }
-    }
+// POST /api/payments/:id/reverse - Reverse bounced or wrongly applied payment details.
+// Omitting detail_ids reverses every detail that is not already reversed.
+router.post('/:id/reverse', requirePermission('payment.reverse'), validationRules.reversePayment, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { detail_ids, reason, reversal_type } = req.body;
 
-    // Check if all UTRs are entered
-    const pendingResult = await client.query(
-      `SELECT COUNT(*) FROM payment_details 
-       WHERE payment_id = $1 AND (utr_number IS NULL OR utr_number = '')`,
-      [id]
-    );
+  const result = await transaction(async (client) =>
+    reversePaymentDetails(client, req, id, detail_ids, reason, reversal_type));
 
-    const newStatus = parseInt(pendingResult.rows[0].count) === 0 ? 'confirmed' : 'processed';
-    await client.query(
-      `UPDATE payments SET status = $1, updated_at = NOW() WHERE id = $2`,
-      [newStatus, id]
-    );
+  res.json({
+    message: `${result.reversals.length} payment detail(s) reversed`,
+    ...result,
   });
-
-  res.json({ message: 'UTR numbers updated' });
 }));
 
-// GET /api/payments/export-bank-file/:id - Export bank payment file
-router.get('/export-bank-file/:id', authorize('accounts', 'owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+// GET /api/payments/export-bank-file/:id - Generate bank bulk-upload file
+router.get('/export-bank-file/:id', requirePermission('payment.export'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const paymentResult = await query(
-    `SELECT p.*, ba.bank_type
+    `SELECT p.*, ba.bank_type, ba.bank_name, ba.account_number as debit_account_number,
+            ba.ifsc_code as debit_ifsc_code
      FROM payments p
      LEFT JOIN bank_accounts ba ON p.bank_account_id = ba.id
      WHERE p.id = $1`,
@@ -311,24 +378,66 @@ router.get('/export-bank-file/:id', authorize('accounts', 'owner'), validationRu
     return res.status(404).json({ error: 'Payment not found' });
   }
 
+  const payment = paymentResult.rows[0];
+  const formatKey = req.query.format || payment.bank_type || 'generic';
+
+  if (!getFormat(formatKey)) {
+    return res.status(400).json({ error: `Unsupported bank format: ${formatKey}`, formats: listFormats() });
+  }
+
+  if (!payment.debit_account_number) {
+    return res.status(400).json({ error: 'Payment has no company bank account to debit' });
+  }
+
   const detailsResult = await query(
     `SELECT 
-      pd.amount, v.name as beneficiary_name, v.account_number, v.ifsc_code,
-      ib.bill_number
+      pd.net_amount as amount, v.id as vendor_id, v.code as vendor_code, v.name as beneficiary_name,
+      v.account_number, v.ifsc_code, v.bank_name, v.email, v.mobile,
+      COALESCE(ib.bill_number, va.advance_number) as bill_number
     FROM payment_details pd
-    JOIN inward_bills ib ON pd.bill_id = ib.id
-    JOIN vendors v ON ib.vendor_id = v.id
-    WHERE pd.payment_id = $1
-    ORDER BY v.name`,
+    LEFT JOIN inward_bills ib ON pd.bill_id = ib.id
+    LEFT JOIN vendor_advances va ON pd.advance_id = va.id
+    JOIN vendors v ON v.id = COALESCE(ib.vendor_id, va.vendor_id)
+    WHERE pd.payment_id = $1 AND pd.reversed_at IS NULL
+    ORDER BY v.name, bill_number`,
     [id]
   );
 
-  // Return data for Excel generation (frontend will generate the file)
-  res.json({
-    payment: paymentResult.rows[0],
+  // Every beneficiary needs bank details before the bank will accept the file
+  const missing = detailsResult.rows
+    .filter(detail => !detail.account_number || !detail.ifsc_code)
+    .map(detail => detail.vendor_code);
+
+  if (missing.length > 0) {
+    return res.status(400).json({
+      error: 'Vendor bank details missing',
+      vendors: [...new Set(missing)],
+    });
+  }
+
+  const file = buildBankFile(formatKey, {
+    payment,
+    debitAccount: {
+      account_number: payment.debit_account_number,
+      ifsc_code: payment.debit_ifsc_code,
+      bank_name: payment.bank_name,
+    },
     details: detailsResult.rows,
-    bankFormat: paymentResult.rows[0].bank_type || 'icici',
   });
+
+  // Preview returns the aggregated transfers instead of the file
+  if (req.query.preview === 'true') {
+    return res.json({
+      payment,
+      format: formatKey,
+      filename: file.filename,
+      beneficiaries: file.beneficiaries,
+    });
+  }
+
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.send(file.buffer);
 }));
 
 // GET /api/payments/summary - Payment summary stats
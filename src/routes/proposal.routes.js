@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { query, transaction } = require('../config/database');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
-const { asyncHandler } = require('../middleware/error.middleware');
+const { authenticate, requirePermission, requireStepUp } = require('../middleware/auth.middleware');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
 const { validationRules, validators } = require('../middleware/validation.middleware');
+const { recordAudit } = require('../services/audit.service');
+const { hasPermission } = require('../services/permission.service');
+const { assertPayable } = require('../services/settlement.service');
+const { IN_OPEN_PROPOSAL_SQL, assertAdvancePayable } = require('../services/vendor-advance.service');
+const { getNoteAvailable } = require('../services/vendor-note.service');
 
 router.use(authenticate);
 
@@ -109,8 +114,8 @@ router.get('/available-bills', asyncHandler(async (req, res) => {
 
   const result = await query(
     `SELECT 
-      ib.id, ib.bill_number, ib.invoice_date, ib.amount, ib.paid_amount,
-      (ib.amount - ib.paid_amount) as outstanding, ib.due_date, ib.credit_days,
+      ib.id, ib.bill_number, ib.invoice_date, ib.amount, ib.paid_amount, ib.adjusted_amount,
+      (ib.amount - ib.paid_amount - ib.adjusted_amount) as outstanding, ib.due_date, ib.credit_days,
       v.id as vendor_id, v.code as vendor_code, v.name as vendor_name,
       u.full_name as entered_by,
       CASE 
@@ -130,11 +135,11 @@ router.get('/available-bills', asyncHandler(async (req, res) => {
   const summary = await query(`
     SELECT 
       COUNT(CASE WHEN due_date < CURRENT_DATE THEN 1 END) as overdue_count,
-      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE THEN amount - paid_amount END), 0) as overdue_amount,
+      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE THEN amount - paid_amount - adjusted_amount END), 0) as overdue_amount,
       COUNT(CASE WHEN due_date = CURRENT_DATE THEN 1 END) as due_today_count,
-      COALESCE(SUM(CASE WHEN due_date = CURRENT_DATE THEN amount - paid_amount END), 0) as due_today_amount,
+      COALESCE(SUM(CASE WHEN due_date = CURRENT_DATE THEN amount - paid_amount - adjusted_amount END), 0) as due_today_amount,
       COUNT(CASE WHEN due_date BETWEEN CURRENT_DATE + 1 AND CURRENT_DATE + 7 THEN 1 END) as due_week_count,
-      COALESCE(SUM(CASE WHEN due_date BETWEEN CURRENT_DATE + 1 AND CURRENT_DATE + 7 THEN amount - paid_amount END), 0) as due_week_amount
+      COALESCE(SUM(CASE WHEN due_date BETWEEN CURRENT_DATE + 1 AND CURRENT_DATE + 7 THEN amount - paid_amount - adjusted_amount END), 0) as due_week_amount
     FROM inward_bills
     WHERE status = 'active' AND payment_status != 'paid'
   `);
@@ -164,15 +169,17 @@ router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
   const itemsResult = await query(
     `SELECT 
       pi.*, ib.bill_number, ib.invoice_date, ib.amount as bill_amount,
-      ib.paid_amount, ib.due_date,
+      ib.paid_amount, ib.adjusted_amount, ib.due_date,
+      va.advance_number, va.amount as advance_amount, va.purpose as advance_purpose,
       v.code as vendor_code, v.name as vendor_name,
       u_entry.full_name as entered_by,
       u_accts.full_name as accounts_by,
       u_owner.full_name as owner_by
     FROM proposal_items pi
-    JOIN inward_bills ib ON pi.bill_id = ib.id
-    JOIN vendors v ON ib.vendor_id = v.id
-    LEFT JOIN users u_entry ON ib.created_by = u_entry.id
+    LEFT JOIN inward_bills ib ON pi.bill_id = ib.id
+    LEFT JOIN vendor_advances va ON pi.advance_id = va.id
+    JOIN vendors v ON v.id = COALESCE(ib.vendor_id, va.vendor_id)
+    LEFT JOIN users u_entry ON COALESCE(ib.created_by, va.created_by) = u_entry.id
     LEFT JOIN users u_accts ON pi.accounts_by = u_accts.id
     LEFT JOIN users u_owner ON pi.owner_by = u_owner.id
     WHERE pi.proposal_id = $1
@@ -183,12 +190,69 @@ router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
   res.json({
     proposal: proposalResult.rows[0],
     items: itemsResult.rows,
+    notes: await getProposalNotes(id),
   });
 }));
 
+// Attach notes to a new proposal; each must be active, belong to a vendor with a bill
+// in the proposal and fit within what other open proposals have not already earmarked
+const addProposalNotes = async (client, proposalId, items, notes) => {
+  if (notes.length === 0) return [];
+
+  const vendorsResult = await client.query(
+    'SELECT DISTINCT vendor_id FROM inward_bills WHERE id = ANY($1::uuid[])',
+    [items.map(item => item.bill_id)]
+  );
+  const vendorIds = new Set(vendorsResult.rows.map(row => row.vendor_id));
+
+  const created = [];
+  for (const item of notes) {
+    const { note, available } = await getNoteAvailable(client, item.note_id);
+
+    if (note.status !== 'active') {
+      throw new AppError(`Note ${note.note_number} is cancelled`);
+    }
+
+    if (!vendorIds.has(note.vendor_id)) {
+      throw new AppError(`Note ${note.note_number} has no bill of its vendor in this proposal`);
+    }
+
+    if (parseFloat(item.amount) > available) {
+      throw new AppError(`Note ${note.note_number} has only ${available} available to net off`);
+    }
+
+    const result = await client.query(
+      `INSERT INTO proposal_notes (proposal_id, note_id, amount)
+       VALUES ($1, $2, $3) RETURNING *`,
+      [proposalId, item.note_id, item.amount]
+    );
+    created.push(result.rows[0]);
+  }
+
+  return created;
+};
+
+// Debit/credit notes a proposal nets off against its vendors' bills
+const getProposalNotes = async (proposalId) => {
+  const result = await query(
+    `SELECT
+      pn.id, pn.amount, vn.id as note_id, vn.note_number, vn.note_type, vn.note_date,
+      vn.reference_number, vn.reason, vn.amount as note_amount, vn.status as note_status,
+      v.id as vendor_id, v.code as vendor_code, v.name as vendor_name
+    FROM proposal_notes pn
+    JOIN vendor_notes vn ON pn.note_id = vn.id
+    JOIN vendors v ON vn.vendor_id = v.id
+    WHERE pn.proposal_id = $1
+    ORDER BY v.name, vn.note_date`,
+    [proposalId]
+  );
+
+  return result.rows;
+};
+
 // POST /api/proposals - Create proposal (Purchase)
-router.post('/', authorize('purchase', 'owner'), validationRules.createProposal, asyncHandler(async (req, res) => {
-  const { payment_date, remarks, items } = req.body;
+router.post('/', requirePermission('proposal.create'), validationRules.createProposal, asyncHandler(async (req, res) => {
+  const { payment_date, remarks, items = [], notes = [], advances = [] } = req.body;
 
   const result = await transaction(async (client) => {
     // Generate proposal number
@@ -196,7 +260,7 @@ router.post('/', authorize('purchase', 'owner'), validationRules.createProposal,
     const proposalNumber = numberResult.rows[0].proposal_number;
 
     // Calculate total
-    const totalAmount = items.reduce((sum, item) => sum + parseFloat(item.proposed_amount), 0);
+    const totalAmount = [...items, ...advances].reduce((sum, item) => sum + parseFloat(item.proposed_amount), 0);
 
     // Create proposal
     const proposalResult = await client.query(
@@ -207,14 +271,49 @@ router.post('/', authorize('purchase', 'owner'), validationRules.createProposal,
     const proposal = proposalResult.rows[0];
 
     // Create proposal items
+    const createdItems = [];
     for (const item of items) {
-      await client.query(
+      await assertPayable(client, item.bill_id, item.proposed_amount);
+
+      const itemResult = await client.query(
         `INSERT INTO proposal_items (proposal_id, bill_id, proposed_amount, urgency_remarks)
-         VALUES ($1, $2, $3, $4)`,
+         VALUES ($1, $2, $3, $4) RETURNING *`,
         [proposal.id, item.bill_id, item.proposed_amount, item.remarks || null]
       );
+      createdItems.push(itemResult.rows[0]);
+    }
+
+    // Advances travel through the same approval steps as bills
+    for (const item of advances) {
+      const inProposal = await client.query(
+        `SELECT ${IN_OPEN_PROPOSAL_SQL('$1::uuid')} as in_proposal`,
+        [item.advance_id]
+      );
+
+      if (inProposal.rows[0].in_proposal) {
+        throw new AppError('Advance is already in an open proposal');
+      }
+
+      await assertAdvancePayable(client, item.advance_id, item.proposed_amount);
+
+      const itemResult = await client.query(
+        `INSERT INTO proposal_items (proposal_id, advance_id, proposed_amount, urgency_remarks)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+        [proposal.id, item.advance_id, item.proposed_amount, item.remarks || null]
+      );
+      createdItems.push(itemResult.rows[0]);
     }
 
+    // Debit/credit notes to net off against the same vendors' bills at payment time
+    const createdNotes = await addProposalNotes(client, proposal.id, items, notes);
+
+    await recordAudit(client, req, {
+      entityType: 'proposal',
+      entityId: proposal.id,
+      action: 'create',
+      after: { ...proposal, items: createdItems, notes: createdNotes },
+    });
+
     return proposal;
   });
 
@@ -225,26 +324,44 @@ router.post('/', authorize('purchase', 'owner'), validationRules.createProposal,
 }));
 
 // POST /api/proposals/:id/submit - Submit proposal for review
-router.post('/:id/submit', authorize('purchase', 'owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+router.post('/:id/submit', requirePermission('proposal.create'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const result = await query(
-    `UPDATE proposals 
-     SET status = 'submitted', submitted_at = NOW(), updated_at = NOW()
-     WHERE id = $1 AND status = 'draft' AND created_by = $2
-     RETURNING *`,
-    [id, req.user.id]
-  );
+  const proposal = await transaction(async (client) => {
+    const existing = await client.query('SELECT * FROM proposals WHERE id = $1 FOR UPDATE', [id]);
+
+    const result = await client.query(
+      `UPDATE proposals 
+       SET status = 'submitted', submitted_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'draft' AND created_by = $2
+       RETURNING *`,
+      [id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await recordAudit(client, req, {
+      entityType: 'proposal',
+      entityId: id,
+      action: 'submit',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
 
-  if (result.rows.length === 0) {
+  if (!proposal) {
     return res.status(400).json({ error: 'Cannot submit this proposal' });
   }
 
-  res.json({ message: 'Proposal submitted', proposal: result.rows[0] });
+  res.json({ message: 'Proposal submitted', proposal });
 }));
 
 // POST /api/proposals/:id/accounts-action - Accounts validation
-router.post('/:id/accounts-action', authorize('accounts', 'owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+router.post('/:id/accounts-action', requirePermission('proposal.validate'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { items } = req.body; // [{item_id, action, amount, reason}]
 
@@ -263,27 +380,51 @@ router.post('/:id/accounts-action', authorize('accounts', 'owner'), validationRu
       const accountsStatus = action === 'approve' ? 'approved' : action === 'hold' ? 'held' : 'pending';
       const itemStatus = action === 'approve' ? 'accounts_approved' : action === 'hold' ? 'accounts_held' : 'proposed';
 
-      await client.query(
+      const before = await client.query(
+        'SELECT * FROM proposal_items WHERE id = $1 AND proposal_id = $2 FOR UPDATE',
+        [item_id, id]
+      );
+
+      const after = await client.query(
         `UPDATE proposal_items 
          SET accounts_status = $1, accounts_amount = $2, accounts_reason = $3,
              accounts_at = NOW(), accounts_by = $4, status = $5
-         WHERE id = $6`,
+         WHERE id = $6 RETURNING *`,
         [accountsStatus, amount, reason, req.user.id, itemStatus, item_id]
       );
+
+      if (after.rows.length > 0) {
+        await recordAudit(client, req, {
+          entityType: 'proposal_item',
+          entityId: item_id,
+          action: `accounts_${action}`,
+          before: before.rows[0],
+          after: after.rows[0],
+        });
+      }
     }
 
     // Update proposal status
-    await client.query(
-      `UPDATE proposals SET status = 'under_review', updated_at = NOW() WHERE id = $1`,
+    const before = await client.query('SELECT * FROM proposals WHERE id = $1 FOR UPDATE', [id]);
+    const after = await client.query(
+      `UPDATE proposals SET status = 'under_review', updated_at = NOW() WHERE id = $1 RETURNING *`,
       [id]
     );
+
+    await recordAudit(client, req, {
+      entityType: 'proposal',
+      entityId: id,
+      action: 'accounts_review',
+      before: before.rows[0],
+      after: after.rows[0],
+    });
   });
 
   res.json({ message: 'Accounts validation updated' });
 }));
 
-// POST /api/proposals/:id/owner-action - Owner approval
-router.post('/:id/owner-action', authorize('owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+// POST /api/proposals/:id/owner-action - Owner approval (needs a recent step-up)
+router.post('/:id/owner-action', requirePermission('proposal.approve'), validationRules.uuidParam, requireStepUp, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { items } = req.body; // [{item_id, action, amount, reason}]
 
@@ -309,6 +450,19 @@ router.post('/:id/owner-action', authorize('owner'), validationRules.uuidParam,
       if (action === 'approve') hasApproved = true;
       if (action === 'defer') hasDeferred = true;
 
+      const before = await client.query(
+        'SELECT * FROM proposal_items WHERE id = $1 AND proposal_id = $2 FOR UPDATE',
+        [item_id, id]
+      );
+
+      if (action === 'approve' && amount != null && before.rows.length > 0) {
+        if (before.rows[0].advance_id) {
+          await assertAdvancePayable(client, before.rows[0].advance_id, amount);
+        } else {
+          await assertPayable(client, before.rows[0].bill_id, amount);
+        }
+      }
+
       await client.query(
         `UPDATE proposal_items 
          SET owner_status = $1, owner_amount = $2, owner_reason = $3,
@@ -324,23 +478,44 @@ router.post('/:id/owner-action', authorize('owner'), validationRules.uuidParam,
           [item_id]
         );
       }
+
+      const after = await client.query('SELECT * FROM proposal_items WHERE id = $1', [item_id]);
+
+      if (after.rows.length > 0) {
+        await recordAudit(client, req, {
+          entityType: 'proposal_item',
+          entityId: item_id,
+          action: `owner_${action}`,
+          before: before.rows[0],
+          after: after.rows[0],
+        });
+      }
     }
 
     // Update proposal status
     const newStatus = hasApproved && !hasDeferred ? 'approved' : 
                      hasApproved && hasDeferred ? 'partial_approved' : 'rejected';
     
-    await client.query(
-      `UPDATE proposals SET status = $1, updated_at = NOW() WHERE id = $2`,
+    const before = await client.query('SELECT * FROM proposals WHERE id = $1 FOR UPDATE', [id]);
+    const after = await client.query(
+      `UPDATE proposals SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
       [newStatus, id]
     );
+
+    await recordAudit(client, req, {
+      entityType: 'proposal',
+      entityId: id,
+      action: 'owner_approval',
+      before: before.rows[0],
+      after: after.rows[0],
+    });
   });
 
   res.json({ message: 'Owner approval processed' });
 }));
 
 // GET /api/proposals/:id/for-accounts - Get proposal for accounts validation
-router.get('/:id/for-accounts', authorize('accounts', 'owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+router.get('/:id/for-accounts', requirePermission('proposal.validate'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const proposalResult = await query(
@@ -359,27 +534,30 @@ router.get('/:id/for-accounts', authorize('accounts', 'owner'), validationRules.
     `SELECT 
       pi.id, pi.proposed_amount, pi.urgency_remarks, pi.accounts_status, pi.accounts_amount,
       ib.id as bill_id, ib.bill_number, ib.invoice_date, ib.amount as bill_amount,
-      ib.due_date, (ib.amount - ib.paid_amount) as outstanding,
+      va.id as advance_id, va.advance_number, va.purpose as advance_purpose, va.reference_number as advance_reference,
+      ib.due_date, COALESCE(ib.amount - ib.paid_amount - ib.adjusted_amount, va.amount - va.paid_amount) as outstanding,
       v.code as vendor_code, v.name as vendor_name,
       u.full_name as entered_by,
       CURRENT_DATE - ib.due_date as age_days
     FROM proposal_items pi
-    JOIN inward_bills ib ON pi.bill_id = ib.id
-    JOIN vendors v ON ib.vendor_id = v.id
-    LEFT JOIN users u ON ib.created_by = u.id
+    LEFT JOIN inward_bills ib ON pi.bill_id = ib.id
+    LEFT JOIN vendor_advances va ON pi.advance_id = va.id
+    JOIN vendors v ON v.id = COALESCE(ib.vendor_id, va.vendor_id)
+    LEFT JOIN users u ON COALESCE(ib.created_by, va.created_by) = u.id
     WHERE pi.proposal_id = $1
-    ORDER BY ib.due_date ASC`,
+    ORDER BY ib.due_date ASC NULLS LAST`,
     [id]
   );
 
   res.json({
     proposal: proposalResult.rows[0],
     items: itemsResult.rows,
+    notes: await getProposalNotes(id),
   });
 }));
 
 // GET /api/proposals/:id/for-owner - Get proposal for owner approval
-router.get('/:id/for-owner', authorize('owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+router.get('/:id/for-owner', requirePermission('proposal.approve'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const proposalResult = await query(
@@ -397,41 +575,53 @@ router.get('/:id/for-owner', authorize('owner'), validationRules.uuidParam, asyn
   const itemsResult = await query(
     `SELECT 
       pi.*, ib.bill_number, ib.invoice_date, ib.due_date,
-      (ib.amount - ib.paid_amount) as outstanding,
+      va.advance_number, va.purpose as advance_purpose, va.reference_number as advance_reference,
+      COALESCE(ib.amount - ib.paid_amount - ib.adjusted_amount, va.amount - va.paid_amount) as outstanding,
       v.code as vendor_code, v.name as vendor_name,
       u_entry.full_name as godown_by,
       u_accts.full_name as accounts_by
     FROM proposal_items pi
-    JOIN inward_bills ib ON pi.bill_id = ib.id
-    JOIN vendors v ON ib.vendor_id = v.id
+    LEFT JOIN inward_bills ib ON pi.bill_id = ib.id
+    LEFT JOIN vendor_advances va ON pi.advance_id = va.id
+    JOIN vendors v ON v.id = COALESCE(ib.vendor_id, va.vendor_id)
     LEFT JOIN users u_entry ON ib.created_by = u_entry.id
     LEFT JOIN users u_accts ON pi.accounts_by = u_accts.id
     WHERE pi.proposal_id = $1 AND pi.accounts_status = 'approved'
-    ORDER BY ib.due_date ASC`,
+    ORDER BY ib.due_date ASC NULLS LAST`,
     [id]
   );
 
   res.json({
     proposal: proposalResult.rows[0],
     items: itemsResult.rows,
+    notes: await getProposalNotes(id),
   });
 }));
 
 // DELETE /api/proposals/:id - Delete draft proposal
-router.delete('/:id', authorize('purchase', 'owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+router.delete('/:id', requirePermission('proposal.create'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const result = await transaction(async (client) => {
     // Delete items first
-    await client.query('DELETE FROM proposal_items WHERE proposal_id = $1', [id]);
+    const itemsResult = await client.query('DELETE FROM proposal_items WHERE proposal_id = $1 RETURNING *', [id]);
     
-    // Delete proposal (only if draft and owned by user)
+    // Delete proposal (only if draft and owned by user, unless allowed to delete any)
     const deleteResult = await client.query(
       `DELETE FROM proposals WHERE id = $1 AND status = 'draft' 
-       AND (created_by = $2 OR $3 = 'owner') RETURNING id`,
-      [id, req.user.id, req.user.role]
+       AND (created_by = $2 OR $3) RETURNING *`,
+      [id, req.user.id, hasPermission(req.user, 'proposal.delete_any')]
     );
 
+    if (deleteResult.rows.length > 0) {
+      await recordAudit(client, req, {
+        entityType: 'proposal',
+        entityId: id,
+        action: 'delete',
+        before: { ...deleteResult.rows[0], items: itemsResult.rows },
+      });
+    }
+
     return deleteResult.rows[0];
   });
 
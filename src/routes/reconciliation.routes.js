@@ -0,0 +1,356 @@
+const express = require('express');
+const router = express.Router();
+const { query, transaction } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const { validationRules } = require('../middleware/validation.middleware');
+const { uploadSpreadsheet } = require('../middleware/upload.middleware');
+const { recordAudit } = require('../services/audit.service');
+const { parseStatement, hashLines } = require('../services/statement.service');
+const {
+  reconcileDebits, getPendingTransfers, applyDebitMatch,
+  suggestCreditMatches, confirmCreditMatch,
+} = require('../services/reconciliation.service');
+
+router.use(authenticate);
+router.use(requirePermission('reconciliation.manage'));
+
+// POST /api/reconciliation/statements - Upload a bank statement, auto-match debits and suggest receipts for credits
+router.post('/statements', uploadSpreadsheet, asyncHandler(async (req, res) => {
+  const { bank_account_id } = req.body;
+
+  if (!bank_account_id) {
+    return res.status(400).json({ error: 'bank_account_id is required' });
+  }
+
+  const lines = parseStatement(req.file.buffer, req.file.originalname);
+
+  const result = await transaction(async (client) => {
+    const bankResult = await client.query('SELECT id FROM bank_accounts WHERE id = $1', [bank_account_id]);
+
+    if (bankResult.rows.length === 0) {
+      throw new AppError('Bank account not found', 404);
+    }
+
+    const dates = lines.map(line => line.txn_date).sort();
+
+    const statementResult = await client.query(
+      `INSERT INTO bank_statements (bank_account_id, file_name, statement_from, statement_to, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [bank_account_id, req.file.originalname, dates[0], dates[dates.length - 1], req.user.id]
+    );
+    const statement = statementResult.rows[0];
+
+    const hashes = hashLines(lines);
+    let inserted = 0;
+    for (const [index, line] of lines.entries()) {
+      const insertResult = await client.query(
+        `INSERT INTO bank_statement_lines (
+          statement_id, bank_account_id, line_no, txn_date, narration, reference,
+          utr_number, debit, credit, balance, line_hash
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (bank_account_id, line_hash) DO NOTHING
+        RETURNING id`,
+        [statement.id, bank_account_id, line.line_no, line.txn_date, line.narration,
+         line.reference || null, line.utr_number, line.debit, line.credit, line.balance, hashes[index]]
+      );
+      inserted += insertResult.rowCount;
+    }
+
+    const updated = await client.query(
+      `UPDATE bank_statements SET line_count = $1, duplicate_count = $2 WHERE id = $3 RETURNING *`,
+      [inserted, lines.length - inserted, statement.id]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'bank_statement',
+      entityId: statement.id,
+      action: 'import',
+      after: updated.rows[0],
+    });
+
+    const debits = await reconcileDebits(client, req, bank_account_id, statement.id);
+    const credits = await suggestCreditMatches(client, bank_account_id, statement.id);
+
+    return { statement: updated.rows[0], debits, credits };
+  });
+
+  res.status(201).json({
+    message: 'Statement imported',
+    ...result,
+  });
+}));
+
+// GET /api/reconciliation/statements - Uploaded statements with match progress
+router.get('/statements', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const offset = (page - 1) * limit;
+  const bankAccountId = req.query.bank_account_id;
+
+  const params = [];
+  let whereClause = 'WHERE 1=1';
+
+  if (bankAccountId) {
+    whereClause += ' AND bs.bank_account_id = $1';
+    params.push(bankAccountId);
+  }
+
+  const result = await query(
+    `SELECT
+      bs.*, ba.bank_name, u.full_name as uploaded_by_name,
+      (SELECT COUNT(*) FROM bank_statement_lines WHERE statement_id = bs.id AND match_status = 'matched') as matched_count,
+      (SELECT COUNT(*) FROM bank_statement_lines WHERE statement_id = bs.id AND match_status = 'review') as review_count,
+      (SELECT COUNT(*) FROM bank_statement_lines WHERE statement_id = bs.id AND match_status = 'unmatched') as unmatched_count
+    FROM bank_statements bs
+    JOIN bank_accounts ba ON bs.bank_account_id = ba.id
+    LEFT JOIN users u ON bs.uploaded_by = u.id
+    ${whereClause}
+    ORDER BY bs.created_at DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  res.json({
+    data: result.rows,
+    pagination: { page, limit },
+  });
+}));
+
+// GET /api/reconciliation/statements/:id - Statement lines with match status
+router.get('/statements/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const status = req.query.status;
+  const type = req.query.type; // 'debit', 'credit'
+
+  const statementResult = await query(
+    `SELECT bs.*, ba.bank_name, ba.account_number as company_account
+     FROM bank_statements bs
+     JOIN bank_accounts ba ON bs.bank_account_id = ba.id
+     WHERE bs.id = $1`,
+    [id]
+  );
+
+  if (statementResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Statement not found' });
+  }
+
+  let whereClause = 'WHERE bsl.statement_id = $1';
+  const params = [id];
+
+  if (status) {
+    params.push(status);
+    whereClause += ` AND bsl.match_status = $${params.length}`;
+  }
+
+  if (type === 'debit') {
+    whereClause += ' AND bsl.debit > 0';
+  } else if (type === 'credit') {
+    whereClause += ' AND bsl.credit > 0';
+  }
+
+  const linesResult = await query(
+    `SELECT
+      bsl.*, p.payment_number, v.code as vendor_code, v.name as vendor_name,
+      col.receipt_number, c.code as customer_code, c.name as customer_name
+     FROM bank_statement_lines bsl
+     LEFT JOIN payments p ON bsl.matched_payment_id = p.id
+     LEFT JOIN vendors v ON bsl.matched_vendor_id = v.id
+     LEFT JOIN collections col ON bsl.matched_collection_id = col.id
+     LEFT JOIN customers c ON bsl.matched_customer_id = c.id
+     ${whereClause}
+     ORDER BY bsl.txn_date, bsl.line_no`,
+    params
+  );
+
+  res.json({
+    statement: statementResult.rows[0],
+    lines: linesResult.rows,
+  });
+}));
+
+// POST /api/reconciliation/statements/:id/rematch - Retry matching open lines
+router.post('/statements/:id/rematch', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const statementResult = await query('SELECT * FROM bank_statements WHERE id = $1', [id]);
+
+  if (statementResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Statement not found' });
+  }
+
+  const result = await transaction(async (client) => {
+    const bankAccountId = statementResult.rows[0].bank_account_id;
+    const debits = await reconcileDebits(client, req, bankAccountId, id);
+    const credits = await suggestCreditMatches(client, bankAccountId, id);
+    return { debits, credits };
+  });
+
+  res.json({ message: 'Matching complete', ...result });
+}));
+
+// GET /api/reconciliation/review - Debit lines waiting for a person to pick the payment
+router.get('/review', asyncHandler(async (req, res) => {
+  const bankAccountId = req.query.bank_account_id;
+  const includeUnmatched = req.query.include_unmatched === 'true';
+
+  const params = [];
+  let whereClause = includeUnmatched
+    ? "WHERE bsl.debit > 0 AND bsl.match_status IN ('review', 'unmatched')"
+    : "WHERE bsl.debit > 0 AND bsl.match_status = 'review'";
+
+  if (bankAccountId) {
+    params.push(bankAccountId);
+    whereClause += ` AND bsl.bank_account_id = $${params.length}`;
+  }
+
+  const result = await query(
+    `SELECT bsl.*, bs.file_name, ba.bank_name
+     FROM bank_statement_lines bsl
+     JOIN bank_statements bs ON bsl.statement_id = bs.id
+     JOIN bank_accounts ba ON bsl.bank_account_id = ba.id
+     ${whereClause}
+     ORDER BY bsl.txn_date, bsl.line_no`,
+    params
+  );
+
+  res.json(result.rows);
+}));
+
+// POST /api/reconciliation/lines/:id/confirm-debit - Confirm a debit line against a vendor transfer
+router.post('/lines/:id/confirm-debit', validationRules.confirmDebitMatch, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { payment_id, vendor_id } = req.body;
+
+  const line = await transaction(async (client) => {
+    const lineResult = await client.query(
+      'SELECT * FROM bank_statement_lines WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+
+    if (lineResult.rows.length === 0) {
+      throw new AppError('Statement line not found', 404);
+    }
+
+    const statementLine = lineResult.rows[0];
+
+    if (!(parseFloat(statementLine.debit) > 0) || !['review', 'unmatched'].includes(statementLine.match_status)) {
+      throw new AppError('Only open debit lines can be confirmed');
+    }
+
+    const utrNumber = req.body.utr_number || statementLine.utr_number;
+    if (!utrNumber) {
+      throw new AppError('utr_number is required; none was found on the statement line');
+    }
+
+    const transfers = await getPendingTransfers(client, statementLine.bank_account_id);
+    const transfer = transfers.find(item => item.payment_id === payment_id && item.vendor_id === vendor_id);
+
+    if (!transfer) {
+      throw new AppError('No pending transfer for this payment and vendor on the statement account');
+    }
+
+    if (Math.abs(parseFloat(transfer.amount) - parseFloat(statementLine.debit)) >= 0.01) {
+      throw new AppError(`Statement amount ${statementLine.debit} does not match transfer amount ${transfer.amount}`);
+    }
+
+    return applyDebitMatch(client, req, statementLine, transfer, utrNumber, null);
+  });
+
+  res.json({ message: 'UTR recorded from statement', line });
+}));
+
+// GET /api/reconciliation/credits - Credit lines with suggested customer receipts
+router.get('/credits', asyncHandler(async (req, res) => {
+  const bankAccountId = req.query.bank_account_id;
+  const includeUnmatched = req.query.include_unmatched === 'true';
+
+  const params = [];
+  let whereClause = includeUnmatched
+    ? "WHERE bsl.credit > 0 AND bsl.match_status IN ('review', 'unmatched')"
+    : "WHERE bsl.credit > 0 AND bsl.match_status = 'review'";
+
+  if (bankAccountId) {
+    params.push(bankAccountId);
+    whereClause += ` AND bsl.bank_account_id = $${params.length}`;
+  }
+
+  const result = await query(
+    `SELECT bsl.*, bs.file_name, ba.bank_name
+     FROM bank_statement_lines bsl
+     JOIN bank_statements bs ON bsl.statement_id = bs.id
+     JOIN bank_accounts ba ON bsl.bank_account_id = ba.id
+     ${whereClause}
+     ORDER BY bsl.txn_date, bsl.line_no`,
+    params
+  );
+
+  res.json(result.rows);
+}));
+
+// POST /api/reconciliation/credits/confirm - Record receipts for credit lines in bulk.
+// Items without allocations take the stored suggestion for that customer.
+router.post('/credits/confirm', validationRules.confirmCreditMatches, asyncHandler(async (req, res) => {
+  const { items } = req.body;
+
+  const lineIds = items.map(item => item.line_id);
+  if (new Set(lineIds).size !== lineIds.length) {
+    return res.status(400).json({ error: 'A statement line can only be confirmed once' });
+  }
+
+  const results = await transaction(async (client) => {
+    const confirmed = [];
+    for (const item of items) {
+      confirmed.push(await confirmCreditMatch(client, req, item.line_id, item.customer_id, item.allocations));
+    }
+    return confirmed;
+  });
+
+  res.json({
+    message: `${results.length} receipt(s) recorded from the statement`,
+    data: results.map(({ line, collection }) => ({
+      line_id: line.id,
+      collection_id: collection.id,
+      receipt_number: collection.receipt_number,
+      amount: collection.amount,
+      allocated_amount: collection.allocated_amount,
+    })),
+  });
+}));
+
+// POST /api/reconciliation/lines/:id/ignore - Exclude a line that isn't a payment or receipt
+router.post('/lines/:id/ignore', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const line = await transaction(async (client) => {
+    const before = await client.query('SELECT * FROM bank_statement_lines WHERE id = $1 FOR UPDATE', [id]);
+
+    if (before.rows.length === 0 || before.rows[0].match_status === 'matched') {
+      return null;
+    }
+
+    const after = await client.query(
+      `UPDATE bank_statement_lines SET match_status = 'ignored', matched_by = $1, matched_at = NOW()
+       WHERE id = $2 RETURNING *`,
+      [req.user.id, id]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'bank_statement_line',
+      entityId: id,
+      action: 'ignore',
+      before: before.rows[0],
+      after: { ...after.rows[0], reason: req.body.reason || null },
+    });
+
+    return after.rows[0];
+  });
+
+  if (!line) {
+    return res.status(400).json({ error: 'Line not found or already matched' });
+  }
+
+  res.json({ message: 'Line ignored', line });
+}));
+
+module.exports = router;
@@ -1,41 +1,73 @@
 const express = require('express');
 const router = express.Router();
 const { query } = require('../config/database');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
 const { asyncHandler } = require('../middleware/error.middleware');
+const { validationRules } = require('../middleware/validation.middleware');
+const { DUPLICATE_WINDOW_DAYS } = require('../services/inward.service');
+const { financialYearStart } = require('../services/ledger.service');
+const { XLSX_CONTENT_TYPE, buildWorkbook } = require('../services/spreadsheet.service');
+const { quarterPeriod } = require('../services/tds.service');
 
 router.use(authenticate);
 
+// Debit/credit notes of a vendor not yet allocated to bills; reported beside the
+// bill ageing buckets because they have no due date of their own
+const UNALLOCATED_NOTES_SQL = (vendorColumn) => `(
+  SELECT COALESCE(SUM(vn.amount - vn.allocated_amount), 0) FROM vendor_notes vn
+  WHERE vn.vendor_id = ${vendorColumn} AND vn.status = 'active'
+)`;
+
+// Advances paid to a vendor but not yet adjusted against its bills
+const UNADJUSTED_ADVANCES_SQL = (vendorColumn) => `(
+  SELECT COALESCE(SUM(va.paid_amount - va.adjusted_amount), 0) FROM vendor_advances va
+  WHERE va.vendor_id = ${vendorColumn} AND va.status = 'active'
+)`;
+
+// Customer credit notes not yet set against an invoice, reported the same way
+const UNALLOCATED_CREDIT_SQL = (customerColumn) => `(
+  SELECT COALESCE(SUM(cn.amount - cn.allocated_amount), 0) FROM credit_notes cn
+  WHERE cn.customer_id = ${customerColumn} AND cn.status = 'active'
+)`;
+
 // GET /api/reports/payables-ageing - Vendor-wise payables ageing
-router.get('/payables-ageing', authorize('purchase', 'accounts', 'owner'), asyncHandler(async (req, res) => {
+router.get('/payables-ageing', requirePermission('report.payables'), asyncHandler(async (req, res) => {
   const result = await query(`
     SELECT 
       v.id as vendor_id, v.code as vendor_code, v.name as vendor_name,
-      COALESCE(SUM(CASE WHEN ib.due_date >= CURRENT_DATE THEN ib.amount - ib.paid_amount ELSE 0 END), 0) as current_amount,
-      COALESCE(SUM(CASE WHEN ib.due_date < CURRENT_DATE AND ib.due_date >= CURRENT_DATE - 30 THEN ib.amount - ib.paid_amount ELSE 0 END), 0) as days_1_30,
-      COALESCE(SUM(CASE WHEN ib.due_date < CURRENT_DATE - 30 AND ib.due_date >= CURRENT_DATE - 60 THEN ib.amount - ib.paid_amount ELSE 0 END), 0) as days_31_60,
-      COALESCE(SUM(CASE WHEN ib.due_date < CURRENT_DATE - 60 AND ib.due_date >= CURRENT_DATE - 90 THEN ib.amount - ib.paid_amount ELSE 0 END), 0) as days_61_90,
-      COALESCE(SUM(CASE WHEN ib.due_date < CURRENT_DATE - 90 THEN ib.amount - ib.paid_amount ELSE 0 END), 0) as days_90_plus,
-      COALESCE(SUM(ib.amount - ib.paid_amount), 0) as total_outstanding
+      COALESCE(SUM(CASE WHEN ib.due_date >= CURRENT_DATE THEN ib.amount - ib.paid_amount - ib.adjusted_amount ELSE 0 END), 0) as current_amount,
+      COALESCE(SUM(CASE WHEN ib.due_date < CURRENT_DATE AND ib.due_date >= CURRENT_DATE - 30 THEN ib.amount - ib.paid_amount - ib.adjusted_amount ELSE 0 END), 0) as days_1_30,
+      COALESCE(SUM(CASE WHEN ib.due_date < CURRENT_DATE - 30 AND ib.due_date >= CURRENT_DATE - 60 THEN ib.amount - ib.paid_amount - ib.adjusted_amount ELSE 0 END), 0) as days_31_60,
+      COALESCE(SUM(CASE WHEN ib.due_date < CURRENT_DATE - 60 AND ib.due_date >= CURRENT_DATE - 90 THEN ib.amount - ib.paid_amount - ib.adjusted_amount ELSE 0 END), 0) as days_61_90,
+      COALESCE(SUM(CASE WHEN ib.due_date < CURRENT_DATE - 90 THEN ib.amount - ib.paid_amount - ib.adjusted_amount ELSE 0 END), 0) as days_90_plus,
+      COALESCE(SUM(ib.amount - ib.paid_amount - ib.adjusted_amount), 0) as total_outstanding,
+      ${UNALLOCATED_NOTES_SQL('v.id')} as unallocated_notes,
+      ${UNADJUSTED_ADVANCES_SQL('v.id')} as unadjusted_advances,
+      COALESCE(SUM(ib.amount - ib.paid_amount - ib.adjusted_amount), 0) - ${UNALLOCATED_NOTES_SQL('v.id')}
+        - ${UNADJUSTED_ADVANCES_SQL('v.id')} as net_outstanding
     FROM vendors v
     LEFT JOIN inward_bills ib ON v.id = ib.vendor_id AND ib.status = 'active' AND ib.payment_status != 'paid'
     WHERE v.is_active = true
     GROUP BY v.id, v.code, v.name
-    HAVING SUM(ib.amount - ib.paid_amount) > 0
+    HAVING SUM(ib.amount - ib.paid_amount - ib.adjusted_amount) > 0
     ORDER BY total_outstanding DESC
   `);
 
   // Summary totals
   const summary = await query(`
     SELECT 
-      COALESCE(SUM(CASE WHEN due_date >= CURRENT_DATE THEN amount - paid_amount ELSE 0 END), 0) as current_total,
-      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE AND due_date >= CURRENT_DATE - 30 THEN amount - paid_amount ELSE 0 END), 0) as days_1_30_total,
-      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 30 AND due_date >= CURRENT_DATE - 60 THEN amount - paid_amount ELSE 0 END), 0) as days_31_60_total,
-      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 60 AND due_date >= CURRENT_DATE - 90 THEN amount - paid_amount ELSE 0 END), 0) as days_61_90_total,
-      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 90 THEN amount - paid_amount ELSE 0 END), 0) as days_90_plus_total,
-      COALESCE(SUM(amount - paid_amount), 0) as grand_total
+      COALESCE(SUM(CASE WHEN due_date >= CURRENT_DATE THEN amount - paid_amount - adjusted_amount ELSE 0 END), 0) as current_total,
+      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE AND due_date >= CURRENT_DATE - 30 THEN amount - paid_amount - adjusted_amount ELSE 0 END), 0) as days_1_30_total,
+      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 30 AND due_date >= CURRENT_DATE - 60 THEN amount - paid_amount - adjusted_amount ELSE 0 END), 0) as days_31_60_total,
+      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 60 AND due_date >= CURRENT_DATE - 90 THEN amount - paid_amount - adjusted_amount ELSE 0 END), 0) as days_61_90_total,
+      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE - 90 THEN amount - paid_amount - adjusted_amount ELSE 0 END), 0) as days_90_plus_total,
+      COALESCE(SUM(amount - paid_amount - adjusted_amount), 0) as grand_total,
+      (SELECT COALESCE(SUM(amount - allocated_amount), 0) FROM vendor_notes WHERE status = 'active') as unallocated_notes_total,
+      (SELECT COALESCE(SUM(paid_amount - adjusted_amount), 0) FROM vendor_advances WHERE status = 'active') as unadjusted_advances_total
     FROM inward_bills WHERE status = 'active' AND payment_status != 'paid'
   `);
+  summary.rows[0].net_total = (parseFloat(summary.rows[0].grand_total) - parseFloat(summary.rows[0].unallocated_notes_total)
+    - parseFloat(summary.rows[0].unadjusted_advances_total)).toFixed(2);
 
   res.json({
     data: result.rows,
@@ -44,21 +76,23 @@ router.get('/payables-ageing', authorize('purchase', 'accounts', 'owner'), async
 }));
 
 // GET /api/reports/receivables-ageing - Customer-wise receivables ageing
-router.get('/receivables-ageing', authorize('accounts', 'owner'), asyncHandler(async (req, res) => {
+router.get('/receivables-ageing', requirePermission('report.receivables'), asyncHandler(async (req, res) => {
   const result = await query(`
     SELECT 
       c.id as customer_id, c.code as customer_code, c.name as customer_name,
-      COALESCE(SUM(CASE WHEN ob.due_date >= CURRENT_DATE THEN ob.amount - ob.collected_amount ELSE 0 END), 0) as current_amount,
-      COALESCE(SUM(CASE WHEN ob.due_date < CURRENT_DATE AND ob.due_date >= CURRENT_DATE - 15 THEN ob.amount - ob.collected_amount ELSE 0 END), 0) as days_1_15,
-      COALESCE(SUM(CASE WHEN ob.due_date < CURRENT_DATE - 15 AND ob.due_date >= CURRENT_DATE - 21 THEN ob.amount - ob.collected_amount ELSE 0 END), 0) as days_16_21,
-      COALESCE(SUM(CASE WHEN ob.due_date < CURRENT_DATE - 21 AND ob.due_date >= CURRENT_DATE - 30 THEN ob.amount - ob.collected_amount ELSE 0 END), 0) as days_22_30,
-      COALESCE(SUM(CASE WHEN ob.due_date < CURRENT_DATE - 30 THEN ob.amount - ob.collected_amount ELSE 0 END), 0) as days_30_plus,
-      COALESCE(SUM(ob.amount - ob.collected_amount), 0) as total_outstanding
+      COALESCE(SUM(CASE WHEN ob.due_date >= CURRENT_DATE THEN ob.amount - ob.collected_amount - ob.adjusted_amount ELSE 0 END), 0) as current_amount,
+      COALESCE(SUM(CASE WHEN ob.due_date < CURRENT_DATE AND ob.due_date >= CURRENT_DATE - 15 THEN ob.amount - ob.collected_amount - ob.adjusted_amount ELSE 0 END), 0) as days_1_15,
+      COALESCE(SUM(CASE WHEN ob.due_date < CURRENT_DATE - 15 AND ob.due_date >= CURRENT_DATE - 21 THEN ob.amount - ob.collected_amount - ob.adjusted_amount ELSE 0 END), 0) as days_16_21,
+      COALESCE(SUM(CASE WHEN ob.due_date < CURRENT_DATE - 21 AND ob.due_date >= CURRENT_DATE - 30 THEN ob.amount - ob.collected_amount - ob.adjusted_amount ELSE 0 END), 0) as days_22_30,
+      COALESCE(SUM(CASE WHEN ob.due_date < CURRENT_DATE - 30 THEN ob.amount - ob.collected_amount - ob.adjusted_amount ELSE 0 END), 0) as days_30_plus,
+      COALESCE(SUM(ob.amount - ob.collected_amount - ob.adjusted_amount), 0) as total_outstanding,
+      ${UNALLOCATED_CREDIT_SQL('c.id')} as unallocated_credit,
+      COALESCE(SUM(ob.amount - ob.collected_amount - ob.adjusted_amount), 0) - ${UNALLOCATED_CREDIT_SQL('c.id')} as net_outstanding
     FROM customers c
     LEFT JOIN outward_bills ob ON c.id = ob.customer_id AND ob.status NOT IN ('cancelled', 'paid')
     WHERE c.is_active = true
     GROUP BY c.id, c.code, c.name
-    HAVING SUM(ob.amount - ob.collected_amount) > 0
+    HAVING SUM(ob.amount - ob.collected_amount - ob.adjusted_amount) > 0
     ORDER BY total_outstanding DESC
   `);
 
@@ -66,7 +100,7 @@ router.get('/receivables-ageing', authorize('accounts', 'owner'), asyncHandler(a
 }));
 
 // GET /api/reports/vendor-outstanding - Detailed vendor outstanding
-router.get('/vendor-outstanding', authorize('purchase', 'accounts', 'owner'), asyncHandler(async (req, res) => {
+router.get('/vendor-outstanding', requirePermission('report.payables'), asyncHandler(async (req, res) => {
   const vendorId = req.query.vendor_id;
 
   let whereClause = "WHERE ib.status = 'active' AND ib.payment_status != 'paid'";
@@ -80,8 +114,8 @@ router.get('/vendor-outstanding', authorize('purchase', 'accounts', 'owner'), as
   const result = await query(
     `SELECT 
       v.code as vendor_code, v.name as vendor_name,
-      ib.bill_number, ib.invoice_date, ib.amount, ib.paid_amount,
-      (ib.amount - ib.paid_amount) as outstanding, ib.due_date,
+      ib.bill_number, ib.invoice_date, ib.amount, ib.paid_amount, ib.adjusted_amount,
+      (ib.amount - ib.paid_amount - ib.adjusted_amount) as outstanding, ib.due_date,
       CASE WHEN ib.due_date < CURRENT_DATE THEN CURRENT_DATE - ib.due_date ELSE 0 END as days_overdue
     FROM inward_bills ib
     JOIN vendors v ON ib.vendor_id = v.id
@@ -94,7 +128,7 @@ router.get('/vendor-outstanding', authorize('purchase', 'accounts', 'owner'), as
 }));
 
 // GET /api/reports/customer-outstanding - Detailed customer outstanding
-router.get('/customer-outstanding', authorize('accounts', 'owner'), asyncHandler(async (req, res) => {
+router.get('/customer-outstanding', requirePermission('report.receivables'), asyncHandler(async (req, res) => {
   const customerId = req.query.customer_id;
 
   let whereClause = "WHERE ob.status NOT IN ('cancelled', 'paid')";
@@ -108,8 +142,8 @@ router.get('/customer-outstanding', authorize('accounts', 'owner'), asyncHandler
   const result = await query(
     `SELECT 
       c.code as customer_code, c.name as customer_name, c.whatsapp,
-      ob.invoice_number, ob.invoice_date, ob.amount, ob.collected_amount,
-      (ob.amount - ob.collected_amount) as outstanding, ob.due_date,
+      ob.invoice_number, ob.invoice_date, ob.amount, ob.collected_amount, ob.adjusted_amount,
+      (ob.amount - ob.collected_amount - ob.adjusted_amount) as outstanding, ob.due_date,
       u.full_name as dispatched_by,
       CASE WHEN ob.due_date < CURRENT_DATE THEN CURRENT_DATE - ob.due_date ELSE 0 END as days_overdue
     FROM outward_bills ob
@@ -124,7 +158,7 @@ router.get('/customer-outstanding', authorize('accounts', 'owner'), asyncHandler
 }));
 
 // GET /api/reports/payment-history - Payment history report
-router.get('/payment-history', authorize('purchase', 'accounts', 'owner'), asyncHandler(async (req, res) => {
+router.get('/payment-history', requirePermission('report.payables'), asyncHandler(async (req, res) => {
   const dateFrom = req.query.date_from;
   const dateTo = req.query.date_to;
   const vendorId = req.query.vendor_id;
@@ -146,7 +180,7 @@ router.get('/payment-history', authorize('purchase', 'accounts', 'owner'), async
   }
 
   if (vendorId) {
-    whereClause += ` AND ib.vendor_id = $${paramIndex}`;
+    whereClause += ` AND COALESCE(ib.vendor_id, va.vendor_id) = $${paramIndex}`;
     params.push(vendorId);
     paramIndex++;
   }
@@ -155,13 +189,15 @@ router.get('/payment-history', authorize('purchase', 'accounts', 'owner'), async
     `SELECT 
       p.payment_date, p.payment_number,
       v.code as vendor_code, v.name as vendor_name,
-      ib.bill_number, pd.amount, pd.utr_number,
+      ib.bill_number, va.advance_number, pd.amount, pd.tds_section, pd.tds_amount, pd.net_amount, pd.utr_number,
+      pd.reversed_at, pd.reversal_reason,
       ba.bank_name,
       u.full_name as proposed_by
     FROM payment_details pd
     JOIN payments p ON pd.payment_id = p.id
-    JOIN inward_bills ib ON pd.bill_id = ib.id
-    JOIN vendors v ON ib.vendor_id = v.id
+    LEFT JOIN inward_bills ib ON pd.bill_id = ib.id
+    LEFT JOIN vendor_advances va ON pd.advance_id = va.id
+    JOIN vendors v ON v.id = COALESCE(ib.vendor_id, va.vendor_id)
     LEFT JOIN bank_accounts ba ON p.bank_account_id = ba.id
     LEFT JOIN proposal_items pi ON pd.proposal_item_id = pi.id
     LEFT JOIN proposals pr ON pi.proposal_id = pr.id
@@ -175,12 +211,16 @@ router.get('/payment-history', authorize('purchase', 'accounts', 'owner'), async
   const summaryResult = await query(
     `SELECT 
       COUNT(DISTINCT p.id) as payment_count,
-      COUNT(DISTINCT ib.vendor_id) as vendor_count,
-      COUNT(pd.id) as bill_count,
-      COALESCE(SUM(pd.amount), 0) as total_amount
+      COUNT(DISTINCT COALESCE(ib.vendor_id, va.vendor_id)) as vendor_count,
+      COUNT(pd.bill_id) as bill_count,
+      COUNT(pd.advance_id) as advance_count,
+      COALESCE(SUM(pd.amount), 0) as total_amount,
+      COALESCE(SUM(pd.tds_amount), 0) as total_tds,
+      COALESCE(SUM(pd.net_amount), 0) as total_transferred
     FROM payment_details pd
     JOIN payments p ON pd.payment_id = p.id
-    JOIN inward_bills ib ON pd.bill_id = ib.id
+    LEFT JOIN inward_bills ib ON pd.bill_id = ib.id
+    LEFT JOIN vendor_advances va ON pd.advance_id = va.id
     ${whereClause}`,
     params
   );
@@ -191,8 +231,86 @@ router.get('/payment-history', authorize('purchase', 'accounts', 'owner'), async
   });
 }));
 
+// GET /api/reports/tds-quarterly - TDS deducted in a financial-year quarter by section
+// and deductee PAN (?financial_year=2026&quarter=1 for Apr-Jun 2026; defaults to the
+// current quarter; ?format=xlsx). Only transfers confirmed by UTR and not reversed count.
+router.get('/tds-quarterly', requirePermission('tds.manage'), validationRules.tdsQuarterQuery, asyncHandler(async (req, res) => {
+  const today = new Date().toISOString().split('T')[0];
+  const financialYear = req.query.financial_year || parseInt(financialYearStart(today).slice(0, 4));
+  const month = parseInt(today.slice(5, 7));
+  const quarter = req.query.quarter || (month >= 4 ? Math.floor((month - 4) / 3) + 1 : 4);
+  const { dateFrom, dateTo } = quarterPeriod(financialYear, quarter);
+
+  const result = await query(
+    `SELECT
+      pd.tds_section as section, v.pan, v.code as vendor_code, v.name as vendor_name,
+      COUNT(*) as deduction_count,
+      SUM(pd.amount) as gross_amount,
+      SUM(pd.tds_base) as tds_base,
+      SUM(pd.tds_amount) as tds_amount,
+      COALESCE(SUM(pd.tds_amount) FILTER (WHERE pd.tds_challan_id IS NOT NULL), 0) as deposited_amount,
+      STRING_AGG(DISTINCT c.challan_number, ', ') as challans
+    FROM payment_details pd
+    JOIN payments p ON pd.payment_id = p.id
+    LEFT JOIN inward_bills ib ON pd.bill_id = ib.id
+    LEFT JOIN vendor_advances va ON pd.advance_id = va.id
+    JOIN vendors v ON v.id = COALESCE(ib.vendor_id, va.vendor_id)
+    LEFT JOIN tds_challans c ON pd.tds_challan_id = c.id
+    WHERE pd.tds_amount > 0 AND pd.reversed_at IS NULL
+      AND pd.utr_number IS NOT NULL AND pd.utr_number != ''
+      AND p.payment_date BETWEEN $1 AND $2
+    GROUP BY pd.tds_section, v.pan, v.id, v.code, v.name
+    ORDER BY pd.tds_section, v.name`,
+    [dateFrom, dateTo]
+  );
+
+  const sectionsResult = await query(
+    `SELECT
+      pd.tds_section as section,
+      COUNT(DISTINCT COALESCE(ib.vendor_id, va.vendor_id)) as deductee_count,
+      SUM(pd.amount) as gross_amount,
+      SUM(pd.tds_amount) as tds_amount,
+      COALESCE(SUM(pd.tds_amount) FILTER (WHERE pd.tds_challan_id IS NOT NULL), 0) as deposited_amount
+    FROM payment_details pd
+    JOIN payments p ON pd.payment_id = p.id
+    LEFT JOIN inward_bills ib ON pd.bill_id = ib.id
+    LEFT JOIN vendor_advances va ON pd.advance_id = va.id
+    WHERE pd.tds_amount > 0 AND pd.reversed_at IS NULL
+      AND pd.utr_number IS NOT NULL AND pd.utr_number != ''
+      AND p.payment_date BETWEEN $1 AND $2
+    GROUP BY pd.tds_section
+    ORDER BY pd.tds_section`,
+    [dateFrom, dateTo]
+  );
+
+  const period = `FY ${financialYear}-${String((financialYear + 1) % 100).padStart(2, '0')} Q${quarter}`;
+
+  if (req.query.format === 'xlsx') {
+    const rows = [
+      ['Section', 'PAN', 'Vendor Code', 'Vendor Name', 'Deductions', 'Amount Paid', 'TDS Base', 'TDS', 'Deposited', 'Challans'],
+      ...result.rows.map(row => [
+        row.section, row.pan || 'PANNOTAVBL', row.vendor_code, row.vendor_name, parseInt(row.deduction_count),
+        parseFloat(row.gross_amount), parseFloat(row.tds_base), parseFloat(row.tds_amount),
+        parseFloat(row.deposited_amount), row.challans || '',
+      ]),
+    ];
+
+    res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="tds_${financialYear}_Q${quarter}.xlsx"`);
+    return res.send(buildWorkbook(`TDS ${period}`.slice(0, 31), rows));
+  }
+
+  res.json({
+    period,
+    date_from: dateFrom,
+    date_to: dateTo,
+    data: result.rows,
+    sections: sectionsResult.rows,
+  });
+}));
+
 // GET /api/reports/daily-summary - Daily transaction summary
-router.get('/daily-summary', authorize('accounts', 'owner'), asyncHandler(async (req, res) => {
+router.get('/daily-summary', requirePermission('report.daily_summary'), asyncHandler(async (req, res) => {
   const date = req.query.date || new Date().toISOString().split('T')[0];
 
   const summary = await query(
@@ -203,7 +321,7 @@ router.get('/daily-summary', authorize('accounts', 'owner'), asyncHandler(async
       (SELECT COALESCE(SUM(amount), 0) FROM outward_bills WHERE invoice_date = $1 AND status != 'cancelled') as outward_amount,
       (SELECT COUNT(*) FROM payments WHERE payment_date = $1) as payment_count,
       (SELECT COALESCE(SUM(total_amount), 0) FROM payments WHERE payment_date = $1) as payment_amount,
-      (SELECT COUNT(DISTINCT ib.vendor_id) FROM payment_details pd JOIN payments p ON pd.payment_id = p.id JOIN inward_bills ib ON pd.bill_id = ib.id WHERE p.payment_date = $1) as vendors_paid
+      (SELECT COUNT(DISTINCT COALESCE(ib.vendor_id, va.vendor_id)) FROM payment_details pd JOIN payments p ON pd.payment_id = p.id LEFT JOIN inward_bills ib ON pd.bill_id = ib.id LEFT JOIN vendor_advances va ON pd.advance_id = va.id WHERE p.payment_date = $1) as vendors_paid
     `,
     [date]
   );
@@ -215,7 +333,7 @@ router.get('/daily-summary', authorize('accounts', 'owner'), asyncHandler(async
 }));
 
 // GET /api/reports/cash-flow - Cash flow projection
-router.get('/cash-flow', authorize('owner'), asyncHandler(async (req, res) => {
+router.get('/cash-flow', requirePermission('report.cash_flow'), asyncHandler(async (req, res) => {
   const days = parseInt(req.query.days) || 30;
 
   // Generate date range
@@ -225,8 +343,8 @@ router.get('/cash-flow', authorize('owner'), asyncHandler(async (req, res) => {
     )
     SELECT 
       d.date,
-      COALESCE((SELECT SUM(amount - collected_amount) FROM outward_bills WHERE due_date = d.date AND status NOT IN ('cancelled', 'paid')), 0) as expected_inflow,
-      COALESCE((SELECT SUM(amount - paid_amount) FROM inward_bills WHERE due_date = d.date AND status = 'active' AND payment_status != 'paid'), 0) as expected_outflow
+      COALESCE((SELECT SUM(amount - collected_amount - adjusted_amount) FROM outward_bills WHERE due_date = d.date AND status NOT IN ('cancelled', 'paid')), 0) as expected_inflow,
+      COALESCE((SELECT SUM(amount - paid_amount - adjusted_amount) FROM inward_bills WHERE due_date = d.date AND status = 'active' AND payment_status != 'paid'), 0) as expected_outflow
     FROM dates d
     ORDER BY d.date
   `, [days]);
@@ -237,13 +355,88 @@ router.get('/cash-flow', authorize('owner'), asyncHandler(async (req, res) => {
   });
 }));
 
+// GET /api/reports/duplicate-bills - Pairs of inward bills that look like the same vendor invoice.
+// The later entry of each pair is the suspect; owner overrides are shown alongside.
+router.get('/duplicate-bills', requirePermission('report.payables'), asyncHandler(async (req, res) => {
+  const vendorId = req.query.vendor_id;
+  const match = req.query.match; // exact, near
+  const unreviewedOnly = req.query.unreviewed === 'true';
+  const days = parseInt(req.query.days) || DUPLICATE_WINDOW_DAYS;
+
+  let whereClause = '';
+  const params = [days];
+  let paramIndex = 2;
+
+  if (vendorId) {
+    whereClause += ` AND later.vendor_id = $${paramIndex}`;
+    params.push(vendorId);
+    paramIndex++;
+  }
+
+  if (unreviewedOnly) {
+    whereClause += ' AND later.duplicate_override_at IS NULL';
+  }
+
+  let matchClause = '';
+  if (match === 'exact' || match === 'near') {
+    matchClause = `WHERE match = $${paramIndex}`;
+    params.push(match);
+    paramIndex++;
+  }
+
+  const result = await query(
+    `SELECT * FROM (
+      SELECT
+        v.id as vendor_id, v.code as vendor_code, v.name as vendor_name,
+        CASE WHEN normalize_bill_number(earlier.bill_number) = normalize_bill_number(later.bill_number)
+          THEN 'exact' ELSE 'near' END as match,
+        earlier.id as original_id, earlier.bill_number as original_bill_number,
+        earlier.invoice_date as original_invoice_date, earlier.amount as original_amount,
+        earlier.payment_status as original_payment_status,
+        later.id as suspect_id, later.bill_number as suspect_bill_number,
+        later.invoice_date as suspect_invoice_date, later.amount as suspect_amount,
+        later.payment_status as suspect_payment_status, later.created_at as suspect_created_at,
+        uc.full_name as suspect_created_by_name,
+        later.duplicate_override_at, later.duplicate_override_reason, uo.full_name as override_by_name
+      FROM inward_bills later
+      JOIN inward_bills earlier ON earlier.vendor_id = later.vendor_id
+        AND (earlier.created_at, earlier.id) < (later.created_at, later.id)
+        AND earlier.status != 'cancelled'
+      JOIN vendors v ON later.vendor_id = v.id
+      LEFT JOIN users uc ON later.created_by = uc.id
+      LEFT JOIN users uo ON later.duplicate_override_by = uo.id
+      WHERE later.status != 'cancelled'
+        AND (
+          normalize_bill_number(earlier.bill_number) = normalize_bill_number(later.bill_number)
+          OR (ABS(earlier.amount - later.amount) < 0.01 AND ABS(earlier.invoice_date - later.invoice_date) <= $1)
+        )
+        ${whereClause}
+    ) pairs
+    ${matchClause}
+    ORDER BY match, suspect_created_at DESC`,
+    params
+  );
+
+  res.json({
+    windowDays: days,
+    summary: {
+      exact: result.rows.filter(row => row.match === 'exact').length,
+      near: result.rows.filter(row => row.match === 'near').length,
+      overridden: result.rows.filter(row => row.duplicate_override_at).length,
+    },
+    data: result.rows,
+  });
+}));
+
 // GET /api/reports/audit-log - Audit trail
-router.get('/audit-log', authorize('owner'), asyncHandler(async (req, res) => {
+router.get('/audit-log', requirePermission('audit.view'), asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 50;
   const offset = (page - 1) * limit;
   const entity = req.query.entity;
   const action = req.query.action;
+  const entityId = req.query.entity_id;
+  const userId = req.query.user_id;
 
   let whereClause = 'WHERE 1=1';
   const params = [];
@@ -255,6 +448,18 @@ router.get('/audit-log', authorize('owner'), asyncHandler(async (req, res) => {
     paramIndex++;
   }
 
+  if (entityId) {
+    whereClause += ` AND entity_id = $${paramIndex}`;
+    params.push(entityId);
+    paramIndex++;
+  }
+
+  if (userId) {
+    whereClause += ` AND al.user_id = $${paramIndex}`;
+    params.push(userId);
+    paramIndex++;
+  }
+
   if (action) {
     whereClause += ` AND action = $${paramIndex}`;
     params.push(action);
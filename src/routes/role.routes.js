@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const { query, transaction } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const { validationRules } = require('../middleware/validation.middleware');
+const { recordAudit } = require('../services/audit.service');
+const { assertPermissionsExist, assertAdminRemains } = require('../services/permission.service');
+
+router.use(authenticate);
+
+const ROLE_SELECT = `SELECT r.*,
+    ARRAY(SELECT rp.permission FROM role_permissions rp WHERE rp.role = r.code ORDER BY rp.permission) as permissions,
+    (SELECT COUNT(*)::int FROM users u WHERE u.role = r.code AND u.is_active) as active_users
+  FROM roles r`;
+
+// Role row with its permissions, for responses and audit snapshots
+const getRole = async (client, code, lock = false) => {
+  const result = await client.query(`${ROLE_SELECT} WHERE r.code = $1${lock ? ' FOR UPDATE OF r' : ''}`, [code]);
+  return result.rows[0] || null;
+};
+
+const replacePermissions = async (client, code, permissions) => {
+  await assertPermissionsExist(client, permissions);
+  await client.query('DELETE FROM role_permissions WHERE role = $1', [code]);
+  for (const permission of new Set(permissions)) {
+    await client.query('INSERT INTO role_permissions (role, permission) VALUES ($1, $2)', [code, permission]);
+  }
+};
+
+// GET /api/roles - Roles with their permissions (also readable by user admins, to pick a role)
+router.get('/', requirePermission('role.manage', 'user.manage'), asyncHandler(async (req, res) => {
+  const result = await query(`${ROLE_SELECT} ORDER BY r.is_system DESC, r.name`);
+  res.json({ data: result.rows });
+}));
+
+// GET /api/roles/permissions - The permission catalogue
+router.get('/permissions', requirePermission('role.manage', 'user.manage'), asyncHandler(async (req, res) => {
+  const result = await query(
+    `SELECT p.code, p.description,
+       ARRAY(SELECT rp.role FROM role_permissions rp WHERE rp.permission = p.code ORDER BY rp.role) as roles
+     FROM permissions p
+     ORDER BY p.code`
+  );
+  res.json({ data: result.rows });
+}));
+
+// POST /api/roles - Create a role from a set of permissions
+router.post('/', requirePermission('role.manage'), validationRules.createRole, asyncHandler(async (req, res) => {
+  const { code, name, description, permissions } = req.body;
+
+  const role = await transaction(async (client) => {
+    await client.query(
+      'INSERT INTO roles (code, name, description) VALUES ($1, $2, $3)',
+      [code, name, description || null]
+    );
+    await replacePermissions(client, code, permissions);
+
+    const created = await getRole(client, code);
+
+    await recordAudit(client, req, {
+      entityType: 'role',
+      entityId: created.id,
+      action: 'create',
+      after: created,
+    });
+
+    return created;
+  });
+
+  res.status(201).json({ message: 'Role created', role });
+}));
+
+// PUT /api/roles/:code - Rename a role or replace its permissions; applies to its users
+// on their next request
+router.put('/:code', requirePermission('role.manage'), validationRules.updateRole, asyncHandler(async (req, res) => {
+  const { code } = req.params;
+  const { name, description, permissions } = req.body;
+
+  const role = await transaction(async (client) => {
+    const existing = await getRole(client, code, true);
+
+    if (!existing) {
+      return null;
+    }
+
+    await client.query(
+      `UPDATE roles SET name = COALESCE($1, name), description = COALESCE($2, description), updated_at = NOW()
+       WHERE code = $3`,
+      [name ?? null, description ?? null, code]
+    );
+
+    if (permissions !== undefined) {
+      await replacePermissions(client, code, permissions);
+      await assertAdminRemains(client);
+    }
+
+    const updated = await getRole(client, code);
+
+    await recordAudit(client, req, {
+      entityType: 'role',
+      entityId: existing.id,
+      action: 'update',
+      before: existing,
+      after: updated,
+    });
+
+    return updated;
+  });
+
+  if (!role) {
+    return res.status(404).json({ error: 'Role not found' });
+  }
+
+  res.json({ message: 'Role updated', role });
+}));
+
+// DELETE /api/roles/:code - Delete a custom role that no user holds
+router.delete('/:code', requirePermission('role.manage'), validationRules.roleCodeParam, asyncHandler(async (req, res) => {
+  const { code } = req.params;
+
+  const role = await transaction(async (client) => {
+    const existing = await getRole(client, code, true);
+
+    if (!existing) {
+      return null;
+    }
+
+    if (existing.is_system) {
+      throw new AppError('Built-in roles cannot be deleted');
+    }
+
+    const usersResult = await client.query('SELECT COUNT(*)::int as count FROM users WHERE role = $1', [code]);
+    if (usersResult.rows[0].count > 0) {
+      throw new AppError(`${usersResult.rows[0].count} user(s) still have this role; move them to another role first`, 409);
+    }
+
+    await client.query('DELETE FROM roles WHERE code = $1', [code]);
+
+    await recordAudit(client, req, {
+      entityType: 'role',
+      entityId: existing.id,
+      action: 'delete',
+      before: existing,
+    });
+
+    return existing;
+  });
+
+  if (!role) {
+    return res.status(404).json({ error: 'Role not found' });
+  }
+
+  res.json({ message: 'Role deleted' });
+}));
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require('express');
+const router = express.Router();
+const { query, transaction } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const { validationRules } = require('../middleware/validation.middleware');
+const { depositDueDate, depositTds } = require('../services/tds.service');
+const { recordAudit } = require('../services/audit.service');
+
+router.use(authenticate);
+router.use(requirePermission('tds.manage'));
+
+// GET /api/tds/sections - TDS sections with their default rates and thresholds
+router.get('/sections', asyncHandler(async (req, res) => {
+  const result = await query(
+    `SELECT s.*,
+      (SELECT COUNT(*) FROM vendors v WHERE v.tds_section = s.section AND v.is_active = true) as vendor_count
+     FROM tds_sections s
+     ORDER BY s.section`
+  );
+
+  res.json({ data: result.rows });
+}));
+
+// PUT /api/tds/sections/:section - Update a section's rate or thresholds
+router.put('/sections/:section', requirePermission('tds.configure'), validationRules.updateTdsSection, asyncHandler(async (req, res) => {
+  const { section } = req.params;
+  const allowedFields = ['description', 'default_rate', 'single_threshold', 'annual_threshold', 'excess_only', 'is_active'];
+
+  const setClauses = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const field of allowedFields) {
+    if (req.body[field] !== undefined) {
+      setClauses.push(`${field} = $${paramIndex}`);
+      values.push(req.body[field]);
+      paramIndex++;
+    }
+  }
+
+  if (setClauses.length === 0) {
+    return res.status(400).json({ error: 'No valid fields to update' });
+  }
+
+  values.push(section);
+
+  const updated = await transaction(async (client) => {
+    const existing = await client.query('SELECT * FROM tds_sections WHERE section = $1 FOR UPDATE', [section]);
+
+    if (existing.rows.length === 0) {
+      throw new AppError('TDS section not found', 404);
+    }
+
+    const result = await client.query(
+      `UPDATE tds_sections SET ${setClauses.join(', ')}, updated_at = NOW()
+       WHERE section = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'tds_section',
+      entityId: null,
+      action: 'update',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  res.json({
+    message: 'TDS section updated',
+    section: updated,
+  });
+}));
+
+// GET /api/tds/payable - TDS liability by section and month. Deductions count once the
+// transfer has its UTR; they stay payable until deposited against a challan.
+// ?pending=true hides months that are fully deposited.
+router.get('/payable', asyncHandler(async (req, res) => {
+  const pendingOnly = req.query.pending === 'true';
+
+  const result = await query(
+    `SELECT
+      pd.tds_section as section,
+      TO_CHAR(DATE_TRUNC('month', p.payment_date), 'YYYY-MM') as period_month,
+      COUNT(*) FILTER (WHERE pd.utr_number IS NOT NULL AND pd.utr_number != '') as deduction_count,
+      COALESCE(SUM(pd.tds_amount) FILTER (WHERE pd.utr_number IS NOT NULL AND pd.utr_number != ''), 0) as deducted_amount,
+      COALESCE(SUM(pd.tds_amount) FILTER (WHERE pd.tds_challan_id IS NOT NULL), 0) as deposited_amount,
+      COALESCE(SUM(pd.tds_amount) FILTER (WHERE pd.utr_number IS NOT NULL AND pd.utr_number != ''
+        AND pd.tds_challan_id IS NULL), 0) as payable_amount,
+      COALESCE(SUM(pd.tds_amount) FILTER (WHERE pd.utr_number IS NULL OR pd.utr_number = ''), 0) as awaiting_transfer_amount
+    FROM payment_details pd
+    JOIN payments p ON pd.payment_id = p.id
+    WHERE pd.tds_amount > 0 AND pd.reversed_at IS NULL
+    GROUP BY pd.tds_section, DATE_TRUNC('month', p.payment_date)
+    ORDER BY period_month, section`
+  );
+
+  const today = new Date().toISOString().split('T')[0];
+  const rows = result.rows
+    .map(row => {
+      const dueDate = depositDueDate(row.period_month);
+      return {
+        ...row,
+        due_date: dueDate,
+        overdue: parseFloat(row.payable_amount) > 0 && dueDate < today,
+      };
+    })
+    .filter(row => !pendingOnly || parseFloat(row.payable_amount) > 0);
+
+  const totals = rows.reduce((sum, row) => ({
+    deducted_amount: sum.deducted_amount + parseFloat(row.deducted_amount),
+    deposited_amount: sum.deposited_amount + parseFloat(row.deposited_amount),
+    payable_amount: sum.payable_amount + parseFloat(row.payable_amount),
+    overdue_amount: sum.overdue_amount + (row.overdue ? parseFloat(row.payable_amount) : 0),
+  }), { deducted_amount: 0, deposited_amount: 0, payable_amount: 0, overdue_amount: 0 });
+
+  res.json({
+    data: rows,
+    summary: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, value.toFixed(2)])),
+  });
+}));
+
+// GET /api/tds/challans - Deposited challans
+router.get('/challans', asyncHandler(async (req, res) => {
+  const params = [];
+  let whereClause = 'WHERE 1=1';
+
+  if (req.query.section) {
+    params.push(req.query.section);
+    whereClause += ` AND c.section = $${params.length}`;
+  }
+
+  if (req.query.date_from) {
+    params.push(req.query.date_from);
+    whereClause += ` AND c.deposit_date >= $${params.length}`;
+  }
+
+  if (req.query.date_to) {
+    params.push(req.query.date_to);
+    whereClause += ` AND c.deposit_date <= $${params.length}`;
+  }
+
+  const result = await query(
+    `SELECT c.id, c.section, TO_CHAR(c.period_month, 'YYYY-MM') as period_month,
+      c.challan_number, c.bsr_code, c.deposit_date, c.tds_amount, c.interest, c.late_fee,
+      c.remarks, c.created_at, u.full_name as created_by_name,
+      (SELECT COUNT(*) FROM payment_details pd WHERE pd.tds_challan_id = c.id) as deduction_count
+     FROM tds_challans c
+     LEFT JOIN users u ON c.created_by = u.id
+     ${whereClause}
+     ORDER BY c.deposit_date DESC, c.section`,
+    params
+  );
+
+  res.json({ data: result.rows });
+}));
+
+// POST /api/tds/challans - Record a challan depositing one section's TDS for a month.
+// Every confirmed deduction of that section and month not yet deposited is linked to it.
+router.post('/challans', validationRules.createTdsChallan, asyncHandler(async (req, res) => {
+  const result = await transaction(async (client) => {
+    const deposit = await depositTds(client, req, req.body);
+
+    await recordAudit(client, req, {
+      entityType: 'tds_challan',
+      entityId: deposit.challan.id,
+      action: 'create',
+      after: { ...deposit.challan, deduction_count: deposit.detailCount },
+    });
+
+    return deposit;
+  });
+
+  res.status(201).json({
+    message: `Challan recorded against ${result.detailCount} deduction(s)`,
+    challan: result.challan,
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,531 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { query, transaction } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+const { validationRules, validators } = require('../middleware/validation.middleware');
+const { recordAudit } = require('../services/audit.service');
+const { revokeSessions } = require('../services/session.service');
+const {
+  assertRoleExists, assertPermissionsExist, assertAdminRemains, assertWithinOwnPermissions, getUserPermissions,
+} = require('../services/permission.service');
+
+router.use(authenticate);
+router.use(requirePermission('user.manage'));
+
+// Columns safe to return and to snapshot into the audit log (never password_hash)
+const USER_COLUMNS = `id, username, full_name, role, is_active, must_change_password,
+  temp_password_expires_at, password_changed_at, last_login, failed_login_count, locked_until,
+  totp_enabled, totp_enabled_at, created_at, updated_at`;
+
+const TEMP_PASSWORD_HOURS = parseInt(process.env.TEMP_PASSWORD_EXPIRES_HOURS) || 48;
+
+// Random one-time password; always contains a digit to satisfy the change-password rule
+const generateTempPassword = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz';
+  const digits = '23456789';
+  const chars = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]);
+  chars.splice(crypto.randomInt(chars.length), 0, digits[crypto.randomInt(digits.length)]);
+  chars.splice(crypto.randomInt(chars.length), 0, digits[crypto.randomInt(digits.length)]);
+  return chars.join('');
+};
+
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+// GET /api/users - List users with last login
+router.get('/', ...validators.pagination(), asyncHandler(async (req, res) => {
+  const role = req.query.role;
+  const active = req.query.active;
+  const search = req.query.search || '';
+
+  let whereClause = 'WHERE 1=1';
+  const params = [];
+  let paramIndex = 1;
+
+  if (search) {
+    whereClause += ` AND (username ILIKE $${paramIndex} OR full_name ILIKE $${paramIndex})`;
+    params.push(`%${search}%`);
+    paramIndex++;
+  }
+
+  if (role) {
+    whereClause += ` AND role = $${paramIndex}`;
+    params.push(role);
+    paramIndex++;
+  }
+
+  if (active === 'true' || active === 'false') {
+    whereClause += ` AND is_active = $${paramIndex}`;
+    params.push(active === 'true');
+    paramIndex++;
+  }
+
+  const result = await query(
+    `SELECT ${USER_COLUMNS}
+     FROM users
+     ${whereClause}
+     ORDER BY is_active DESC, role, full_name`,
+    params
+  );
+
+  res.json(result.rows);
+}));
+
+// GET /api/users/login-history - Login attempts, newest first (?user_id, ?success=true|false,
+// ?ip, ?date_from, ?date_to)
+router.get('/login-history', validationRules.loginHistoryQuery, asyncHandler(async (req, res) => {
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 50;
+  const offset = (page - 1) * limit;
+
+  let whereClause = 'WHERE 1=1';
+  const params = [];
+  let paramIndex = 1;
+
+  if (req.query.user_id) {
+    whereClause += ` AND lh.user_id = $${paramIndex}`;
+    params.push(req.query.user_id);
+    paramIndex++;
+  }
+
+  if (req.query.success) {
+    whereClause += ` AND lh.success = $${paramIndex}`;
+    params.push(req.query.success === 'true');
+    paramIndex++;
+  }
+
+  if (req.query.ip) {
+    whereClause += ` AND lh.ip_address = $${paramIndex}`;
+    params.push(req.query.ip);
+    paramIndex++;
+  }
+
+  if (req.query.date_from) {
+    whereClause += ` AND lh.created_at >= $${paramIndex}::date`;
+    params.push(req.query.date_from);
+    paramIndex++;
+  }
+
+  if (req.query.date_to) {
+    whereClause += ` AND lh.created_at < $${paramIndex}::date + 1`;
+    params.push(req.query.date_to);
+    paramIndex++;
+  }
+
+  const countResult = await query(`SELECT COUNT(*) FROM login_history lh ${whereClause}`, params);
+  const total = parseInt(countResult.rows[0].count);
+
+  const result = await query(
+    `SELECT lh.*, u.full_name, u.role
+     FROM login_history lh
+     LEFT JOIN users u ON lh.user_id = u.id
+     ${whereClause}
+     ORDER BY lh.created_at DESC
+     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, limit, offset]
+  );
+
+  res.json({
+    data: result.rows,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  });
+}));
+
+// GET /api/users/:id
+router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const result = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [req.params.id]);
+
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json(result.rows[0]);
+}));
+
+// POST /api/users - Create user with a temporary password
+router.post('/', validationRules.createUser, asyncHandler(async (req, res) => {
+  const { username, full_name, role } = req.body;
+
+  const tempPassword = generateTempPassword();
+  const passwordHash = await hashPassword(tempPassword);
+
+  const user = await transaction(async (client) => {
+    await assertRoleExists(client, role);
+
+    const result = await client.query(
+      `INSERT INTO users (
+        username, password_hash, full_name, role, is_active,
+        must_change_password, temp_password_expires_at, created_by
+      ) VALUES ($1, $2, $3, $4, true, true, NOW() + make_interval(hours => $5), $6)
+      RETURNING ${USER_COLUMNS}`,
+      [username, passwordHash, full_name, role, TEMP_PASSWORD_HOURS, req.user.id]
+    );
+
+    await assertWithinOwnPermissions(client, req.user, result.rows[0].id, 'create');
+
+    await recordAudit(client, req, {
+      entityType: 'user',
+      entityId: result.rows[0].id,
+      action: 'create',
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  res.status(201).json({
+    message: 'User created. Share the temporary password; it must be changed on first login.',
+    user,
+    temporaryPassword: tempPassword,
+  });
+}));
+
+// PUT /api/users/:id - Update name or role
+router.put('/:id', validationRules.updateUser, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { full_name, role } = req.body;
+
+  const setClauses = [];
+  const values = [];
+  let paramIndex = 1;
+
+  if (full_name !== undefined) {
+    setClauses.push(`full_name = $${paramIndex}`);
+    values.push(full_name);
+    paramIndex++;
+  }
+
+  if (role !== undefined) {
+    setClauses.push(`role = $${paramIndex}`);
+    values.push(role);
+    paramIndex++;
+  }
+
+  if (setClauses.length === 0) {
+    return res.status(400).json({ error: 'No valid fields to update' });
+  }
+
+  values.push(id);
+
+  const user = await transaction(async (client) => {
+    const existing = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1 FOR UPDATE`, [id]);
+
+    if (existing.rows.length === 0) {
+      return null;
+    }
+
+    if (role !== undefined) {
+      await assertRoleExists(client, role);
+      await assertWithinOwnPermissions(client, req.user, id, 'change the role of');
+    }
+
+    const result = await client.query(
+      `UPDATE users SET ${setClauses.join(', ')}, updated_at = NOW()
+       WHERE id = $${paramIndex} RETURNING ${USER_COLUMNS}`,
+      values
+    );
+
+    // A role change must not take role administration away from the last user who has
+    // it, nor give anyone more than the caller holds
+    if (role !== undefined) {
+      await assertAdminRemains(client);
+      await assertWithinOwnPermissions(client, req.user, id, 'assign this role to');
+    }
+
+    await recordAudit(client, req, {
+      entityType: 'user',
+      entityId: id,
+      action: 'update',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({ message: 'User updated', user });
+}));
+
+// POST /api/users/:id/reset-password - Issue a one-time temporary password
+router.post('/:id/reset-password', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const tempPassword = generateTempPassword();
+  const passwordHash = await hashPassword(tempPassword);
+
+  const user = await transaction(async (client) => {
+    const existing = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1 FOR UPDATE`, [id]);
+
+    if (existing.rows.length === 0) {
+      return null;
+    }
+
+    await assertWithinOwnPermissions(client, req.user, id, 'reset the password of');
+
+    const result = await client.query(
+      `UPDATE users
+       SET password_hash = $1, must_change_password = true,
+           temp_password_expires_at = NOW() + make_interval(hours => $2), updated_at = NOW()
+       WHERE id = $3 RETURNING ${USER_COLUMNS}`,
+      [passwordHash, TEMP_PASSWORD_HOURS, id]
+    );
+
+    await revokeSessions(client, req, { userId: id, reason: 'password_reset' });
+
+    await recordAudit(client, req, {
+      entityType: 'user',
+      entityId: id,
+      action: 'reset_password',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({
+    message: 'Password reset. The user must change it on next login.',
+    user,
+    temporaryPassword: tempPassword,
+  });
+}));
+
+// POST /api/users/:id/deactivate and /reactivate - Toggle login access
+const setActive = (isActive) => asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isActive && id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot deactivate your own account' });
+  }
+
+  const user = await transaction(async (client) => {
+    const existing = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1 FOR UPDATE`, [id]);
+
+    if (existing.rows.length === 0) {
+      return null;
+    }
+
+    const result = await client.query(
+      `UPDATE users SET is_active = $1, updated_at = NOW()
+       WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+      [isActive, id]
+    );
+
+    if (!isActive) {
+      await revokeSessions(client, req, { userId: id, reason: 'deactivated' });
+      await assertAdminRemains(client);
+    }
+
+    await recordAudit(client, req, {
+      entityType: 'user',
+      entityId: id,
+      action: isActive ? 'reactivate' : 'deactivate',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({
+    message: isActive ? 'User reactivated' : 'User deactivated',
+    user,
+  });
+});
+
+router.post('/:id/deactivate', validationRules.uuidParam, setActive(false));
+router.post('/:id/reactivate', validationRules.uuidParam, setActive(true));
+
+// GET /api/users/:id/sessions - Open sessions of a user
+router.get('/:id/sessions', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const result = await query(
+    `SELECT id, ip_address, user_agent, created_at, last_used_at
+     FROM auth_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL
+     ORDER BY last_used_at DESC`,
+    [req.params.id]
+  );
+
+  res.json({ data: result.rows });
+}));
+
+// POST /api/users/:id/revoke-sessions - Log a user out of every device (e.g. lost laptop)
+router.post('/:id/revoke-sessions', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const count = await transaction(async (client) => {
+    const existing = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+
+    if (existing.rows.length === 0) {
+      return null;
+    }
+
+    const revoked = await revokeSessions(client, req, { userId: id, reason: 'owner' });
+
+    await recordAudit(client, req, {
+      entityType: 'user',
+      entityId: id,
+      action: 'revoke_sessions',
+      after: { revoked_sessions: revoked },
+    });
+
+    return revoked;
+  });
+
+  if (count === null) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({ message: `${count} session(s) revoked` });
+}));
+
+// POST /api/users/:id/unlock - Lift a lockout from failed logins before it runs out
+router.post('/:id/unlock', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await transaction(async (client) => {
+    const existing = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1 FOR UPDATE`, [id]);
+
+    if (existing.rows.length === 0) {
+      return null;
+    }
+
+    const result = await client.query(
+      `UPDATE users SET failed_login_count = 0, locked_until = NULL, updated_at = NOW()
+       WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+      [id]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'user',
+      entityId: id,
+      action: 'unlock',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({ message: 'User unlocked', user });
+}));
+
+// GET /api/users/:id/permissions - Role permissions, per-user overrides and the effective set
+router.get('/:id/permissions', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const permissions = await getUserPermissions(req.params.id);
+
+  if (!permissions) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json(permissions);
+}));
+
+// PUT /api/users/:id/permissions - Replace the user's overrides: [{ permission, granted }],
+// granted = true adds a permission the role lacks, false withholds one it has
+router.put('/:id/permissions', requirePermission('role.manage'), validationRules.updateUserPermissions, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { overrides } = req.body;
+
+  const permissions = await transaction(async (client) => {
+    const before = await getUserPermissions(id, client);
+
+    if (!before) {
+      return null;
+    }
+
+    await assertPermissionsExist(client, overrides.map(override => override.permission));
+
+    await client.query('DELETE FROM user_permission_overrides WHERE user_id = $1', [id]);
+    for (const override of overrides) {
+      await client.query(
+        `INSERT INTO user_permission_overrides (user_id, permission, granted, created_by)
+         VALUES ($1, $2, $3, $4)`,
+        [id, override.permission, override.granted, req.user.id]
+      );
+    }
+
+    await assertAdminRemains(client);
+
+    const after = await getUserPermissions(id, client);
+
+    await recordAudit(client, req, {
+      entityType: 'user',
+      entityId: id,
+      action: 'update_permissions',
+      before: { overrides: before.overrides.map(({ permission, granted }) => ({ permission, granted })), effective: before.effective },
+      after: { overrides: overrides.map(({ permission, granted }) => ({ permission, granted })), effective: after.effective },
+    });
+
+    return after;
+  });
+
+  if (!permissions) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({ message: 'Permissions updated', ...permissions });
+}));
+
+// POST /api/users/:id/reset-2fa - Remove a user's authenticator and recovery codes (lost
+// phone). Users whose permissions require 2FA must enroll again on their next login.
+router.post('/:id/reset-2fa', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await transaction(async (client) => {
+    const existing = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1 FOR UPDATE`, [id]);
+
+    if (existing.rows.length === 0) {
+      return null;
+    }
+
+    await assertWithinOwnPermissions(client, req.user, id, 'reset 2FA of');
+
+    const result = await client.query(
+      `UPDATE users SET totp_enabled = false, totp_enabled_at = NULL, totp_secret = NULL,
+         totp_last_step = NULL, updated_at = NOW()
+       WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+      [id]
+    );
+    await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [id]);
+
+    await recordAudit(client, req, {
+      entityType: 'user',
+      entityId: id,
+      action: 'reset_2fa',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({ message: 'Two-factor authentication reset', user });
+}));
+
+module.exports = router;
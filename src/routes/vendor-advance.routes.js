@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const { query, transaction } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+const { validationRules, validators } = require('../middleware/validation.middleware');
+const {
+  IN_OPEN_PROPOSAL_SQL, createAdvance, adjustAdvance, cancelAdvance,
+} = require('../services/vendor-advance.service');
+const { recordAudit } = require('../services/audit.service');
+
+router.use(authenticate);
+router.use(requirePermission('vendor_advance.view'));
+
+// Balance columns shared by the listing and detail queries
+const ADVANCE_BALANCES = `
+  (va.amount - va.paid_amount) as unpaid_amount,
+  (va.paid_amount - va.adjusted_amount) as unadjusted_amount,
+  ${IN_OPEN_PROPOSAL_SQL('va.id')} as in_proposal`;
+
+// GET /api/vendor-advances - List vendor advances
+router.get('/', ...validators.pagination(), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const offset = (page - 1) * limit;
+  const search = req.query.search || '';
+  const vendorId = req.query.vendor_id;
+  const status = req.query.status;
+  const dateFrom = req.query.date_from;
+  const dateTo = req.query.date_to;
+  // Advances that can still be added to a proposal
+  const availableOnly = req.query.available === 'true';
+  // Paid advances with money left to set against bills
+  const unadjustedOnly = req.query.unadjusted === 'true';
+
+  let whereClause = 'WHERE 1=1';
+  const params = [];
+  let paramIndex = 1;
+
+  if (search) {
+    whereClause += ` AND (v.code ILIKE $${paramIndex} OR v.name ILIKE $${paramIndex} OR va.advance_number ILIKE $${paramIndex} OR va.reference_number ILIKE $${paramIndex})`;
+    params.push(`%${search}%`);
+    paramIndex++;
+  }
+
+  if (vendorId) {
+    whereClause += ` AND va.vendor_id = $${paramIndex}`;
+    params.push(vendorId);
+    paramIndex++;
+  }
+
+  if (status) {
+    whereClause += ` AND va.status = $${paramIndex}`;
+    params.push(status);
+    paramIndex++;
+  }
+
+  if (dateFrom) {
+    whereClause += ` AND va.request_date >= $${paramIndex}`;
+    params.push(dateFrom);
+    paramIndex++;
+  }
+
+  if (dateTo) {
+    whereClause += ` AND va.request_date <= $${paramIndex}`;
+    params.push(dateTo);
+    paramIndex++;
+  }
+
+  if (availableOnly) {
+    whereClause += ` AND va.status = 'active' AND va.paid_amount < va.amount AND NOT ${IN_OPEN_PROPOSAL_SQL('va.id')}`;
+  }
+
+  if (unadjustedOnly) {
+    whereClause += ` AND va.status = 'active' AND va.adjusted_amount < va.paid_amount`;
+  }
+
+  const countResult = await query(
+    `SELECT COUNT(*) FROM vendor_advances va
+     JOIN vendors v ON va.vendor_id = v.id ${whereClause}`,
+    params
+  );
+
+  const advancesResult = await query(
+    `SELECT
+      va.*, ${ADVANCE_BALANCES},
+      v.code as vendor_code, v.name as vendor_name,
+      u.full_name as created_by_name
+    FROM vendor_advances va
+    JOIN vendors v ON va.vendor_id = v.id
+    LEFT JOIN users u ON va.created_by = u.id
+    ${whereClause}
+    ORDER BY va.request_date DESC, va.created_at DESC
+    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, limit, offset]
+  );
+
+  res.json({
+    data: advancesResult.rows,
+    pagination: {
+      page, limit,
+      total: parseInt(countResult.rows[0].count),
+      totalPages: Math.ceil(parseInt(countResult.rows[0].count) / limit),
+    },
+  });
+}));
+
+// GET /api/vendor-advances/:id - Get advance with payments and bill adjustments
+router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const advanceResult = await query(
+    `SELECT
+      va.*, ${ADVANCE_BALANCES},
+      v.code as vendor_code, v.name as vendor_name,
+      u.full_name as created_by_name, uc.full_name as cancelled_by_name
+    FROM vendor_advances va
+    JOIN vendors v ON va.vendor_id = v.id
+    LEFT JOIN users u ON va.created_by = u.id
+    LEFT JOIN users uc ON va.cancelled_by = uc.id
+    WHERE va.id = $1`,
+    [id]
+  );
+
+  if (advanceResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Advance not found' });
+  }
+
+  const paymentsResult = await query(
+    `SELECT
+      pd.id, pd.amount, pd.tds_amount, pd.net_amount, pd.utr_number, pd.reversed_at,
+      pay.id as payment_id, pay.payment_number, pay.payment_date, pay.status as payment_status,
+      p.proposal_number
+    FROM payment_details pd
+    JOIN payments pay ON pd.payment_id = pay.id
+    LEFT JOIN proposals p ON pay.proposal_id = p.id
+    WHERE pd.advance_id = $1
+    ORDER BY pay.payment_date, pay.payment_number`,
+    [id]
+  );
+
+  const adjustmentsResult = await query(
+    `SELECT
+      vaa.id, vaa.amount, vaa.created_at,
+      ib.id as bill_id, ib.bill_number, ib.invoice_date, ib.due_date,
+      ib.amount as bill_amount, ib.paid_amount, ib.adjusted_amount, ib.payment_status,
+      u.full_name as created_by_name
+    FROM vendor_advance_adjustments vaa
+    JOIN inward_bills ib ON vaa.bill_id = ib.id
+    LEFT JOIN users u ON vaa.created_by = u.id
+    WHERE vaa.advance_id = $1
+    ORDER BY vaa.created_at, ib.due_date`,
+    [id]
+  );
+
+  res.json({
+    advance: advanceResult.rows[0],
+    payments: paymentsResult.rows,
+    adjustments: adjustmentsResult.rows,
+  });
+}));
+
+// POST /api/vendor-advances - Request an advance to a vendor
+router.post('/', requirePermission('vendor_advance.create'), validationRules.createVendorAdvance, asyncHandler(async (req, res) => {
+  const { vendor_id, amount, reference_number, purpose } = req.body;
+
+  const result = await transaction(async (client) => {
+    const advance = await createAdvance(client, req, { vendor_id, amount, reference_number, purpose });
+
+    await recordAudit(client, req, {
+      entityType: 'vendor_advance',
+      entityId: advance.id,
+      action: 'create',
+      after: advance,
+    });
+
+    return advance;
+  });
+
+  res.status(201).json({
+    message: 'Advance recorded successfully',
+    advance: result,
+  });
+}));
+
+// POST /api/vendor-advances/:id/adjust - Set the paid advance against the vendor's bills
+router.post('/:id/adjust', requirePermission('vendor_advance.adjust'), validationRules.allocateNote, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { allocations } = req.body;
+
+  const result = await transaction(async (client) => {
+    const before = await client.query('SELECT * FROM vendor_advances WHERE id = $1', [id]);
+    const advance = await adjustAdvance(client, req, id, allocations);
+
+    await recordAudit(client, req, {
+      entityType: 'vendor_advance',
+      entityId: id,
+      action: 'adjust',
+      before: before.rows[0],
+      after: { ...advance, allocations },
+    });
+
+    return advance;
+  });
+
+  res.json({
+    message: 'Advance adjusted successfully',
+    advance: {
+      ...result,
+      unadjusted_amount: (parseFloat(result.paid_amount) - parseFloat(result.adjusted_amount)).toFixed(2),
+    },
+  });
+}));
+
+// POST /api/vendor-advances/:id/cancel - Cancel an unpaid advance
+router.post('/:id/cancel', requirePermission('vendor_advance.cancel'), validationRules.reversal, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const result = await transaction(async (client) => {
+    const before = await client.query('SELECT * FROM vendor_advances WHERE id = $1', [id]);
+    const advance = await cancelAdvance(client, req, id, reason);
+
+    await recordAudit(client, req, {
+      entityType: 'vendor_advance',
+      entityId: id,
+      action: 'cancel',
+      before: before.rows[0],
+      after: advance,
+    });
+
+    return advance;
+  });
+
+  res.json({
+    message: 'Advance cancelled',
+    advance: result,
+  });
+}));
+
+module.exports = router;
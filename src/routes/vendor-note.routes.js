@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const { query, transaction } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+const { validationRules, validators } = require('../middleware/validation.middleware');
+const { allocateVendorNote, createVendorNote, cancelVendorNote } = require('../services/vendor-note.service');
+const { recordAudit } = require('../services/audit.service');
+
+router.use(authenticate);
+router.use(requirePermission('vendor_note.view'));
+
+// GET /api/vendor-notes - List vendor debit/credit notes
+router.get('/', ...validators.pagination(), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const offset = (page - 1) * limit;
+  const search = req.query.search || '';
+  const vendorId = req.query.vendor_id;
+  const noteType = req.query.note_type;
+  const reason = req.query.reason;
+  const status = req.query.status;
+  const dateFrom = req.query.date_from;
+  const dateTo = req.query.date_to;
+  const unallocatedOnly = req.query.unallocated === 'true';
+
+  let whereClause = 'WHERE 1=1';
+  const params = [];
+  let paramIndex = 1;
+
+  if (search) {
+    whereClause += ` AND (v.code ILIKE $${paramIndex} OR v.name ILIKE $${paramIndex} OR vn.note_number ILIKE $${paramIndex} OR vn.reference_number ILIKE $${paramIndex})`;
+    params.push(`%${search}%`);
+    paramIndex++;
+  }
+
+  if (vendorId) {
+    whereClause += ` AND vn.vendor_id = $${paramIndex}`;
+    params.push(vendorId);
+    paramIndex++;
+  }
+
+  if (noteType) {
+    whereClause += ` AND vn.note_type = $${paramIndex}`;
+    params.push(noteType);
+    paramIndex++;
+  }
+
+  if (reason) {
+    whereClause += ` AND vn.reason = $${paramIndex}`;
+    params.push(reason);
+    paramIndex++;
+  }
+
+  if (status) {
+    whereClause += ` AND vn.status = $${paramIndex}`;
+    params.push(status);
+    paramIndex++;
+  }
+
+  if (dateFrom) {
+    whereClause += ` AND vn.note_date >= $${paramIndex}`;
+    params.push(dateFrom);
+    paramIndex++;
+  }
+
+  if (dateTo) {
+    whereClause += ` AND vn.note_date <= $${paramIndex}`;
+    params.push(dateTo);
+    paramIndex++;
+  }
+
+  if (unallocatedOnly) {
+    whereClause += ` AND vn.status = 'active' AND vn.allocated_amount < vn.amount`;
+  }
+
+  const countResult = await query(
+    `SELECT COUNT(*) FROM vendor_notes vn
+     JOIN vendors v ON vn.vendor_id = v.id ${whereClause}`,
+    params
+  );
+
+  const notesResult = await query(
+    `SELECT
+      vn.*, (vn.amount - vn.allocated_amount) as unallocated_amount,
+      v.code as vendor_code, v.name as vendor_name,
+      u.full_name as created_by_name
+    FROM vendor_notes vn
+    JOIN vendors v ON vn.vendor_id = v.id
+    LEFT JOIN users u ON vn.created_by = u.id
+    ${whereClause}
+    ORDER BY vn.note_date DESC, vn.created_at DESC
+    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, limit, offset]
+  );
+
+  res.json({
+    data: notesResult.rows,
+    pagination: {
+      page, limit,
+      total: parseInt(countResult.rows[0].count),
+      totalPages: Math.ceil(parseInt(countResult.rows[0].count) / limit),
+    },
+  });
+}));
+
+// GET /api/vendor-notes/:id - Get note with allocations
+router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const noteResult = await query(
+    `SELECT
+      vn.*, (vn.amount - vn.allocated_amount) as unallocated_amount,
+      v.code as vendor_code, v.name as vendor_name,
+      u.full_name as created_by_name, uc.full_name as cancelled_by_name
+    FROM vendor_notes vn
+    JOIN vendors v ON vn.vendor_id = v.id
+    LEFT JOIN users u ON vn.created_by = u.id
+    LEFT JOIN users uc ON vn.cancelled_by = uc.id
+    WHERE vn.id = $1`,
+    [id]
+  );
+
+  if (noteResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Note not found' });
+  }
+
+  const allocationsResult = await query(
+    `SELECT
+      vna.id, vna.amount, vna.created_at,
+      ib.id as bill_id, ib.bill_number, ib.invoice_date, ib.due_date,
+      ib.amount as bill_amount, ib.paid_amount, ib.adjusted_amount, ib.payment_status,
+      p.id as proposal_id, p.proposal_number
+    FROM vendor_note_allocations vna
+    JOIN inward_bills ib ON vna.bill_id = ib.id
+    LEFT JOIN proposals p ON vna.proposal_id = p.id
+    WHERE vna.note_id = $1
+    ORDER BY vna.created_at, ib.due_date`,
+    [id]
+  );
+
+  res.json({
+    note: noteResult.rows[0],
+    allocations: allocationsResult.rows,
+  });
+}));
+
+// POST /api/vendor-notes - Record a debit/credit note and optionally allocate it to bills
+router.post('/', requirePermission('vendor_note.create'), validationRules.createVendorNote, asyncHandler(async (req, res) => {
+  const {
+    vendor_id, note_type, note_date, reference_number, reason, amount, remarks, allocations = []
+  } = req.body;
+
+  const result = await transaction(async (client) => {
+    const note = await createVendorNote(client, req, {
+      vendor_id, note_type, note_date, reference_number, reason, amount, remarks, allocations,
+    });
+
+    await recordAudit(client, req, {
+      entityType: 'vendor_note',
+      entityId: note.id,
+      action: 'create',
+      after: { ...note, allocations },
+    });
+
+    return note;
+  });
+
+  res.status(201).json({
+    message: `${note_type === 'debit' ? 'Debit' : 'Credit'} note recorded successfully`,
+    note: {
+      ...result,
+      unallocated_amount: (parseFloat(result.amount) - parseFloat(result.allocated_amount)).toFixed(2),
+    },
+  });
+}));
+
+// POST /api/vendor-notes/:id/allocate - Allocate the unallocated balance to bills
+router.post('/:id/allocate', requirePermission('vendor_note.allocate'), validationRules.allocateNote, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { allocations } = req.body;
+
+  const result = await transaction(async (client) => {
+    const before = await client.query('SELECT * FROM vendor_notes WHERE id = $1', [id]);
+    const note = await allocateVendorNote(client, req, id, allocations);
+
+    await recordAudit(client, req, {
+      entityType: 'vendor_note',
+      entityId: id,
+      action: 'allocate',
+      before: before.rows[0],
+      after: { ...note, allocations },
+    });
+
+    return note;
+  });
+
+  res.json({
+    message: 'Note allocated successfully',
+    note: {
+      ...result,
+      unallocated_amount: (parseFloat(result.amount) - parseFloat(result.allocated_amount)).toFixed(2),
+    },
+  });
+}));
+
+// POST /api/vendor-notes/:id/cancel - Cancel a note and release its allocations
+router.post('/:id/cancel', requirePermission('vendor_note.cancel'), validationRules.reversal, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const result = await transaction(async (client) => {
+    const before = await client.query('SELECT * FROM vendor_notes WHERE id = $1', [id]);
+    const note = await cancelVendorNote(client, req, id, reason);
+
+    await recordAudit(client, req, {
+      entityType: 'vendor_note',
+      entityId: id,
+      action: 'cancel',
+      before: before.rows[0],
+      after: note,
+    });
+
+    return note;
+  });
+
+  res.json({
+    message: 'Note cancelled',
+    note: result,
+  });
+}));
+
+module.exports = router;
@@ -1,9 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../config/database');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { query, transaction } = require('../config/database');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
 const { asyncHandler } = require('../middleware/error.middleware');
 const { validationRules, validators, validate } = require('../middleware/validation.middleware');
+const { uploadSpreadsheet } = require('../middleware/upload.middleware');
+const { recordAudit } = require('../services/audit.service');
+const {
+  MASTERS, importColumns, templateHeaders, exportRows, checkMasterRows, upsertMasterRows,
+} = require('../services/master-data.service');
+const { XLSX_CONTENT_TYPE, readImportRows, buildWorkbook } = require('../services/spreadsheet.service');
+const { PDF_CONTENT_TYPE } = require('../services/pdf.service');
+const { getVendorLedger, vendorLedgerWorkbook, vendorLedgerPdf } = require('../services/ledger.service');
 
 // All routes require authentication
 router.use(authenticate);
@@ -69,6 +77,64 @@ router.get('/dropdown', asyncHandler(async (req, res) => {
   res.json(result.rows);
 }));
 
+// GET /api/vendors/export - Download the vendor master as XLSX (same columns as the import)
+router.get('/export', requirePermission('vendor.manage'), asyncHandler(async (req, res) => {
+  const activeOnly = req.query.active !== 'false';
+
+  const result = await query(
+    `SELECT * FROM vendors ${activeOnly ? 'WHERE is_active = true' : ''} ORDER BY code`
+  );
+
+  res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+  res.setHeader('Content-Disposition', `attachment; filename="vendors_${new Date().toISOString().split('T')[0]}.xlsx"`);
+  res.send(buildWorkbook(MASTERS.vendor.sheetName, exportRows('vendor', result.rows)));
+}));
+
+// GET /api/vendors/import/template - Blank XLSX with the import columns
+router.get('/import/template', requirePermission('vendor.manage'), asyncHandler(async (req, res) => {
+  res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+  res.setHeader('Content-Disposition', 'attachment; filename="vendors_template.xlsx"');
+  res.send(buildWorkbook(MASTERS.vendor.sheetName, [templateHeaders('vendor')]));
+}));
+
+// POST /api/vendors/import - Create or update vendors by code from XLSX/CSV.
+// Dry run by default; send commit=true to save the rows that passed validation.
+router.post('/import', requirePermission('vendor.manage'), uploadSpreadsheet, asyncHandler(async (req, res) => {
+  const commit = req.body.commit === 'true' || req.query.commit === 'true';
+  const { columns, records } = readImportRows(req.file.buffer, req.file.originalname, importColumns('vendor'));
+
+  if (columns.code === undefined || columns.name === undefined) {
+    return res.status(400).json({ error: 'The file needs Code and Name columns' });
+  }
+
+  if (records.length === 0) {
+    return res.status(400).json({ error: 'The file contains no vendor rows' });
+  }
+
+  const { rows, saved } = await transaction(async (client) => {
+    const checked = await checkMasterRows(client, 'vendor', records);
+    const written = commit
+      ? await upsertMasterRows(client, req, 'vendor', checked, req.file.originalname)
+      : [];
+    return { rows: checked, saved: written };
+  });
+
+  res.status(commit ? 201 : 200).json({
+    message: commit
+      ? `${saved.length} vendor(s) saved, ${rows.length - saved.length} row(s) skipped`
+      : 'Dry run complete. Nothing was saved; send commit=true to import the valid rows.',
+    dryRun: !commit,
+    summary: {
+      total: rows.length,
+      create: rows.filter(row => row.action === 'create').length,
+      update: rows.filter(row => row.action === 'update').length,
+      errors: rows.filter(row => row.errors.length > 0).length,
+    },
+    rows: rows.map(({ row, code, name, action, errors }) => ({ row, code, name, action, errors })),
+    saved,
+  });
+}));
+
 // GET /api/vendors/:id - Get single vendor with outstanding
 router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -90,22 +156,48 @@ router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
     `SELECT 
       COUNT(id) as total_bills,
       COALESCE(SUM(amount), 0) as total_amount,
-      COALESCE(SUM(amount - paid_amount), 0) as outstanding_amount,
-      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE THEN amount - paid_amount ELSE 0 END), 0) as overdue_amount,
+      COALESCE(SUM(amount - paid_amount - adjusted_amount), 0) as outstanding_amount,
+      COALESCE(SUM(CASE WHEN due_date < CURRENT_DATE THEN amount - paid_amount - adjusted_amount ELSE 0 END), 0) as overdue_amount,
       MIN(due_date) as earliest_due_date
     FROM inward_bills 
     WHERE vendor_id = $1 AND status = 'active' AND payment_status != 'paid'`,
     [id]
   );
 
+  // Debit/credit notes not yet allocated to a bill still reduce what we owe
+  const notesResult = await query(
+    `SELECT
+      COUNT(*) as unallocated_notes,
+      COALESCE(SUM(amount - allocated_amount), 0) as unallocated_note_amount
+    FROM vendor_notes
+    WHERE vendor_id = $1 AND status = 'active' AND allocated_amount < amount`,
+    [id]
+  );
+
+  // Advances paid but not yet adjusted against a bill are money the vendor holds
+  const advancesResult = await query(
+    `SELECT
+      COUNT(*) as unadjusted_advances,
+      COALESCE(SUM(paid_amount - adjusted_amount), 0) as unadjusted_advance_amount
+    FROM vendor_advances
+    WHERE vendor_id = $1 AND status = 'active' AND adjusted_amount < paid_amount`,
+    [id]
+  );
+
+  const summary = { ...outstandingResult.rows[0], ...notesResult.rows[0], ...advancesResult.rows[0] };
+  summary.net_outstanding = (parseFloat(summary.outstanding_amount) - parseFloat(summary.unallocated_note_amount)
+    - parseFloat(summary.unadjusted_advance_amount)).toFixed(2);
+
   // Get recent payments
   const paymentsResult = await query(
     `SELECT 
-      pd.id, pd.amount, pd.utr_number, p.payment_date, p.payment_number
+      pd.id, pd.amount, pd.tds_amount, pd.net_amount, pd.utr_number, p.payment_date, p.payment_number,
+      ib.bill_number, va.advance_number
     FROM payment_details pd
     JOIN payments p ON pd.payment_id = p.id
-    JOIN inward_bills ib ON pd.bill_id = ib.id
-    WHERE ib.vendor_id = $1
+    LEFT JOIN inward_bills ib ON pd.bill_id = ib.id
+    LEFT JOIN vendor_advances va ON pd.advance_id = va.id
+    WHERE COALESCE(ib.vendor_id, va.vendor_id) = $1
     ORDER BY p.payment_date DESC
     LIMIT 10`,
     [id]
@@ -113,7 +205,7 @@ router.get('/:id', validationRules.uuidParam, asyncHandler(async (req, res) => {
 
   res.json({
     vendor,
-    summary: outstandingResult.rows[0],
+    summary,
     recentPayments: paymentsResult.rows,
   });
 }));
@@ -136,8 +228,8 @@ router.get('/:id/bills', validationRules.uuidParam, asyncHandler(async (req, res
 
   const billsResult = await query(
     `SELECT 
-      id, bill_number, invoice_date, receiving_date, amount, paid_amount,
-      (amount - paid_amount) as outstanding, credit_days, due_date,
+      id, bill_number, invoice_date, receiving_date, amount, paid_amount, adjusted_amount,
+      (amount - paid_amount - adjusted_amount) as outstanding, credit_days, due_date,
       payment_status, checked_by, created_at,
       CASE 
         WHEN due_date < CURRENT_DATE THEN CURRENT_DATE - due_date 
@@ -175,16 +267,18 @@ router.get('/:id/payments', validationRules.uuidParam, asyncHandler(async (req,
 
   const paymentsResult = await query(
     `SELECT 
-      p.payment_number, p.payment_date, pd.amount, pd.utr_number,
-      ib.bill_number, ba.bank_name,
+      p.payment_number, p.payment_date, pd.amount, pd.tds_section, pd.tds_amount, pd.net_amount, pd.utr_number,
+      pd.reversed_at, pd.reversal_reason,
+      ib.bill_number, va.advance_number, ba.bank_name,
       u.full_name as proposed_by
     FROM payment_details pd
     JOIN payments p ON pd.payment_id = p.id
-    JOIN inward_bills ib ON pd.bill_id = ib.id
+    LEFT JOIN inward_bills ib ON pd.bill_id = ib.id
+    LEFT JOIN vendor_advances va ON pd.advance_id = va.id
     LEFT JOIN bank_accounts ba ON p.bank_account_id = ba.id
     LEFT JOIN proposals pr ON p.proposal_id = pr.id
     LEFT JOIN users u ON pr.created_by = u.id
-    WHERE ib.vendor_id = $1
+    WHERE COALESCE(ib.vendor_id, va.vendor_id) = $1
     ORDER BY p.payment_date DESC, p.created_at DESC
     LIMIT $2 OFFSET $3`,
     [id, limit, offset]
@@ -196,37 +290,71 @@ router.get('/:id/payments', validationRules.uuidParam, asyncHandler(async (req,
   });
 }));
 
+// GET /api/vendors/:id/ledger - Account statement with opening, running and closing
+// balance (?date_from, ?date_to; defaults to the financial year to date; ?format=xlsx|pdf)
+router.get('/:id/ledger', requirePermission('vendor.ledger'), validationRules.statementQuery, asyncHandler(async (req, res) => {
+  const ledger = await getVendorLedger(req.params.id, req.query.date_from, req.query.date_to);
+  const fileName = `ledger_${ledger.vendor.code}_${ledger.date_from}_${ledger.date_to}`;
+
+  if (req.query.format === 'xlsx') {
+    res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+    return res.send(vendorLedgerWorkbook(ledger));
+  }
+
+  if (req.query.format === 'pdf') {
+    res.setHeader('Content-Type', PDF_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+    return res.send(vendorLedgerPdf(ledger));
+  }
+
+  res.json(ledger);
+}));
+
 // POST /api/vendors - Create vendor
-router.post('/', authorize('owner', 'accounts'), validationRules.createVendor, asyncHandler(async (req, res) => {
+router.post('/', requirePermission('vendor.manage'), validationRules.createVendor, asyncHandler(async (req, res) => {
   const {
     code, name, phone, mobile, whatsapp, email, gstin, pan,
     address, city, state, pincode, bank_name, bank_branch,
-    account_number, ifsc_code, account_type, default_credit_days
+    account_number, ifsc_code, account_type, default_credit_days,
+    tds_section, tds_rate
   } = req.body;
 
-  const result = await query(
-    `INSERT INTO vendors (
-      code, name, phone, mobile, whatsapp, email, gstin, pan,
-      address, city, state, pincode, bank_name, bank_branch,
-      account_number, ifsc_code, account_type, default_credit_days, created_by
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
-    RETURNING *`,
-    [
-      code, name, phone, mobile, whatsapp, email, gstin, pan,
-      address, city, state, pincode, bank_name, bank_branch,
-      account_number, ifsc_code, account_type || 'current', default_credit_days || 30,
-      req.user.id
-    ]
-  );
+  const vendor = await transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO vendors (
+        code, name, phone, mobile, whatsapp, email, gstin, pan,
+        address, city, state, pincode, bank_name, bank_branch,
+        account_number, ifsc_code, account_type, default_credit_days,
+        tds_section, tds_rate, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+      RETURNING *`,
+      [
+        code, name, phone, mobile, whatsapp, email, gstin, pan,
+        address, city, state, pincode, bank_name, bank_branch,
+        account_number, ifsc_code, account_type || 'current', default_credit_days || 30,
+        tds_section || null, tds_rate ?? null, req.user.id
+      ]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'vendor',
+      entityId: result.rows[0].id,
+      action: 'create',
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
 
   res.status(201).json({
     message: 'Vendor created successfully',
-    vendor: result.rows[0],
+    vendor,
   });
 }));
 
 // PUT /api/vendors/:id - Update vendor
-router.put('/:id', authorize('owner', 'accounts'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+router.put('/:id', requirePermission('vendor.manage'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const updates = req.body;
 
@@ -234,7 +362,8 @@ router.put('/:id', authorize('owner', 'accounts'), validationRules.uuidParam, as
   const allowedFields = [
     'name', 'phone', 'mobile', 'whatsapp', 'email', 'gstin', 'pan',
     'address', 'city', 'state', 'pincode', 'bank_name', 'bank_branch',
-    'account_number', 'ifsc_code', 'account_type', 'default_credit_days', 'is_active'
+    'account_number', 'ifsc_code', 'account_type', 'default_credit_days',
+    'tds_section', 'tds_rate', 'is_active'
   ];
 
   const setClauses = [];
@@ -255,25 +384,43 @@ router.put('/:id', authorize('owner', 'accounts'), validationRules.uuidParam, as
 
   values.push(id);
 
-  const result = await query(
-    `UPDATE vendors SET ${setClauses.join(', ')}, updated_at = NOW() 
-     WHERE id = $${paramIndex} 
-     RETURNING *`,
-    values
-  );
+  const vendor = await transaction(async (client) => {
+    const existing = await client.query('SELECT * FROM vendors WHERE id = $1 FOR UPDATE', [id]);
+
+    if (existing.rows.length === 0) {
+      return null;
+    }
 
-  if (result.rows.length === 0) {
+    const result = await client.query(
+      `UPDATE vendors SET ${setClauses.join(', ')}, updated_at = NOW() 
+       WHERE id = $${paramIndex} 
+       RETURNING *`,
+      values
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'vendor',
+      entityId: id,
+      action: 'update',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
+
+  if (!vendor) {
     return res.status(404).json({ error: 'Vendor not found' });
   }
 
   res.json({
     message: 'Vendor updated successfully',
-    vendor: result.rows[0],
+    vendor,
   });
 }));
 
 // DELETE /api/vendors/:id - Soft delete vendor
-router.delete('/:id', authorize('owner'), validationRules.uuidParam, asyncHandler(async (req, res) => {
+router.delete('/:id', requirePermission('vendor.delete'), validationRules.uuidParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   // Check for outstanding bills
@@ -290,18 +437,36 @@ router.delete('/:id', authorize('owner'), validationRules.uuidParam, asyncHandle
     });
   }
 
-  const result = await query(
-    `UPDATE vendors SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING id, name`,
-    [id]
-  );
+  const vendor = await transaction(async (client) => {
+    const existing = await client.query('SELECT * FROM vendors WHERE id = $1 FOR UPDATE', [id]);
+
+    if (existing.rows.length === 0) {
+      return null;
+    }
+
+    const result = await client.query(
+      `UPDATE vendors SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [id]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'vendor',
+      entityId: id,
+      action: 'deactivate',
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    return result.rows[0];
+  });
 
-  if (result.rows.length === 0) {
+  if (!vendor) {
     return res.status(404).json({ error: 'Vendor not found' });
   }
 
   res.json({
     message: 'Vendor deactivated successfully',
-    vendor: result.rows[0],
+    vendor: { id: vendor.id, name: vendor.name },
   });
 }));
 
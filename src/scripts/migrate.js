@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../config/database');
+
+// Incremental schema changes applied on top of the base database/ SQL files
+const MIGRATIONS_DIR = path.join(__dirname, '../../migrations');
+
+const migrate = async () => {
+  const client = await pool.connect();
+
+  try {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name VARCHAR(255) PRIMARY KEY,
+        applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    const appliedResult = await client.query('SELECT name FROM schema_migrations');
+    const applied = new Set(appliedResult.rows.map(row => row.name));
+
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => file.endsWith('.sql'))
+      .sort();
+
+    for (const file of files) {
+      if (applied.has(file)) {
+        continue;
+      }
+
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+      // Each migration runs in its own transaction so a failure leaves no partial schema
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+        console.log(`✅ Applied ${file}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Migration ${file} failed:`, error.message);
+        throw error;
+      }
+    }
+
+    console.log('✅ Database is up to date');
+  } finally {
+    client.release();
+    await pool.end();
+  }
+};
+
+migrate().catch(() => process.exit(1));
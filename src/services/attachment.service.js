@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { AppError } = require('../middleware/error.middleware');
+const { ATTACHMENT_DIR } = require('../middleware/upload.middleware');
+const { recordAudit } = require('./audit.service');
+
+// Attachment rows point at either an inward or an outward bill
+const BILL_TYPES = {
+  inward: { table: 'inward_bills', column: 'inward_bill_id', entityType: 'inward_bill', label: 'Bill' },
+  outward: { table: 'outward_bills', column: 'outward_bill_id', entityType: 'outward_bill', label: 'Invoice' },
+};
+
+const ATTACHMENT_COLUMNS = `ba.id, ba.original_name, ba.mime_type, ba.size_bytes, ba.created_at,
+  ba.uploaded_by, u.full_name as uploaded_by_name`;
+
+const attachmentPath = (storedName) => path.join(ATTACHMENT_DIR, path.basename(storedName));
+
+// Best effort: a file left behind is harmless, a failed request is not
+const removeFiles = (files = []) => {
+  for (const file of files) {
+    fs.unlink(file.path, () => {});
+  }
+};
+
+const listAttachments = async (client, billType, billId) => {
+  const { column } = BILL_TYPES[billType];
+  const result = await client.query(
+    `SELECT ${ATTACHMENT_COLUMNS}
+     FROM bill_attachments ba
+     LEFT JOIN users u ON ba.uploaded_by = u.id
+     WHERE ba.${column} = $1
+     ORDER BY ba.created_at`,
+    [billId]
+  );
+
+  return result.rows;
+};
+
+// Record files multer has already written to disk against a bill
+const addAttachments = async (client, req, billType, billId, files) => {
+  const { table, column, entityType, label } = BILL_TYPES[billType];
+
+  const billResult = await client.query(`SELECT id, status FROM ${table} WHERE id = $1`, [billId]);
+
+  if (billResult.rows.length === 0) {
+    throw new AppError(`${label} not found`, 404);
+  }
+
+  if (billResult.rows[0].status === 'cancelled') {
+    throw new AppError(`Cannot attach documents to a cancelled ${label.toLowerCase()}`);
+  }
+
+  const attachments = [];
+  for (const file of files) {
+    const result = await client.query(
+      `INSERT INTO bill_attachments (${column}, original_name, stored_name, mime_type, size_bytes, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, original_name, mime_type, size_bytes, created_at`,
+      [billId, file.originalname.slice(0, 255), file.filename, file.mimetype, file.size, req.user.id]
+    );
+    attachments.push(result.rows[0]);
+  }
+
+  await recordAudit(client, req, {
+    entityType,
+    entityId: billId,
+    action: 'attach',
+    after: { attachments },
+  });
+
+  return attachments;
+};
+
+const getAttachment = async (client, billType, billId, attachmentId) => {
+  const { column } = BILL_TYPES[billType];
+  const result = await client.query(
+    `SELECT * FROM bill_attachments WHERE id = $1 AND ${column} = $2`,
+    [attachmentId, billId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Delete the row inside the transaction; the caller unlinks the file after commit
+const deleteAttachment = async (client, req, billType, billId, attachmentId) => {
+  const attachment = await getAttachment(client, billType, billId, attachmentId);
+
+  if (!attachment) {
+    throw new AppError('Attachment not found', 404);
+  }
+
+  await client.query('DELETE FROM bill_attachments WHERE id = $1', [attachmentId]);
+
+  await recordAudit(client, req, {
+    entityType: BILL_TYPES[billType].entityType,
+    entityId: billId,
+    action: 'delete_attachment',
+    before: attachment,
+  });
+
+  return attachment;
+};
+
+// encodeURIComponent leaves a few characters that RFC 5987 values may not contain
+const encodeRfc5987 = (value) => encodeURIComponent(value)
+  .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Stream a stored document to an authenticated client
+const sendAttachment = (res, attachment) => {
+  const filePath = attachmentPath(attachment.stored_name);
+
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Attachment file is missing from storage' });
+  }
+
+  // Header values must be Latin-1, so send an ASCII fallback name plus the RFC 5987
+  // UTF-8 form that browsers prefer
+  const download = res.req.query.download === 'true';
+  const name = attachment.original_name.replace(/[\r\n]/g, '');
+  const fallbackName = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  res.setHeader('Content-Type', attachment.mime_type);
+  res.setHeader('Content-Disposition',
+    `${download ? 'attachment' : 'inline'}; filename="${fallbackName}"; filename*=UTF-8''${encodeRfc5987(name)}`);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  return res.sendFile(filePath);
+};
+
+module.exports = {
+  attachmentPath,
+  removeFiles,
+  listAttachments,
+  addAttachments,
+  getAttachment,
+  deleteAttachment,
+  sendAttachment,
+};
@@ -0,0 +1,54 @@
+// Bookkeeping columns that change on every write and add noise to the diff
+const IGNORED_FIELDS = ['updated_at', 'version'];
+
+const normalize = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+};
+
+// Field-level diff between two row snapshots: { field: { from, to } }
+const diffRows = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = normalize(before?.[field]);
+    const to = normalize(after?.[field]);
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+// Write one audit_log row using the caller's transaction client so the entry
+// commits or rolls back together with the change it describes
+const recordAudit = async (client, req, { entityType, entityId, action, before = null, after = null }) => {
+  await client.query(
+    `INSERT INTO audit_log (
+      user_id, user_role, ip_address, entity_type, entity_id, action,
+      old_values, new_values, changes
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      req.user?.id || null,
+      req.user?.role || null,
+      req.ip || null,
+      entityType,
+      entityId,
+      action,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      JSON.stringify(diffRows(before, after)),
+    ]
+  );
+};
+
+module.exports = {
+  diffRows,
+  recordAudit,
+};
@@ -0,0 +1,53 @@
+const { formatDate, sanitize, toPaise, fixed } = require('./utils');
+
+// Generic NEFT/RTGS fixed-width file:
+//   H | debit account(20) | value date YYYYMMDD(8) | batch reference(20)
+//   D | mode(4) | bene account(20) | IFSC(11) | bene name(35) | amount in paise(15) | reference(20) | narration(30)
+//   T | record count(6) | total amount in paise(17) | hash total of bene accounts(18)
+const build = ({ payment, debitAccount, beneficiaries }) => {
+  const lines = [];
+
+  lines.push([
+    'H',
+    fixed(debitAccount.account_number, 20),
+    formatDate(payment.payment_date, 'YYYYMMDD'),
+    fixed(payment.payment_number, 20),
+  ].join(''));
+
+  let totalPaise = 0;
+  let hashTotal = 0n;
+
+  for (const beneficiary of beneficiaries) {
+    const paise = toPaise(beneficiary.amount);
+    totalPaise += paise;
+    hashTotal += BigInt(String(beneficiary.account_number).replace(/\D/g, '') || '0');
+
+    lines.push([
+      'D',
+      fixed(beneficiary.mode, 4),
+      fixed(beneficiary.account_number, 20),
+      fixed(beneficiary.ifsc_code, 11),
+      fixed(sanitize(beneficiary.name).toUpperCase(), 35),
+      fixed(paise, 15, { numeric: true }),
+      fixed(sanitize(`${payment.payment_number}-${beneficiary.vendor_code}`), 20),
+      fixed(sanitize(beneficiary.narration), 30),
+    ].join(''));
+  }
+
+  lines.push([
+    'T',
+    fixed(beneficiaries.length, 6, { numeric: true }),
+    fixed(totalPaise, 17, { numeric: true }),
+    fixed((hashTotal % 10n ** 18n).toString(), 18, { numeric: true }),
+  ].join(''));
+
+  return Buffer.from(`${lines.join('\r\n')}\r\n`, 'ascii');
+};
+
+module.exports = {
+  key: 'generic',
+  label: 'Generic NEFT/RTGS fixed-width (TXT)',
+  extension: 'txt',
+  contentType: 'text/plain',
+  build,
+};
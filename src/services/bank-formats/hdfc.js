@@ -0,0 +1,42 @@
+const { formatDate, sanitize } = require('./utils');
+
+// HDFC ENet bulk upload: comma separated, no header row, fixed column order
+const COLUMN_COUNT = 22;
+
+// N = NEFT, R = RTGS, I = HDFC-to-HDFC fund transfer
+const transactionType = (beneficiary) => {
+  if (beneficiary.ifsc_code?.startsWith('HDFC')) return 'I';
+  return beneficiary.mode === 'RTGS' ? 'R' : 'N';
+};
+
+// Commas would shift the columns, so they are removed rather than quoted
+const csvValue = (value) => String(value ?? '').replace(/[,\r\n"]/g, ' ');
+
+const build = ({ payment, beneficiaries }) => {
+  const lines = beneficiaries.map(beneficiary => {
+    const row = new Array(COLUMN_COUNT).fill('');
+    row[0] = transactionType(beneficiary);
+    row[1] = sanitize(beneficiary.vendor_code, 13);
+    row[2] = beneficiary.account_number;
+    row[3] = parseFloat(beneficiary.amount).toFixed(2);
+    row[4] = sanitize(beneficiary.name, 40);
+    row[12] = sanitize(`${payment.payment_number}${beneficiary.vendor_code}`.replace(/[^A-Za-z0-9]/g, ''), 20);
+    row[13] = sanitize(beneficiary.narration, 30);
+    row[14] = payment.payment_number;
+    row[17] = formatDate(payment.payment_date, 'DD/MM/YYYY');
+    row[18] = beneficiary.ifsc_code;
+    row[19] = sanitize(beneficiary.bank_name, 100);
+    row[21] = beneficiary.email || '';
+    return row.map(csvValue).join(',');
+  });
+
+  return Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8');
+};
+
+module.exports = {
+  key: 'hdfc',
+  label: 'HDFC ENet bulk upload (CSV)',
+  extension: 'csv',
+  contentType: 'text/csv',
+  build,
+};
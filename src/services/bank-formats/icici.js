@@ -0,0 +1,48 @@
+const XLSX = require('xlsx');
+const { formatDate, sanitize } = require('./utils');
+
+// ICICI CIB bulk payment upload (XLSX, one row per beneficiary)
+const HEADER = [
+  'Debit Ac No', 'Beneficiary Ac No', 'Beneficiary Name', 'Amt', 'Pay Mod', 'Date',
+  'IFSC', 'Payable Location', 'Print Location', 'Bene Mobile No.', 'Bene email ID',
+  'Bene add1', 'Bene add2', 'Bene add3', 'Bene add4',
+  'Add Details 1', 'Add Details 2', 'Add Details 3', 'Add Details 4', 'Add Details 5', 'Remarks',
+];
+
+// N = NEFT, R = RTGS, I = ICICI-to-ICICI fund transfer
+const payMode = (beneficiary) => {
+  if (beneficiary.ifsc_code?.startsWith('ICIC')) return 'I';
+  return beneficiary.mode === 'RTGS' ? 'R' : 'N';
+};
+
+const build = ({ payment, debitAccount, beneficiaries }) => {
+  const rows = beneficiaries.map(beneficiary => [
+    debitAccount.account_number,
+    beneficiary.account_number,
+    sanitize(beneficiary.name, 35),
+    parseFloat(beneficiary.amount).toFixed(2),
+    payMode(beneficiary),
+    formatDate(payment.payment_date, 'DD-MMM-YYYY'),
+    beneficiary.ifsc_code,
+    '', '',
+    beneficiary.mobile || '',
+    beneficiary.email || '',
+    '', '', '', '',
+    payment.payment_number,
+    sanitize(beneficiary.narration, 30),
+    '', '', '',
+    sanitize(`${payment.payment_number} ${beneficiary.vendor_code}`, 30),
+  ]);
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([HEADER, ...rows]), 'Payments');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+  key: 'icici',
+  label: 'ICICI CIB bulk upload (XLSX)',
+  extension: 'xlsx',
+  contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  build,
+};
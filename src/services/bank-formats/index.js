@@ -0,0 +1,80 @@
+const icici = require('./icici');
+const hdfc = require('./hdfc');
+const generic = require('./generic');
+const { selectMode } = require('./utils');
+const { AppError } = require('../../middleware/error.middleware');
+
+// Registered bank file formats keyed by bank_accounts.bank_type.
+// A new bank is supported by adding a module exporting { key, label, extension, contentType, build }.
+const formats = {};
+
+const registerFormat = (format) => {
+  formats[format.key] = format;
+};
+
+[icici, hdfc, generic].forEach(registerFormat);
+
+const getFormat = (key) => formats[key];
+
+const listFormats = () => Object.values(formats).map(({ key, label, extension }) => ({ key, label, extension }));
+
+// Collapse payment detail rows into one transfer per vendor
+const aggregateBeneficiaries = (paymentNumber, details) => {
+  const byVendor = new Map();
+
+  for (const detail of details) {
+    const existing = byVendor.get(detail.vendor_id);
+    if (existing) {
+      existing.amount += parseFloat(detail.amount);
+      existing.bill_numbers.push(detail.bill_number);
+    } else {
+      byVendor.set(detail.vendor_id, {
+        vendor_id: detail.vendor_id,
+        vendor_code: detail.vendor_code,
+        name: detail.beneficiary_name,
+        account_number: detail.account_number,
+        ifsc_code: detail.ifsc_code,
+        bank_name: detail.bank_name,
+        email: detail.email,
+        mobile: detail.mobile,
+        amount: parseFloat(detail.amount),
+        bill_numbers: [detail.bill_number],
+      });
+    }
+  }
+
+  return Array.from(byVendor.values()).map(beneficiary => {
+    const amount = Math.round(beneficiary.amount * 100) / 100;
+    return {
+      ...beneficiary,
+      amount,
+      mode: selectMode(amount),
+      narration: `${paymentNumber} ${beneficiary.bill_numbers.join(',')}`,
+    };
+  });
+};
+
+const buildBankFile = (formatKey, { payment, debitAccount, details }) => {
+  const format = getFormat(formatKey);
+  if (!format) {
+    throw new AppError(`Unknown bank file format: ${formatKey}`);
+  }
+
+  const beneficiaries = aggregateBeneficiaries(payment.payment_number, details);
+  const buffer = format.build({ payment, debitAccount, beneficiaries });
+
+  return {
+    buffer,
+    beneficiaries,
+    filename: `${payment.payment_number}_${format.key}.${format.extension}`,
+    contentType: format.contentType,
+  };
+};
+
+module.exports = {
+  registerFormat,
+  getFormat,
+  listFormats,
+  aggregateBeneficiaries,
+  buildBankFile,
+};
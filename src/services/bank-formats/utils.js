@@ -0,0 +1,56 @@
+// Shared helpers for bank bulk-upload file formats
+
+// RTGS is only allowed from ₹2 lakh; smaller transfers go by NEFT
+const RTGS_THRESHOLD = parseFloat(process.env.RTGS_THRESHOLD) || 200000;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+// Supported patterns: YYYYMMDD, DD/MM/YYYY, DD-MMM-YYYY
+const formatDate = (value, pattern) => {
+  const date = value instanceof Date ? value : new Date(value);
+  const dd = pad2(date.getDate());
+  const mm = pad2(date.getMonth() + 1);
+  const yyyy = date.getFullYear();
+
+  switch (pattern) {
+    case 'YYYYMMDD':
+      return `${yyyy}${mm}${dd}`;
+    case 'DD/MM/YYYY':
+      return `${dd}/${mm}/${yyyy}`;
+    case 'DD-MMM-YYYY':
+      return `${dd}-${MONTHS[date.getMonth()]}-${yyyy}`;
+    default:
+      throw new Error(`Unsupported date pattern: ${pattern}`);
+  }
+};
+
+// Banks reject most punctuation in names and narrations
+const sanitize = (value, maxLength) => {
+  const cleaned = String(value || '')
+    .replace(/[^A-Za-z0-9 .,\-/]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return maxLength ? cleaned.slice(0, maxLength) : cleaned;
+};
+
+const selectMode = (amount) => (amount >= RTGS_THRESHOLD ? 'RTGS' : 'NEFT');
+
+const toPaise = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Fixed-width field: left-aligned text or right-aligned zero-padded number, never longer than width
+const fixed = (value, width, { numeric = false } = {}) => {
+  const text = String(value ?? '');
+  if (numeric) return text.padStart(width, '0').slice(-width);
+  return text.padEnd(width, ' ').slice(0, width);
+};
+
+module.exports = {
+  RTGS_THRESHOLD,
+  formatDate,
+  sanitize,
+  selectMode,
+  toPaise,
+  fixed,
+};
@@ -0,0 +1,188 @@
+const { AppError } = require('../middleware/error.middleware');
+
+const round2 = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+// Move an outward bill's collected_amount or adjusted_amount (credit notes) by delta
+// and derive its status from the total settled
+const moveBillAmount = async (client, billId, column, delta) => {
+  const result = await client.query(
+    `UPDATE outward_bills
+     SET ${column} = ${column} + $1,
+         status = CASE
+           WHEN collected_amount + adjusted_amount + $1 >= amount THEN 'paid'
+           WHEN collected_amount + adjusted_amount + $1 > 0 THEN 'partial'
+           ELSE 'pending'
+         END,
+         updated_at = NOW()
+     WHERE id = $2
+     RETURNING id, invoice_number, amount, collected_amount, adjusted_amount, status`,
+    [delta, billId]
+  );
+
+  return result.rows[0];
+};
+
+const applyCollectionToBill = (client, billId, delta) =>
+  moveBillAmount(client, billId, 'collected_amount', delta);
+
+const applyCreditToBill = (client, billId, delta) =>
+  moveBillAmount(client, billId, 'adjusted_amount', delta);
+
+// Lock an invoice and check that amount can be set against it for the customer
+const lockReceivable = async (client, billId, customerId, amount) => {
+  const billResult = await client.query(
+    `SELECT id, customer_id, invoice_number, amount, collected_amount, adjusted_amount, status
+     FROM outward_bills WHERE id = $1 FOR UPDATE`,
+    [billId]
+  );
+
+  if (billResult.rows.length === 0) {
+    throw new AppError(`Bill ${billId} not found`, 404);
+  }
+
+  const bill = billResult.rows[0];
+
+  if (bill.customer_id !== customerId) {
+    throw new AppError(`Invoice ${bill.invoice_number} belongs to a different customer`);
+  }
+
+  if (bill.status === 'cancelled') {
+    throw new AppError(`Invoice ${bill.invoice_number} is cancelled`);
+  }
+
+  const outstanding = round2(bill.amount - bill.collected_amount - bill.adjusted_amount);
+
+  if (round2(amount) > outstanding) {
+    throw new AppError(`Allocation of ${round2(amount)} exceeds outstanding ${outstanding} on invoice ${bill.invoice_number}`);
+  }
+
+  return bill;
+};
+
+// Allocate part or all of a receipt's unallocated (on-account) balance to open invoices
+const allocateCollection = async (client, collectionId, allocations, userId) => {
+  const collectionResult = await client.query(
+    'SELECT * FROM collections WHERE id = $1 FOR UPDATE',
+    [collectionId]
+  );
+
+  if (collectionResult.rows.length === 0) {
+    throw new AppError('Collection not found', 404);
+  }
+
+  const collection = collectionResult.rows[0];
+
+  if (collection.status !== 'active') {
+    throw new AppError('Cannot allocate a reversed receipt');
+  }
+
+  const available = round2(collection.amount - collection.allocated_amount);
+  const requested = round2(allocations.reduce((sum, item) => sum + parseFloat(item.amount), 0));
+
+  if (requested > available) {
+    throw new AppError(`Allocation of ${requested} exceeds the unallocated balance of ${available}`);
+  }
+
+  for (const allocation of allocations) {
+    const bill = await lockReceivable(client, allocation.bill_id, collection.customer_id, allocation.amount);
+    const amount = round2(allocation.amount);
+
+    await client.query(
+      `INSERT INTO collection_allocations (collection_id, bill_id, amount, created_by)
+       VALUES ($1, $2, $3, $4)`,
+      [collectionId, bill.id, amount, userId]
+    );
+
+    await applyCollectionToBill(client, bill.id, amount);
+  }
+
+  const updated = await client.query(
+    `UPDATE collections
+     SET allocated_amount = allocated_amount + $1, updated_at = NOW()
+     WHERE id = $2 RETURNING *`,
+    [requested, collectionId]
+  );
+
+  return updated.rows[0];
+};
+
+// Insert a receipt with a fresh receipt number and allocate it in the same transaction
+const createCollection = async (client, data, userId) => {
+  const customerResult = await client.query(
+    'SELECT id FROM customers WHERE id = $1',
+    [data.customer_id]
+  );
+
+  if (customerResult.rows.length === 0) {
+    throw new AppError('Customer not found', 404);
+  }
+
+  const numberResult = await client.query('SELECT generate_receipt_number() as receipt_number');
+  const receiptNumber = numberResult.rows[0].receipt_number;
+
+  const collectionResult = await client.query(
+    `INSERT INTO collections (
+      receipt_number, customer_id, receipt_date, amount, payment_mode,
+      reference_number, reference_date, bank_account_id, remarks, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *`,
+    [receiptNumber, data.customer_id, data.receipt_date, data.amount, data.payment_mode,
+     data.reference_number, data.reference_date || null, data.bank_account_id || null,
+     data.remarks, userId]
+  );
+  let collection = collectionResult.rows[0];
+
+  if (data.allocations && data.allocations.length > 0) {
+    collection = await allocateCollection(client, collection.id, data.allocations, userId);
+  }
+
+  return collection;
+};
+
+// Undo every allocation of a receipt; allocation rows are kept as history
+const reverseCollection = async (client, collectionId, reason, userId) => {
+  const collectionResult = await client.query(
+    'SELECT * FROM collections WHERE id = $1 FOR UPDATE',
+    [collectionId]
+  );
+
+  if (collectionResult.rows.length === 0) {
+    throw new AppError('Collection not found', 404);
+  }
+
+  if (collectionResult.rows[0].status === 'reversed') {
+    throw new AppError('Receipt is already reversed');
+  }
+
+  const allocationsResult = await client.query(
+    `SELECT bill_id, SUM(amount) as amount
+     FROM collection_allocations
+     WHERE collection_id = $1
+     GROUP BY bill_id`,
+    [collectionId]
+  );
+
+  for (const allocation of allocationsResult.rows) {
+    await applyCollectionToBill(client, allocation.bill_id, -round2(allocation.amount));
+  }
+
+  const result = await client.query(
+    `UPDATE collections
+     SET status = 'reversed', reversed_at = NOW(), reversed_by = $1,
+         reversal_reason = $2, updated_at = NOW()
+     WHERE id = $3 RETURNING *`,
+    [userId, reason, collectionId]
+  );
+
+  return result.rows[0];
+};
+
+module.exports = {
+  round2,
+  applyCollectionToBill,
+  applyCreditToBill,
+  lockReceivable,
+  allocateCollection,
+  createCollection,
+  reverseCollection,
+};
@@ -0,0 +1,178 @@
+const { AppError } = require('../middleware/error.middleware');
+const { round2, applyCreditToBill, lockReceivable } = require('./collection.service');
+
+// Allocate part or all of a credit note's unallocated balance to the customer's invoices.
+// collectionId links allocations made while allocating a customer receipt.
+const allocateCreditNote = async (client, creditNoteId, allocations, userId, collectionId = null) => {
+  const noteResult = await client.query(
+    'SELECT * FROM credit_notes WHERE id = $1 FOR UPDATE',
+    [creditNoteId]
+  );
+
+  if (noteResult.rows.length === 0) {
+    throw new AppError('Credit note not found', 404);
+  }
+
+  const note = noteResult.rows[0];
+
+  if (note.status !== 'active') {
+    throw new AppError(`Credit note ${note.credit_note_number} is cancelled`);
+  }
+
+  const available = round2(note.amount - note.allocated_amount);
+  const requested = round2(allocations.reduce((sum, item) => sum + parseFloat(item.amount), 0));
+
+  if (requested > available) {
+    throw new AppError(`Allocation of ${requested} exceeds the unallocated balance of ${available} on credit note ${note.credit_note_number}`);
+  }
+
+  for (const allocation of allocations) {
+    const bill = await lockReceivable(client, allocation.bill_id, note.customer_id, allocation.amount);
+    const amount = round2(allocation.amount);
+
+    await client.query(
+      `INSERT INTO credit_note_allocations (credit_note_id, bill_id, amount, collection_id, created_by)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [creditNoteId, bill.id, amount, collectionId, userId]
+    );
+
+    await applyCreditToBill(client, bill.id, amount);
+  }
+
+  const updated = await client.query(
+    `UPDATE credit_notes
+     SET allocated_amount = allocated_amount + $1, updated_at = NOW()
+     WHERE id = $2 RETURNING *`,
+    [requested, creditNoteId]
+  );
+
+  return updated.rows[0];
+};
+
+// Apply credit notes alongside a receipt: items are [{credit_note_id, bill_id, amount}]
+// and every note must belong to the receipt's customer
+const applyCreditNotes = async (client, collection, items, userId) => {
+  const byNote = new Map();
+  for (const item of items) {
+    if (!byNote.has(item.credit_note_id)) byNote.set(item.credit_note_id, []);
+    byNote.get(item.credit_note_id).push({ bill_id: item.bill_id, amount: item.amount });
+  }
+
+  const notes = [];
+  for (const [creditNoteId, allocations] of byNote) {
+    const ownerResult = await client.query('SELECT customer_id, credit_note_number FROM credit_notes WHERE id = $1', [creditNoteId]);
+
+    if (ownerResult.rows.length > 0 && ownerResult.rows[0].customer_id !== collection.customer_id) {
+      throw new AppError(`Credit note ${ownerResult.rows[0].credit_note_number} belongs to a different customer`);
+    }
+
+    notes.push(await allocateCreditNote(client, creditNoteId, allocations, userId, collection.id));
+  }
+
+  return notes;
+};
+
+// Insert a credit note with a fresh number. Without explicit allocations it is set
+// against its own invoice as far as that invoice is still outstanding; any remainder
+// stays on account.
+const createCreditNote = async (client, data, userId) => {
+  const billResult = await client.query(
+    `SELECT id, customer_id, invoice_number, amount, collected_amount, adjusted_amount, status
+     FROM outward_bills WHERE id = $1 FOR UPDATE`,
+    [data.outward_bill_id]
+  );
+
+  if (billResult.rows.length === 0) {
+    throw new AppError('Invoice not found', 404);
+  }
+
+  const bill = billResult.rows[0];
+
+  if (bill.status === 'cancelled') {
+    throw new AppError(`Invoice ${bill.invoice_number} is cancelled`);
+  }
+
+  // The invoice row lock serialises notes against it, so the sum cannot go stale
+  const issuedResult = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) as issued
+     FROM credit_notes WHERE outward_bill_id = $1 AND status = 'active'`,
+    [bill.id]
+  );
+  const issued = round2(issuedResult.rows[0].issued);
+
+  if (round2(issued + round2(data.amount)) > round2(bill.amount)) {
+    throw new AppError(
+      `Credit notes on invoice ${bill.invoice_number} cannot exceed its amount of ${bill.amount}; ${issued} is already credited`
+    );
+  }
+
+  const numberResult = await client.query('SELECT generate_credit_note_number() as credit_note_number');
+
+  const noteResult = await client.query(
+    `INSERT INTO credit_notes (
+      credit_note_number, customer_id, outward_bill_id, note_date, reason, amount, remarks, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *`,
+    [numberResult.rows[0].credit_note_number, bill.customer_id, bill.id, data.note_date,
+     data.reason, data.amount, data.remarks || null, userId]
+  );
+  let note = noteResult.rows[0];
+
+  let allocations = data.allocations;
+  if (allocations === undefined) {
+    const outstanding = round2(bill.amount - bill.collected_amount - bill.adjusted_amount);
+    const amount = Math.min(round2(data.amount), outstanding);
+    allocations = amount > 0 ? [{ bill_id: bill.id, amount }] : [];
+  }
+
+  if (allocations.length > 0) {
+    note = await allocateCreditNote(client, note.id, allocations, userId);
+  }
+
+  return { note, allocations };
+};
+
+// Release every allocation of a credit note; allocation rows are kept as history
+const cancelCreditNote = async (client, creditNoteId, reason, userId) => {
+  const noteResult = await client.query(
+    'SELECT * FROM credit_notes WHERE id = $1 FOR UPDATE',
+    [creditNoteId]
+  );
+
+  if (noteResult.rows.length === 0) {
+    throw new AppError('Credit note not found', 404);
+  }
+
+  if (noteResult.rows[0].status === 'cancelled') {
+    throw new AppError('Credit note is already cancelled');
+  }
+
+  const allocationsResult = await client.query(
+    `SELECT bill_id, SUM(amount) as amount
+     FROM credit_note_allocations
+     WHERE credit_note_id = $1
+     GROUP BY bill_id`,
+    [creditNoteId]
+  );
+
+  for (const allocation of allocationsResult.rows) {
+    await applyCreditToBill(client, allocation.bill_id, -round2(allocation.amount));
+  }
+
+  const result = await client.query(
+    `UPDATE credit_notes
+     SET status = 'cancelled', cancelled_at = NOW(), cancelled_by = $1,
+         cancel_reason = $2, updated_at = NOW()
+     WHERE id = $3 RETURNING *`,
+    [userId, reason, creditNoteId]
+  );
+
+  return result.rows[0];
+};
+
+module.exports = {
+  allocateCreditNote,
+  applyCreditNotes,
+  createCreditNote,
+  cancelCreditNote,
+};
@@ -0,0 +1,213 @@
+const { AppError } = require('../middleware/error.middleware');
+
+// Difference tolerated between a bill's amount and taxable value plus tax (round-off)
+const ROUND_OFF_TOLERANCE = 1;
+
+const round2 = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+// First two digits of a GSTIN are the state code
+const stateCode = (gstin) => (gstin && /^[0-9]{2}/.test(gstin) ? gstin.slice(0, 2) : null);
+
+const companyStateCode = () => stateCode(process.env.COMPANY_GSTIN);
+
+// Split the GST on a bill into CGST/SGST (party in our state) or IGST (other state).
+// A party without a GSTIN is treated as being in our state. Returns null when neither
+// taxable_value nor gst_amount is given, i.e. the bill is recorded without a breakup.
+const gstBreakup = ({ partyGstin, amount, taxable_value: taxableValue, gst_amount: gstAmount }) => {
+  const hasTaxable = taxableValue !== undefined && taxableValue !== null && taxableValue !== '';
+  const hasGst = gstAmount !== undefined && gstAmount !== null && gstAmount !== '';
+
+  if (!hasTaxable && !hasGst) {
+    return null;
+  }
+
+  if (!hasTaxable || !hasGst) {
+    throw new AppError('taxable_value and gst_amount must be given together');
+  }
+
+  const taxable = round2(taxableValue);
+  const gst = round2(gstAmount);
+  if (Math.abs(taxable + gst - parseFloat(amount)) > ROUND_OFF_TOLERANCE) {
+    throw new AppError(`Taxable value ${taxable.toFixed(2)} plus GST ${gst.toFixed(2)} does not add up to the bill amount ${parseFloat(amount).toFixed(2)}`);
+  }
+
+  const ourState = companyStateCode();
+  if (!ourState) {
+    throw new AppError('COMPANY_GSTIN is not configured, so GST cannot be split into CGST/SGST/IGST', 500);
+  }
+
+  const partyState = stateCode(partyGstin) || ourState;
+  const interState = partyState !== ourState;
+  const cgst = interState ? 0 : round2(gst / 2);
+
+  return {
+    taxable_value: taxable,
+    cgst_amount: cgst,
+    sgst_amount: interState ? 0 : round2(gst - cgst),
+    igst_amount: interState ? gst : 0,
+    supply_type: interState ? 'inter' : 'intra',
+    party_state_code: partyState,
+  };
+};
+
+// Breakup to store when a bill's amount or GST figures are edited; null when none of
+// them changed or the bill never had a breakup and none is being added
+const revisedBreakup = (existing, updates, partyGstin) => {
+  const touched = ['amount', 'taxable_value', 'gst_amount'].some(field => updates[field] !== undefined);
+  const adding = updates.taxable_value !== undefined || updates.gst_amount !== undefined;
+
+  if (!touched || (existing.taxable_value === null && !adding)) {
+    return null;
+  }
+
+  const existingGst = parseFloat(existing.cgst_amount) + parseFloat(existing.sgst_amount) + parseFloat(existing.igst_amount);
+
+  return gstBreakup({
+    partyGstin,
+    amount: updates.amount ?? existing.amount,
+    taxable_value: updates.taxable_value ?? existing.taxable_value,
+    gst_amount: updates.gst_amount ?? (existing.taxable_value === null ? undefined : existingGst),
+  });
+};
+
+const BREAKUP_FIELDS = ['taxable_value', 'cgst_amount', 'sgst_amount', 'igst_amount', 'supply_type', 'party_state_code'];
+
+// GSTR-2B dates are DD-MM-YYYY
+const portalDate = (value) => {
+  const match = /^([0-9]{2})-([0-9]{2})-([0-9]{4})$/.exec(String(value || ''));
+  return match ? `${match[3]}-${match[2]}-${match[1]}` : null;
+};
+
+const sumItems = (invoice, field) => {
+  if (invoice[field] !== undefined) return round2(invoice[field]);
+  return round2((invoice.items || []).reduce((sum, item) => sum + (parseFloat(item[field]) || 0), 0));
+};
+
+// Read the B2B invoices out of a GSTR-2B JSON download from the GST portal
+const parseGstr2b = (buffer) => {
+  let json;
+  try {
+    json = JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    throw new AppError('The file is not valid JSON');
+  }
+
+  const data = json.data || json;
+  const returnPeriod = String(data.rtnprd || '');
+  if (!/^(0[1-9]|1[0-2])[0-9]{4}$/.test(returnPeriod)) {
+    throw new AppError('The file has no GSTR-2B return period (rtnprd)');
+  }
+
+  const companyGstin = process.env.COMPANY_GSTIN;
+  if (companyGstin && data.gstin && data.gstin.toUpperCase() !== companyGstin.toUpperCase()) {
+    throw new AppError(`The file is for GSTIN ${data.gstin}, not ${companyGstin}`);
+  }
+
+  const suppliers = (data.docdata && data.docdata.b2b) || [];
+  const invoices = [];
+
+  for (const supplier of suppliers) {
+    for (const invoice of supplier.inv || []) {
+      invoices.push({
+        supplier_gstin: String(supplier.ctin || '').toUpperCase(),
+        supplier_name: supplier.trdnm || null,
+        invoice_number: String(invoice.inum || ''),
+        invoice_date: portalDate(invoice.dt),
+        invoice_value: round2(invoice.val || 0),
+        taxable_value: sumItems(invoice, 'txval'),
+        igst_amount: sumItems(invoice, 'igst'),
+        cgst_amount: sumItems(invoice, 'cgst'),
+        sgst_amount: sumItems(invoice, 'sgst'),
+        cess_amount: sumItems(invoice, 'cess'),
+        itc_available: invoice.itcavl ? invoice.itcavl === 'Y' : null,
+      });
+    }
+  }
+
+  return {
+    gstin: data.gstin || null,
+    returnPeriod,
+    periodMonth: `${returnPeriod.slice(2)}-${returnPeriod.slice(0, 2)}-01`,
+    invoices,
+  };
+};
+
+const differs = (a, b) => Math.abs(parseFloat(a) - parseFloat(b)) > ROUND_OFF_TOLERANCE;
+
+const isoDate = (value) => (value instanceof Date
+  ? `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`
+  : String(value).slice(0, 10));
+
+// Find each reported invoice among the supplier's inward bills (by GSTIN and normalized
+// bill number) and list what disagrees
+const matchGstr2bInvoices = async (client, invoices) => {
+  const gstins = [...new Set(invoices.map(invoice => invoice.supplier_gstin))];
+  const vendorsResult = await client.query(
+    'SELECT id, gstin FROM vendors WHERE UPPER(gstin) = ANY($1::text[])',
+    [gstins]
+  );
+  const vendorByGstin = new Map(vendorsResult.rows.map(vendor => [vendor.gstin.toUpperCase(), vendor]));
+
+  const billsResult = await client.query(
+    `SELECT id, vendor_id, normalize_bill_number(bill_number) as normalized_number, invoice_date,
+       amount, taxable_value, cgst_amount, sgst_amount, igst_amount
+     FROM inward_bills
+     WHERE vendor_id = ANY($1::uuid[]) AND status != 'cancelled'`,
+    [vendorsResult.rows.map(vendor => vendor.id)]
+  );
+  const billByKey = new Map(billsResult.rows.map(bill => [`${bill.vendor_id}|${bill.normalized_number}`, bill]));
+
+  // Invoice numbers are normalized by the same SQL function as the bills
+  const numbersResult = await client.query(
+    'SELECT number, normalize_bill_number(number) as normalized FROM UNNEST($1::text[]) as number',
+    [[...new Set(invoices.map(invoice => invoice.invoice_number))]]
+  );
+  const normalized = new Map(numbersResult.rows.map(row => [row.number, row.normalized]));
+
+  return invoices.map(invoice => {
+    const vendor = vendorByGstin.get(invoice.supplier_gstin);
+    if (!vendor) {
+      return { ...invoice, vendor_id: null, bill_id: null, match_status: 'vendor_not_found', mismatches: [] };
+    }
+
+    const bill = billByKey.get(`${vendor.id}|${normalized.get(invoice.invoice_number)}`);
+    if (!bill) {
+      return { ...invoice, vendor_id: vendor.id, bill_id: null, match_status: 'missing_in_books', mismatches: [] };
+    }
+
+    const mismatches = [];
+    if (invoice.invoice_date && isoDate(bill.invoice_date) !== invoice.invoice_date) {
+      mismatches.push(`invoice date ${isoDate(bill.invoice_date)} in books, ${invoice.invoice_date} in GSTR-2B`);
+    }
+    if (differs(bill.amount, invoice.invoice_value)) {
+      mismatches.push(`invoice value ${bill.amount} in books, ${invoice.invoice_value.toFixed(2)} in GSTR-2B`);
+    }
+
+    if (bill.taxable_value === null) {
+      mismatches.push('no GST breakup in books');
+    } else {
+      for (const [field, label] of [['taxable_value', 'taxable value'], ['igst_amount', 'IGST'], ['cgst_amount', 'CGST'], ['sgst_amount', 'SGST']]) {
+        if (differs(bill[field], invoice[field])) {
+          mismatches.push(`${label} ${bill[field]} in books, ${invoice[field].toFixed(2)} in GSTR-2B`);
+        }
+      }
+    }
+
+    return {
+      ...invoice,
+      vendor_id: vendor.id,
+      bill_id: bill.id,
+      match_status: mismatches.length > 0 ? 'mismatch' : 'matched',
+      mismatches,
+    };
+  });
+};
+
+module.exports = {
+  BREAKUP_FIELDS,
+  stateCode,
+  gstBreakup,
+  revisedBreakup,
+  parseGstr2b,
+  matchGstr2bInvoices,
+};
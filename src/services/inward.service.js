@@ -0,0 +1,229 @@
+const { validationResult } = require('express-validator');
+const { validationRules } = require('../middleware/validation.middleware');
+const { parseSheetDate } = require('./spreadsheet.service');
+const { BREAKUP_FIELDS, gstBreakup } = require('./gst.service');
+
+// Header spellings accepted by the bulk import, mapped to createInwardBill fields
+const IMPORT_COLUMNS = {
+  vendor_code: ['vendorcode', 'suppliercode', 'vendor', 'supplier'],
+  vendor_gstin: ['vendorgstin', 'suppliergstin', 'gstin', 'gstno'],
+  bill_number: ['billnumber', 'billno', 'invoicenumber', 'invoiceno', 'bill'],
+  invoice_date: ['invoicedate', 'billdate', 'date'],
+  receiving_date: ['receivingdate', 'receiveddate', 'receivedon', 'grndate'],
+  amount: ['amount', 'billamount', 'invoiceamount', 'netamount', 'total'],
+  taxable_value: ['taxablevalue', 'taxable', 'taxableamount', 'assessablevalue'],
+  gst_amount: ['gstamount', 'gst', 'taxamount', 'totaltax'],
+  credit_days: ['creditdays', 'credit', 'terms'],
+  checked_by: ['checkedby', 'verifiedby', 'checker'],
+  remarks: ['remarks', 'notes'],
+};
+
+// Bills of the same vendor and amount this close together are treated as possible re-entries
+const DUPLICATE_WINDOW_DAYS = parseInt(process.env.DUPLICATE_BILL_WINDOW_DAYS) || 7;
+
+const TEMPLATE_HEADERS = [
+  'Vendor Code', 'Vendor GSTIN', 'Bill Number', 'Invoice Date', 'Receiving Date',
+  'Amount', 'Taxable Value', 'GST Amount', 'Credit Days', 'Checked By', 'Remarks',
+];
+
+// Due date is the invoice date plus the credit period
+const calculateDueDate = (invoiceDate, creditDays) => {
+  const dueDate = new Date(invoiceDate);
+  dueDate.setDate(dueDate.getDate() + parseInt(creditDays));
+  return dueDate.toISOString().split('T')[0];
+};
+
+// data.gst is the breakup from gstBreakup(), or null for a bill recorded without one
+const insertInwardBill = async (client, data, userId) => {
+  const gst = data.gst || {};
+  const result = await client.query(
+    `INSERT INTO inward_bills (
+      vendor_id, bill_number, invoice_date, receiving_date,
+      amount, credit_days, due_date, checked_by, remarks, bill_scan_url, created_by,
+      taxable_value, cgst_amount, sgst_amount, igst_amount, supply_type, party_state_code
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+    RETURNING *`,
+    [data.vendor_id, data.bill_number, data.invoice_date, data.receiving_date,
+     data.amount, data.credit_days, calculateDueDate(data.invoice_date, data.credit_days),
+     data.checked_by, data.remarks, data.bill_scan_url, userId,
+     ...BREAKUP_FIELDS.map(field => gst[field] ?? (field.endsWith('_amount') ? 0 : null))]
+  );
+
+  return result.rows[0];
+};
+
+// Same rule as the normalize_bill_number() SQL function: upper-case, drop leading
+// zeros of each number run, then drop punctuation and spaces
+const normalizeBillNumber = (billNumber) => String(billNumber || '')
+  .toUpperCase()
+  .replace(/(^|[^0-9])0+([0-9])/g, '$1$2')
+  .replace(/[^A-Z0-9]/g, '');
+
+const daysApart = (a, b) => Math.abs(Math.round((new Date(a) - new Date(b)) / 86400000));
+
+// Existing bills of the vendor that look like the same invoice: an exact match on the
+// normalized bill number, or the same amount with an invoice date within the window
+const findDuplicateBills = async (client, bill, excludeId = null) => {
+  const result = await client.query(
+    `SELECT
+      id, bill_number, invoice_date, amount, status, payment_status, created_at,
+      CASE WHEN normalize_bill_number(bill_number) = normalize_bill_number($2) THEN 'exact' ELSE 'near' END as match
+    FROM inward_bills
+    WHERE vendor_id = $1 AND status != 'cancelled'
+      AND ($5::uuid IS NULL OR id != $5)
+      AND (
+        normalize_bill_number(bill_number) = normalize_bill_number($2)
+        OR (ABS(amount - $3) < 0.01 AND ABS(invoice_date - $4::date) <= $6)
+      )
+    ORDER BY match, invoice_date DESC`,
+    [bill.vendor_id, bill.bill_number, bill.amount, bill.invoice_date, excludeId, DUPLICATE_WINDOW_DAYS]
+  );
+
+  return result.rows;
+};
+
+// Run the same validators as POST /api/inward against one imported row
+const validateBillFields = async (body) => {
+  const req = { body, params: {}, query: {} };
+  for (const chain of validationRules.createInwardBill) {
+    if (typeof chain.run === 'function') {
+      await chain.run(req);
+    }
+  }
+  return validationResult(req).array().map(err => ({ field: err.path, message: err.msg }));
+};
+
+const sheetDate = (value) => parseSheetDate(value) || (value === '' || value === undefined ? '' : String(value));
+
+const sheetNumber = (value) => (typeof value === 'number' ? value : String(value ?? '').replace(/[,\s₹]/g, ''));
+
+const billKey = (vendorId, billNumber) => `${vendorId}|${normalizeBillNumber(billNumber)}`;
+
+// Resolve vendors, validate every row and flag duplicates without writing anything.
+// Rows with errors are never imported; warnings are informational.
+const checkImportRows = async (client, records) => {
+  const vendorsResult = await client.query(
+    'SELECT id, code, name, gstin, is_active, default_credit_days FROM vendors'
+  );
+  const byCode = new Map(vendorsResult.rows.map(vendor => [vendor.code.toUpperCase(), vendor]));
+  const byGstin = new Map(vendorsResult.rows
+    .filter(vendor => vendor.gstin)
+    .map(vendor => [vendor.gstin.toUpperCase(), vendor]));
+
+  const existingResult = await client.query(
+    `SELECT vendor_id, bill_number, amount, invoice_date
+     FROM inward_bills WHERE status != 'cancelled'`
+  );
+  const existingBills = new Map(existingResult.rows.map(bill => [billKey(bill.vendor_id, bill.bill_number), bill]));
+
+  // Near duplicates: same vendor and amount, invoice dates within the window
+  const findNear = (bills, vendorId, key, amount, invoiceDate) => bills.find(other =>
+    other.vendor_id === vendorId && billKey(other.vendor_id, other.bill_number) !== key &&
+    Math.abs(parseFloat(other.amount) - parseFloat(amount)) < 0.01 &&
+    daysApart(other.invoice_date, invoiceDate) <= DUPLICATE_WINDOW_DAYS);
+
+  const seenBills = new Map();
+  const accepted = [];
+  const results = [];
+
+  for (const record of records) {
+    const errors = [];
+    const warnings = [];
+    const code = String(record.vendor_code || '').trim().toUpperCase();
+    const gstin = String(record.vendor_gstin || '').trim().toUpperCase();
+
+    let vendor = null;
+    if (!code && !gstin) {
+      errors.push('Vendor code or GSTIN is required');
+    } else {
+      const vendorByCode = code ? byCode.get(code) : null;
+      const vendorByGstin = gstin ? byGstin.get(gstin) : null;
+
+      if (code && !vendorByCode) errors.push(`Vendor code ${code} not found`);
+      if (gstin && !vendorByGstin) errors.push(`Vendor GSTIN ${gstin} not found`);
+      if (vendorByCode && vendorByGstin && vendorByCode.id !== vendorByGstin.id) {
+        errors.push(`Vendor code ${code} and GSTIN ${gstin} belong to different vendors`);
+      }
+
+      vendor = vendorByCode || vendorByGstin || null;
+      if (vendor && !vendor.is_active) {
+        errors.push(`Vendor ${vendor.code} is inactive`);
+      }
+    }
+
+    const creditDays = record.credit_days === '' || record.credit_days === undefined
+      ? vendor?.default_credit_days
+      : sheetNumber(record.credit_days);
+
+    const bill = {
+      vendor_id: vendor ? vendor.id : '',
+      bill_number: String(record.bill_number ?? ''),
+      invoice_date: sheetDate(record.invoice_date),
+      receiving_date: sheetDate(record.receiving_date),
+      amount: sheetNumber(record.amount),
+      taxable_value: record.taxable_value === '' || record.taxable_value === undefined ? undefined : sheetNumber(record.taxable_value),
+      gst_amount: record.gst_amount === '' || record.gst_amount === undefined ? undefined : sheetNumber(record.gst_amount),
+      credit_days: creditDays ?? '',
+      checked_by: String(record.checked_by ?? ''),
+      remarks: record.remarks ? String(record.remarks) : null,
+    };
+
+    // Vendor problems are already reported in terms of code/GSTIN
+    const fieldErrors = await validateBillFields(bill);
+    errors.push(...fieldErrors.filter(err => err.field !== 'vendor_id').map(err => err.message));
+
+    let gst = null;
+    if (vendor && fieldErrors.length === 0) {
+      try {
+        gst = gstBreakup({ partyGstin: vendor.gstin, ...bill });
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    if (vendor && bill.bill_number.trim()) {
+      const key = billKey(vendor.id, bill.bill_number);
+      if (existingBills.has(key)) {
+        errors.push(`Bill ${bill.bill_number} already exists for vendor ${vendor.code}`);
+      } else if (seenBills.has(key)) {
+        errors.push(`Duplicate of row ${seenBills.get(key)} in this file`);
+      } else {
+        seenBills.set(key, record._row);
+      }
+
+      const similar = findNear(existingResult.rows, vendor.id, key, bill.amount, bill.invoice_date);
+      const similarRow = findNear(accepted, vendor.id, key, bill.amount, bill.invoice_date);
+      if (similar) {
+        warnings.push(`Possible duplicate of bill ${similar.bill_number} (same vendor and amount, invoice dated ${parseSheetDate(similar.invoice_date)})`);
+      } else if (similarRow) {
+        warnings.push(`Possible duplicate of row ${similarRow.row} (same vendor and amount, close invoice date)`);
+      }
+      accepted.push({ ...bill, row: record._row });
+    }
+
+    results.push({
+      row: record._row,
+      vendor_code: vendor ? vendor.code : code || null,
+      vendor_name: vendor ? vendor.name : null,
+      bill_number: bill.bill_number,
+      amount: bill.amount,
+      due_date: errors.length === 0 ? calculateDueDate(bill.invoice_date, bill.credit_days) : null,
+      errors,
+      warnings,
+      bill: errors.length === 0 ? { ...bill, amount: parseFloat(bill.amount), credit_days: parseInt(bill.credit_days), gst } : null,
+    });
+  }
+
+  return results;
+};
+
+module.exports = {
+  DUPLICATE_WINDOW_DAYS,
+  IMPORT_COLUMNS,
+  TEMPLATE_HEADERS,
+  calculateDueDate,
+  normalizeBillNumber,
+  findDuplicateBills,
+  insertInwardBill,
+  checkImportRows,
+};
@@ -0,0 +1,349 @@
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/error.middleware');
+const { buildWorkbook } = require('./spreadsheet.service');
+const { buildTablePdf } = require('./pdf.service');
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'Genetec Lifesciences';
+
+const round2 = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+// Indian financial years run April to March
+const financialYearStart = (isoDate) => {
+  const [year, month] = isoDate.split('-').map(Number);
+  return `${month >= 4 ? year : year - 1}-04-01`;
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Statement period; defaults to the financial year to date
+const resolvePeriod = (dateFrom, dateTo) => {
+  const to = dateTo || today();
+  const from = dateFrom || financialYearStart(to);
+
+  if (from > to) {
+    throw new AppError('date_from must not be after date_to');
+  }
+
+  return { dateFrom: from, dateTo: to };
+};
+
+// Every movement on a vendor's account as one row per document. Credits are what we
+// owe (bills, reversed transfers), debits what we paid or were credited (UTR-confirmed
+// transfers for bills and advances, the TDS held back from them, debit/credit notes).
+// A reversed transfer is credited back gross, TDS included. Advance adjustments only move
+// money between the vendor's own documents, so they are listed without an amount.
+// $1 is the vendor id.
+const VENDOR_ENTRIES_SQL = `
+  SELECT ib.invoice_date as entry_date, ib.created_at as entered_at, 'bill' as entry_type,
+    ib.id as document_id, ib.bill_number as document_number, NULL as reference,
+    'Inward bill' as description, 0 as debit, ib.amount as credit
+  FROM inward_bills ib
+  WHERE ib.vendor_id = $1 AND ib.status = 'active'
+
+  UNION ALL
+
+  SELECT p.payment_date, p.created_at, 'payment',
+    pd.id, p.payment_number, pd.utr_number,
+    CASE WHEN pd.advance_id IS NOT NULL THEN 'Advance ' || va.advance_number
+         ELSE 'Payment against ' || ib.bill_number END,
+    pd.net_amount, 0
+  FROM payment_details pd
+  JOIN payments p ON pd.payment_id = p.id
+  LEFT JOIN inward_bills ib ON pd.bill_id = ib.id
+  LEFT JOIN vendor_advances va ON pd.advance_id = va.id
+  WHERE COALESCE(ib.vendor_id, va.vendor_id) = $1
+    AND pd.utr_number IS NOT NULL AND pd.utr_number != ''
+
+  UNION ALL
+
+  SELECT p.payment_date, p.created_at, 'tds_deducted',
+    pd.id, p.payment_number, pd.utr_number,
+    'TDS u/s ' || pd.tds_section || ' on ' || COALESCE(ib.bill_number, va.advance_number),
+    pd.tds_amount, 0
+  FROM payment_details pd
+  JOIN payments p ON pd.payment_id = p.id
+  LEFT JOIN inward_bills ib ON pd.bill_id = ib.id
+  LEFT JOIN vendor_advances va ON pd.advance_id = va.id
+  WHERE COALESCE(ib.vendor_id, va.vendor_id) = $1 AND pd.tds_amount > 0
+    AND pd.utr_number IS NOT NULL AND pd.utr_number != ''
+
+  UNION ALL
+
+  SELECT pr.created_at::date, pr.created_at, 'payment_reversal',
+    pr.id, p.payment_number, pr.utr_number,
+    'Reversal of ' || COALESCE(ib.bill_number, va.advance_number) || ' (' || pr.reversal_type || ')',
+    0, pr.amount
+  FROM payment_reversals pr
+  JOIN payments p ON pr.payment_id = p.id
+  LEFT JOIN inward_bills ib ON pr.bill_id = ib.id
+  LEFT JOIN vendor_advances va ON pr.advance_id = va.id
+  WHERE COALESCE(ib.vendor_id, va.vendor_id) = $1 AND pr.was_settled = true
+
+  UNION ALL
+
+  SELECT vn.note_date, vn.created_at, vn.note_type || '_note',
+    vn.id, vn.note_number, vn.reference_number,
+    INITCAP(vn.note_type) || ' note - ' || REPLACE(vn.reason, '_', ' '),
+    vn.amount, 0
+  FROM vendor_notes vn
+  WHERE vn.vendor_id = $1 AND vn.status = 'active'
+
+  UNION ALL
+
+  SELECT vaa.created_at::date, vaa.created_at, 'advance_adjustment',
+    vaa.id, va.advance_number, ib.bill_number,
+    'Advance of ' || vaa.amount || ' adjusted against ' || ib.bill_number,
+    0, 0
+  FROM vendor_advance_adjustments vaa
+  JOIN vendor_advances va ON vaa.advance_id = va.id
+  JOIN inward_bills ib ON vaa.bill_id = ib.id
+  WHERE va.vendor_id = $1
+`;
+
+// Every movement on a customer's account. Debits are what the customer owes (invoices,
+// reversed receipts), credits what they paid or were credited (receipts, credit notes).
+// A reversed receipt stays on its own date and is undone on the reversal date.
+// $1 is the customer id.
+const CUSTOMER_ENTRIES_SQL = `
+  SELECT ob.invoice_date as entry_date, ob.created_at as entered_at, 'invoice' as entry_type,
+    ob.id as document_id, ob.invoice_number as document_number, NULL as reference,
+    'Sales invoice' as description, ob.amount as debit, 0 as credit
+  FROM outward_bills ob
+  WHERE ob.customer_id = $1 AND ob.status != 'cancelled'
+
+  UNION ALL
+
+  SELECT col.receipt_date, col.created_at, 'receipt',
+    col.id, col.receipt_number, col.reference_number,
+    'Receipt by ' || UPPER(col.payment_mode),
+    0, col.amount
+  FROM collections col
+  WHERE col.customer_id = $1
+
+  UNION ALL
+
+  SELECT col.reversed_at::date, col.reversed_at, 'receipt_reversal',
+    col.id, col.receipt_number, col.reference_number,
+    'Reversal of receipt' || COALESCE(' - ' || col.reversal_reason, ''),
+    col.amount, 0
+  FROM collections col
+  WHERE col.customer_id = $1 AND col.status = 'reversed'
+
+  UNION ALL
+
+  SELECT cn.note_date, cn.created_at, 'credit_note',
+    cn.id, cn.credit_note_number, ob.invoice_number,
+    'Credit note - ' || REPLACE(cn.reason, '_', ' '),
+    0, cn.amount
+  FROM credit_notes cn
+  JOIN outward_bills ob ON cn.outward_bill_id = ob.id
+  WHERE cn.customer_id = $1 AND cn.status = 'active'
+`;
+
+// Opening balance, entries with running balance and closing balance for a period.
+// sign is +1 when credits increase the balance (payables), -1 when debits do.
+const buildStatement = async (entriesSql, partyId, period, sign) => {
+  const openingResult = await query(
+    `SELECT COALESCE(SUM(credit - debit), 0) as balance
+     FROM (${entriesSql}) e
+     WHERE e.entry_date < $2`,
+    [partyId, period.dateFrom]
+  );
+
+  const entriesResult = await query(
+    `SELECT
+      TO_CHAR(e.entry_date, 'YYYY-MM-DD') as entry_date, e.entry_type, e.document_id,
+      e.document_number, e.reference, e.description, e.debit, e.credit
+     FROM (${entriesSql}) e
+     WHERE e.entry_date BETWEEN $2 AND $3
+     ORDER BY e.entry_date, e.entered_at, e.document_number`,
+    [partyId, period.dateFrom, period.dateTo]
+  );
+
+  const openingBalance = round2(sign * openingResult.rows[0].balance);
+  let balance = openingBalance;
+  let totalDebit = 0;
+  let totalCredit = 0;
+
+  const entries = entriesResult.rows.map(entry => {
+    const debit = round2(entry.debit);
+    const credit = round2(entry.credit);
+    totalDebit += debit;
+    totalCredit += credit;
+    balance = round2(balance + sign * (credit - debit));
+    return { ...entry, debit, credit, balance };
+  });
+
+  return {
+    date_from: period.dateFrom,
+    date_to: period.dateTo,
+    opening_balance: openingBalance,
+    entries,
+    total_debit: round2(totalDebit),
+    total_credit: round2(totalCredit),
+    closing_balance: balance,
+  };
+};
+
+// Vendor account statement. The balance is what we owe the vendor; a negative
+// balance is money (usually an advance) the vendor holds.
+const getVendorLedger = async (vendorId, dateFrom, dateTo) => {
+  const vendorResult = await query(
+    'SELECT id, code, name, gstin, pan, address, city, state, pincode, email FROM vendors WHERE id = $1',
+    [vendorId]
+  );
+
+  if (vendorResult.rows.length === 0) {
+    throw new AppError('Vendor not found', 404);
+  }
+
+  const statement = await buildStatement(VENDOR_ENTRIES_SQL, vendorId, resolvePeriod(dateFrom, dateTo), 1);
+  return { vendor: vendorResult.rows[0], ...statement };
+};
+
+// Customer account statement. The balance is what the customer owes us; a negative
+// balance is an unallocated receipt or credit in the customer's favour.
+const getCustomerStatement = async (customerId, dateFrom, dateTo) => {
+  const customerResult = await query(
+    'SELECT id, code, name, contact_person, gstin, address, city, state, pincode, email FROM customers WHERE id = $1',
+    [customerId]
+  );
+
+  if (customerResult.rows.length === 0) {
+    throw new AppError('Customer not found', 404);
+  }
+
+  const statement = await buildStatement(CUSTOMER_ENTRIES_SQL, customerId, resolvePeriod(dateFrom, dateTo), -1);
+  return { customer: customerResult.rows[0], ...statement };
+};
+
+const formatAmount = (value) => (value ? Number(value).toLocaleString('en-IN', {
+  minimumFractionDigits: 2, maximumFractionDigits: 2,
+}) : '');
+
+const formatDate = (isoDate) => isoDate.split('-').reverse().join('-');
+
+// Balances are shown unsigned with Dr/Cr, the way they are confirmed between parties.
+// creditSide is the side on which a positive balance sits.
+const formatBalance = (value, creditSide) => {
+  if (round2(value) === 0) return '0.00';
+  const side = (value > 0) === creditSide ? 'Cr' : 'Dr';
+  return `${formatAmount(Math.abs(value))} ${side}`;
+};
+
+const STATEMENT_HEADERS = ['Date', 'Type', 'Document', 'Reference', 'Description', 'Debit', 'Credit', 'Balance'];
+
+const entryLabel = (entryType) => entryType
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+// XLSX statement: party block, then one row per entry with numeric amounts
+const statementWorkbook = (sheetName, title, partyLines, statement, creditSide) => {
+  const rows = [
+    [title],
+    ...partyLines.map(line => [line]),
+    [`Period: ${formatDate(statement.date_from)} to ${formatDate(statement.date_to)}`],
+    [`Balances are ${creditSide ? 'credit (Cr)' : 'debit (Dr)'}; a negative balance is on the other side`],
+    [],
+    STATEMENT_HEADERS,
+    [formatDate(statement.date_from), 'Opening Balance', '', '', '', '', '', statement.opening_balance],
+    ...statement.entries.map(entry => [
+      formatDate(entry.entry_date), entryLabel(entry.entry_type), entry.document_number,
+      entry.reference || '', entry.description, entry.debit || '', entry.credit || '', entry.balance,
+    ]),
+    ['', 'Total', '', '', '', statement.total_debit, statement.total_credit, ''],
+    [formatDate(statement.date_to), 'Closing Balance', '', '', '', '', '', statement.closing_balance],
+  ];
+
+  return buildWorkbook(sheetName, rows);
+};
+
+const STATEMENT_COLUMNS = [
+  { header: 'Date', width: 10 },
+  { header: 'Type', width: 18 },
+  { header: 'Document', width: 18 },
+  { header: 'Reference', width: 18 },
+  { header: 'Description', width: 36 },
+  { header: 'Debit', width: 14, align: 'right' },
+  { header: 'Credit', width: 14, align: 'right' },
+  { header: 'Balance', width: 17, align: 'right' },
+];
+
+// PDF statement for sending to the party; closingLines follow the table (e.g. a
+// balance confirmation or payment request)
+const statementPdf = (title, partyLines, statement, creditSide, closingLines) => {
+  const balance = (value) => formatBalance(value, creditSide);
+
+  return buildTablePdf({
+    title: `${COMPANY_NAME} - ${title}`,
+    headerLines: [
+      ...partyLines,
+      `Period: ${formatDate(statement.date_from)} to ${formatDate(statement.date_to)}`,
+    ],
+    columns: STATEMENT_COLUMNS,
+    rows: [
+      { cells: [formatDate(statement.date_from), 'Opening Balance', '', '', '', '', '', balance(statement.opening_balance)], bold: true },
+      ...statement.entries.map(entry => [
+        formatDate(entry.entry_date), entryLabel(entry.entry_type), entry.document_number,
+        entry.reference || '', entry.description, formatAmount(entry.debit), formatAmount(entry.credit),
+        balance(entry.balance),
+      ]),
+      { cells: ['', 'Total', '', '', '', formatAmount(statement.total_debit), formatAmount(statement.total_credit), ''], bold: true },
+      { cells: [formatDate(statement.date_to), 'Closing Balance', '', '', '', '', '', balance(statement.closing_balance)], bold: true },
+    ],
+    footerLines: [
+      '',
+      ...closingLines,
+      'Any difference may be reported with supporting details within 15 days of receipt.',
+      `Generated on ${formatDate(today())}.`,
+    ],
+  });
+};
+
+const vendorPartyLines = (vendor) => [
+  `Vendor: ${vendor.name} (${vendor.code})`,
+  [vendor.address, vendor.city, vendor.state, vendor.pincode].filter(Boolean).join(', '),
+  [vendor.gstin && `GSTIN: ${vendor.gstin}`, vendor.pan && `PAN: ${vendor.pan}`].filter(Boolean).join('   '),
+].filter(Boolean);
+
+// In our books a vendor's payable balance is a credit balance
+const vendorLedgerWorkbook = (ledger) =>
+  statementWorkbook('Vendor Ledger', `${COMPANY_NAME} - Vendor Ledger`, vendorPartyLines(ledger.vendor), ledger, true);
+
+const vendorLedgerPdf = (ledger) =>
+  statementPdf('Vendor Ledger', vendorPartyLines(ledger.vendor), ledger, true, [
+    `Please confirm the closing balance of Rs. ${formatBalance(ledger.closing_balance, true)} as on ${formatDate(ledger.date_to)}.`,
+  ]);
+
+const customerPartyLines = (customer) => [
+  `Customer: ${customer.name} (${customer.code})`,
+  customer.contact_person && `Attn: ${customer.contact_person}`,
+  [customer.address, customer.city, customer.state, customer.pincode].filter(Boolean).join(', '),
+  customer.gstin && `GSTIN: ${customer.gstin}`,
+].filter(Boolean);
+
+// A customer's receivable balance is a debit balance
+const customerStatementWorkbook = (statement) =>
+  statementWorkbook('Customer Statement', `${COMPANY_NAME} - Statement of Account`, customerPartyLines(statement.customer), statement, false);
+
+const customerStatementPdf = (statement) =>
+  statementPdf('Statement of Account', customerPartyLines(statement.customer), statement, false, [
+    statement.closing_balance > 0
+      ? `Kindly arrange payment of the balance of Rs. ${formatAmount(statement.closing_balance)} due as on ${formatDate(statement.date_to)}.`
+      : `Balance as on ${formatDate(statement.date_to)}: Rs. ${formatBalance(statement.closing_balance, false)}.`,
+  ]);
+
+module.exports = {
+  financialYearStart,
+  resolvePeriod,
+  buildStatement,
+  getVendorLedger,
+  statementWorkbook,
+  statementPdf,
+  vendorLedgerWorkbook,
+  vendorLedgerPdf,
+  getCustomerStatement,
+  customerStatementWorkbook,
+  customerStatementPdf,
+};
@@ -0,0 +1,84 @@
+const { query } = require('../config/database');
+
+// Consecutive bad passwords that lock an account, and for how long
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Failed attempts from one IP address (any usernames) that block it for the window
+const MAX_FAILED_LOGINS_PER_IP = parseInt(process.env.MAX_FAILED_LOGINS_PER_IP) || 20;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+
+// Each failure doubles the wait before the response, from the base up to the cap
+const DELAY_BASE_MS = 250;
+const DELAY_MAX_MS = 8000;
+
+// Reasons that count as guessing; deactivated accounts and expired temporary
+// passwords are refused without counting against the IP
+const GUESS_REASONS = ['bad_password', 'unknown_user', 'bad_second_factor', 'bad_step_up'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const failureDelay = (failures) => (failures > 0
+  ? Math.min(DELAY_BASE_MS * 2 ** (failures - 1), DELAY_MAX_MS)
+  : 0);
+
+// Failed guesses from the caller's IP within the window
+const recentIpFailures = async (req) => {
+  const result = await query(
+    `SELECT COUNT(*)::int as failures
+     FROM login_history
+     WHERE ip_address = $1 AND success = false AND failure_reason = ANY($2::text[])
+       AND created_at > NOW() - make_interval(mins => $3)`,
+    [req.ip || null, GUESS_REASONS, IP_WINDOW_MINUTES]
+  );
+
+  return result.rows[0].failures;
+};
+
+const isIpBlocked = async (req) => (await recentIpFailures(req)) >= MAX_FAILED_LOGINS_PER_IP;
+
+const recordLogin = async (client, req, { userId = null, username, success, failureReason = null, secondFactor = null }) => {
+  await client.query(
+    `INSERT INTO login_history (user_id, username, ip_address, user_agent, success, failure_reason, second_factor)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [userId, String(username).slice(0, 100), req.ip || null,
+     (req.get('user-agent') || '').slice(0, 500) || null, success, failureReason, secondFactor]
+  );
+};
+
+// Count a bad password or second-factor code (at login or step-up) against the account, locking it on
+// reaching the limit. The count starts over once the lock is set, so the next lock
+// needs as many failures. Returns { failures, lockedUntil }.
+const registerFailedLogin = async (client, req, user, reason = 'bad_password') => {
+  const result = await client.query(
+    `UPDATE users
+     SET failed_login_count = CASE WHEN failed_login_count + 1 >= $2 THEN 0 ELSE failed_login_count + 1 END,
+         locked_until = CASE WHEN failed_login_count + 1 >= $2
+                          THEN NOW() + make_interval(mins => $3) ELSE locked_until END
+     WHERE id = $1
+     RETURNING failed_login_count, locked_until`,
+    [user.id, MAX_FAILED_LOGINS, LOCKOUT_MINUTES]
+  );
+
+  await recordLogin(client, req, { userId: user.id, username: user.username, success: false, failureReason: reason });
+
+  const { failed_login_count: count, locked_until: lockedUntil } = result.rows[0];
+  return {
+    failures: count === 0 ? MAX_FAILED_LOGINS : count,
+    lockedUntil: count === 0 ? lockedUntil : null,
+  };
+};
+
+// Wait out the progressive delay for a failed attempt: per account for known
+// usernames, per IP otherwise
+const delayFailure = async (req, failures = null) => {
+  const count = failures === null ? await recentIpFailures(req) : failures;
+  await sleep(failureDelay(count));
+};
+
+module.exports = {
+  isIpBlocked,
+  recordLogin,
+  registerFailedLogin,
+  delayFailure,
+};
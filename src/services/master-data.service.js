@@ -0,0 +1,158 @@
+const { validationResult } = require('express-validator');
+const { validationRules } = require('../middleware/validation.middleware');
+const { normalizeHeader } = require('./spreadsheet.service');
+const { recordAudit } = require('./audit.service');
+
+// Spreadsheet layout of each master: [field, header] in template/export order.
+// Imports accept the header or the field name itself, in any column order.
+const MASTERS = {
+  vendor: {
+    table: 'vendors',
+    sheetName: 'Vendors',
+    rules: validationRules.createVendor,
+    defaults: { account_type: 'current', default_credit_days: 30 },
+    columns: [
+      ['code', 'Code'], ['name', 'Name'], ['phone', 'Phone'], ['mobile', 'Mobile'],
+      ['whatsapp', 'WhatsApp'], ['email', 'Email'], ['gstin', 'GSTIN'], ['pan', 'PAN'],
+      ['address', 'Address'], ['city', 'City'], ['state', 'State'], ['pincode', 'Pincode'],
+      ['bank_name', 'Bank Name'], ['bank_branch', 'Bank Branch'], ['account_number', 'Account Number'],
+      ['ifsc_code', 'IFSC Code'], ['account_type', 'Account Type'], ['default_credit_days', 'Credit Days'],
+      ['tds_section', 'TDS Section'], ['tds_rate', 'TDS Rate'],
+    ],
+  },
+  customer: {
+    table: 'customers',
+    sheetName: 'Customers',
+    rules: validationRules.createCustomer,
+    defaults: { default_credit_days: 30 },
+    columns: [
+      ['code', 'Code'], ['name', 'Name'], ['contact_person', 'Contact Person'], ['phone', 'Phone'],
+      ['mobile', 'Mobile'], ['whatsapp', 'WhatsApp'], ['email', 'Email'], ['gstin', 'GSTIN'],
+      ['address', 'Address'], ['city', 'City'], ['state', 'State'], ['pincode', 'Pincode'],
+      ['default_credit_days', 'Credit Days'], ['credit_limit', 'Credit Limit'],
+    ],
+  },
+};
+
+const importColumns = (type) => Object.fromEntries(MASTERS[type].columns.map(([field, header]) =>
+  [field, [...new Set([normalizeHeader(header), normalizeHeader(field)])]]));
+
+const templateHeaders = (type) => MASTERS[type].columns.map(([, header]) => header);
+
+// Header row plus one row per record, in template column order
+const exportRows = (type, records) => [
+  templateHeaders(type),
+  ...records.map(record => MASTERS[type].columns.map(([field]) => record[field] ?? '')),
+];
+
+// Run the create validators against one row; blank cells count as not supplied
+const validateRow = async (type, record) => {
+  const body = {};
+  for (const [field] of MASTERS[type].columns) {
+    const value = record[field];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      body[field] = typeof value === 'number' ? String(value) : value;
+    }
+  }
+
+  const req = { body, params: {}, query: {} };
+  for (const chain of MASTERS[type].rules) {
+    if (typeof chain.run === 'function') {
+      await chain.run(req);
+    }
+  }
+
+  return {
+    values: req.body,
+    errors: validationResult(req).array().map(err => err.msg),
+  };
+};
+
+// Validate every row and work out whether it creates or updates a record by code
+const checkMasterRows = async (client, type, records) => {
+  const existingResult = await client.query(`SELECT id, code FROM ${MASTERS[type].table}`);
+  const existingByCode = new Map(existingResult.rows.map(row => [row.code.toUpperCase(), row.id]));
+  const seenCodes = new Map();
+  const results = [];
+
+  for (const record of records) {
+    const { values, errors } = await validateRow(type, record);
+    const code = String(values.code || '').toUpperCase();
+
+    if (code && seenCodes.has(code)) {
+      errors.push(`Duplicate of row ${seenCodes.get(code)} in this file`);
+    } else if (code) {
+      seenCodes.set(code, record._row);
+    }
+
+    const existingId = existingByCode.get(code) || null;
+
+    results.push({
+      row: record._row,
+      code: values.code || null,
+      name: values.name || null,
+      action: errors.length > 0 ? 'skip' : existingId ? 'update' : 'create',
+      errors,
+      existingId,
+      values: errors.length === 0 ? values : null,
+    });
+  }
+
+  return results;
+};
+
+// Insert new codes and update existing ones with the cells supplied in the file
+const upsertMasterRows = async (client, req, type, rows, fileName) => {
+  const { table, defaults } = MASTERS[type];
+  const saved = [];
+
+  for (const row of rows.filter(item => item.values)) {
+    const fields = Object.keys(row.values);
+    let before = null;
+    let result;
+
+    if (row.existingId) {
+      const existing = await client.query(`SELECT * FROM ${table} WHERE id = $1 FOR UPDATE`, [row.existingId]);
+      before = existing.rows[0];
+
+      const updateFields = fields.filter(field => field !== 'code');
+      result = await client.query(
+        `UPDATE ${table}
+         SET ${updateFields.map((field, i) => `${field} = $${i + 1}`).join(', ')}, updated_at = NOW()
+         WHERE id = $${updateFields.length + 1}
+         RETURNING *`,
+        [...updateFields.map(field => row.values[field]), row.existingId]
+      );
+    } else {
+      const data = { ...defaults, ...row.values };
+      const insertFields = Object.keys(data);
+      result = await client.query(
+        `INSERT INTO ${table} (${insertFields.join(', ')}, created_by)
+         VALUES (${insertFields.map((field, i) => `$${i + 1}`).join(', ')}, $${insertFields.length + 1})
+         RETURNING *`,
+        [...insertFields.map(field => data[field]), req.user.id]
+      );
+    }
+
+    await recordAudit(client, req, {
+      entityType: type,
+      entityId: result.rows[0].id,
+      action: before ? 'import_update' : 'import',
+      before,
+      after: before ? result.rows[0] : { ...result.rows[0], import_file: fileName, import_row: row.row },
+    });
+
+    saved.push({ row: row.row, id: result.rows[0].id, code: result.rows[0].code, action: row.action });
+  }
+
+  return saved;
+};
+
+module.exports = {
+  MASTERS,
+  importColumns,
+  templateHeaders,
+  exportRows,
+  checkMasterRows,
+  upsertMasterRows,
+};
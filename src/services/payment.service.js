@@ -0,0 +1,169 @@
+const { AppError } = require('../middleware/error.middleware');
+const { recordAudit } = require('./audit.service');
+const { settleBill } = require('./settlement.service');
+const { settleAdvance } = require('./vendor-advance.service');
+
+// Keep a payment's status in line with its remaining (unreversed) details
+const refreshPaymentStatus = async (client, req, paymentId, action) => {
+  const pendingResult = await client.query(
+    `SELECT COUNT(*) FROM payment_details 
+     WHERE payment_id = $1 AND (utr_number IS NULL OR utr_number = '') AND reversed_at IS NULL`,
+    [paymentId]
+  );
+
+  const newStatus = parseInt(pendingResult.rows[0].count) === 0 ? 'confirmed' : 'processed';
+  const paymentBefore = await client.query('SELECT * FROM payments WHERE id = $1 FOR UPDATE', [paymentId]);
+  const paymentAfter = await client.query(
+    `UPDATE payments SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+    [newStatus, paymentId]
+  );
+
+  if (paymentAfter.rows.length > 0) {
+    await recordAudit(client, req, {
+      entityType: 'payment',
+      entityId: paymentId,
+      action,
+      before: paymentBefore.rows[0],
+      after: paymentAfter.rows[0],
+    });
+  }
+
+  return paymentAfter.rows[0];
+};
+
+// Record UTR numbers against payment details and settle the underlying bills or advances.
+// Shared by manual UTR entry and bank statement reconciliation.
+const applyUtrNumbers = async (client, req, paymentId, details) => {
+  for (const detail of details) {
+    const before = await client.query(
+      'SELECT * FROM payment_details WHERE id = $1 AND payment_id = $2 FOR UPDATE',
+      [detail.detail_id, paymentId]
+    );
+
+    if (before.rows.length === 0) {
+      continue;
+    }
+
+    if (before.rows[0].reversed_at) {
+      throw new AppError('Cannot record a UTR on a reversed payment detail');
+    }
+
+    const after = await client.query(
+      `UPDATE payment_details 
+       SET utr_number = $1, status = 'confirmed', updated_at = NOW()
+       WHERE id = $2 AND payment_id = $3 RETURNING *`,
+      [detail.utr_number, detail.detail_id, paymentId]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'payment_detail',
+      entityId: detail.detail_id,
+      action: 'utr_update',
+      before: before.rows[0],
+      after: after.rows[0],
+    });
+
+    // Only the first UTR settles the bill; correcting a UTR must not pay it twice
+    const alreadySettled = Boolean(before.rows[0].utr_number);
+
+    if (detail.utr_number && !alreadySettled) {
+      if (after.rows[0].advance_id) {
+        await settleAdvance(client, req, after.rows[0].advance_id, after.rows[0].amount, 'payment_settled');
+      } else {
+        await settleBill(client, req, after.rows[0].bill_id, after.rows[0].amount, 'payment_settled');
+      }
+
+      // Update proposal item status
+      await client.query(
+        `UPDATE proposal_items SET status = 'paid' WHERE id = $1`,
+        [after.rows[0].proposal_item_id]
+      );
+    }
+  }
+
+  return refreshPaymentStatus(client, req, paymentId, 'utr_update');
+};
+
+// Reverse payment details (all open ones when detailIds is empty). Settled details
+// take their amount back off the bill or advance so it returns to the pool for new proposals;
+// the detail keeps its UTR and a payment_reversals row records what happened.
+const reversePaymentDetails = async (client, req, paymentId, detailIds, reason, reversalType) => {
+  const paymentResult = await client.query('SELECT id FROM payments WHERE id = $1 FOR UPDATE', [paymentId]);
+
+  if (paymentResult.rows.length === 0) {
+    throw new AppError('Payment not found', 404);
+  }
+
+  const detailsResult = await client.query(
+    `SELECT * FROM payment_details
+     WHERE payment_id = $1 AND ($2::uuid[] IS NULL OR id = ANY($2::uuid[]))
+     ORDER BY id FOR UPDATE`,
+    [paymentId, detailIds && detailIds.length > 0 ? detailIds : null]
+  );
+
+  if (detailIds && detailIds.length > 0 && detailsResult.rows.length !== detailIds.length) {
+    throw new AppError('One or more details do not belong to this payment', 404);
+  }
+
+  const alreadyReversed = detailsResult.rows.filter(detail => detail.reversed_at);
+  if (detailIds && detailIds.length > 0 && alreadyReversed.length > 0) {
+    throw new AppError('One or more details are already reversed');
+  }
+
+  const toReverse = detailsResult.rows.filter(detail => !detail.reversed_at);
+  if (toReverse.length === 0) {
+    throw new AppError('Nothing left to reverse on this payment');
+  }
+
+  // Tax already deposited with the government cannot be taken back with the transfer
+  if (toReverse.some(detail => detail.tds_challan_id)) {
+    throw new AppError('Cannot reverse a payment detail whose TDS has already been deposited');
+  }
+
+  const reversals = [];
+  for (const detail of toReverse) {
+    const settled = Boolean(detail.utr_number);
+
+    const reversalResult = await client.query(
+      `INSERT INTO payment_reversals (
+        payment_id, payment_detail_id, bill_id, advance_id, amount, utr_number,
+        was_settled, reversal_type, reason, reversed_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *`,
+      [paymentId, detail.id, detail.bill_id, detail.advance_id, detail.amount, detail.utr_number || null,
+       settled, reversalType, reason, req.user.id]
+    );
+
+    const detailAfter = await client.query(
+      `UPDATE payment_details
+       SET reversed_at = NOW(), reversed_by = $1, reversal_reason = $2, updated_at = NOW()
+       WHERE id = $3 RETURNING *`,
+      [req.user.id, reason, detail.id]
+    );
+
+    await recordAudit(client, req, {
+      entityType: 'payment_detail',
+      entityId: detail.id,
+      action: 'reverse',
+      before: detail,
+      after: detailAfter.rows[0],
+    });
+
+    if (settled && detail.advance_id) {
+      await settleAdvance(client, req, detail.advance_id, -parseFloat(detail.amount), 'payment_reversal');
+    } else if (settled) {
+      await settleBill(client, req, detail.bill_id, -parseFloat(detail.amount), 'payment_reversal');
+    }
+
+    reversals.push(reversalResult.rows[0]);
+  }
+
+  const payment = await refreshPaymentStatus(client, req, paymentId, 'reverse');
+
+  return { payment, reversals };
+};
+
+module.exports = {
+  applyUtrNumbers,
+  reversePaymentDetails,
+};
@@ -0,0 +1,128 @@
+// Plain tabular PDF documents (statements, ledgers) written without a PDF library.
+// Everything is set in Courier so column layout is a matter of counting characters.
+
+const PDF_CONTENT_TYPE = 'application/pdf';
+
+// A4 landscape, in points
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 36;
+const FONT_SIZE = 8;
+const LEADING = 11;
+// Courier glyphs are 600/1000 of the font size wide
+const CHAR_WIDTH = FONT_SIZE * 0.6;
+const LINE_CHARS = Math.floor((PAGE_WIDTH - 2 * MARGIN) / CHAR_WIDTH);
+const COLUMN_GAP = 2;
+
+// The standard fonts only cover WinAnsi; anything else is replaced
+const toPdfText = (value) => String(value ?? '')
+  .replace(/₹/g, 'Rs.')
+  .replace(/[^\x20-\x7e]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+const fitCell = (value, width, align) => {
+  const text = String(value ?? '');
+  const cut = text.length > width ? `${text.slice(0, width - 1)}~` : text;
+  return align === 'right' ? cut.padStart(width) : cut.padEnd(width);
+};
+
+const formatRow = (columns, cells) =>
+  columns.map((column, i) => fitCell(cells[i], column.width, column.align)).join(' '.repeat(COLUMN_GAP));
+
+// Lay the header lines, column headings, rows and footer lines out over as many pages
+// as needed; the title and column headings repeat on every page.
+// columns: [{ header, width (characters), align: 'left' | 'right' }]
+const layoutPages = ({ title, headerLines = [], columns, rows, footerLines = [] }) => {
+  const linesPerPage = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LEADING) - 1;
+  const ruler = '-'.repeat(Math.min(LINE_CHARS, formatRow(columns, columns.map(() => '')).length));
+  const pageHeader = [
+    { text: title, bold: true },
+    ...headerLines.map(text => ({ text })),
+    { text: '' },
+    { text: formatRow(columns, columns.map(column => column.header)), bold: true },
+    { text: ruler },
+  ];
+
+  const body = [
+    ...rows.map(row => ({ text: formatRow(columns, row.cells || row), bold: Boolean(row.bold) })),
+    { text: ruler },
+    ...footerLines.map(text => ({ text })),
+  ];
+
+  const perPage = Math.max(linesPerPage - pageHeader.length, 1);
+  const pages = [];
+  for (let i = 0; i < body.length || pages.length === 0; i += perPage) {
+    pages.push([...pageHeader, ...body.slice(i, i + perPage)]);
+  }
+
+  return pages;
+};
+
+const pageStream = (lines, pageNumber, pageCount) => {
+  const commands = ['BT', `${LEADING} TL`, `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`];
+  let bold = null;
+
+  for (const line of lines) {
+    if (Boolean(line.bold) !== bold) {
+      bold = Boolean(line.bold);
+      commands.push(`/${bold ? 'F2' : 'F1'} ${FONT_SIZE} Tf`);
+    }
+    commands.push(`(${toPdfText(line.text)}) Tj T*`);
+  }
+
+  commands.push('ET');
+  const footer = `Page ${pageNumber} of ${pageCount}`;
+  commands.push('BT', `/F1 ${FONT_SIZE} Tf`,
+    `${PAGE_WIDTH - MARGIN - footer.length * CHAR_WIDTH} ${MARGIN / 2} Td`,
+    `(${footer}) Tj`, 'ET');
+
+  return commands.join('\n');
+};
+
+// Build the PDF file; returns a Buffer
+const buildTablePdf = (document) => {
+  const pages = layoutPages(document);
+  const objects = [];
+  const addObject = (content) => {
+    objects.push(content);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>');
+  const boldId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(`<< /Title (${toPdfText(document.title)}) /Producer (GLS Payment System) >>`);
+
+  const pageIds = pages.map((lines, i) => {
+    const stream = pageStream(lines, i + 1, pages.length);
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let output = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((content, i) => {
+    offsets.push(Buffer.byteLength(output, 'latin1'));
+    output += `${i + 1} 0 obj\n${content}\nendobj\n`;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = {
+  PDF_CONTENT_TYPE,
+  buildTablePdf,
+};
@@ -0,0 +1,110 @@
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/error.middleware');
+
+// Permission that can restore any other one, so some active user must always hold it
+const ADMIN_PERMISSION = 'role.manage';
+
+const hasPermission = (user, permission) => Boolean(user && user.permissions && user.permissions.includes(permission));
+
+const assertRoleExists = async (client, code) => {
+  const result = await client.query('SELECT 1 FROM roles WHERE code = $1', [code]);
+  if (result.rows.length === 0) {
+    throw new AppError(`Unknown role: ${code}`);
+  }
+};
+
+// Reject codes that are not in the permissions catalogue
+const assertPermissionsExist = async (client, permissions) => {
+  const result = await client.query('SELECT code FROM permissions WHERE code = ANY($1::text[])', [permissions]);
+  const known = new Set(result.rows.map(row => row.code));
+  const unknown = [...new Set(permissions)].filter(permission => !known.has(permission));
+
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown permission(s): ${unknown.join(', ')}`);
+  }
+};
+
+// Called after a change to roles, overrides or user roles, inside its transaction, so
+// nobody can take away the last way back in
+const assertAdminRemains = async (client) => {
+  const result = await client.query(
+    `SELECT 1 FROM user_permissions up
+     JOIN users u ON up.user_id = u.id
+     WHERE up.permission = $1 AND u.is_active
+     LIMIT 1`,
+    [ADMIN_PERMISSION]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError(`This change would leave no active user with the ${ADMIN_PERMISSION} permission`);
+  }
+};
+
+// A user manager may only act on accounts whose effective permissions are all their own,
+// or could hand themselves (or a colluding account) owner rights by role or reset an
+// admin's password. Holders of role.manage can grant anything anyway and are exempt.
+// Call inside the transaction, after any change to the target, so the new role counts.
+const assertWithinOwnPermissions = async (client, actor, userId, action) => {
+  if (hasPermission(actor, ADMIN_PERMISSION)) {
+    return;
+  }
+
+  const result = await client.query(
+    `SELECT permission FROM user_permissions
+     WHERE user_id = $1 AND NOT (permission = ANY($2::text[]))
+     ORDER BY permission`,
+    [userId, actor.permissions || []]
+  );
+
+  if (result.rows.length > 0) {
+    throw new AppError(
+      `You cannot ${action} a user with permissions you do not hold: ${result.rows.map(row => row.permission).join(', ')}`,
+      403
+    );
+  }
+};
+
+// Role permissions, overrides and the resulting effective set of one user; pass the
+// transaction client to read uncommitted changes
+const getUserPermissions = async (userId, client = null) => {
+  const run = (text, params) => (client ? client.query(text, params) : query(text, params));
+
+  const userResult = await run('SELECT id, role FROM users WHERE id = $1', [userId]);
+  if (userResult.rows.length === 0) {
+    return null;
+  }
+  const { role } = userResult.rows[0];
+
+  const roleResult = await run(
+    'SELECT permission FROM role_permissions WHERE role = $1 ORDER BY permission',
+    [role]
+  );
+  const overridesResult = await run(
+    `SELECT o.permission, o.granted, o.created_at, u.full_name as created_by_name
+     FROM user_permission_overrides o
+     LEFT JOIN users u ON o.created_by = u.id
+     WHERE o.user_id = $1
+     ORDER BY o.permission`,
+    [userId]
+  );
+  const effectiveResult = await run(
+    'SELECT permission FROM user_permissions WHERE user_id = $1 ORDER BY permission',
+    [userId]
+  );
+
+  return {
+    role,
+    role_permissions: roleResult.rows.map(row => row.permission),
+    overrides: overridesResult.rows,
+    effective: effectiveResult.rows.map(row => row.permission),
+  };
+};
+
+module.exports = {
+  hasPermission,
+  assertRoleExists,
+  assertPermissionsExist,
+  assertAdminRemains,
+  assertWithinOwnPermissions,
+  getUserPermissions,
+};
@@ -0,0 +1,422 @@
+const { AppError } = require('../middleware/error.middleware');
+const { applyUtrNumbers } = require('./payment.service');
+const { createCollection, round2 } = require('./collection.service');
+const { recordAudit } = require('./audit.service');
+
+// A transfer normally hits the statement on the payment date or a few days later
+const DATE_WINDOW_DAYS = parseInt(process.env.RECON_DATE_WINDOW_DAYS) || 7;
+const CONFIDENT_SCORE = 80;
+const CONFIDENT_MARGIN = 20;
+
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 86400000);
+
+const toDateString = (value) => (value instanceof Date
+  ? `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`
+  : String(value).split('T')[0]);
+
+// Score how well a statement line fits a pending transfer (0 = not a candidate).
+// Amount must agree; beneficiary account, name and date proximity add confidence.
+const scoreCandidate = (line, amount, txnDate, target) => {
+  if (Math.abs(parseFloat(target.amount) - amount) >= 0.01) return 0;
+
+  const lag = daysBetween(toDateString(target.date), txnDate);
+  if (lag < -1 || lag > DATE_WINDOW_DAYS) return 0;
+
+  const narration = `${line.narration || ''} ${line.reference || ''}`.toUpperCase();
+  let score = 40;
+
+  const account = String(target.account_number || '').replace(/\D/g, '');
+  if (account.length >= 6 && narration.replace(/\D/g, ' ').includes(account.slice(-6))) {
+    score += 40;
+  }
+
+  const nameWords = String(target.name || '').toUpperCase().split(/[^A-Z0-9]+/).filter(word => word.length >= 4);
+  if (nameWords.some(word => narration.includes(word))) {
+    score += 20;
+  }
+
+  score += Math.max(0, 20 - Math.max(lag, 0) * 3);
+
+  return score;
+};
+
+// Rank candidates and decide whether the best one is safe to apply unattended
+const rankCandidates = (candidates) => {
+  const ranked = candidates.filter(candidate => candidate.score > 0).sort((a, b) => b.score - a.score);
+  const [best, second] = ranked;
+  const confident = Boolean(best) && best.score >= CONFIDENT_SCORE &&
+    (!second || best.score - second.score >= CONFIDENT_MARGIN);
+
+  return { ranked: ranked.slice(0, 5), best: confident ? best : null };
+};
+
+// Payment details still waiting for a UTR, one row per payment and vendor
+// because the bank file sends a single transfer per vendor
+const getPendingTransfers = async (client, bankAccountId) => {
+  const result = await client.query(
+    `SELECT
+      pd.payment_id, p.payment_number, p.payment_date as date,
+      v.id as vendor_id, v.code as vendor_code, v.name, v.account_number,
+      SUM(pd.net_amount) as amount,
+      ARRAY_AGG(pd.id) as detail_ids
+    FROM payment_details pd
+    JOIN payments p ON pd.payment_id = p.id
+    LEFT JOIN inward_bills ib ON pd.bill_id = ib.id
+    LEFT JOIN vendor_advances va ON pd.advance_id = va.id
+    JOIN vendors v ON v.id = COALESCE(ib.vendor_id, va.vendor_id)
+    WHERE p.bank_account_id = $1 AND (pd.utr_number IS NULL OR pd.utr_number = '') AND pd.reversed_at IS NULL
+    GROUP BY pd.payment_id, p.payment_number, p.payment_date, v.id, v.code, v.name, v.account_number`,
+    [bankAccountId]
+  );
+
+  return result.rows;
+};
+
+// Fill the UTR on every detail of one vendor transfer and mark the line matched
+const applyDebitMatch = async (client, req, line, transfer, utrNumber, score) => {
+  await applyUtrNumbers(client, req, transfer.payment_id, transfer.detail_ids.map(detailId => ({
+    detail_id: detailId,
+    utr_number: utrNumber,
+  })));
+
+  const result = await client.query(
+    `UPDATE bank_statement_lines
+     SET match_status = 'matched', matched_payment_id = $1, matched_vendor_id = $2,
+         match_score = $3, utr_number = $4, matched_by = $5, matched_at = NOW()
+     WHERE id = $6 RETURNING *`,
+    [transfer.payment_id, transfer.vendor_id, score, utrNumber, req.user.id, line.id]
+  );
+
+  await recordAudit(client, req, {
+    entityType: 'bank_statement_line',
+    entityId: line.id,
+    action: score === null ? 'confirm_debit_match' : 'auto_debit_match',
+    before: line,
+    after: result.rows[0],
+  });
+
+  return result.rows[0];
+};
+
+// Match open debit lines of a statement (or every open line of the account)
+// against pending payment transfers; confident matches get their UTR filled
+const reconcileDebits = async (client, req, bankAccountId, statementId = null) => {
+  const linesResult = await client.query(
+    `SELECT * FROM bank_statement_lines
+     WHERE bank_account_id = $1 AND debit > 0 AND match_status IN ('unmatched', 'review')
+       AND ($2::uuid IS NULL OR statement_id = $2)
+     ORDER BY txn_date, line_no`,
+    [bankAccountId, statementId]
+  );
+
+  let transfers = await getPendingTransfers(client, bankAccountId);
+  const summary = { matched: 0, review: 0, unmatched: 0 };
+
+  for (const line of linesResult.rows) {
+    const txnDate = toDateString(line.txn_date);
+    const candidates = transfers.map(transfer => ({
+      ...transfer,
+      score: scoreCandidate(line, parseFloat(line.debit), txnDate, transfer),
+    }));
+    const { ranked, best } = rankCandidates(candidates);
+
+    // Without a UTR on the statement line a person has to supply it
+    if (best && line.utr_number) {
+      await applyDebitMatch(client, req, line, best, line.utr_number, best.score);
+      transfers = transfers.filter(transfer =>
+        !(transfer.payment_id === best.payment_id && transfer.vendor_id === best.vendor_id));
+      summary.matched++;
+      continue;
+    }
+
+    const status = ranked.length > 0 ? 'review' : 'unmatched';
+    await client.query(
+      `UPDATE bank_statement_lines SET match_status = $1, candidates = $2 WHERE id = $3`,
+      [status, JSON.stringify(ranked.map(candidate => ({
+        payment_id: candidate.payment_id,
+        payment_number: candidate.payment_number,
+        vendor_id: candidate.vendor_id,
+        vendor_code: candidate.vendor_code,
+        vendor_name: candidate.name,
+        amount: candidate.amount,
+        score: candidate.score,
+      }))), line.id]
+    );
+    summary[status]++;
+  }
+
+  return summary;
+};
+
+// ---- Credits: customer receipts against open outward bills ----
+
+const normalizeText = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Open invoices grouped per customer, oldest due first (the FIFO order)
+const getOpenReceivables = async (client) => {
+  const result = await client.query(
+    `SELECT
+      ob.id as bill_id, ob.invoice_number, ob.due_date,
+      (ob.amount - ob.collected_amount - ob.adjusted_amount) as outstanding,
+      c.id as customer_id, c.code as customer_code, c.name as customer_name
+    FROM outward_bills ob
+    JOIN customers c ON ob.customer_id = c.id
+    WHERE ob.status NOT IN ('cancelled', 'paid') AND ob.amount > ob.collected_amount + ob.adjusted_amount
+    ORDER BY c.id, ob.due_date ASC, ob.invoice_date ASC`
+  );
+
+  const customers = new Map();
+  for (const row of result.rows) {
+    if (!customers.has(row.customer_id)) {
+      customers.set(row.customer_id, {
+        customer_id: row.customer_id,
+        customer_code: row.customer_code,
+        customer_name: row.customer_name,
+        bills: [],
+      });
+    }
+    customers.get(row.customer_id).bills.push({
+      bill_id: row.bill_id,
+      invoice_number: row.invoice_number,
+      outstanding: round2(row.outstanding),
+    });
+  }
+
+  return [...customers.values()];
+};
+
+// Spread an amount over bills in the given order without exceeding any outstanding
+const allocateInOrder = (bills, amount) => {
+  const allocations = [];
+  let remaining = round2(amount);
+
+  for (const bill of bills) {
+    if (remaining <= 0) break;
+    const share = round2(Math.min(remaining, bill.outstanding));
+    allocations.push({ bill_id: bill.bill_id, invoice_number: bill.invoice_number, amount: share });
+    remaining = round2(remaining - share);
+  }
+
+  return allocations;
+};
+
+// Suggest how one credit line could settle a customer's open bills:
+// invoice numbers quoted in the narration, a bill of exactly that amount,
+// or oldest-first when the customer's name or code appears in the narration
+const suggestForCustomer = (line, amount, customer) => {
+  const narration = normalizeText(`${line.narration} ${line.reference}`);
+  const nameWords = customer.customer_name.toUpperCase().split(/[^A-Z0-9]+/).filter(word => word.length >= 4);
+  const code = normalizeText(customer.customer_code);
+  const named = (code.length >= 3 && narration.includes(code)) ||
+    nameWords.some(word => narration.includes(word));
+
+  const quoted = customer.bills.filter(bill => {
+    const invoice = normalizeText(bill.invoice_number);
+    return invoice.length >= 4 && narration.includes(invoice);
+  });
+
+  if (quoted.length > 0) {
+    return { method: 'invoice', score: named ? 100 : 90, allocations: allocateInOrder(quoted, amount) };
+  }
+
+  const exact = customer.bills.find(bill => Math.abs(bill.outstanding - amount) < 0.01);
+  if (exact) {
+    return { method: 'amount', score: named ? 80 : 50, allocations: allocateInOrder([exact], amount) };
+  }
+
+  if (named) {
+    return { method: 'fifo', score: 40, allocations: allocateInOrder(customer.bills, amount) };
+  }
+
+  return null;
+};
+
+// Take a suggested allocation off the working outstanding so later lines in the same
+// run are not offered the same money
+const reserveAllocations = (customer, allocations) => {
+  for (const item of allocations) {
+    const bill = customer.bills.find(candidate => candidate.bill_id === item.bill_id);
+    bill.outstanding = round2(bill.outstanding - item.amount);
+  }
+  customer.bills = customer.bills.filter(bill => bill.outstanding > 0);
+};
+
+// Build ranked receipt suggestions for open credit lines; nothing is applied
+// until accounts confirms. Lines whose UTR was already entered as a receipt
+// are linked to it instead. Each line's best suggestion is reserved against the
+// outstanding seen by the lines after it.
+const suggestCreditMatches = async (client, bankAccountId, statementId = null) => {
+  const linesResult = await client.query(
+    `SELECT * FROM bank_statement_lines
+     WHERE bank_account_id = $1 AND credit > 0 AND match_status IN ('unmatched', 'review')
+       AND ($2::uuid IS NULL OR statement_id = $2)
+     ORDER BY txn_date, line_no`,
+    [bankAccountId, statementId]
+  );
+
+  const customers = await getOpenReceivables(client);
+  const summary = { matched: 0, review: 0, unmatched: 0 };
+
+  for (const line of linesResult.rows) {
+    const amount = round2(line.credit);
+
+    if (line.utr_number) {
+      const existing = await client.query(
+        `SELECT id, customer_id FROM collections
+         WHERE reference_number = $1 AND amount = $2 AND status = 'active'
+           AND id NOT IN (SELECT matched_collection_id FROM bank_statement_lines WHERE matched_collection_id IS NOT NULL)
+         LIMIT 1`,
+        [line.utr_number, amount]
+      );
+
+      if (existing.rows.length > 0) {
+        await client.query(
+          `UPDATE bank_statement_lines
+           SET match_status = 'matched', matched_customer_id = $1, matched_collection_id = $2, matched_at = NOW()
+           WHERE id = $3`,
+          [existing.rows[0].customer_id, existing.rows[0].id, line.id]
+        );
+        summary.matched++;
+        continue;
+      }
+    }
+
+    const candidates = [];
+    for (const customer of customers) {
+      const suggestion = suggestForCustomer(line, amount, customer);
+      if (suggestion) {
+        const allocated = round2(suggestion.allocations.reduce((sum, item) => sum + item.amount, 0));
+        candidates.push({
+          customer_id: customer.customer_id,
+          customer_code: customer.customer_code,
+          customer_name: customer.customer_name,
+          ...suggestion,
+          on_account: round2(amount - allocated),
+        });
+      }
+    }
+    candidates.sort((a, b) => b.score - a.score);
+
+    if (candidates.length > 0) {
+      const best = customers.find(customer => customer.customer_id === candidates[0].customer_id);
+      reserveAllocations(best, candidates[0].allocations);
+    }
+
+    const status = candidates.length > 0 ? 'review' : 'unmatched';
+    await client.query(
+      'UPDATE bank_statement_lines SET match_status = $1, candidates = $2 WHERE id = $3',
+      [status, JSON.stringify(candidates.slice(0, 5)), line.id]
+    );
+    summary[status]++;
+  }
+
+  return summary;
+};
+
+// The bank narration usually names the rail the money came through
+const paymentModeFromNarration = (narration) => {
+  const text = String(narration || '').toUpperCase();
+  if (/\bRTGS/.test(text)) return 'rtgs';
+  if (/\bIMPS/.test(text)) return 'imps';
+  if (/\bUPI/.test(text)) return 'upi';
+  if (/\b(CHQ|CHEQUE|CLG|CLEARING)/.test(text)) return 'cheque';
+  return 'neft';
+};
+
+// A stored suggestion may be older than other receipts and credit notes since applied
+// (or an earlier item of the same batch): cut each allocation to what the invoice
+// still has outstanding. What is cut stays on account with the receipt.
+const capToOutstanding = async (client, customerId, suggested) => {
+  const billsResult = await client.query(
+    `SELECT id, (amount - collected_amount - adjusted_amount) as outstanding
+     FROM outward_bills
+     WHERE id = ANY($1::uuid[]) AND customer_id = $2 AND status != 'cancelled'
+     ORDER BY id
+     FOR UPDATE`,
+    [suggested.map(item => item.bill_id), customerId]
+  );
+  const outstanding = new Map(billsResult.rows.map(row => [row.id, round2(row.outstanding)]));
+
+  const allocations = [];
+  for (const item of suggested) {
+    const amount = round2(Math.min(item.amount, outstanding.get(item.bill_id) || 0));
+    if (amount > 0) {
+      allocations.push({ bill_id: item.bill_id, amount });
+      outstanding.set(item.bill_id, round2(outstanding.get(item.bill_id) - amount));
+    }
+  }
+
+  return allocations;
+};
+
+// Record a receipt for a credit line and allocate it as confirmed by accounts;
+// whatever is not allocated stays on account for the customer
+const confirmCreditMatch = async (client, req, lineId, customerId, allocations) => {
+  const lineResult = await client.query(
+    'SELECT * FROM bank_statement_lines WHERE id = $1 FOR UPDATE',
+    [lineId]
+  );
+
+  if (lineResult.rows.length === 0) {
+    throw new AppError(`Statement line ${lineId} not found`, 404);
+  }
+
+  const line = lineResult.rows[0];
+
+  if (!(parseFloat(line.credit) > 0) || !['review', 'unmatched'].includes(line.match_status)) {
+    throw new AppError(`Line ${line.line_no} is not an open credit line`);
+  }
+
+  // Without explicit allocations, confirm the suggestion stored for that customer
+  if (allocations === undefined) {
+    const suggestion = (line.candidates || []).find(candidate => candidate.customer_id === customerId);
+    allocations = suggestion ? await capToOutstanding(client, customerId, suggestion.allocations) : [];
+  }
+
+  const collection = await createCollection(client, {
+    customer_id: customerId,
+    receipt_date: toDateString(line.txn_date),
+    amount: round2(line.credit),
+    payment_mode: paymentModeFromNarration(line.narration),
+    reference_number: (line.utr_number || line.reference || `STMT-${line.line_no}`).slice(0, 50),
+    bank_account_id: line.bank_account_id,
+    remarks: String(line.narration || '').slice(0, 500),
+    allocations,
+  }, req.user.id);
+
+  await recordAudit(client, req, {
+    entityType: 'collection',
+    entityId: collection.id,
+    action: 'create',
+    after: { ...collection, allocations, statement_line_id: line.id },
+  });
+
+  const updated = await client.query(
+    `UPDATE bank_statement_lines
+     SET match_status = 'matched', matched_customer_id = $1, matched_collection_id = $2,
+         matched_by = $3, matched_at = NOW()
+     WHERE id = $4 RETURNING *`,
+    [customerId, collection.id, req.user.id, line.id]
+  );
+
+  await recordAudit(client, req, {
+    entityType: 'bank_statement_line',
+    entityId: line.id,
+    action: 'confirm_credit_match',
+    before: line,
+    after: updated.rows[0],
+  });
+
+  return { line: updated.rows[0], collection };
+};
+
+module.exports = {
+  scoreCandidate,
+  rankCandidates,
+  getPendingTransfers,
+  applyDebitMatch,
+  reconcileDebits,
+  suggestCreditMatches,
+  confirmCreditMatch,
+  toDateString,
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/error.middleware');
+const { recordAudit } = require('./audit.service');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7;
+// How long a login or step-up keeps money-moving routes open without asking again
+const STEP_UP_WINDOW_MINUTES = parseInt(process.env.STEP_UP_WINDOW_MINUTES) || 5;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Access token (JWT naming the session) plus a new opaque refresh token stored as a hash
+const issueTokens = async (client, user, sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  const tokenResult = await client.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(days => $3))
+     RETURNING id`,
+    [sessionId, hashToken(refreshToken), REFRESH_TOKEN_DAYS]
+  );
+
+  const token = jwt.sign(
+    { userId: user.id, role: user.role, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+  return {
+    tokenId: tokenResult.rows[0].id,
+    tokens: { token, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRES_IN },
+  };
+};
+
+// Start a session for a user who has just proven their identity
+const createSession = async (client, req, user) => {
+  const sessionResult = await client.query(
+    `INSERT INTO auth_sessions (user_id, ip_address, user_agent, verified_at)
+     VALUES ($1, $2, $3, NOW()) RETURNING id`,
+    [user.id, req.ip || null, (req.get('user-agent') || '').slice(0, 500) || null]
+  );
+
+  const { tokens } = await issueTokens(client, user, sessionResult.rows[0].id);
+  return { sessionId: sessionResult.rows[0].id, ...tokens };
+};
+
+// Revoke open sessions of a user (all of them, one, or all but the caller's own)
+const revokeSessions = async (client, req, { userId, sessionId = null, exceptSessionId = null, reason }) => {
+  const result = await client.query(
+    `UPDATE auth_sessions
+     SET revoked_at = NOW(), revoked_reason = $4, revoked_by = $5
+     WHERE user_id = $1 AND revoked_at IS NULL
+       AND ($2::uuid IS NULL OR id = $2)
+       AND ($3::uuid IS NULL OR id != $3)
+     RETURNING id`,
+    [userId, sessionId, exceptSessionId, reason, req.user?.id || null]
+  );
+
+  return result.rows.length;
+};
+
+// Swap a refresh token for a new token pair. A token that was already swapped means
+// it has been copied: the whole session is revoked, and the caller must log in again.
+// Returns { tokens, user } or { reused: true }; the revocation must commit, so reuse is
+// not thrown.
+const rotateRefreshToken = async (client, req, refreshToken) => {
+  const result = await client.query(
+    `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at < NOW() as expired,
+       s.user_id, s.revoked_at, u.role, u.is_active
+     FROM refresh_tokens rt
+     JOIN auth_sessions s ON rt.session_id = s.id
+     JOIN users u ON s.user_id = u.id
+     WHERE rt.token_hash = $1
+     FOR UPDATE OF rt, s`,
+    [hashToken(refreshToken)]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const stored = result.rows[0];
+
+  if (stored.revoked_at) {
+    throw new AppError('Session has been revoked', 401, { code: 'SESSION_REVOKED' });
+  }
+
+  if (stored.used_at) {
+    await revokeSessions(client, req, { userId: stored.user_id, sessionId: stored.session_id, reason: 'token_reuse' });
+    await recordAudit(client, { ip: req.ip, user: { id: stored.user_id, role: stored.role } }, {
+      entityType: 'auth_session',
+      entityId: stored.session_id,
+      action: 'token_reuse',
+      after: { refresh_token_id: stored.id, used_at: stored.used_at },
+    });
+    return { reused: true };
+  }
+
+  if (stored.expired) {
+    throw new AppError('Refresh token expired', 401);
+  }
+
+  if (!stored.is_active) {
+    throw new AppError('User not found or inactive', 401);
+  }
+
+  const user = { id: stored.user_id, role: stored.role };
+  const { tokenId, tokens } = await issueTokens(client, user, stored.session_id);
+
+  await client.query('UPDATE refresh_tokens SET used_at = NOW(), replaced_by = $1 WHERE id = $2', [tokenId, stored.id]);
+  await client.query('UPDATE auth_sessions SET last_used_at = NOW() WHERE id = $1', [stored.session_id]);
+
+  return { tokens, user };
+};
+
+// Whether the session's holder proved their identity within the step-up window
+const isRecentlyVerified = async (sessionId) => {
+  const result = await query(
+    `SELECT (verified_at > NOW() - make_interval(mins => $2)) as fresh
+     FROM auth_sessions WHERE id = $1`,
+    [sessionId, STEP_UP_WINDOW_MINUTES]
+  );
+
+  return result.rows.length > 0 && result.rows[0].fresh === true;
+};
+
+module.exports = {
+  STEP_UP_WINDOW_MINUTES,
+  createSession,
+  isRecentlyVerified,
+  revokeSessions,
+  rotateRefreshToken,
+};
@@ -0,0 +1,174 @@
+const { AppError } = require('../middleware/error.middleware');
+const { recordAudit } = require('./audit.service');
+
+// Amounts within half a paisa are treated as equal
+const TOLERANCE = 0.005;
+
+// payment_status as a SQL expression of a bill row's amount and the part settled by
+// payments (paid_amount) and vendor notes (adjusted_amount)
+const PAYMENT_STATUS_SQL = (settled = 'paid_amount + adjusted_amount', amount = 'amount') => `CASE
+  WHEN ${settled} <= 0 THEN 'open'
+  WHEN ${settled} >= ${amount} - ${TOLERANCE} THEN 'paid'
+  ELSE 'partial'
+END`;
+
+const derivePaymentStatus = (amount, settledAmount) => {
+  const settled = parseFloat(settledAmount);
+  if (settled <= 0) return 'open';
+  if (settled >= parseFloat(amount) - TOLERANCE) return 'paid';
+  return 'partial';
+};
+
+const round2 = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+// Amount still payable on a bill after payments, note adjustments and transfers
+// already in flight (payment details created but not yet confirmed with a UTR)
+const getPayableBalance = async (client, billId) => {
+  const result = await client.query(
+    `SELECT
+      ib.id, ib.bill_number, ib.vendor_id, ib.amount, ib.paid_amount, ib.adjusted_amount, ib.status,
+      COALESCE((
+        SELECT SUM(pd.amount) FROM payment_details pd
+        WHERE pd.bill_id = ib.id AND pd.reversed_at IS NULL
+          AND (pd.utr_number IS NULL OR pd.utr_number = '')
+      ), 0) as in_flight
+    FROM inward_bills ib
+    WHERE ib.id = $1`,
+    [billId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Bill not found', 404);
+  }
+
+  const bill = result.rows[0];
+  return {
+    bill,
+    balance: round2(bill.amount - bill.paid_amount - bill.adjusted_amount - bill.in_flight),
+  };
+};
+
+// Refuse to schedule more than a bill still owes. Locks the bill so concurrent
+// batches cannot both pass the check.
+const assertPayable = async (client, billId, amount) => {
+  await client.query('SELECT id FROM inward_bills WHERE id = $1 FOR UPDATE', [billId]);
+  const { bill, balance } = await getPayableBalance(client, billId);
+
+  if (bill.status === 'cancelled') {
+    throw new AppError(`Bill ${bill.bill_number} is cancelled`);
+  }
+
+  if (parseFloat(amount) > balance + TOLERANCE) {
+    throw new AppError(`Payment of ${amount} exceeds the payable balance of ${balance} on bill ${bill.bill_number}`);
+  }
+
+  return { bill, balance };
+};
+
+// Move paid_amount or adjusted_amount by delta and derive payment_status from the result.
+// A reduction never takes the column below zero.
+const moveBillAmount = async (client, req, billId, column, delta, action) => {
+  const before = await client.query('SELECT * FROM inward_bills WHERE id = $1 FOR UPDATE', [billId]);
+
+  if (before.rows.length === 0) {
+    throw new AppError('Bill not found', 404);
+  }
+
+  const bill = before.rows[0];
+  const newValue = Math.max(round2(parseFloat(bill[column]) + parseFloat(delta)), 0);
+  const settled = round2(parseFloat(bill.paid_amount) + parseFloat(bill.adjusted_amount) - parseFloat(bill[column]) + newValue);
+
+  if (parseFloat(delta) > 0 && settled > parseFloat(bill.amount) + TOLERANCE) {
+    const outstanding = round2(bill.amount - bill.paid_amount - bill.adjusted_amount);
+    throw new AppError(`${column === 'paid_amount' ? 'Payment' : 'Adjustment'} of ${delta} exceeds outstanding ${outstanding} on bill ${bill.bill_number}`);
+  }
+
+  const after = await client.query(
+    `UPDATE inward_bills
+     SET ${column} = $1, payment_status = $2, updated_at = NOW()
+     WHERE id = $3 RETURNING *`,
+    [newValue, derivePaymentStatus(bill.amount, settled), billId]
+  );
+
+  await recordAudit(client, req, {
+    entityType: 'inward_bill',
+    entityId: billId,
+    action,
+    before: bill,
+    after: after.rows[0],
+  });
+
+  return after.rows[0];
+};
+
+// The only place that moves inward_bills.paid_amount: positive delta for a payment or
+// advance adjustment, negative for a reversal
+const settleBill = (client, req, billId, delta, action) =>
+  moveBillAmount(client, req, billId, 'paid_amount', delta, action);
+
+// Counterpart for vendor debit/credit notes allocated to (or released from) a bill
+const adjustBill = (client, req, billId, delta, action) =>
+  moveBillAmount(client, req, billId, 'adjusted_amount', delta, action);
+
+// Repair payment_status on every bill whose stored value disagrees with its amounts.
+// Bills whose paid_amount or adjusted_amount differs from their confirmed payment
+// details and advance adjustments, or note allocations, are listed for manual review
+// but not changed.
+const recomputePaymentStatuses = async (client, req) => {
+  const fixed = await client.query(
+    `WITH drift AS (
+      SELECT id, payment_status as old_status, ${PAYMENT_STATUS_SQL()} as new_status
+      FROM inward_bills
+      WHERE status != 'cancelled'
+    )
+    UPDATE inward_bills ib
+    SET payment_status = drift.new_status, updated_at = NOW()
+    FROM drift
+    WHERE ib.id = drift.id AND ib.payment_status IS DISTINCT FROM drift.new_status
+    RETURNING ib.id, ib.bill_number, ib.amount, ib.paid_amount, drift.old_status, drift.new_status`
+  );
+
+  for (const row of fixed.rows) {
+    await recordAudit(client, req, {
+      entityType: 'inward_bill',
+      entityId: row.id,
+      action: 'recompute_payment_status',
+      before: { payment_status: row.old_status },
+      after: { payment_status: row.new_status },
+    });
+  }
+
+  const mismatches = await client.query(
+    `SELECT
+      ib.id, ib.bill_number, ib.amount, ib.paid_amount, ib.adjusted_amount,
+      settled.amount as confirmed_payments, notes.amount as note_allocations
+     FROM inward_bills ib
+     JOIN LATERAL (
+       SELECT COALESCE(SUM(pd.amount), 0) + COALESCE((
+         SELECT SUM(vaa.amount) FROM vendor_advance_adjustments vaa WHERE vaa.bill_id = ib.id
+       ), 0) as amount FROM payment_details pd
+       WHERE pd.bill_id = ib.id AND pd.reversed_at IS NULL
+         AND pd.utr_number IS NOT NULL AND pd.utr_number != ''
+     ) settled ON true
+     JOIN LATERAL (
+       SELECT COALESCE(SUM(vna.amount), 0) as amount FROM vendor_note_allocations vna
+       JOIN vendor_notes vn ON vna.note_id = vn.id
+       WHERE vna.bill_id = ib.id AND vn.status = 'active'
+     ) notes ON true
+     WHERE ib.status != 'cancelled'
+       AND (ABS(ib.paid_amount - settled.amount) >= 0.01 OR ABS(ib.adjusted_amount - notes.amount) >= 0.01)
+     ORDER BY ib.bill_number`
+  );
+
+  return { updated: fixed.rows, mismatches: mismatches.rows };
+};
+
+module.exports = {
+  PAYMENT_STATUS_SQL,
+  derivePaymentStatus,
+  getPayableBalance,
+  assertPayable,
+  settleBill,
+  adjustBill,
+  recomputePaymentStatuses,
+};
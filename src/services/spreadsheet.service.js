@@ -0,0 +1,126 @@
+const XLSX = require('xlsx');
+const { AppError } = require('../middleware/error.middleware');
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Headers are compared after lower-casing and stripping everything but letters and digits
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Map each field to a column index using its list of header aliases,
+// preferring exact header matches over partial ones
+const mapColumns = (headerRow, aliasesByField) => {
+  const headers = headerRow.map(normalizeHeader);
+  const columns = {};
+  const used = new Set();
+
+  for (const exact of [true, false]) {
+    for (const [field, aliases] of Object.entries(aliasesByField)) {
+      if (columns[field] !== undefined) continue;
+      for (const alias of aliases) {
+        const index = headers.findIndex((header, i) => !used.has(i) && header &&
+          (exact ? header === alias : header.startsWith(alias)));
+        if (index !== -1) {
+          columns[field] = index;
+          used.add(index);
+          break;
+        }
+      }
+    }
+  }
+
+  return columns;
+};
+
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month, day));
+  if (Number.isNaN(date.getTime()) || date.getUTCDate() !== day) return null;
+  return date.toISOString().split('T')[0];
+};
+
+// Accepts Excel dates, DD/MM/YYYY, DD-MM-YY, DD-MMM-YYYY and YYYY-MM-DD
+const parseSheetDate = (value) => {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return toIsoDate(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return toIsoDate(+match[1], +match[2] - 1, +match[3]);
+
+  match = text.match(/^(\d{1,2})[/\-. ](\d{1,2})[/\-. ](\d{2}|\d{4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+    return toIsoDate(year, +match[2] - 1, +match[1]);
+  }
+
+  match = text.match(/^(\d{1,2})[/\-. ]([A-Za-z]{3})[a-z]*[/\-. ,]+(\d{2}|\d{4})$/);
+  if (match && MONTHS[match[2].toLowerCase()] !== undefined) {
+    const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+    return toIsoDate(year, MONTHS[match[2].toLowerCase()], +match[1]);
+  }
+
+  return null;
+};
+
+// Read the first sheet of an uploaded CSV/XLSX file as an array of row arrays
+const readSheetRows = (buffer, fileName = '') => {
+  // CSV cells stay as text: the sheet parser would read 05/10/24 as US month-first
+  const isCsv = fileName.toLowerCase().endsWith('.csv');
+
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true, raw: isCsv });
+  } catch (error) {
+    throw new AppError('Could not read the uploaded file');
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+};
+
+// Read an import sheet whose first non-empty row is the header into objects keyed
+// by field name; each object carries the spreadsheet row number for error reports
+const readImportRows = (buffer, fileName, aliasesByField) => {
+  const rows = readSheetRows(buffer, fileName);
+  const headerIndex = rows.findIndex(row => row.some(cell => String(cell).trim() !== ''));
+
+  if (headerIndex === -1) {
+    throw new AppError('The uploaded file is empty');
+  }
+
+  const columns = mapColumns(rows[headerIndex], aliasesByField);
+  const records = [];
+
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row.some(cell => String(cell).trim() !== '')) continue;
+
+    const record = { _row: i + 1 };
+    for (const [field, index] of Object.entries(columns)) {
+      const value = row[index];
+      record[field] = typeof value === 'string' ? value.trim() : value;
+    }
+    records.push(record);
+  }
+
+  return { columns, records };
+};
+
+// Single-sheet XLSX built from an array of row arrays (first row is the header)
+const buildWorkbook = (sheetName, rows) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheetName);
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+  XLSX_CONTENT_TYPE,
+  normalizeHeader,
+  mapColumns,
+  parseSheetDate,
+  readSheetRows,
+  readImportRows,
+  buildWorkbook,
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { AppError } = require('../middleware/error.middleware');
+const { mapColumns, parseSheetDate, readSheetRows } = require('./spreadsheet.service');
+
+// Header spellings used by ICICI, HDFC, SBI and most other net-banking exports
+const COLUMN_ALIASES = {
+  txn_date: ['txndate', 'transactiondate', 'trandate', 'date', 'postdate', 'valuedate'],
+  narration: ['narration', 'description', 'particulars', 'transactionremarks', 'remarks', 'details'],
+  reference: ['chqrefno', 'chequerefno', 'refnochequeno', 'chequeno', 'chqno', 'refno', 'reference', 'utr', 'utrno'],
+  debit: ['withdrawalamt', 'withdrawalamount', 'withdrawals', 'withdrawal', 'debitamount', 'debit', 'dr'],
+  credit: ['depositamt', 'depositamount', 'deposits', 'deposit', 'creditamount', 'credit', 'cr'],
+  amount: ['amount', 'transactionamount', 'amountinr'],
+  type: ['drcr', 'crdr', 'type', 'transactiontype'],
+  balance: ['closingbalance', 'balance', 'availablebalance', 'balanceinr'],
+};
+
+const hasAmountColumns = (columns) =>
+  columns.debit !== undefined || columns.credit !== undefined || columns.amount !== undefined;
+
+const parseAmount = (value) => {
+  if (value === null || value === undefined || value === '') return 0;
+  if (typeof value === 'number') return Math.round(value * 100) / 100;
+  const cleaned = String(value).replace(/[,\s₹]/g, '').replace(/(dr|cr)$/i, '');
+  const amount = parseFloat(cleaned);
+  return Number.isNaN(amount) ? 0 : Math.round(Math.abs(amount) * 100) / 100;
+};
+
+// Pull a NEFT/RTGS UTR (e.g. HDFCN52024101912345678, ICICR42024101900012345)
+// or a 12 digit IMPS/UPI reference out of the reference column or narration
+const extractUtr = (reference, narration) => {
+  const tokens = `${reference || ''} ${narration || ''}`.toUpperCase().split(/[^A-Z0-9]+/);
+  const utr = tokens.find(token => /^[A-Z]{4}[A-Z0-9][0-9A-Z]{10,17}$/.test(token) && /\d{8}/.test(token));
+  if (utr) return utr;
+  return tokens.find(token => /^\d{12}$/.test(token)) || null;
+};
+
+// Read the first sheet of a CSV/XLSX statement into normalized transaction lines
+const parseStatement = (buffer, fileName = '') => {
+  const rows = readSheetRows(buffer, fileName);
+
+  // Bank exports put account details above the table; find the real header row
+  let headerIndex = -1;
+  let columns = null;
+  for (let i = 0; i < Math.min(rows.length, 40); i++) {
+    const candidate = mapColumns(rows[i], COLUMN_ALIASES);
+    if (candidate.txn_date !== undefined && candidate.narration !== undefined && hasAmountColumns(candidate)) {
+      headerIndex = i;
+      columns = candidate;
+      break;
+    }
+  }
+
+  if (!columns) {
+    throw new AppError('Could not find the transaction table (date, narration and amount columns) in the statement');
+  }
+
+  const lines = [];
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const row = rows[i];
+    const txnDate = parseSheetDate(row[columns.txn_date]);
+
+    // Skip separators, opening balance rows and footers
+    if (!txnDate) continue;
+
+    let debit = columns.debit !== undefined ? parseAmount(row[columns.debit]) : 0;
+    let credit = columns.credit !== undefined ? parseAmount(row[columns.credit]) : 0;
+
+    if (!debit && !credit && columns.amount !== undefined) {
+      const amount = parseAmount(row[columns.amount]);
+      const type = String(columns.type !== undefined ? row[columns.type] : row[columns.amount]).toLowerCase();
+      if (/dr|debit|withdraw/.test(type)) debit = amount;
+      else credit = amount;
+    }
+
+    if (!debit && !credit) continue;
+
+    const narration = String(row[columns.narration] || '').trim();
+    const reference = columns.reference !== undefined ? String(row[columns.reference] || '').trim() : '';
+
+    lines.push({
+      line_no: i + 1,
+      txn_date: txnDate,
+      narration,
+      reference: reference.replace(/^0+$/, ''),
+      utr_number: extractUtr(reference, narration),
+      debit,
+      credit,
+      balance: columns.balance !== undefined ? parseAmount(row[columns.balance]) : null,
+    });
+  }
+
+  if (lines.length === 0) {
+    throw new AppError('The statement contains no transactions');
+  }
+
+  return lines;
+};
+
+// Stable identity of a line so overlapping uploads are recognised. Identical lines
+// within one file (two same-amount UPI credits on a statement without balances) are
+// told apart by their occurrence; the first keeps the plain hash of earlier imports.
+const hashLine = (line, occurrence = 0) => crypto
+  .createHash('sha256')
+  .update([line.txn_date, line.narration, line.reference, line.debit, line.credit, line.balance]
+    .concat(occurrence > 0 ? [occurrence] : []).join('|'))
+  .digest('hex');
+
+// Hashes for every line of one statement, in order
+const hashLines = (lines) => {
+  const seen = new Map();
+  return lines.map((line) => {
+    const base = hashLine(line);
+    const occurrence = seen.get(base) || 0;
+    seen.set(base, occurrence + 1);
+    return hashLine(line, occurrence);
+  });
+};
+
+module.exports = {
+  parseStatement,
+  extractUtr,
+  hashLine,
+  hashLines,
+};
@@ -0,0 +1,168 @@
+const { AppError } = require('../middleware/error.middleware');
+const { financialYearStart } = require('./ledger.service');
+
+// Section 206AA: deduction at not less than 20% when the deductee has no PAN
+const NO_PAN_RATE = 20;
+
+const round2 = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+const NO_TDS = { tds_section: null, tds_rate: null, tds_base: 0, tds_amount: 0 };
+
+// Date range of a financial-year quarter: Q1 Apr-Jun ... Q4 Jan-Mar of the following year
+const quarterPeriod = (financialYear, quarter) => {
+  const startMonth = 4 + (quarter - 1) * 3;
+  const year = startMonth > 12 ? financialYear + 1 : financialYear;
+  const month = ((startMonth - 1) % 12) + 1;
+  const from = `${year}-${String(month).padStart(2, '0')}-01`;
+  const end = new Date(Date.UTC(year, month - 1 + 3, 0));
+  return { dateFrom: from, dateTo: end.toISOString().split('T')[0] };
+};
+
+// Tax deducted in a month is due by the 7th of the next month; March deductions by 30 April
+const depositDueDate = (periodMonth) => {
+  const [year, month] = periodMonth.split('-').map(Number);
+  if (month === 3) return `${year}-04-30`;
+  const next = new Date(Date.UTC(year, month, 7));
+  return next.toISOString().split('T')[0];
+};
+
+// Rate after section 206AA for a deductee without a PAN
+const effectiveRate = (rate, hasPan) => (hasPan ? rate : Math.max(rate, NO_PAN_RATE));
+
+// The arithmetic of computeTds over this year's earlier payments (prior) and the part
+// of them already taxed (priorTaxed). TDS is rounded to the nearest rupee (section
+// 288B) and never exceeds the payment; when that cap applies, tds_base is only what the
+// capped amount actually taxed, so the rest is caught up on a later payment.
+const calculateTds = ({ gross, prior, priorTaxed, single, annual, excessOnly, rate }) => {
+  let base = 0;
+  if (excessOnly && annual !== null) {
+    base = Math.max(prior + gross - annual, 0) - Math.max(prior - annual, 0);
+  } else {
+    const crossesSingle = single !== null && gross > single;
+    const crossesAnnual = annual !== null && prior + gross > annual;
+    const noThreshold = single === null && annual === null;
+
+    if (crossesSingle || crossesAnnual || noThreshold) {
+      // Catch up earlier untaxed payments only once the annual limit is crossed
+      base = crossesAnnual ? gross + Math.max(prior - priorTaxed, 0) : gross;
+    }
+  }
+
+  base = round2(base);
+  let amount = Math.round(base * rate / 100);
+  if (amount > gross) {
+    amount = Math.floor(gross);
+    base = round2(amount * 100 / rate);
+  }
+
+  return { tds_base: base, tds_amount: amount };
+};
+
+// Work out the TDS on a gross payment to a vendor. Thresholds are tracked over the
+// vendor's unreversed payments of the financial year so far (including earlier details
+// of the same batch). When the annual threshold is crossed, earlier payments that were
+// not taxed are caught up in this deduction, except for excess-only sections where only
+// the part above the threshold is taxed.
+const computeTds = async (client, vendorId, paymentId, grossAmount) => {
+  const vendorResult = await client.query(
+    `SELECT v.id, v.pan, v.tds_section, v.tds_rate,
+       s.default_rate, s.single_threshold, s.annual_threshold, s.excess_only, s.is_active
+     FROM vendors v
+     LEFT JOIN tds_sections s ON v.tds_section = s.section
+     WHERE v.id = $1
+     FOR UPDATE OF v`,
+    [vendorId]
+  );
+
+  const vendor = vendorResult.rows[0];
+  if (!vendor || !vendor.tds_section || !vendor.is_active) {
+    return NO_TDS;
+  }
+
+  const paymentResult = await client.query(
+    `SELECT TO_CHAR(payment_date, 'YYYY-MM-DD') as payment_date FROM payments WHERE id = $1`,
+    [paymentId]
+  );
+  const paymentDate = paymentResult.rows[0].payment_date;
+
+  const priorResult = await client.query(
+    `SELECT COALESCE(SUM(pd.amount), 0) as paid, COALESCE(SUM(pd.tds_base), 0) as taxed
+     FROM payment_details pd
+     JOIN payments p ON pd.payment_id = p.id
+     LEFT JOIN inward_bills ib ON pd.bill_id = ib.id
+     LEFT JOIN vendor_advances va ON pd.advance_id = va.id
+     WHERE COALESCE(ib.vendor_id, va.vendor_id) = $1
+       AND pd.reversed_at IS NULL
+       AND p.payment_date BETWEEN $2 AND $3`,
+    [vendorId, financialYearStart(paymentDate), paymentDate]
+  );
+
+  const rate = effectiveRate(
+    vendor.tds_rate !== null ? parseFloat(vendor.tds_rate) : parseFloat(vendor.default_rate),
+    Boolean(vendor.pan)
+  );
+
+  return {
+    tds_section: vendor.tds_section,
+    tds_rate: rate,
+    ...calculateTds({
+      gross: round2(grossAmount),
+      prior: round2(priorResult.rows[0].paid),
+      priorTaxed: round2(priorResult.rows[0].taxed),
+      single: vendor.single_threshold !== null ? parseFloat(vendor.single_threshold) : null,
+      annual: vendor.annual_threshold !== null ? parseFloat(vendor.annual_threshold) : null,
+      excessOnly: vendor.excess_only,
+      rate,
+    }),
+  };
+};
+
+// Record a challan depositing a section's confirmed, undeposited deductions of one month
+const depositTds = async (client, req, data) => {
+  const periodMonth = `${data.period_month}-01`;
+
+  const detailsResult = await client.query(
+    `SELECT pd.id, pd.tds_amount
+     FROM payment_details pd
+     JOIN payments p ON pd.payment_id = p.id
+     WHERE pd.tds_section = $1 AND pd.tds_amount > 0 AND pd.tds_challan_id IS NULL
+       AND pd.reversed_at IS NULL AND pd.utr_number IS NOT NULL AND pd.utr_number != ''
+       AND DATE_TRUNC('month', p.payment_date) = $2::date
+     FOR UPDATE OF pd`,
+    [data.section, periodMonth]
+  );
+
+  if (detailsResult.rows.length === 0) {
+    throw new AppError(`No undeposited TDS under section ${data.section} for ${data.period_month}`);
+  }
+
+  const tdsAmount = round2(detailsResult.rows.reduce((sum, row) => sum + parseFloat(row.tds_amount), 0));
+
+  const challanResult = await client.query(
+    `INSERT INTO tds_challans (
+      section, period_month, challan_number, bsr_code, deposit_date,
+      tds_amount, interest, late_fee, remarks, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *`,
+    [data.section, periodMonth, data.challan_number, data.bsr_code, data.deposit_date,
+     tdsAmount, data.interest || 0, data.late_fee || 0, data.remarks || null, req.user.id]
+  );
+  const challan = challanResult.rows[0];
+
+  await client.query(
+    'UPDATE payment_details SET tds_challan_id = $1, updated_at = NOW() WHERE id = ANY($2::uuid[])',
+    [challan.id, detailsResult.rows.map(row => row.id)]
+  );
+
+  return { challan, detailCount: detailsResult.rows.length };
+};
+
+module.exports = {
+  NO_TDS,
+  quarterPeriod,
+  depositDueDate,
+  effectiveRate,
+  calculateTds,
+  computeTds,
+  depositTds,
+};
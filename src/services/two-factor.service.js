@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('../middleware/error.middleware');
+
+// Permissions that move money, or can grant that, so a user holding any of them
+// (through any role or override) may not work without 2FA. Set
+// TWO_FACTOR_REQUIRED_PERMISSIONS to an empty value to leave it optional for everyone.
+const REQUIRED_PERMISSIONS = (process.env.TWO_FACTOR_REQUIRED_PERMISSIONS
+  ?? 'proposal.approve,payment.create,payment.utr,payment.export,payment.reverse,bank_account.manage,role.manage')
+  .split(',').map(permission => permission.trim()).filter(Boolean);
+
+const ISSUER = process.env.COMPANY_NAME || 'GLS Payment System';
+
+// RFC 6238 defaults, which is what Google Authenticator and most apps support
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps either side of now that are accepted, for phone clock drift
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Time allowed between the password step and the code step of a login
+const LOGIN_CHALLENGE_EXPIRES_IN = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// permissions is the user's effective set, as loaded by authenticate
+const isTwoFactorRequired = (permissions = []) => REQUIRED_PERMISSIONS.some(permission => permissions.includes(permission));
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  return (bits.match(/.{1,5}/g) || [])
+    .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (text) => {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+// Secrets are encrypted at rest (AES-256-GCM) so a database dump alone cannot mint codes.
+// Changing TOTP_ENCRYPTION_KEY (or JWT_SECRET when it is unset) invalidates enrollments.
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  try {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new AppError('Two-factor secret cannot be read; ask the owner to reset 2FA', 500);
+  }
+};
+
+// HOTP (RFC 4226) value of one counter
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Time step the code was generated in, or null. Steps at or before lastStep were
+// already used and are refused.
+const matchTotp = (secret, code, lastStep = null) => {
+  if (!/^[0-9]{6}$/.test(String(code || ''))) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const now = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (lastStep !== null && step <= Number(lastStep)) continue;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// New secret for enrollment, with the otpauth:// URL that authenticator apps scan
+// from a QR code
+const generateSecret = (username) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const params = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(ISSUER)}`,
+    'algorithm=SHA1',
+    `digits=${DIGITS}`,
+    `period=${STEP_SECONDS}`,
+  ].join('&');
+
+  return { secret, otpauthUrl: `otpauth://totp/${label}?${params}` };
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^0-9a-z]/g, ''))
+  .digest('hex');
+
+// Replace the user's recovery codes; the plain codes are returned once and not kept
+const generateRecoveryCodes = async (client, userId) => {
+  await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    await client.query(
+      'INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashRecoveryCode(code)]
+    );
+    codes.push(code);
+  }
+
+  return codes;
+};
+
+// Check a TOTP code or an unused recovery code for a user with 2FA enabled. Returns
+// 'totp' or 'recovery_code', or null when neither is valid. Locks the user row so the
+// same code cannot be accepted twice by concurrent requests.
+const verifySecondFactor = async (client, userId, { code, recoveryCode }) => {
+  const result = await client.query(
+    'SELECT totp_secret, totp_enabled, totp_last_step FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+  const user = result.rows[0];
+
+  if (!user || !user.totp_enabled) {
+    return null;
+  }
+
+  if (code) {
+    const step = matchTotp(decryptSecret(user.totp_secret), code, user.totp_last_step);
+    if (step === null) {
+      return null;
+    }
+    await client.query('UPDATE users SET totp_last_step = $1 WHERE id = $2', [step, userId]);
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const used = await client.query(
+      `UPDATE recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, hashRecoveryCode(recoveryCode)]
+    );
+    return used.rows.length > 0 ? 'recovery_code' : null;
+  }
+
+  return null;
+};
+
+// Proof that the password step passed, exchanged for a session at /api/auth/login/2fa.
+// It names no session, so authenticate never accepts it as an access token.
+const issueLoginChallenge = (user) => ({
+  challengeToken: jwt.sign(
+    { userId: user.id, purpose: 'login_2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: LOGIN_CHALLENGE_EXPIRES_IN }
+  ),
+  challengeExpiresIn: LOGIN_CHALLENGE_EXPIRES_IN,
+});
+
+// User id from a challenge token
+const verifyLoginChallenge = (challengeToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.purpose !== 'login_2fa') {
+    throw new AppError('Login challenge is invalid or has expired; log in again', 401, { code: 'LOGIN_CHALLENGE_INVALID' });
+  }
+
+  return decoded.userId;
+};
+
+module.exports = {
+  REQUIRED_PERMISSIONS,
+  isTwoFactorRequired,
+  encryptSecret,
+  decryptSecret,
+  matchTotp,
+  generateSecret,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  issueLoginChallenge,
+  verifyLoginChallenge,
+};
@@ -0,0 +1,213 @@
+const { AppError } = require('../middleware/error.middleware');
+const { recordAudit } = require('./audit.service');
+const { settleBill, getPayableBalance } = require('./settlement.service');
+
+const round2 = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+// Advances that are in an open proposal cannot be proposed again
+const IN_OPEN_PROPOSAL_SQL = (advanceColumn) => `EXISTS (
+  SELECT 1 FROM proposal_items pi
+  JOIN proposals p ON pi.proposal_id = p.id
+  WHERE pi.advance_id = ${advanceColumn}
+    AND p.status NOT IN ('rejected', 'completed')
+    AND pi.status NOT IN ('owner_rejected', 'paid')
+)`;
+
+// Amount of an advance not yet paid or awaiting a UTR
+const getAdvanceBalance = async (client, advanceId) => {
+  const result = await client.query(
+    `SELECT
+      va.*,
+      COALESCE((
+        SELECT SUM(pd.amount) FROM payment_details pd
+        WHERE pd.advance_id = va.id AND pd.reversed_at IS NULL
+          AND (pd.utr_number IS NULL OR pd.utr_number = '')
+      ), 0) as in_flight
+    FROM vendor_advances va
+    WHERE va.id = $1`,
+    [advanceId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Advance not found', 404);
+  }
+
+  const advance = result.rows[0];
+  return {
+    advance,
+    balance: round2(advance.amount - advance.paid_amount - advance.in_flight),
+  };
+};
+
+// Counterpart of assertPayable for proposal items and payment details of an advance
+const assertAdvancePayable = async (client, advanceId, amount) => {
+  await client.query('SELECT id FROM vendor_advances WHERE id = $1 FOR UPDATE', [advanceId]);
+  const { advance, balance } = await getAdvanceBalance(client, advanceId);
+
+  if (advance.status === 'cancelled') {
+    throw new AppError(`Advance ${advance.advance_number} is cancelled`);
+  }
+
+  if (round2(amount) > balance) {
+    throw new AppError(`Payment of ${amount} exceeds the payable balance of ${balance} on advance ${advance.advance_number}`);
+  }
+
+  return advance;
+};
+
+// Move an advance's paid_amount: positive when its transfer gets a UTR, negative when
+// that transfer is reversed. A reversal cannot undo money already set against bills.
+const settleAdvance = async (client, req, advanceId, delta, action) => {
+  const before = await client.query('SELECT * FROM vendor_advances WHERE id = $1 FOR UPDATE', [advanceId]);
+
+  if (before.rows.length === 0) {
+    throw new AppError('Advance not found', 404);
+  }
+
+  const advance = before.rows[0];
+  const paid = round2(parseFloat(advance.paid_amount) + parseFloat(delta));
+
+  if (paid > round2(advance.amount)) {
+    throw new AppError(`Payment of ${delta} exceeds the amount of advance ${advance.advance_number}`);
+  }
+
+  if (paid < round2(advance.adjusted_amount)) {
+    throw new AppError(`Advance ${advance.advance_number} has already been adjusted against bills and cannot be reversed`);
+  }
+
+  const after = await client.query(
+    `UPDATE vendor_advances SET paid_amount = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+    [Math.max(paid, 0), advanceId]
+  );
+
+  await recordAudit(client, req, {
+    entityType: 'vendor_advance',
+    entityId: advanceId,
+    action,
+    before: advance,
+    after: after.rows[0],
+  });
+
+  return after.rows[0];
+};
+
+const createAdvance = async (client, req, data) => {
+  const vendorResult = await client.query('SELECT id, is_active FROM vendors WHERE id = $1', [data.vendor_id]);
+
+  if (vendorResult.rows.length === 0) {
+    throw new AppError('Vendor not found', 404);
+  }
+
+  if (!vendorResult.rows[0].is_active) {
+    throw new AppError('Vendor is inactive');
+  }
+
+  const numberResult = await client.query('SELECT generate_advance_number() as advance_number');
+
+  const result = await client.query(
+    `INSERT INTO vendor_advances (advance_number, vendor_id, amount, reference_number, purpose, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [numberResult.rows[0].advance_number, data.vendor_id, data.amount,
+     data.reference_number || null, data.purpose, req.user.id]
+  );
+
+  return result.rows[0];
+};
+
+// Set paid, unadjusted advance money against the vendor's open bills
+const adjustAdvance = async (client, req, advanceId, allocations) => {
+  const advanceResult = await client.query('SELECT * FROM vendor_advances WHERE id = $1 FOR UPDATE', [advanceId]);
+
+  if (advanceResult.rows.length === 0) {
+    throw new AppError('Advance not found', 404);
+  }
+
+  const advance = advanceResult.rows[0];
+
+  if (advance.status === 'cancelled') {
+    throw new AppError('Cannot adjust a cancelled advance');
+  }
+
+  const available = round2(advance.paid_amount - advance.adjusted_amount);
+  const requested = round2(allocations.reduce((sum, item) => sum + parseFloat(item.amount), 0));
+
+  if (requested > available) {
+    throw new AppError(`Adjustment of ${requested} exceeds the unadjusted advance of ${available}`);
+  }
+
+  for (const allocation of allocations) {
+    await client.query('SELECT id FROM inward_bills WHERE id = $1 FOR UPDATE', [allocation.bill_id]);
+    const { bill, balance } = await getPayableBalance(client, allocation.bill_id);
+    const amount = round2(allocation.amount);
+
+    if (bill.vendor_id !== advance.vendor_id) {
+      throw new AppError(`Bill ${bill.bill_number} belongs to a different vendor`);
+    }
+
+    if (bill.status === 'cancelled') {
+      throw new AppError(`Bill ${bill.bill_number} is cancelled`);
+    }
+
+    if (amount > balance) {
+      throw new AppError(`Adjustment of ${amount} exceeds the payable balance of ${balance} on bill ${bill.bill_number}`);
+    }
+
+    await client.query(
+      `INSERT INTO vendor_advance_adjustments (advance_id, bill_id, amount, created_by)
+       VALUES ($1, $2, $3, $4)`,
+      [advanceId, bill.id, amount, req.user.id]
+    );
+
+    // The advance was real money paid, so it settles the bill like a payment
+    await settleBill(client, req, bill.id, amount, 'advance_adjustment');
+  }
+
+  const updated = await client.query(
+    `UPDATE vendor_advances
+     SET adjusted_amount = adjusted_amount + $1, updated_at = NOW()
+     WHERE id = $2 RETURNING *`,
+    [requested, advanceId]
+  );
+
+  return updated.rows[0];
+};
+
+// Only an advance with nothing paid or in flight can be cancelled; money already sent
+// is reversed through the payment instead
+const cancelAdvance = async (client, req, advanceId, reason) => {
+  const { advance, balance } = await getAdvanceBalance(client, advanceId);
+
+  if (advance.status === 'cancelled') {
+    throw new AppError('Advance is already cancelled');
+  }
+
+  if (parseFloat(advance.paid_amount) > 0 || balance < round2(advance.amount)) {
+    throw new AppError('Cannot cancel an advance that has been paid or is awaiting a UTR');
+  }
+
+  const inProposal = await client.query(`SELECT ${IN_OPEN_PROPOSAL_SQL('$1::uuid')} as in_proposal`, [advanceId]);
+
+  if (inProposal.rows[0].in_proposal) {
+    throw new AppError('Advance is in an open proposal');
+  }
+
+  const result = await client.query(
+    `UPDATE vendor_advances
+     SET status = 'cancelled', cancelled_at = NOW(), cancelled_by = $1,
+         cancel_reason = $2, updated_at = NOW()
+     WHERE id = $3 RETURNING *`,
+    [req.user.id, reason, advanceId]
+  );
+
+  return result.rows[0];
+};
+
+module.exports = {
+  IN_OPEN_PROPOSAL_SQL,
+  getAdvanceBalance,
+  assertAdvancePayable,
+  settleAdvance,
+  createAdvance,
+  adjustAdvance,
+  cancelAdvance,
+};
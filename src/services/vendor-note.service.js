@@ -0,0 +1,234 @@
+const { AppError } = require('../middleware/error.middleware');
+const { adjustBill, getPayableBalance } = require('./settlement.service');
+
+const round2 = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+// Proposals that can still turn into a payment
+const OPEN_PROPOSAL_STATUSES = `p.status NOT IN ('rejected', 'completed')`;
+
+// Unallocated balance of a note less what open proposals (other than excludeProposalId)
+// have already earmarked for netting
+const getNoteAvailable = async (client, noteId, excludeProposalId = null) => {
+  const result = await client.query(
+    `SELECT
+      vn.*,
+      COALESCE((
+        SELECT SUM(pn.amount) FROM proposal_notes pn
+        JOIN proposals p ON pn.proposal_id = p.id
+        WHERE pn.note_id = vn.id AND ${OPEN_PROPOSAL_STATUSES}
+          AND ($2::uuid IS NULL OR p.id != $2)
+      ), 0) as reserved_amount
+    FROM vendor_notes vn
+    WHERE vn.id = $1`,
+    [noteId, excludeProposalId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Note not found', 404);
+  }
+
+  const note = result.rows[0];
+  return {
+    note,
+    available: round2(note.amount - note.allocated_amount - note.reserved_amount),
+  };
+};
+
+// Apply part or all of a note's unallocated balance to the vendor's open bills.
+// proposalId marks allocations made while netting a proposal into a payment.
+const allocateVendorNote = async (client, req, noteId, allocations, proposalId = null) => {
+  const noteResult = await client.query('SELECT * FROM vendor_notes WHERE id = $1 FOR UPDATE', [noteId]);
+
+  if (noteResult.rows.length === 0) {
+    throw new AppError('Note not found', 404);
+  }
+
+  const note = noteResult.rows[0];
+
+  if (note.status !== 'active') {
+    throw new AppError('Cannot allocate a cancelled note');
+  }
+
+  // A proposal's own earmark is what it is spending here
+  const { available } = await getNoteAvailable(client, noteId, proposalId);
+  const requested = round2(allocations.reduce((sum, item) => sum + parseFloat(item.amount), 0));
+
+  if (requested > available) {
+    throw new AppError(`Allocation of ${requested} exceeds the available balance of ${available} on note ${note.note_number}`);
+  }
+
+  for (const allocation of allocations) {
+    await client.query('SELECT id FROM inward_bills WHERE id = $1 FOR UPDATE', [allocation.bill_id]);
+    const { bill, balance } = await getPayableBalance(client, allocation.bill_id);
+    const amount = round2(allocation.amount);
+
+    if (bill.vendor_id !== note.vendor_id) {
+      throw new AppError(`Bill ${bill.bill_number} belongs to a different vendor`);
+    }
+
+    if (bill.status === 'cancelled') {
+      throw new AppError(`Bill ${bill.bill_number} is cancelled`);
+    }
+
+    if (amount > balance) {
+      throw new AppError(`Allocation of ${amount} exceeds the payable balance of ${balance} on bill ${bill.bill_number}`);
+    }
+
+    await client.query(
+      `INSERT INTO vendor_note_allocations (note_id, bill_id, amount, proposal_id, created_by)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [noteId, bill.id, amount, proposalId, req.user.id]
+    );
+
+    await adjustBill(client, req, bill.id, amount, 'note_adjustment');
+  }
+
+  const updated = await client.query(
+    `UPDATE vendor_notes
+     SET allocated_amount = allocated_amount + $1, updated_at = NOW()
+     WHERE id = $2 RETURNING *`,
+    [requested, noteId]
+  );
+
+  return updated.rows[0];
+};
+
+// Insert a note with a fresh DN-/CN- number and allocate it in the same transaction
+const createVendorNote = async (client, req, data) => {
+  const vendorResult = await client.query('SELECT id FROM vendors WHERE id = $1', [data.vendor_id]);
+
+  if (vendorResult.rows.length === 0) {
+    throw new AppError('Vendor not found', 404);
+  }
+
+  const numberResult = await client.query(
+    'SELECT generate_vendor_note_number($1) as note_number',
+    [data.note_type]
+  );
+
+  const noteResult = await client.query(
+    `INSERT INTO vendor_notes (
+      note_number, vendor_id, note_type, note_date, reference_number,
+      reason, amount, remarks, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *`,
+    [numberResult.rows[0].note_number, data.vendor_id, data.note_type, data.note_date,
+     data.reference_number || null, data.reason, data.amount, data.remarks || null, req.user.id]
+  );
+  let note = noteResult.rows[0];
+
+  if (data.allocations && data.allocations.length > 0) {
+    note = await allocateVendorNote(client, req, note.id, data.allocations);
+  }
+
+  return note;
+};
+
+// Release every allocation of a note back onto its bills; allocation rows are kept as history
+const cancelVendorNote = async (client, req, noteId, reason) => {
+  const noteResult = await client.query('SELECT * FROM vendor_notes WHERE id = $1 FOR UPDATE', [noteId]);
+
+  if (noteResult.rows.length === 0) {
+    throw new AppError('Note not found', 404);
+  }
+
+  if (noteResult.rows[0].status === 'cancelled') {
+    throw new AppError('Note is already cancelled');
+  }
+
+  const inProposal = await client.query(
+    `SELECT p.proposal_number FROM proposal_notes pn
+     JOIN proposals p ON pn.proposal_id = p.id
+     WHERE pn.note_id = $1 AND ${OPEN_PROPOSAL_STATUSES}`,
+    [noteId]
+  );
+
+  if (inProposal.rows.length > 0) {
+    throw new AppError(`Note is being netted in proposal ${inProposal.rows[0].proposal_number}`);
+  }
+
+  const allocationsResult = await client.query(
+    `SELECT bill_id, SUM(amount) as amount
+     FROM vendor_note_allocations
+     WHERE note_id = $1
+     GROUP BY bill_id`,
+    [noteId]
+  );
+
+  for (const allocation of allocationsResult.rows) {
+    await adjustBill(client, req, allocation.bill_id, -round2(allocation.amount), 'note_cancelled');
+  }
+
+  const result = await client.query(
+    `UPDATE vendor_notes
+     SET status = 'cancelled', cancelled_at = NOW(), cancelled_by = $1,
+         cancel_reason = $2, updated_at = NOW()
+     WHERE id = $3 RETURNING *`,
+    [req.user.id, reason, noteId]
+  );
+
+  return result.rows[0];
+};
+
+// Spread one note's amount over the bill items of its vendor in the given order, not
+// taking any item below zero. Adds to deductions (item id -> amount) and returns the
+// allocations per bill.
+const spreadNoteOverItems = (sortedItems, vendorId, noteAmount, deductions) => {
+  let remaining = round2(noteAmount);
+  const allocations = [];
+
+  for (const item of sortedItems) {
+    if (remaining <= 0) break;
+    // Notes reduce bills only; an advance item has no bill to adjust
+    if (!item.bill_id || item.vendor_id !== vendorId) continue;
+
+    const payable = round2(item.owner_amount - (deductions.get(item.id) || 0));
+    const amount = Math.min(payable, remaining);
+    if (amount <= 0) continue;
+
+    allocations.push({ bill_id: item.bill_id, amount });
+    deductions.set(item.id, round2((deductions.get(item.id) || 0) + amount));
+    remaining = round2(remaining - amount);
+  }
+
+  return allocations;
+};
+
+// Net a proposal's notes off the approved items of the same vendor, earliest due date
+// first. Returns the note amount taken off each proposal item.
+const netProposalNotes = async (client, req, proposalId, items) => {
+  const notesResult = await client.query(
+    `SELECT pn.note_id, pn.amount, vn.vendor_id
+     FROM proposal_notes pn
+     JOIN vendor_notes vn ON pn.note_id = vn.id
+     WHERE pn.proposal_id = $1
+     ORDER BY vn.note_date, vn.note_number`,
+    [proposalId]
+  );
+
+  const deductions = new Map();
+  const sortedItems = [...items].sort((a, b) => new Date(a.due_date) - new Date(b.due_date));
+
+  for (const proposalNote of notesResult.rows) {
+    const { available } = await getNoteAvailable(client, proposalNote.note_id, proposalId);
+    const allocations = spreadNoteOverItems(
+      sortedItems, proposalNote.vendor_id, Math.min(round2(proposalNote.amount), available), deductions
+    );
+
+    if (allocations.length > 0) {
+      await allocateVendorNote(client, req, proposalNote.note_id, allocations, proposalId);
+    }
+  }
+
+  return deductions;
+};
+
+module.exports = {
+  OPEN_PROPOSAL_STATUSES,
+  getNoteAvailable,
+  allocateVendorNote,
+  createVendorNote,
+  cancelVendorNote,
+  spreadNoteOverItems,
+  netProposalNotes,
+};
@@ -0,0 +1,105 @@
+const { gstBreakup, revisedBreakup } = require('../../src/services/gst.service');
+
+// Company registered in Maharashtra (27)
+const COMPANY_GSTIN = '27AABCG1234A1Z5';
+const SAME_STATE = '27AAACV5678B1Z2';
+const OTHER_STATE = '29AAACV5678B1Z2';
+
+beforeEach(() => {
+  process.env.COMPANY_GSTIN = COMPANY_GSTIN;
+});
+
+describe('gstBreakup', () => {
+  test('is null for a bill without taxable value or GST', () => {
+    expect(gstBreakup({ partyGstin: SAME_STATE, amount: 1180 })).toBeNull();
+    expect(gstBreakup({ partyGstin: SAME_STATE, amount: 1180, taxable_value: '', gst_amount: null })).toBeNull();
+  });
+
+  test('splits GST into CGST and SGST within the state', () => {
+    expect(gstBreakup({ partyGstin: SAME_STATE, amount: 1180, taxable_value: 1000, gst_amount: 180 })).toEqual({
+      taxable_value: 1000,
+      cgst_amount: 90,
+      sgst_amount: 90,
+      igst_amount: 0,
+      supply_type: 'intra',
+      party_state_code: '27',
+    });
+  });
+
+  test('rounds CGST and gives SGST the rest, so the halves add up', () => {
+    const breakup = gstBreakup({ partyGstin: SAME_STATE, amount: 1180.01, taxable_value: 1000, gst_amount: 180.01 });
+
+    expect(breakup.cgst_amount).toBe(90.01);
+    expect(breakup.sgst_amount).toBe(90);
+  });
+
+  test('uses IGST for a party in another state', () => {
+    expect(gstBreakup({ partyGstin: OTHER_STATE, amount: 1180, taxable_value: 1000, gst_amount: 180 })).toMatchObject({
+      cgst_amount: 0,
+      sgst_amount: 0,
+      igst_amount: 180,
+      supply_type: 'inter',
+      party_state_code: '29',
+    });
+  });
+
+  test('treats a party without a GSTIN as being in our state', () => {
+    expect(gstBreakup({ partyGstin: null, amount: 1180, taxable_value: 1000, gst_amount: 180 }))
+      .toMatchObject({ supply_type: 'intra', party_state_code: '27' });
+  });
+
+  test('allows up to a rupee of round-off against the bill amount', () => {
+    expect(gstBreakup({ partyGstin: SAME_STATE, amount: 1181, taxable_value: 1000, gst_amount: 180 })).not.toBeNull();
+    expect(() => gstBreakup({ partyGstin: SAME_STATE, amount: 1182, taxable_value: 1000, gst_amount: 180 }))
+      .toThrow('does not add up to the bill amount');
+  });
+
+  test('needs taxable value and GST together', () => {
+    expect(() => gstBreakup({ partyGstin: SAME_STATE, amount: 1180, taxable_value: 1000 }))
+      .toThrow('must be given together');
+  });
+
+  test('fails when the company GSTIN is not configured', () => {
+    delete process.env.COMPANY_GSTIN;
+
+    expect(() => gstBreakup({ partyGstin: SAME_STATE, amount: 1180, taxable_value: 1000, gst_amount: 180 }))
+      .toThrow('COMPANY_GSTIN is not configured');
+  });
+});
+
+describe('revisedBreakup', () => {
+  const existing = {
+    amount: '1180.00',
+    taxable_value: '1000.00',
+    cgst_amount: '90.00',
+    sgst_amount: '90.00',
+    igst_amount: '0.00',
+  };
+  const withoutBreakup = { ...existing, taxable_value: null, cgst_amount: '0', sgst_amount: '0' };
+
+  test('is null when no amount or GST figure changes', () => {
+    expect(revisedBreakup(existing, { remarks: 'x' }, SAME_STATE)).toBeNull();
+  });
+
+  test('is null when a bill without a breakup only changes its amount', () => {
+    expect(revisedBreakup(withoutBreakup, { amount: 2000 }, SAME_STATE)).toBeNull();
+  });
+
+  test('keeps the stored GST when only the taxable value changes', () => {
+    expect(revisedBreakup(existing, { amount: 1280, taxable_value: 1100 }, SAME_STATE))
+      .toMatchObject({ taxable_value: 1100, cgst_amount: 90, sgst_amount: 90 });
+  });
+
+  test('rejects an amount change that no longer matches the stored breakup', () => {
+    expect(() => revisedBreakup(existing, { amount: 2000 }, SAME_STATE)).toThrow('does not add up');
+  });
+
+  test('adds a breakup to a bill that had none', () => {
+    expect(revisedBreakup(withoutBreakup, { taxable_value: 1000, gst_amount: 180 }, OTHER_STATE))
+      .toMatchObject({ igst_amount: 180, supply_type: 'inter' });
+  });
+
+  test('needs both figures when adding a breakup', () => {
+    expect(() => revisedBreakup(withoutBreakup, { taxable_value: 1000 }, SAME_STATE)).toThrow('must be given together');
+  });
+});
@@ -0,0 +1,25 @@
+const { derivePaymentStatus, PAYMENT_STATUS_SQL } = require('../../src/services/settlement.service');
+
+describe('derivePaymentStatus', () => {
+  test('is open until anything is settled', () => {
+    expect(derivePaymentStatus(1000, 0)).toBe('open');
+    expect(derivePaymentStatus('1000.00', '0.00')).toBe('open');
+  });
+
+  test('is partial while something is still owed', () => {
+    expect(derivePaymentStatus(1000, 400)).toBe('partial');
+    expect(derivePaymentStatus(1000, 999.99)).toBe('partial');
+  });
+
+  test('is paid once the amount is settled, allowing half a paisa', () => {
+    expect(derivePaymentStatus(1000, 1000)).toBe('paid');
+    expect(derivePaymentStatus(1000, 999.996)).toBe('paid');
+    expect(derivePaymentStatus('1000.00', '1000.00')).toBe('paid');
+  });
+});
+
+describe('PAYMENT_STATUS_SQL', () => {
+  test('uses the same tolerance as derivePaymentStatus', () => {
+    expect(PAYMENT_STATUS_SQL()).toContain('paid_amount + adjusted_amount >= amount - 0.005');
+  });
+});
@@ -0,0 +1,78 @@
+const { effectiveRate, calculateTds, quarterPeriod, depositDueDate } = require('../../src/services/tds.service');
+
+// 194C-style contract section: 30,000 per payment or 1,00,000 in the year
+const contract = { single: 30000, annual: 100000, excessOnly: false, rate: 1 };
+// 194Q-style purchase section: 0.1% only on the part above 50 lakh
+const purchase = { single: null, annual: 5000000, excessOnly: true, rate: 0.1 };
+
+describe('calculateTds', () => {
+  test('nothing is deducted below both thresholds', () => {
+    expect(calculateTds({ ...contract, gross: 20000, prior: 50000, priorTaxed: 0 }))
+      .toEqual({ tds_base: 0, tds_amount: 0 });
+  });
+
+  test('a payment above the single threshold is taxed on itself only', () => {
+    expect(calculateTds({ ...contract, gross: 40000, prior: 0, priorTaxed: 0 }))
+      .toEqual({ tds_base: 40000, tds_amount: 400 });
+  });
+
+  test('crossing the annual threshold catches up earlier untaxed payments', () => {
+    expect(calculateTds({ ...contract, gross: 25000, prior: 80000, priorTaxed: 0 }))
+      .toEqual({ tds_base: 105000, tds_amount: 1050 });
+  });
+
+  test('payments already taxed are not caught up again', () => {
+    expect(calculateTds({ ...contract, gross: 25000, prior: 120000, priorTaxed: 40000 }))
+      .toEqual({ tds_base: 105000, tds_amount: 1050 });
+    expect(calculateTds({ ...contract, gross: 10000, prior: 120000, priorTaxed: 120000 }))
+      .toEqual({ tds_base: 10000, tds_amount: 100 });
+  });
+
+  test('excess-only sections tax just the part above the annual threshold', () => {
+    expect(calculateTds({ ...purchase, gross: 1000000, prior: 4500000, priorTaxed: 0 }))
+      .toEqual({ tds_base: 500000, tds_amount: 500 });
+    expect(calculateTds({ ...purchase, gross: 1000000, prior: 6000000, priorTaxed: 1000000 }))
+      .toEqual({ tds_base: 1000000, tds_amount: 1000 });
+    expect(calculateTds({ ...purchase, gross: 1000000, prior: 3000000, priorTaxed: 0 }))
+      .toEqual({ tds_base: 0, tds_amount: 0 });
+  });
+
+  test('a section without thresholds taxes every payment', () => {
+    expect(calculateTds({ single: null, annual: null, excessOnly: false, rate: 10, gross: 1234, prior: 0, priorTaxed: 0 }))
+      .toEqual({ tds_base: 1234, tds_amount: 123 });
+  });
+
+  test('TDS is capped at the payment and the base records only what was taxed', () => {
+    const result = calculateTds({ ...contract, rate: 20, gross: 5000, prior: 99000, priorTaxed: 0 });
+
+    expect(result).toEqual({ tds_base: 25000, tds_amount: 5000 });
+    // The untaxed remainder is still owed, so the next payment is capped again
+    expect(calculateTds({ ...contract, rate: 20, gross: 5000, prior: 104000, priorTaxed: result.tds_base }))
+      .toEqual({ tds_base: 25000, tds_amount: 5000 });
+    expect(calculateTds({ ...contract, rate: 20, gross: 50000, prior: 104000, priorTaxed: result.tds_base }))
+      .toEqual({ tds_base: 129000, tds_amount: 25800 });
+  });
+});
+
+describe('effectiveRate', () => {
+  test('uses at least the no-PAN rate when the vendor has no PAN', () => {
+    expect(effectiveRate(1, false)).toBe(20);
+    expect(effectiveRate(30, false)).toBe(30);
+    expect(effectiveRate(1, true)).toBe(1);
+  });
+});
+
+describe('quarterPeriod', () => {
+  test('maps financial-year quarters to calendar dates', () => {
+    expect(quarterPeriod(2024, 1)).toEqual({ dateFrom: '2024-04-01', dateTo: '2024-06-30' });
+    expect(quarterPeriod(2024, 4)).toEqual({ dateFrom: '2025-01-01', dateTo: '2025-03-31' });
+  });
+});
+
+describe('depositDueDate', () => {
+  test('is the 7th of the next month, or 30 April for March', () => {
+    expect(depositDueDate('2024-10')).toBe('2024-11-07');
+    expect(depositDueDate('2024-12')).toBe('2025-01-07');
+    expect(depositDueDate('2025-03')).toBe('2025-04-30');
+  });
+});
@@ -0,0 +1,91 @@
+const {
+  isTwoFactorRequired, matchTotp, generateSecret, encryptSecret, decryptSecret,
+} = require('../../src/services/two-factor.service');
+
+// RFC 6238 appendix B: the ASCII key "12345678901234567890" in base32, and the low six
+// digits of its SHA-1 codes
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const VECTORS = [
+  { time: 59, code: '287082' },
+  { time: 1111111109, code: '081804' },
+  { time: 1234567890, code: '005924' },
+  { time: 2000000000, code: '279037' },
+];
+
+const stepAt = (time) => Math.floor(time / 30);
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('matchTotp', () => {
+  test.each(VECTORS)('accepts the RFC 6238 code at $time', ({ time, code }) => {
+    jest.useFakeTimers().setSystemTime(time * 1000);
+
+    expect(matchTotp(SECRET, code)).toBe(stepAt(time));
+  });
+
+  test('accepts the code of one step either side for clock drift, not two', () => {
+    const { time, code } = VECTORS[1];
+
+    jest.useFakeTimers().setSystemTime((time + 30) * 1000);
+    expect(matchTotp(SECRET, code)).toBe(stepAt(time));
+
+    jest.setSystemTime((time + 60) * 1000);
+    expect(matchTotp(SECRET, code)).toBeNull();
+  });
+
+  test('refuses a code from a step already used', () => {
+    const { time, code } = VECTORS[1];
+    jest.useFakeTimers().setSystemTime(time * 1000);
+
+    expect(matchTotp(SECRET, code, stepAt(time) - 1)).toBe(stepAt(time));
+    expect(matchTotp(SECRET, code, stepAt(time))).toBeNull();
+    expect(matchTotp(SECRET, code, String(stepAt(time)))).toBeNull();
+  });
+
+  test('refuses wrong and malformed codes', () => {
+    jest.useFakeTimers().setSystemTime(VECTORS[1].time * 1000);
+
+    expect(matchTotp(SECRET, '081805')).toBeNull();
+    expect(matchTotp(SECRET, '81804')).toBeNull();
+    expect(matchTotp(SECRET, '0818040')).toBeNull();
+    expect(matchTotp(SECRET, 'abcdef')).toBeNull();
+    expect(matchTotp(SECRET, undefined)).toBeNull();
+  });
+});
+
+describe('isTwoFactorRequired', () => {
+  test('follows money-moving permissions, whatever the role is called', () => {
+    expect(isTwoFactorRequired(['vendor.manage', 'payment.create'])).toBe(true);
+    expect(isTwoFactorRequired(['proposal.approve'])).toBe(true);
+    expect(isTwoFactorRequired(['role.manage'])).toBe(true);
+    expect(isTwoFactorRequired(['inward.create', 'vendor.manage'])).toBe(false);
+    expect(isTwoFactorRequired([])).toBe(false);
+    expect(isTwoFactorRequired(undefined)).toBe(false);
+  });
+});
+
+describe('generateSecret', () => {
+  test('returns a 160-bit base32 secret and an otpauth URL for it', () => {
+    const { secret, otpauthUrl } = generateSecret('ramesh');
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(otpauthUrl).toMatch(/^otpauth:\/\/totp\/.+%3Aramesh\?/);
+    expect(otpauthUrl).toContain(`secret=${secret}`);
+    expect(otpauthUrl).toContain('digits=6');
+  });
+});
+
+describe('secret encryption', () => {
+  test('round-trips and fails closed under another key', () => {
+    process.env.TOTP_ENCRYPTION_KEY = 'first-key';
+    const stored = encryptSecret(SECRET);
+
+    expect(stored).not.toContain(SECRET);
+    expect(decryptSecret(stored)).toBe(SECRET);
+
+    process.env.TOTP_ENCRYPTION_KEY = 'second-key';
+    expect(() => decryptSecret(stored)).toThrow('Two-factor secret cannot be read');
+  });
+});
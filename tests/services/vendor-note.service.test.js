@@ -0,0 +1,41 @@
+const { spreadNoteOverItems } = require('../../src/services/vendor-note.service');
+
+const items = [
+  { id: 'i1', bill_id: 'b1', vendor_id: 'v1', owner_amount: 1000 },
+  { id: 'i2', bill_id: null, vendor_id: 'v1', owner_amount: 5000 },
+  { id: 'i3', bill_id: 'b3', vendor_id: 'v2', owner_amount: 2000 },
+  { id: 'i4', bill_id: 'b4', vendor_id: 'v1', owner_amount: 1500.5 },
+];
+
+describe('spreadNoteOverItems', () => {
+  test('takes the note off the vendor\'s bills in order', () => {
+    const deductions = new Map();
+
+    expect(spreadNoteOverItems(items, 'v1', 1200, deductions)).toEqual([
+      { bill_id: 'b1', amount: 1000 },
+      { bill_id: 'b4', amount: 200 },
+    ]);
+    expect(deductions).toEqual(new Map([['i1', 1000], ['i4', 200]]));
+  });
+
+  test('skips advance items and other vendors', () => {
+    const allocations = spreadNoteOverItems(items, 'v2', 500, new Map());
+
+    expect(allocations).toEqual([{ bill_id: 'b3', amount: 500 }]);
+  });
+
+  test('never takes an item below zero, across notes', () => {
+    const deductions = new Map();
+
+    spreadNoteOverItems(items, 'v1', 2000, deductions);
+    expect(spreadNoteOverItems(items, 'v1', 1000, deductions)).toEqual([{ bill_id: 'b4', amount: 500.5 }]);
+    expect(deductions.get('i4')).toBe(1500.5);
+    expect(spreadNoteOverItems(items, 'v1', 100, deductions)).toEqual([]);
+  });
+
+  test('leaves what does not fit unallocated', () => {
+    const allocations = spreadNoteOverItems(items, 'v2', 2500, new Map());
+
+    expect(allocations).toEqual([{ bill_id: 'b3', amount: 2000 }]);
+  });
+});